@@ -0,0 +1,196 @@
+/**
+ * Schema Migration Runner
+ *
+ * Applies the numbered migrations in db/migrations and records each applied
+ * version in the `schema_migrations` table. Seeds in db/seeds are kept apart
+ * from the schema and are written to be idempotent.
+ *
+ * Usage:
+ *   npm run migrate -- up          Apply all pending migrations
+ *   npm run migrate -- down [n]    Revert the last n applied migrations (default 1)
+ *   npm run migrate -- status      List migrations and whether they are applied
+ *   npm run seed                   Run every seed file
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const DButils = require("../routes/utils/DButils");
+const MySql = require("../routes/utils/MySql");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+const FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+/**
+ * Lists the numbered script files of a directory in ascending order
+ *
+ * @param {string} dir - Directory to scan
+ * @returns {Array<Object>} - Entries of the form { version, file }
+ */
+function listScripts(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => ({ version: path.basename(file, ".js"), file }));
+}
+
+/**
+ * Creates the bookkeeping table if it does not exist yet
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable() {
+  await DButils.execQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) NOT NULL COMMENT 'Migration file name without extension',
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the migration was applied',
+      PRIMARY KEY (version)
+    )
+  `);
+}
+
+/**
+ * Reads the versions that are already applied
+ *
+ * @returns {Promise<Array<Object>>} - Rows of { version, applied_at }, oldest first
+ */
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  const [rows] = await DButils.execQuery(
+    "SELECT version, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return rows;
+}
+
+/**
+ * Applies every migration that is not recorded in schema_migrations
+ *
+ * @returns {Promise<Array<string>>} - The versions that were applied
+ */
+async function up() {
+  const applied = new Set((await getAppliedMigrations()).map((m) => m.version));
+  const pending = listScripts(MIGRATIONS_DIR).filter(
+    (m) => !applied.has(m.version)
+  );
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${migration.version}`);
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    // MySQL commits DDL implicitly, so the transaction mainly keeps the
+    // data changes of a migration together with its bookkeeping row
+    await DButils.withTransaction(async (tx) => {
+      await up(tx);
+      await tx.execQuery("INSERT INTO schema_migrations (version) VALUES (?)", [
+        migration.version,
+      ]);
+    });
+  }
+
+  if (pending.length === 0) {
+    console.log("✅ Schema is up to date");
+  }
+  return pending.map((m) => m.version);
+}
+
+/**
+ * Reverts the most recently applied migrations
+ *
+ * @param {number} [steps=1] - How many migrations to revert
+ * @returns {Promise<Array<string>>} - The versions that were reverted
+ */
+async function down(steps = 1) {
+  const files = new Map(
+    listScripts(MIGRATIONS_DIR).map((m) => [m.version, m.file])
+  );
+  const toRevert = (await getAppliedMigrations()).reverse().slice(0, steps);
+
+  for (const { version } of toRevert) {
+    if (!files.has(version)) {
+      throw new Error(
+        `Migration file for applied version ${version} is missing`
+      );
+    }
+    console.log(`⬇️  Reverting ${version}`);
+    const { down } = require(path.join(MIGRATIONS_DIR, files.get(version)));
+    await DButils.withTransaction(async (tx) => {
+      await down(tx);
+      await tx.execQuery("DELETE FROM schema_migrations WHERE version = ?", [
+        version,
+      ]);
+    });
+  }
+
+  if (toRevert.length === 0) {
+    console.log("Nothing to revert");
+  }
+  return toRevert.map((m) => m.version);
+}
+
+/**
+ * Reports every known migration and when it was applied
+ *
+ * @returns {Promise<Array<Object>>} - Entries of { version, applied, applied_at }
+ */
+async function status() {
+  const applied = new Map(
+    (await getAppliedMigrations()).map((m) => [m.version, m.applied_at])
+  );
+  const report = listScripts(MIGRATIONS_DIR).map((m) => ({
+    version: m.version,
+    applied: applied.has(m.version),
+    applied_at: applied.get(m.version) || null,
+  }));
+
+  report.forEach((m) =>
+    console.log(
+      `${m.applied ? "✅" : "⏳"} ${m.version}${
+        m.applied ? ` (applied ${new Date(m.applied_at).toISOString()})` : ""
+      }`
+    )
+  );
+  return report;
+}
+
+/**
+ * Runs every seed file in order
+ *
+ * Seeds must be safe to run repeatedly against the same database.
+ *
+ * @returns {Promise<void>}
+ */
+async function seed() {
+  for (const script of listScripts(SEEDS_DIR)) {
+    console.log(`🌱 Seeding ${script.version}`);
+    const { run } = require(path.join(SEEDS_DIR, script.file));
+    await DButils.withTransaction((tx) => run(tx));
+  }
+}
+
+exports.up = up;
+exports.down = down;
+exports.status = status;
+exports.seed = seed;
+
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  const commands = {
+    up: () => up(),
+    down: () => down(arg ? parseInt(arg) : 1),
+    status: () => status(),
+    seed: () => seed(),
+  };
+
+  if (!commands[command]) {
+    console.error("Usage: node db/migrate.js <up|down [steps]|status|seed>");
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => MySql.end())
+    .catch(async (error) => {
+      console.error("❌ Migration failed:", error.message);
+      await MySql.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,108 @@
+/**
+ * Creates the core application tables
+ *
+ * Uses CREATE TABLE IF NOT EXISTS so databases that were set up by hand from
+ * the old "sql scripts/create_tables.sql" are adopted without changes.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id INT NOT NULL AUTO_INCREMENT COMMENT 'User ID',
+      username VARCHAR(45) NOT NULL COMMENT 'Username',
+      firstname VARCHAR(45) DEFAULT NULL COMMENT 'First Name',
+      lastname VARCHAR(45) DEFAULT NULL COMMENT 'Last Name',
+      country VARCHAR(45) DEFAULT NULL COMMENT 'Country',
+      password VARCHAR(100) DEFAULT NULL COMMENT 'Password',
+      email VARCHAR(45) DEFAULT NULL COMMENT 'Email Address',
+      profilePic VARCHAR(500) DEFAULT NULL COMMENT 'Profile Picture',
+      PRIMARY KEY (user_id),
+      UNIQUE KEY username_UNIQUE (username)
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS favorite_recipes (
+      user_id INT NOT NULL,
+      recipe_id INT NOT NULL,
+      PRIMARY KEY (user_id, recipe_id)
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS watched_recipes (
+      user_id INT NOT NULL COMMENT 'User ID',
+      recipe_id INT NOT NULL COMMENT 'Recipe ID',
+      watched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Watched Timestamp',
+      PRIMARY KEY (user_id, recipe_id)
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS family_recipes (
+      recipe_id INT NOT NULL AUTO_INCREMENT COMMENT 'Recipe ID',
+      user_id INT NOT NULL COMMENT 'User ID',
+      recipe_name VARCHAR(100) NOT NULL COMMENT 'Recipe Name',
+      owner_name VARCHAR(100) NOT NULL COMMENT 'Recipe Owner',
+      when_to_prepare TEXT COMMENT 'When to Prepare',
+      ingredients TEXT NOT NULL COMMENT 'Ingredients as JSON',
+      instructions TEXT NOT NULL COMMENT 'Preparation Instructions',
+      image_url VARCHAR(500) DEFAULT NULL COMMENT 'Recipe Image URL',
+      readyInMinutes INT DEFAULT NULL COMMENT 'Preparation time in minutes',
+      servings INT DEFAULT NULL COMMENT 'Number of servings',
+      PRIMARY KEY (recipe_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS private_recipes (
+      recipe_id INT NOT NULL AUTO_INCREMENT COMMENT 'Recipe ID',
+      user_id INT NOT NULL COMMENT 'User ID',
+      title VARCHAR(100) NOT NULL COMMENT 'Recipe Title',
+      readyInMinutes INT DEFAULT 0 COMMENT 'Preparation Time',
+      image_url VARCHAR(500) DEFAULT NULL COMMENT 'Recipe Image URL',
+      popularity INT DEFAULT 0 COMMENT 'Popularity Rating',
+      vegan BOOLEAN DEFAULT 0 COMMENT 'Is Vegan',
+      vegetarian BOOLEAN DEFAULT 0 COMMENT 'Is Vegetarian',
+      gluten_free BOOLEAN DEFAULT 0 COMMENT 'Is Gluten Free',
+      ingredients TEXT COMMENT 'Ingredients as JSON',
+      instructions TEXT COMMENT 'Preparation Instructions',
+      servings INT NOT NULL COMMENT 'Number of Servings',
+      PRIMARY KEY (recipe_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS recipe_likes (
+      recipe_id INT NOT NULL COMMENT 'Spoonacular Recipe ID',
+      user_id INT NOT NULL COMMENT 'User ID who liked the recipe',
+      liked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the like was added',
+      PRIMARY KEY (recipe_id, user_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS user_search_history (
+      user_id INT NOT NULL COMMENT 'User ID',
+      search_query VARCHAR(255) NOT NULL COMMENT 'Search query text',
+      search_params TEXT COMMENT 'Search parameters as JSON (cuisine, diet, intolerance, sort, number)',
+      search_results TEXT NOT NULL COMMENT 'Search results as JSON array',
+      searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When the search was performed',
+      PRIMARY KEY (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS user_search_history");
+  await db.execQuery("DROP TABLE IF EXISTS recipe_likes");
+  await db.execQuery("DROP TABLE IF EXISTS private_recipes");
+  await db.execQuery("DROP TABLE IF EXISTS family_recipes");
+  await db.execQuery("DROP TABLE IF EXISTS watched_recipes");
+  await db.execQuery("DROP TABLE IF EXISTS favorite_recipes");
+  await db.execQuery("DROP TABLE IF EXISTS users");
+};
@@ -0,0 +1,26 @@
+/**
+ * Creates the Spoonacular response cache table
+ *
+ * Replaces "sql scripts/add_cache_table.sql". The indexes are declared inline
+ * so the migration is a no-op on databases where that script already ran;
+ * 015 adds them to existing tables that lack them.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS api_cache (
+      cache_key VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Unique cache key (endpoint + params)',
+      endpoint VARCHAR(255) NOT NULL COMMENT 'API endpoint being cached',
+      response_data JSON NOT NULL COMMENT 'Cached API response data',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When cache was created',
+      expires_at TIMESTAMP NOT NULL COMMENT 'When cache expires',
+      request_params JSON DEFAULT NULL COMMENT 'Request parameters for debugging',
+      INDEX idx_api_cache_endpoint (endpoint),
+      INDEX idx_api_cache_expires (expires_at)
+    ) COMMENT = 'Cache table for Spoonacular API responses'
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS api_cache");
+};
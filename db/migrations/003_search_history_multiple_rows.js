@@ -0,0 +1,35 @@
+/**
+ * Turns user_search_history into a full history with many rows per user
+ *
+ * The table used user_id as its primary key, so every search replaced the
+ * previous one. Existing rows are kept and receive a search_id. searched_at
+ * no longer changes on update, since history rows are never rewritten.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    ALTER TABLE user_search_history
+      DROP PRIMARY KEY,
+      ADD COLUMN search_id INT NOT NULL AUTO_INCREMENT COMMENT 'Search history entry ID' FIRST,
+      ADD PRIMARY KEY (search_id),
+      ADD INDEX idx_user_search_history_user (user_id, searched_at),
+      MODIFY searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the search was performed'
+  `);
+};
+
+exports.down = async function (db) {
+  // Only the newest search of each user fits the old one-row-per-user shape
+  await db.execQuery(`
+    DELETE older FROM user_search_history older
+    JOIN user_search_history newer
+      ON newer.user_id = older.user_id AND newer.search_id > older.search_id
+  `);
+  await db.execQuery(`
+    ALTER TABLE user_search_history
+      DROP PRIMARY KEY,
+      DROP COLUMN search_id,
+      ADD PRIMARY KEY (user_id),
+      DROP INDEX idx_user_search_history_user,
+      MODIFY searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When the search was performed'
+  `);
+};
@@ -0,0 +1,22 @@
+/**
+ * Adds an updated_at timestamp to private and family recipes
+ *
+ * Existing recipes get the migration time, since their creation time was
+ * never recorded.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    ALTER TABLE private_recipes
+      ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Last modification time'
+  `);
+  await db.execQuery(`
+    ALTER TABLE family_recipes
+      ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Last modification time'
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("ALTER TABLE family_recipes DROP COLUMN updated_at");
+  await db.execQuery("ALTER TABLE private_recipes DROP COLUMN updated_at");
+};
@@ -0,0 +1,30 @@
+/**
+ * Creates the revision history table for private and family recipes
+ *
+ * Every create, edit and restore stores a snapshot of the recipe columns.
+ * Recipes that existed before this migration get their original version
+ * recorded the first time they are edited.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS recipe_revisions (
+      revision_id INT NOT NULL AUTO_INCREMENT COMMENT 'Revision row ID',
+      recipe_source ENUM('private', 'family') NOT NULL COMMENT 'Table the recipe lives in',
+      recipe_id INT NOT NULL COMMENT 'Recipe ID within its table',
+      revision_number INT NOT NULL COMMENT 'Revision number, counted per recipe from 1',
+      change_type ENUM('original', 'create', 'update', 'restore') NOT NULL COMMENT 'What produced this version',
+      restored_from INT DEFAULT NULL COMMENT 'Revision number a restore copied',
+      edited_by INT DEFAULT NULL COMMENT 'User who made the change (NULL if unknown)',
+      snapshot JSON NOT NULL COMMENT 'Recipe column values after the change',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the change was made',
+      PRIMARY KEY (revision_id),
+      UNIQUE KEY uq_recipe_revisions_number (recipe_source, recipe_id, revision_number),
+      FOREIGN KEY (edited_by) REFERENCES users(user_id) ON DELETE SET NULL
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS recipe_revisions");
+};
@@ -0,0 +1,16 @@
+/**
+ * Adds the measuring system a user wants recipes shown in
+ *
+ * NULL keeps the units as the recipe was written.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    ALTER TABLE users
+      ADD COLUMN preferred_units ENUM('metric', 'us') DEFAULT NULL COMMENT 'Measuring system for recipe details'
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("ALTER TABLE users DROP COLUMN preferred_units");
+};
@@ -0,0 +1,52 @@
+/**
+ * Creates the shopping list tables
+ *
+ * The list itself is computed from the recipes a user added, so only the
+ * recipes, the items the user typed in and the checked-off state of the
+ * computed items are stored.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS shopping_list_recipes (
+      user_id INT NOT NULL COMMENT 'User ID',
+      recipe_source ENUM('spoonacular', 'private', 'family') NOT NULL COMMENT 'Where the recipe comes from',
+      recipe_id VARCHAR(50) NOT NULL COMMENT 'Recipe ID within its source',
+      servings INT DEFAULT NULL COMMENT 'Servings to shop for (NULL: as written)',
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the recipe was added',
+      PRIMARY KEY (user_id, recipe_source, recipe_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS shopping_list_items (
+      item_id INT NOT NULL AUTO_INCREMENT COMMENT 'Manual item ID',
+      user_id INT NOT NULL COMMENT 'User ID',
+      name VARCHAR(255) NOT NULL COMMENT 'Item name',
+      quantity DECIMAL(10, 3) DEFAULT NULL COMMENT 'Amount to buy',
+      unit VARCHAR(20) DEFAULT NULL COMMENT 'Unit of the amount',
+      aisle VARCHAR(100) DEFAULT NULL COMMENT 'Aisle to list the item under',
+      checked BOOLEAN NOT NULL DEFAULT 0 COMMENT 'Checked off',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the item was added',
+      PRIMARY KEY (item_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS shopping_list_checks (
+      user_id INT NOT NULL COMMENT 'User ID',
+      item_key VARCHAR(255) NOT NULL COMMENT 'Key of a checked-off recipe item',
+      checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the item was checked off',
+      PRIMARY KEY (user_id, item_key),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS shopping_list_checks");
+  await db.execQuery("DROP TABLE IF EXISTS shopping_list_items");
+  await db.execQuery("DROP TABLE IF EXISTS shopping_list_recipes");
+};
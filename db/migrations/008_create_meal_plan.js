@@ -0,0 +1,25 @@
+/**
+ * Creates the meal plan table
+ *
+ * Each user has at most one recipe per date and meal slot.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS meal_plan_entries (
+      user_id INT NOT NULL COMMENT 'User ID',
+      plan_date DATE NOT NULL COMMENT 'Day of the meal',
+      slot ENUM('breakfast', 'lunch', 'dinner', 'snack') NOT NULL COMMENT 'Meal of the day',
+      recipe_source ENUM('spoonacular', 'private', 'family') NOT NULL COMMENT 'Where the recipe comes from',
+      recipe_id VARCHAR(50) NOT NULL COMMENT 'Recipe ID within its source',
+      servings INT NOT NULL COMMENT 'Servings to cook',
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last change to the slot',
+      PRIMARY KEY (user_id, plan_date, slot),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS meal_plan_entries");
+};
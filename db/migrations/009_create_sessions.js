@@ -0,0 +1,32 @@
+/**
+ * Creates the sessions table for the server-side session store
+ *
+ * Used when `session_store=mysql`, and to record logged-in cookie sessions
+ * so they can be listed and revoked. The cookie holds a random token and
+ * only its SHA-256 hash is stored, so the table cannot be used to hijack
+ * sessions. Deleting a row logs that session out.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id INT AUTO_INCREMENT PRIMARY KEY COMMENT 'Session ID',
+      token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the cookie token',
+      user_id INT DEFAULT NULL COMMENT 'Logged-in user',
+      data TEXT NOT NULL COMMENT 'Session contents as JSON',
+      ip_address VARCHAR(45) DEFAULT NULL COMMENT 'IP address of the last request',
+      user_agent VARCHAR(255) DEFAULT NULL COMMENT 'Browser or client of the session',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Login time',
+      last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Last request',
+      expires_at DATETIME NOT NULL COMMENT 'End of the session unless it is used again',
+      UNIQUE KEY uq_sessions_token (token_hash),
+      INDEX idx_sessions_user (user_id),
+      INDEX idx_sessions_expires (expires_at),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS sessions");
+};
@@ -0,0 +1,29 @@
+/**
+ * Creates the refresh_tokens table for token-based API authentication
+ *
+ * A token login (POST /auth/token) is a row in `sessions`, so it can be
+ * listed and revoked like a browser session; its refresh tokens are kept
+ * here, hashed. Each refresh replaces the token with a new one and marks
+ * the old one used. Presenting a used token again means it was copied, and
+ * the whole session is revoked.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      refresh_token_id INT AUTO_INCREMENT PRIMARY KEY COMMENT 'Refresh token ID',
+      session_id INT NOT NULL COMMENT 'Token login the refresh token belongs to',
+      token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the refresh token',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Issue time',
+      expires_at DATETIME NOT NULL COMMENT 'Time the token can no longer be used',
+      used_at DATETIME DEFAULT NULL COMMENT 'Time the token was exchanged for a new one',
+      UNIQUE KEY uq_refresh_tokens_token (token_hash),
+      INDEX idx_refresh_tokens_session (session_id),
+      FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS refresh_tokens");
+};
@@ -0,0 +1,29 @@
+/**
+ * Creates the api_keys table for personal API keys
+ *
+ * A key is shown to its owner once, when it is created; only its SHA-256
+ * hash is stored, with a short prefix so the owner can tell keys apart.
+ * Deleting a row revokes the key.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      api_key_id INT AUTO_INCREMENT PRIMARY KEY COMMENT 'API key ID',
+      user_id INT NOT NULL COMMENT 'Owner of the key',
+      name VARCHAR(100) NOT NULL COMMENT 'Name chosen by the owner',
+      key_prefix VARCHAR(16) NOT NULL COMMENT 'First characters of the key, for display',
+      key_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the key',
+      scopes VARCHAR(500) NOT NULL COMMENT 'Space-separated scopes the key grants',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Creation time',
+      last_used_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last request made with the key',
+      UNIQUE KEY uq_api_keys_hash (key_hash),
+      UNIQUE KEY uq_api_keys_user_name (user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS api_keys");
+};
@@ -0,0 +1,42 @@
+/**
+ * Creates the login throttling tables
+ *
+ * login_attempts holds recent failed logins per username and per IP
+ * address when `login_tracker=mysql` (by default they are kept in memory).
+ * login_lockouts is the audit log of every lockout, whichever tracker is
+ * used.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      attempt_key VARCHAR(300) NOT NULL PRIMARY KEY COMMENT 'user:<username> or ip:<address>',
+      failures INT NOT NULL DEFAULT 0 COMMENT 'Failed logins since the counter last started over',
+      last_failure_at DATETIME NOT NULL COMMENT 'Time of the latest failed login',
+      locked_until DATETIME DEFAULT NULL COMMENT 'End of the current lockout',
+      INDEX idx_login_attempts_last_failure (last_failure_at)
+    )
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS login_lockouts (
+      lockout_id INT AUTO_INCREMENT PRIMARY KEY COMMENT 'Lockout ID',
+      lock_type ENUM('username', 'ip') NOT NULL COMMENT 'What was locked',
+      username VARCHAR(255) DEFAULT NULL COMMENT 'Username of the failed logins',
+      user_id INT DEFAULT NULL COMMENT 'Account of that username, if it exists',
+      ip_address VARCHAR(45) DEFAULT NULL COMMENT 'IP address of the failed logins',
+      user_agent VARCHAR(255) DEFAULT NULL COMMENT 'Client of the last failed login',
+      failures INT NOT NULL COMMENT 'Failed logins that caused the lockout',
+      locked_until DATETIME NOT NULL COMMENT 'End of the lockout',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Time of the lockout',
+      INDEX idx_login_lockouts_user (user_id),
+      INDEX idx_login_lockouts_created (created_at),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS login_lockouts");
+  await db.execQuery("DROP TABLE IF EXISTS login_attempts");
+};
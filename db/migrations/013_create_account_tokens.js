@@ -0,0 +1,36 @@
+/**
+ * Adds email verification and the account_tokens table
+ *
+ * Account tokens are the single-use links emailed to users: one to verify
+ * the address they registered with, one to reset a forgotten password.
+ * They are stored hashed and expire. users.email_verified_at is set when
+ * the address is verified; existing users start unverified.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    ALTER TABLE users
+      ADD COLUMN email_verified_at DATETIME DEFAULT NULL COMMENT 'Time the email address was verified'
+  `);
+
+  await db.execQuery(`
+    CREATE TABLE IF NOT EXISTS account_tokens (
+      account_token_id INT AUTO_INCREMENT PRIMARY KEY COMMENT 'Account token ID',
+      user_id INT NOT NULL COMMENT 'User the token was sent to',
+      purpose ENUM('verify_email', 'reset_password') NOT NULL COMMENT 'What the token allows',
+      email VARCHAR(45) NOT NULL COMMENT 'Address the token was sent to',
+      token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the token',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Time the token was sent',
+      expires_at DATETIME NOT NULL COMMENT 'Time the token can no longer be used',
+      used_at DATETIME DEFAULT NULL COMMENT 'Time the token was used',
+      UNIQUE KEY uq_account_tokens_token (token_hash),
+      INDEX idx_account_tokens_user (user_id, purpose),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery("DROP TABLE IF EXISTS account_tokens");
+  await db.execQuery("ALTER TABLE users DROP COLUMN email_verified_at");
+};
@@ -0,0 +1,21 @@
+/**
+ * Adds login_attempts.previous_failure_at
+ *
+ * A login attempt is now counted before its password is checked. Keeping
+ * the time of the failure before the latest one shows whether an attempt
+ * came before the wait of the one counted just before it had ended, and
+ * lets a successful attempt take its count back.
+ */
+
+exports.up = async function (db) {
+  await db.execQuery(`
+    ALTER TABLE login_attempts
+      ADD COLUMN previous_failure_at DATETIME DEFAULT NULL COMMENT 'Time of the failed login before the latest one' AFTER last_failure_at
+  `);
+};
+
+exports.down = async function (db) {
+  await db.execQuery(
+    "ALTER TABLE login_attempts DROP COLUMN previous_failure_at"
+  );
+};
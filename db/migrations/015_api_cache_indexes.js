@@ -0,0 +1,30 @@
+/**
+ * Adds the api_cache indexes to tables created without them
+ *
+ * 002 declares the indexes inline, but CREATE TABLE IF NOT EXISTS leaves an
+ * existing api_cache table as it is, e.g. one made by the old SQL script
+ * whose CREATE INDEX statements did not run. Each index is added only if
+ * the table does not have it yet.
+ */
+
+const INDEXES = {
+  idx_api_cache_endpoint: "endpoint",
+  idx_api_cache_expires: "expires_at",
+};
+
+exports.up = async function (db) {
+  for (const [name, column] of Object.entries(INDEXES)) {
+    const [rows] = await db.execQuery(
+      `SELECT COUNT(*) AS total FROM information_schema.statistics
+       WHERE table_schema = DATABASE() AND table_name = 'api_cache' AND index_name = ?`,
+      [name]
+    );
+    if (Number(rows[0].total) === 0) {
+      await db.execQuery(`ALTER TABLE api_cache ADD INDEX ${name} (${column})`);
+    }
+  }
+};
+
+exports.down = async function () {
+  // The indexes belong to the table as 002 creates it, so they are kept
+};
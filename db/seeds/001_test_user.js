@@ -0,0 +1,19 @@
+/**
+ * Seeds the demo account documented in the README (testuser / password)
+ */
+
+exports.run = async function (db) {
+  await db.execQuery(
+    `INSERT IGNORE INTO users (username, firstname, lastname, country, password, email, profilePic)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      "testuser",
+      "Test",
+      "User",
+      "Israel",
+      "$2b$13$IHs1nKpj595BQTtR2Qs6rOi1TCOGvAB6fVrOIt.6tyiz2rbocA9L2", // Password is "password"
+      "test@example.com",
+      null,
+    ]
+  );
+};
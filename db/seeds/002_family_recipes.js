@@ -0,0 +1,100 @@
+/**
+ * Seeds the Katz family recipes for the demo account
+ *
+ * The owner is looked up by username rather than assumed to be user_id 1,
+ * and each recipe is only inserted if the user does not already have one
+ * with the same name, so the seed can be re-run safely.
+ */
+
+const FAMILY_RECIPES = [
+  {
+    recipe_name: "Cheesecake",
+    owner_name: "Tova Katz",
+    when_to_prepare: "When having guests",
+    ingredients: [
+      { name: "Biscuits", amount: "14" },
+      { name: "Eggs", amount: "4" },
+      { name: "Sugar", amount: "1 cup" },
+      { name: "Cornflour", amount: "3 tablespoons" },
+      { name: "Instant vanilla pudding", amount: "3 tablespoons" },
+      { name: "Sweet cream", amount: "half box" },
+      { name: "White cheese 9%", amount: "half kilo" },
+      { name: "Sour cream", amount: "1 box" },
+      { name: "Lemon zest", amount: "1 lemon" },
+    ],
+    instructions:
+      "Crumble the biscuits and place in the bottom of the greased pan, mix all the other ingredients in the order of the ingredients above, and put in the oven at 170 degrees. Once it gets a little brown on top - take it out, take 2 cups of sour cream and mix with a bag of vanilla sugar, spread over the cake and put in the oven when it is turned off. Leave it in the oven for an hour when it is not working.",
+    image_url: null,
+    readyInMinutes: 60,
+    servings: 8,
+  },
+  {
+    recipe_name: "Cold salad of peppers and tomatoes",
+    owner_name: "Tova Katz",
+    when_to_prepare: "Daily",
+    ingredients: [
+      { name: "Light green peppers", amount: "5" },
+      { name: "Tomatoes", amount: "5" },
+      { name: "Garlic cloves", amount: "3" },
+      { name: "Salt", amount: "to taste" },
+      { name: "Olive oil", amount: "1 tablespoon" },
+    ],
+    instructions:
+      "Cut the peppers into coarse pieces and put them on the pan with olive oil on it, wait for it to soften then add the chopped garlic, and add the diced tomatoes, salt, mix everything together and leave for another 20 minutes on low heat with a lid.",
+    image_url: "/family-images/Cold-salad-of-peppers-and-tomatoes.jpg",
+    readyInMinutes: 15,
+    servings: 4,
+  },
+  {
+    recipe_name: "Cold zucchini salad",
+    owner_name: "Tova Katz",
+    when_to_prepare: "Daily",
+    ingredients: [
+      { name: "Large zucchinis", amount: "3" },
+      { name: "Onions", amount: "3" },
+      { name: "Salt", amount: "to taste" },
+      { name: "Black pepper", amount: "to taste" },
+    ],
+    instructions:
+      "Scratch the zucchini on a grater, put in a pan with a drop of oil, and wait until it softens, and remove it to a bowl as soon as it softens. Chop the onions, put them in the pan until they are browned. Mix the zucchini with the onion in a bowl together, add salt and pepper. And before serving, you can grate a hard-boiled egg inside.",
+    image_url: null,
+    readyInMinutes: 15,
+    servings: 4,
+  },
+];
+
+exports.run = async function (db) {
+  const [users] = await db.execQuery(
+    "SELECT user_id FROM users WHERE username = ?",
+    ["testuser"]
+  );
+  if (users.length === 0) {
+    console.log("testuser does not exist, skipping family recipes seed");
+    return;
+  }
+  const user_id = users[0].user_id;
+
+  for (const recipe of FAMILY_RECIPES) {
+    await db.execQuery(
+      `INSERT INTO family_recipes (user_id, recipe_name, owner_name, when_to_prepare, ingredients, instructions, image_url, readyInMinutes, servings)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+       FROM DUAL
+       WHERE NOT EXISTS (
+         SELECT 1 FROM family_recipes WHERE user_id = ? AND recipe_name = ?
+       )`,
+      [
+        user_id,
+        recipe.recipe_name,
+        recipe.owner_name,
+        recipe.when_to_prepare,
+        JSON.stringify(recipe.ingredients),
+        recipe.instructions,
+        recipe.image_url,
+        recipe.readyInMinutes,
+        recipe.servings,
+        user_id,
+        recipe.recipe_name,
+      ]
+    );
+  }
+};
@@ -10,8 +10,8 @@ require("dotenv").config();
 var express = require("express");
 var path = require("path");
 var logger = require("morgan");
-const session = require("client-sessions");
-const DButils = require("./routes/utils/DButils");
+const { users } = require("./routes/utils/repositories");
+const recipeIndex = require("./routes/utils/recipe_index");
 const middleware = require("./middleware");
 
 /**
@@ -29,22 +29,12 @@ app.use(middleware.cors);
 app.options("*", middleware.cors);
 
 /**
- * Configure session management with client-sessions
- * Manages user authentication state using encrypted cookies
+ * Configure session management
+ * Keeps the logged-in user in req.session, either in an encrypted cookie or
+ * in the sessions table (see middleware/session.middleware.js for the
+ * session_* settings in .env)
  */
-app.use(
-  session({
-    cookieName: "session", // the cookie key name
-    //secret: process.env.COOKIE_SECRET, // the encryption key
-    secret: "template", // the encryption key
-    duration: 24 * 60 * 60 * 1000, // expired after 24 hours
-    activeDuration: 1000 * 60 * 5, // if expiresIn < activeDuration,
-    cookie: {
-      httpOnly: false,
-    },
-    //the session will be extended by activeDuration milliseconds
-  })
-);
+app.use(middleware.session);
 app.use(express.urlencoded({ extended: false })); // parse application/x-www-form-urlencoded
 app.use(express.static(path.join(__dirname, "public"))); //To serve static files such as images, CSS files, and JavaScript files
 //local:
@@ -70,14 +60,16 @@ const auth = require("./routes/auth");
  *
  * Verifies if the user is logged in by checking if the user_id in the session
  * corresponds to a valid user in the database. If valid, sets req.user_id for
- * downstream request handling.
+ * downstream request handling. Sessions without a session record
+ * (req.sessionId) are ignored.
  */
 //#region cookie middleware
 app.use(function (req, res, next) {
-  if (req.session && req.session.user_id) {
-    DButils.execQuery("SELECT user_id FROM users")
-      .then((users) => {
-        if (users.find((x) => x.user_id === req.session.user_id)) {
+  if (req.session && req.session.user_id && req.sessionId) {
+    users
+      .findById(req.session.user_id)
+      .then((user) => {
+        if (user) {
           req.user_id = req.session.user_id;
         }
         next();
@@ -109,6 +101,16 @@ app.use("/", auth);
  */
 app.use(middleware.error.errorHandler);
 
+/**
+ * Build the search index over private and family recipes
+ * If the database is not reachable yet, the first search builds it instead
+ */
+recipeIndex
+  .rebuild()
+  .catch((error) =>
+    console.error("❌ Failed to build recipe search index:", error.message)
+  );
+
 /**
  * Start the server and listen for incoming connections
  */
@@ -1,18 +1,44 @@
-const DButils = require("../routes/utils/DButils");
+const { users } = require("../routes/utils/repositories");
+const {
+  readBearerToken,
+  verifyAccessToken,
+} = require("../routes/utils/token_utils");
+const { isApiKey, verifyApiKey } = require("../routes/utils/api_key_utils");
 
 /**
  * Authentication middleware to verify if the user is logged in
+ *
+ * The session middleware resets sessions that have been revoked (see
+ * DELETE /users/me/sessions/:sessionId); a logged-in session it could not
+ * check against its record (no req.sessionId) is rejected as well.
+ *
+ * Instead of the session cookie, a request may send an access token from
+ * POST /auth/token or a personal API key as `Authorization: Bearer <token>`.
+ * Requests made with an API key get req.apiKey ({ api_key_id, scopes }) and
+ * are limited to the routes its scopes allow (requireScope).
  */
 async function authenticate(req, res, next) {
   try {
-    if (req.session && req.session.user_id) {
-      const users = await DButils.execQuery("SELECT user_id FROM users");
-      console.log("Auth Check - Session user_id:", req.session.user_id);
-      console.log("Auth Check - Found users:", users);
+    const bearerToken = readBearerToken(req);
+    if (bearerToken !== null && isApiKey(bearerToken)) {
+      const { user_id, api_key_id, scopes } = await verifyApiKey(bearerToken);
+      req.session.user_id = user_id;
+      req.apiKey = { api_key_id, scopes };
+    } else if (bearerToken !== null) {
+      const { user_id, session_id } = await verifyAccessToken(bearerToken);
+      req.session.user_id = user_id;
+      req.sessionId = session_id;
+    }
 
-      // Handle different result formats
-      const usersList = Array.isArray(users[0]) ? users[0] : users;
-      if (usersList.find((x) => x.user_id === req.session.user_id)) {
+    if (req.session && req.session.user_id && !req.sessionId && !req.apiKey) {
+      console.log("Auth Check - Session could not be verified");
+      res
+        .status(401)
+        .send({ message: "Session could not be verified", success: false });
+    } else if (req.session && req.session.user_id) {
+      console.log("Auth Check - Session user_id:", req.session.user_id);
+      const user = await users.findById(req.session.user_id);
+      if (user) {
         req.user_id = req.session.user_id;
         console.log("Auth Check - User authenticated successfully");
         next();
@@ -30,4 +56,50 @@ async function authenticate(req, res, next) {
   }
 }
 
-module.exports = { authenticate };
+/**
+ * Limits routes to API keys that have all the given scopes
+ *
+ * A scope named without an action ("favorites") means "favorites:read" for
+ * GET requests and "favorites:write" for the others. Logged-in users
+ * (session cookie or access token) pass without scopes.
+ *
+ * @param {...string} scopes - Scopes from api_key_utils.API_KEY_SCOPES, or their names without an action
+ * @returns {Function} - Express middleware
+ */
+function requireScope(...scopes) {
+  return function (req, res, next) {
+    if (!req.apiKey) {
+      return next();
+    }
+    const action = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+    const missing = scopes
+      .map((scope) => (scope.includes(":") ? scope : `${scope}:${action}`))
+      .filter((scope) => !req.apiKey.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).send({
+        message: `API key lacks the required scope: ${missing.join(", ")}`,
+        success: false,
+      });
+    }
+    req.apiKey.allowed = true;
+    next();
+  };
+}
+
+/**
+ * Refuses API keys on routes that no requireScope before it allowed
+ *
+ * Mounted after the scopes of a router, so a route is closed to API keys
+ * until it is given a scope.
+ */
+function refuseApiKeys(req, res, next) {
+  if (req.apiKey && !req.apiKey.allowed) {
+    return res.status(403).send({
+      message: "This route cannot be used with an API key",
+      success: false,
+    });
+  }
+  next();
+}
+
+module.exports = { authenticate, requireScope, refuseApiKeys };
@@ -31,6 +31,11 @@ function errorHandler(err, req, res, next) {
     });
   }
   
+  // Tell throttled clients when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  
   // Return formatted error response
   res.status(status).send({
     message: message,
@@ -2,10 +2,12 @@ const auth = require('./auth.middleware');
 const validation = require('./validation.middleware');
 const corsMiddleware = require('./cors.middleware');
 const errorMiddleware = require('./error.middleware');
+const sessionMiddleware = require('./session.middleware');
 
 module.exports = {
   auth,
   validation,
   cors: corsMiddleware,
-  error: errorMiddleware
+  error: errorMiddleware,
+  session: sessionMiddleware
 };
@@ -0,0 +1,470 @@
+/**
+ * Session Middleware
+ *
+ * Keeps the logged-in user in `req.session.user_id`; `req.session.reset()`
+ * logs out. Sessions last 24 hours and are extended while they are used.
+ *
+ * Every logged-in session has a row in the `sessions` table, so users can
+ * list their sessions and revoke them. `req.sessionId` is the row of the
+ * current session; a logged-in session without one (revoked, or not
+ * checked because the table could not be reached) must not be trusted.
+ *
+ * Requests with an `Authorization: Bearer` header ignore cookies: their
+ * session is filled in from the access token by auth.authenticate.
+ *
+ * Configured from the environment:
+ *   session_secret            Comma-separated secrets. The first one signs new
+ *                             cookies and the others are still accepted, so a
+ *                             secret can be rotated without logging users out.
+ *   session_store             "cookie" (default) keeps the session in an
+ *                             encrypted cookie; "mysql" keeps it in the
+ *                             `sessions` table.
+ *   session_cookie_secure     "auto" (default) marks the cookie Secure on HTTPS
+ *                             requests, "true" always (no cookie is set over
+ *                             plain HTTP) and "false" never.
+ *   session_cookie_same_site  "lax" (default) or "strict".
+ */
+const crypto = require("crypto");
+const cookieParser = require("cookie-parser");
+const clientSessions = require("client-sessions");
+const { sessions } = require("../routes/utils/repositories");
+const { readBearerToken } = require("../routes/utils/token_utils");
+
+const COOKIE_NAME = "session";
+const DURATION = 24 * 60 * 60 * 1000;
+// The cookie store extends sessions this close to expiry; session rows
+// record activity at most this often
+const ACTIVE_DURATION = 5 * 60 * 1000;
+
+/**
+ * Reads the session settings from the environment
+ *
+ * Without a session_secret a random one is used, so sessions do not
+ * survive a restart.
+ *
+ * @returns {Object} - { secrets, store, secure, sameSite }
+ * @throws {Error} - If a setting has an unknown value
+ */
+function readConfig() {
+  let secrets = (process.env.session_secret || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  if (secrets.length === 0) {
+    console.log(
+      "⚠️ session_secret is not set: using a random secret, so sessions end when the server restarts"
+    );
+    secrets = [crypto.randomBytes(32).toString("hex")];
+  }
+
+  const config = {
+    secrets,
+    store: (process.env.session_store || "cookie").trim().toLowerCase(),
+    secure: (process.env.session_cookie_secure || "auto").trim().toLowerCase(),
+    sameSite: (process.env.session_cookie_same_site || "lax")
+      .trim()
+      .toLowerCase(),
+  };
+  const allowed = {
+    store: ["cookie", "mysql"],
+    secure: ["auto", "true", "false"],
+    sameSite: ["lax", "strict"],
+  };
+  Object.entries(allowed).forEach(([setting, values]) => {
+    if (!values.includes(config[setting])) {
+      throw new Error(
+        `Invalid session setting ${setting}="${
+          config[setting]
+        }"; use ${values.join(", ")}`
+      );
+    }
+  });
+  return config;
+}
+
+/**
+ * Tells whether the session cookie of a request gets the Secure flag
+ */
+function isSecure(req, config) {
+  return config.secure === "true" || (config.secure === "auto" && req.secure);
+}
+
+/**
+ * Reads one cookie from the Cookie header
+ */
+function readCookie(req, name) {
+  const match = (req.headers.cookie || "").match(
+    new RegExp(`(?:^|;\\s*)${name}=([^;]*)`)
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Derives the client-sessions keys of a secret, as client-sessions does itself
+ *
+ * @param {string} secret - A session secret
+ * @returns {Object} - Options with the encryption and signature keys
+ */
+function cookieKeys(secret) {
+  const derive = (label) =>
+    crypto.createHmac("sha256", secret).update(label).digest();
+  return {
+    cookieName: COOKIE_NAME,
+    encryptionKey: derive("cookiesession-encryption"),
+    signatureKey: derive("cookiesession-signature"),
+    encryptionAlgorithm: "aes256",
+    signatureAlgorithm: "sha256",
+  };
+}
+
+/**
+ * Hashes a session token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Creates a random session token
+ */
+function createToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Reads the client details recorded on a session
+ */
+function clientOf(req) {
+  return {
+    ip_address: req.ip || null,
+    user_agent: (req.get("User-Agent") || "").slice(0, 255) || null,
+  };
+}
+
+/**
+ * Keeps a `sessions` row for a logged-in cookie session
+ *
+ * The cookie carries a random session_token and the row its hash. A
+ * logged-in cookie whose row is gone has been revoked and is reset. A row
+ * is created on login (and for cookies from before sessions were
+ * recorded), touched at most every ACTIVE_DURATION, and deleted on logout.
+ * The contents of the session stay in the cookie.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function trackCookieSession(req, res) {
+  const session = req.session;
+  const recordSession = async () => {
+    const token = createToken();
+    const session_id = await sessions.create(
+      {
+        token_hash: hashToken(token),
+        user_id: session.user_id,
+        data: "{}",
+        ...clientOf(req),
+      },
+      DURATION / 1000
+    );
+    session.session_token = token;
+    return { session_id, user_id: session.user_id };
+  };
+
+  let record = null;
+  req.sessionId = null;
+  try {
+    if (session.user_id && session.session_token) {
+      record = await sessions.findByTokenHash(hashToken(session.session_token));
+      if (!record || record.user_id !== session.user_id) {
+        session.reset();
+        record = null;
+      } else if (record.idle_seconds * 1000 >= ACTIVE_DURATION) {
+        await sessions.touch(record.session_id, clientOf(req), DURATION / 1000);
+      }
+    } else if (session.user_id) {
+      record = await recordSession();
+    }
+  } catch (error) {
+    console.log(`Error loading session: ${error.message}`);
+    return;
+  }
+  req.sessionId = record ? record.session_id : null;
+
+  const end = res.end;
+  res.end = function (...args) {
+    res.end = end;
+    const user_id = session.user_id || null;
+    if (res.headersSent || user_id === (record ? record.user_id : null)) {
+      return end.apply(res, args);
+    }
+    (async () => {
+      if (record) {
+        await sessions.deleteById(record.session_id);
+      }
+      delete session.session_token;
+      if (user_id) {
+        await recordSession();
+        await sessions.deleteExpired();
+      }
+    })()
+      .catch((error) => console.log(`Error saving session: ${error.message}`))
+      .then(() => end.apply(res, args));
+    return res;
+  };
+}
+
+/**
+ * Sessions kept in an encrypted cookie (client-sessions)
+ *
+ * A cookie encrypted with one of the older secrets is re-encrypted with the
+ * current one and sent back, so rotated secrets can be dropped once every
+ * active session has made a request.
+ *
+ * @param {Object} config - Settings from readConfig
+ * @returns {Function} - Express middleware
+ */
+function cookieStore(config) {
+  const [current, ...previous] = config.secrets.map(cookieKeys);
+  const create = (secure) =>
+    clientSessions({
+      ...current,
+      duration: DURATION,
+      activeDuration: ACTIVE_DURATION,
+      cookie: {
+        httpOnly: true,
+        secure,
+        sameSite: config.sameSite,
+        overwrite: true,
+      },
+    });
+  const secureSessions = create(true);
+  const plainSessions = create(false);
+
+  return function cookieSession(req, res, next) {
+    const secure = isSecure(req, config);
+    const value = readCookie(req, COOKIE_NAME);
+
+    if (value && !clientSessions.util.decode(current, value)) {
+      for (const keys of previous) {
+        const decoded = clientSessions.util.decode(keys, value);
+        if (decoded) {
+          const renewed = clientSessions.util.encode(
+            current,
+            decoded.content,
+            decoded.duration,
+            decoded.createdAt
+          );
+          req.headers.cookie = req.headers.cookie.replace(value, renewed);
+          res.cookie(COOKIE_NAME, renewed, {
+            httpOnly: true,
+            secure,
+            sameSite: config.sameSite,
+            expires: new Date(decoded.createdAt + decoded.duration),
+          });
+          break;
+        }
+      }
+    }
+
+    // client-sessions only sets Secure cookies on connections it is told are secure
+    req.connection.proxySecure = secure;
+    (secure ? secureSessions : plainSessions)(req, res, () =>
+      trackCookieSession(req, res).then(() => next(), next)
+    );
+  };
+}
+
+/**
+ * Writes the session of a MySQL-stored request back to the table
+ *
+ * A new session (a login) gets a new row and token; a reset or emptied
+ * session is deleted; a session whose user changes is replaced by a new
+ * one, so a token issued before login is never promoted. Otherwise the
+ * row is updated when the contents change and touched at most every
+ * ACTIVE_DURATION to extend it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - Settings from readConfig
+ * @param {Object} state - { token, record, loaded, cleared } from loading
+ */
+async function saveStoredSession(req, res, config, state) {
+  const content = req.session;
+  const json = JSON.stringify(content);
+  const empty = Object.keys(content).length === 0;
+  const client = clientOf(req);
+  const cookieOptions = {
+    signed: true,
+    httpOnly: true,
+    secure: isSecure(req, config),
+    sameSite: config.sameSite,
+    maxAge: DURATION,
+  };
+  const setCookie = (token) => {
+    if (!res.headersSent) {
+      res.cookie(COOKIE_NAME, token, cookieOptions);
+    }
+  };
+  let record = state.record;
+
+  if (
+    record &&
+    (empty ||
+      state.cleared ||
+      (content.user_id || null) !== (record.user_id || null))
+  ) {
+    await sessions.deleteById(record.session_id);
+    record = null;
+  }
+
+  if (!record) {
+    if (!empty) {
+      const token = createToken();
+      await sessions.create(
+        {
+          token_hash: hashToken(token),
+          user_id: content.user_id,
+          data: json,
+          ...client,
+        },
+        DURATION / 1000
+      );
+      await sessions.deleteExpired();
+      setCookie(token);
+    } else if (state.token && !res.headersSent) {
+      res.clearCookie(COOKIE_NAME, {
+        httpOnly: true,
+        secure: cookieOptions.secure,
+        sameSite: config.sameSite,
+      });
+    }
+    return;
+  }
+
+  if (json !== state.loaded) {
+    await sessions.update(
+      record.session_id,
+      { user_id: content.user_id, data: json },
+      DURATION / 1000
+    );
+    setCookie(state.token);
+  } else if (record.idle_seconds * 1000 >= ACTIVE_DURATION) {
+    await sessions.touch(record.session_id, client, DURATION / 1000);
+    setCookie(state.token);
+  }
+}
+
+/**
+ * Sessions kept in the `sessions` table
+ *
+ * The cookie holds a random token signed with the session secret (any of
+ * the configured secrets is accepted; the cookie is re-signed with the
+ * current one whenever it is renewed). The session is loaded before the
+ * route runs and saved just before the response is sent. If the table
+ * cannot be reached the request continues without a session.
+ *
+ * @param {Object} config - Settings from readConfig
+ * @returns {Function} - Express middleware
+ */
+function mysqlStore(config) {
+  async function storedSession(req, res, next) {
+    const token = (req.signedCookies && req.signedCookies[COOKIE_NAME]) || null;
+    const state = { token, record: null, cleared: false, available: true };
+    try {
+      state.record = token
+        ? await sessions.findByTokenHash(hashToken(token))
+        : null;
+    } catch (error) {
+      console.log(`Error loading session: ${error.message}`);
+      state.available = false;
+    }
+
+    let content = {};
+    try {
+      content = state.record ? JSON.parse(state.record.data) : {};
+    } catch (error) {
+      content = {};
+    }
+    const reset = () => {
+      Object.keys(content).forEach((key) => delete content[key]);
+      state.cleared = true;
+    };
+    Object.defineProperty(content, "reset", { value: reset });
+    Object.defineProperty(content, "destroy", { value: reset });
+    req.session = content;
+    req.sessionId = state.record ? state.record.session_id : null;
+    state.loaded = JSON.stringify(content);
+
+    const end = res.end;
+    res.end = function (...args) {
+      res.end = end;
+      if (!state.available) {
+        return end.apply(res, args);
+      }
+      saveStoredSession(req, res, config, state)
+        .catch((error) => console.log(`Error saving session: ${error.message}`))
+        .then(() => end.apply(res, args));
+      return res;
+    };
+
+    next();
+  }
+
+  const parseCookies = cookieParser(config.secrets);
+  return function (req, res, next) {
+    parseCookies(req, res, (error) =>
+      error ? next(error) : storedSession(req, res, next)
+    );
+  };
+}
+
+/**
+ * Session of a request that carries a bearer token
+ *
+ * The session starts empty and is not stored; auth.authenticate sets its
+ * user_id and req.sessionId from the access token. Resetting it (logging
+ * out) revokes the token login.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function tokenSession(req, res, next) {
+  const content = {};
+  let cleared = false;
+  const reset = () => {
+    Object.keys(content).forEach((key) => delete content[key]);
+    cleared = true;
+  };
+  Object.defineProperty(content, "reset", { value: reset });
+  Object.defineProperty(content, "destroy", { value: reset });
+  req.session = content;
+  req.sessionId = null;
+
+  const end = res.end;
+  res.end = function (...args) {
+    res.end = end;
+    if (!cleared || !req.sessionId) {
+      return end.apply(res, args);
+    }
+    sessions
+      .deleteById(req.sessionId)
+      .catch((error) => console.log(`Error ending session: ${error.message}`))
+      .then(() => end.apply(res, args));
+    return res;
+  };
+
+  next();
+}
+
+const config = readConfig();
+const store =
+  config.store === "mysql" ? mysqlStore(config) : cookieStore(config);
+
+module.exports = function session(req, res, next) {
+  if (readBearerToken(req) !== null) {
+    return tokenSession(req, res, next);
+  }
+  store(req, res, next);
+};
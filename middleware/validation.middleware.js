@@ -6,6 +6,17 @@
  */
 
 const axios = require("axios");
+const path = require("path");
+const storage = require("../routes/utils/file_storage");
+const recipe_jsonld = require("../routes/utils/recipe_jsonld");
+const { parseMultipart } = require("../routes/utils/multipart");
+const { detectImageType } = require("../routes/utils/image_processing");
+const { MAX_IMAGE_SIZE } = require("../routes/utils/image_uploads");
+const { API_KEY_SCOPES } = require("../routes/utils/api_key_utils");
+
+// Passwords are 5-10 characters with at least one number and special char
+const PASSWORD_PATTERN =
+  /^(?=.*[0-9])(?=.*[!@#$%^&*])[A-Za-z0-9!@#$%^&*]{5,10}$/;
 
 // Cache for countries to avoid repeated API calls
 let countriesCache = null;
@@ -69,9 +80,7 @@ async function validateRegister(req, res, next) {
   }
 
   // Password validation (5-10 chars, at least one number and special char)
-  if (
-    !password.match(/^(?=.*[0-9])(?=.*[!@#$%^&*])[A-Za-z0-9!@#$%^&*]{5,10}$/)
-  ) {
+  if (!password.match(PASSWORD_PATTERN)) {
     return res.status(400).send({
       message:
         "Password must be 5-10 characters with at least one number and special character",
@@ -95,6 +104,23 @@ async function validateRegister(req, res, next) {
     });
   }
 
+  // Uploaded files are only set through the avatar upload, which may
+  // delete the previous picture
+  const { profilePic } = req.body;
+  if (
+    profilePic !== undefined &&
+    profilePic !== null &&
+    (typeof profilePic !== "string" ||
+      storage.owns(profilePic) ||
+      storage.owns(path.posix.normalize(profilePic)))
+  ) {
+    return res.status(400).send({
+      message:
+        "profilePic must be an image URL; upload a picture with POST /users/me/avatar",
+      success: false,
+    });
+  }
+
   // Country validation
   try {
     const validCountries = await getValidCountries();
@@ -153,14 +179,155 @@ function validateRecipeSearch(req, res, next) {
     }
   }
 
+  // Validate scope parameter if provided
+  if (req.query.scope) {
+    if (!["all", "spoonacular", "mine", "family"].includes(req.query.scope)) {
+      return res.status(400).send({
+        message:
+          "Scope parameter must be 'all', 'spoonacular', 'mine' or 'family'",
+        success: false,
+      });
+    }
+  }
+
   next();
 }
 
+// Field checks shared by the recipe validators
+const isText = (max) => (value) =>
+  typeof value === "string" && value.length <= max;
+const isNonEmptyText = (max) => (value) =>
+  isText(max)(value) && value.trim().length > 0;
+const isInteger = (min) => (value) =>
+  typeof value !== "boolean" &&
+  Number.isInteger(Number(value)) &&
+  Number(value) >= min;
+const isFlag = (value) =>
+  typeof value === "boolean" || value === 0 || value === 1;
+const isIngredientList = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (ingredient) =>
+      typeof ingredient === "string" ||
+      (ingredient &&
+        typeof ingredient === "object" &&
+        typeof ingredient.name === "string")
+  );
+
+/**
+ * Rules for the fields of a private recipe body: [check, error message, required]
+ */
+const PRIVATE_RECIPE_FIELDS = {
+  title: [isNonEmptyText(100), "Title must be 1-100 characters", true],
+  readyInMinutes: [
+    isInteger(0),
+    "readyInMinutes must be a non-negative integer",
+    false,
+  ],
+  image: [isText(500), "Image must be a URL of at most 500 characters", false],
+  popularity: [
+    isInteger(0),
+    "Popularity must be a non-negative integer",
+    false,
+  ],
+  vegan: [isFlag, "Vegan must be a boolean", false],
+  vegetarian: [isFlag, "Vegetarian must be a boolean", false],
+  glutenFree: [isFlag, "glutenFree must be a boolean", false],
+  ingredients: [
+    isIngredientList,
+    "Ingredients must be an array of strings or objects with a name",
+    false,
+  ],
+  instructions: [isText(65535), "Instructions must be a string", false],
+  servings: [isInteger(1), "Servings must be a positive integer", true],
+};
+
+/**
+ * Rules for the fields of a family recipe body: [check, error message, required]
+ */
+const FAMILY_RECIPE_FIELDS = {
+  recipe_name: [
+    isNonEmptyText(100),
+    "Recipe name must be 1-100 characters",
+    true,
+  ],
+  owner_name: [
+    isNonEmptyText(100),
+    "Owner name must be 1-100 characters",
+    true,
+  ],
+  when_to_prepare: [
+    isNonEmptyText(65535),
+    "When to prepare must be a non-empty string",
+    true,
+  ],
+  ingredients: [
+    isIngredientList,
+    "Ingredients must be an array of strings or objects with a name",
+    true,
+  ],
+  instructions: [
+    isNonEmptyText(65535),
+    "Instructions must be a non-empty string",
+    true,
+  ],
+  image_url: [
+    isText(500),
+    "Image URL must be a string of at most 500 characters",
+    false,
+  ],
+  readyInMinutes: [
+    isInteger(0),
+    "readyInMinutes must be a non-negative integer",
+    false,
+  ],
+  servings: [isInteger(1), "Servings must be a positive integer", false],
+};
+
+/**
+ * Checks the recipe fields present in a request body
+ *
+ * Optional fields may be null or an empty string to clear them; required
+ * fields must hold a valid value whenever they are present.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} fields - PRIVATE_RECIPE_FIELDS or FAMILY_RECIPE_FIELDS
+ * @returns {string|null} - The first error message, or null if all fields are valid
+ */
+function checkRecipeFields(body, fields) {
+  for (const [field, [isValid, message, required]] of Object.entries(fields)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (!required && (value === null || value === "")) continue;
+    if (!isValid(value)) return message;
+  }
+  return null;
+}
+
+/**
+ * Checks that a PATCH body is an object changing at least one known field
+ *
+ * @param {Object} body - Request body
+ * @param {Object} fields - PRIVATE_RECIPE_FIELDS or FAMILY_RECIPE_FIELDS
+ * @returns {string|null} - An error message, or null if the body is usable
+ */
+function checkRecipePatch(body, fields) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return "Request body must be an object";
+  }
+  const known = Object.keys(body).filter((field) => field in fields);
+  if (known.length === 0) {
+    return `Provide at least one of: ${Object.keys(fields).join(", ")}`;
+  }
+  return checkRecipeFields(body, fields);
+}
+
 /**
  * Validates private recipe creation parameters
  *
  * Ensures that the required fields (title and servings) are present
- * when creating or updating a private recipe.
+ * when creating or updating a private recipe, and that every field
+ * provided has a valid value.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -178,6 +345,768 @@ function validatePrivateRecipe(req, res, next) {
     });
   }
 
+  const error = checkRecipeFields(req.body, PRIVATE_RECIPE_FIELDS);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+
+  next();
+}
+
+/**
+ * Validates a partial update of a private recipe
+ *
+ * At least one recipe field must be provided, and each provided field
+ * must be valid. Required fields cannot be cleared.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validatePrivateRecipePatch(req, res, next) {
+  const error = checkRecipePatch(req.body, PRIVATE_RECIPE_FIELDS);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+
+  next();
+}
+
+// Most recipes one import request may create
+const MAX_IMPORTED_RECIPES = 50;
+
+/**
+ * Validates a schema.org Recipe JSON-LD import
+ *
+ * Accepts a single recipe, an array of recipes or a document with an
+ * `@graph`. Each recipe is mapped onto the private recipe fields and must
+ * then pass the same checks as POST /users/myRecipes; the mapped recipes
+ * are stored in req.importedRecipes.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateRecipeImport(req, res, next) {
+  if (!req.body || typeof req.body !== "object") {
+    return res.status(400).send({
+      message: "Request body must be a schema.org Recipe or an array of them",
+      success: false,
+    });
+  }
+
+  const nodes = recipe_jsonld.recipeNodes(req.body);
+  if (nodes.length === 0) {
+    return res
+      .status(400)
+      .send({ message: "No recipes to import", success: false });
+  }
+  if (nodes.length > MAX_IMPORTED_RECIPES) {
+    return res.status(400).send({
+      message: `At most ${MAX_IMPORTED_RECIPES} recipes can be imported at once`,
+      success: false,
+    });
+  }
+
+  const recipes = [];
+  for (const [index, node] of nodes.entries()) {
+    const label = nodes.length > 1 ? `Recipe ${index + 1}: ` : "";
+    if (!recipe_jsonld.isRecipe(node)) {
+      return res.status(400).send({
+        message: `${label}@type must be Recipe`,
+        success: false,
+      });
+    }
+
+    const recipe = recipe_jsonld.fromJsonLd(node);
+    if (!recipe.title || !recipe.servings) {
+      return res.status(400).send({
+        message: `${label}name and a recipeYield with the number of servings are required`,
+        success: false,
+      });
+    }
+    const error = checkRecipeFields(recipe, PRIVATE_RECIPE_FIELDS);
+    if (error) {
+      return res
+        .status(400)
+        .send({ message: `${label}${error}`, success: false });
+    }
+    recipes.push(recipe);
+  }
+
+  req.importedRecipes = recipes;
+  next();
+}
+
+/**
+ * Validates the optional format query parameter of recipe details
+ *
+ * Accepts "json" (the default) or "jsonld" for schema.org Recipe JSON-LD,
+ * and stores the value in req.format.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateRecipeFormat(req, res, next) {
+  const format = req.query.format === undefined ? "json" : req.query.format;
+  if (!["json", "jsonld"].includes(format)) {
+    return res.status(400).send({
+      message: "Format parameter must be one of: json, jsonld",
+      success: false,
+    });
+  }
+
+  req.format = format;
+  next();
+}
+
+/**
+ * Validates a full family recipe
+ *
+ * Ensures that the required fields (recipe_name, owner_name, when_to_prepare,
+ * ingredients and instructions) are present and that every field provided
+ * has a valid value.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateFamilyRecipe(req, res, next) {
+  const missing = Object.keys(FAMILY_RECIPE_FIELDS).filter(
+    (field) => FAMILY_RECIPE_FIELDS[field][2] && !req.body[field]
+  );
+  if (missing.length > 0) {
+    return res.status(400).send({
+      message: "Missing required recipe fields",
+      success: false,
+    });
+  }
+
+  const error = checkRecipeFields(req.body, FAMILY_RECIPE_FIELDS);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+
+  next();
+}
+
+/**
+ * Validates a partial update of a family recipe
+ *
+ * At least one recipe field must be provided, and each provided field
+ * must be valid. Required fields cannot be cleared.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateFamilyRecipePatch(req, res, next) {
+  const error = checkRecipePatch(req.body, FAMILY_RECIPE_FIELDS);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+
+  next();
+}
+
+/**
+ * Validates pagination query parameters
+ *
+ * Accepts optional `page` (1-based) and `limit` (1-50) query parameters,
+ * and stores the parsed values with their defaults in req.pagination.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validatePagination(req, res, next) {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).send({
+      message: "Page parameter must be a positive integer",
+      success: false,
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).send({
+      message: "Limit parameter must be an integer between 1 and 50",
+      success: false,
+    });
+  }
+
+  req.pagination = { page, limit };
+  next();
+}
+
+/**
+ * Validates the optional servings query parameter of recipe details
+ *
+ * Accepts a whole number of servings between 1 and 100 and stores it in
+ * req.servings; req.servings stays undefined when no scaling is requested.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateServings(req, res, next) {
+  if (req.query.servings === undefined) {
+    return next();
+  }
+
+  const servings = Number(req.query.servings);
+  if (!Number.isInteger(servings) || servings < 1 || servings > 100) {
+    return res.status(400).send({
+      message: "Servings parameter must be an integer between 1 and 100",
+      success: false,
+    });
+  }
+
+  req.servings = servings;
+  next();
+}
+
+// Measuring systems recipes can be converted to
+const UNIT_SYSTEMS = ["metric", "us"];
+
+/**
+ * Validates the optional units query parameter of recipe details
+ *
+ * Accepts "metric" or "us" and stores it in req.units; without it the
+ * user's stored preference applies.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateUnits(req, res, next) {
+  if (req.query.units === undefined) {
+    return next();
+  }
+
+  if (!UNIT_SYSTEMS.includes(req.query.units)) {
+    return res.status(400).send({
+      message: `Units parameter must be one of: ${UNIT_SYSTEMS.join(", ")}`,
+      success: false,
+    });
+  }
+
+  req.units = req.query.units;
+  next();
+}
+
+/**
+ * Validates an update of the user's preferences
+ *
+ * `units` must be "metric", "us", or null to show recipes as written.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validatePreferences(req, res, next) {
+  const { units } = req.body || {};
+
+  if (units === undefined) {
+    return res.status(400).send({
+      message: "Missing required field: units",
+      success: false,
+    });
+  }
+
+  if (units !== null && !UNIT_SYSTEMS.includes(units)) {
+    return res.status(400).send({
+      message: `Units must be null or one of: ${UNIT_SYSTEMS.join(", ")}`,
+      success: false,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Checks a reference to a recipe of any source: { source, recipeId, servings }
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} servingsRequired - Whether servings must be given
+ * @returns {string|null} - Error message, or null if the reference is valid
+ */
+function checkRecipeReference(body, servingsRequired) {
+  const { source, recipeId, servings } = body || {};
+
+  if (!["spoonacular", "private", "family"].includes(source)) {
+    return "Source must be one of: spoonacular, private, family";
+  }
+
+  const validId =
+    source === "family"
+      ? /^(\d+|default_\d+_\d+)$/.test(String(recipeId))
+      : /^\d+$/.test(String(recipeId));
+  if (recipeId === undefined || recipeId === null || !validId) {
+    return "A valid recipeId is required";
+  }
+
+  if (servings === undefined || servings === null) {
+    return servingsRequired ? "Missing required field: servings" : null;
+  }
+  if (!Number.isInteger(servings) || servings < 1 || servings > 100) {
+    return "Servings must be an integer between 1 and 100";
+  }
+  return null;
+}
+
+/**
+ * Validates a recipe added to the shopping list
+ *
+ * Requires `source` ('spoonacular', 'private' or 'family') and `recipeId`;
+ * `servings` is optional and must be an integer between 1 and 100.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateShoppingListRecipe(req, res, next) {
+  const error = checkRecipeReference(req.body, false);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+  next();
+}
+
+/**
+ * Validates a manual shopping list item
+ *
+ * Requires a non-empty `name`; `quantity` must be a positive number and
+ * `unit` and `aisle` short texts when given.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateShoppingListItem(req, res, next) {
+  const { name, quantity, unit, aisle } = req.body || {};
+
+  if (!isNonEmptyText(255)(name)) {
+    return res.status(400).send({
+      message: "Name must be a non-empty string of at most 255 characters",
+      success: false,
+    });
+  }
+
+  if (
+    quantity !== undefined &&
+    quantity !== null &&
+    (typeof quantity !== "number" || !(quantity > 0) || quantity >= 1000000)
+  ) {
+    return res.status(400).send({
+      message: "Quantity must be a positive number",
+      success: false,
+    });
+  }
+
+  if (unit !== undefined && unit !== null && !isText(20)(unit)) {
+    return res.status(400).send({
+      message: "Unit must be a string of at most 20 characters",
+      success: false,
+    });
+  }
+
+  if (aisle !== undefined && aisle !== null && !isText(100)(aisle)) {
+    return res.status(400).send({
+      message: "Aisle must be a string of at most 100 characters",
+      success: false,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validates checking a shopping list item on or off
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateShoppingListCheck(req, res, next) {
+  if (typeof (req.body || {}).checked !== "boolean") {
+    return res.status(400).send({
+      message: "Checked must be true or false",
+      success: false,
+    });
+  }
+
+  if (req.params.itemId.length > 255) {
+    return res.status(400).send({
+      message: "Invalid shopping list item ID",
+      success: false,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Checks a "YYYY-MM-DD" calendar date
+ */
+const isCalendarDate = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * Validates the date and meal slot of a meal plan route
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateMealSlot(req, res, next) {
+  if (!isCalendarDate(req.params.date)) {
+    return res.status(400).send({
+      message: "Date must be a valid date in YYYY-MM-DD format",
+      success: false,
+    });
+  }
+
+  if (!["breakfast", "lunch", "dinner", "snack"].includes(req.params.slot)) {
+    return res.status(400).send({
+      message: "Slot must be one of: breakfast, lunch, dinner, snack",
+      success: false,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validates the recipe planned for a meal slot
+ *
+ * Requires `source`, `recipeId` and `servings` (an integer between 1 and 100).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateMeal(req, res, next) {
+  const error = checkRecipeReference(req.body, true);
+  if (error) {
+    return res.status(400).send({ message: error, success: false });
+  }
+  next();
+}
+
+/**
+ * Validates the first day of a meal plan week
+ *
+ * Reads `start` from the query string or the body and stores it in
+ * req.weekStart; it defaults to today, so the week is the next seven days.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateWeekStart(req, res, next) {
+  const start =
+    req.query.start !== undefined ? req.query.start : (req.body || {}).start;
+
+  if (start === undefined) {
+    req.weekStart = new Date().toISOString().slice(0, 10);
+    return next();
+  }
+
+  if (!isCalendarDate(start)) {
+    return res.status(400).send({
+      message: "Start must be a valid date in YYYY-MM-DD format",
+      success: false,
+    });
+  }
+
+  req.weekStart = start;
+  next();
+}
+
+/**
+ * Validates an account archive upload
+ *
+ * The archive must be sent as the raw request body (application/zip or
+ * application/octet-stream); its contents are checked when it is read.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateAccountArchive(req, res, next) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).send({
+      message: "Send the account archive as an application/zip request body",
+      success: false,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validates an image upload
+ *
+ * The request must be multipart/form-data with the file in an "image"
+ * field. The file must be a JPEG or PNG of at most 5 MB, and its contents
+ * must match the content type it was sent with. Sets req.image to
+ * { data, contentType, extension }.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateImageUpload(req, res, next) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).send({
+      message: 'Send the image as multipart/form-data in an "image" field',
+      success: false,
+    });
+  }
+
+  let parts;
+  try {
+    parts = parseMultipart(req.body, req.get("Content-Type"));
+  } catch (error) {
+    return res.status(400).send({ message: error.message, success: false });
+  }
+
+  const file = parts.find((part) => part.name === "image" && part.filename);
+  if (!file || file.data.length === 0) {
+    return res.status(400).send({
+      message: 'An image file is required in the "image" field',
+      success: false,
+    });
+  }
+  if (file.data.length > MAX_IMAGE_SIZE) {
+    return res.status(413).send({
+      message: `Image must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`,
+      success: false,
+    });
+  }
+
+  const declared = (file.contentType || "").split(";")[0].trim().toLowerCase();
+  if (declared !== "image/jpeg" && declared !== "image/png") {
+    return res.status(415).send({
+      message: "Image must be a JPEG or PNG file",
+      success: false,
+    });
+  }
+  const format = detectImageType(file.data);
+  if (!format || format.contentType !== declared) {
+    return res.status(415).send({
+      message: `File is not a valid ${
+        declared === "image/png" ? "PNG" : "JPEG"
+      } image`,
+      success: false,
+    });
+  }
+
+  req.image = {
+    data: file.data,
+    contentType: format.contentType,
+    extension: format.extension,
+  };
+  next();
+}
+
+/**
+ * Validates a token request (POST /auth/token)
+ *
+ * `grant_type` is "password", with `username` and `password`, to log in,
+ * or "refresh_token", with `refresh_token`, to renew the tokens.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateTokenRequest(req, res, next) {
+  const body = req.body || {};
+  const isText = (value) => typeof value === "string" && value.length > 0;
+
+  if (body.grant_type === "password") {
+    if (!isText(body.username) || !isText(body.password)) {
+      return res.status(400).send({
+        message: "username and password are required",
+        success: false,
+      });
+    }
+  } else if (body.grant_type === "refresh_token") {
+    if (!isText(body.refresh_token)) {
+      return res
+        .status(400)
+        .send({ message: "refresh_token is required", success: false });
+    }
+  } else {
+    return res.status(400).send({
+      message: 'grant_type must be "password" or "refresh_token"',
+      success: false,
+    });
+  }
+  next();
+}
+
+/**
+ * Validates a token revocation (POST /auth/revoke)
+ *
+ * Requires the `refresh_token` of the login to revoke.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateTokenRevocation(req, res, next) {
+  const { refresh_token } = req.body || {};
+  if (typeof refresh_token !== "string" || refresh_token.length === 0) {
+    return res
+      .status(400)
+      .send({ message: "refresh_token is required", success: false });
+  }
+  next();
+}
+
+/**
+ * Validates a new personal API key
+ *
+ * Requires a `name` of 1-100 characters and a non-empty `scopes` array of
+ * known scopes.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateApiKey(req, res, next) {
+  const { name, scopes } = req.body || {};
+
+  if (
+    typeof name !== "string" ||
+    name.trim().length === 0 ||
+    name.trim().length > 100
+  ) {
+    return res.status(400).send({
+      message: "name is required and must be at most 100 characters",
+      success: false,
+    });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).send({
+      message: "scopes must be a non-empty array",
+      success: false,
+    });
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return res.status(400).send({
+      message: `Unknown scope: ${unknown.join(
+        ", "
+      )}. Valid scopes: ${API_KEY_SCOPES.join(", ")}`,
+      success: false,
+    });
+  }
+
+  req.body.name = name.trim();
+  next();
+}
+
+/**
+ * Validates a password reset request (POST /auth/forgotPassword)
+ *
+ * Requires the `email` the account was registered with.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateForgotPassword(req, res, next) {
+  const { email } = req.body || {};
+  if (typeof email !== "string" || !email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+    return res
+      .status(400)
+      .send({ message: "A valid email is required", success: false });
+  }
+  next();
+}
+
+/**
+ * Validates a password reset (POST /auth/resetPassword)
+ *
+ * Requires the `token` from the reset link and a new `password`, with the
+ * same rules as registration, repeated in `passwordConfirmation`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateResetPassword(req, res, next) {
+  const { token, password, passwordConfirmation } = req.body || {};
+  if (typeof token !== "string" || token.length === 0) {
+    return res
+      .status(400)
+      .send({ message: "token is required", success: false });
+  }
+  if (typeof password !== "string" || !password.match(PASSWORD_PATTERN)) {
+    return res.status(400).send({
+      message:
+        "Password must be 5-10 characters with at least one number and special character",
+      success: false,
+    });
+  }
+  if (passwordConfirmation !== password) {
+    return res.status(400).send({
+      message: "Passwords do not match",
+      success: false,
+    });
+  }
+  next();
+}
+
+/**
+ * Validates an email verification (POST /auth/verifyEmail)
+ *
+ * Requires the `token` from the verification link.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if validation fails, otherwise calls next()
+ */
+function validateEmailVerification(req, res, next) {
+  const { token } = req.body || {};
+  if (typeof token !== "string" || token.length === 0) {
+    return res
+      .status(400)
+      .send({ message: "token is required", success: false });
+  }
   next();
 }
 
@@ -185,4 +1114,27 @@ module.exports = {
   validateRegister,
   validateRecipeSearch,
   validatePrivateRecipe,
+  validatePrivateRecipePatch,
+  validateRecipeImport,
+  validateFamilyRecipe,
+  validateFamilyRecipePatch,
+  validatePagination,
+  validateServings,
+  validateUnits,
+  validateRecipeFormat,
+  validatePreferences,
+  validateShoppingListRecipe,
+  validateShoppingListItem,
+  validateShoppingListCheck,
+  validateMealSlot,
+  validateMeal,
+  validateWeekStart,
+  validateAccountArchive,
+  validateImageUpload,
+  validateTokenRequest,
+  validateTokenRevocation,
+  validateApiKey,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
 };
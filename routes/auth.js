@@ -5,10 +5,14 @@
  */
 var express = require("express");
 var router = express.Router();
-const DButils = require("../routes/utils/DButils");
+const DButils = require("./utils/DButils");
+const { users } = require("./utils/repositories");
 const bcrypt = require("bcrypt");
 const validation = require("../middleware/validation.middleware");
 const { auth } = require("../middleware");
+const token_utils = require("./utils/token_utils");
+const login_throttle = require("./utils/login_throttle");
+const account_email_utils = require("./utils/account_email_utils");
 
 /**
  * Register a new user
@@ -21,7 +25,7 @@ const { auth } = require("../middleware");
  * @param {string} req.body.country - User's country
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.profilePic - URL to user's profile picture
- * @returns {Object} - Success message
+ * @returns {Object} - Success message and verificationEmailSent; a link to verify the email address is emailed to the user
  * @throws {Error} - If username already exists or other validation fails
  */
 router.post(
@@ -41,24 +45,45 @@ router.post(
         email: req.body.email,
         profilePic: req.body.profilePic,
       };
-      let users = [];
-      users = await DButils.execQuery("SELECT username from users");
-
-      if (users.find((x) => x.username === user_details.username))
-        throw { status: 409, message: "Username taken" };
-
-      // add the new username
       let hash_password = bcrypt.hashSync(
         user_details.password,
         parseInt(process.env.bcrypt_saltRounds)
       );
 
-      await DButils.execQuery(
-        `INSERT INTO users (username, firstname, lastname, country, password, email, profilePic) VALUES ('${user_details.username}', '${user_details.firstname}', '${user_details.lastname}',
-      '${user_details.country}', '${hash_password}', '${user_details.email}', '${user_details.profilePic}')`
-      );
-      res.status(201).send({ message: "user created", success: true });
+      const user_id = await DButils.withTransaction(async (tx) => {
+        if (await users.existsByUsername(user_details.username, tx))
+          throw { status: 409, message: "Username taken" };
+
+        // add the new username
+        return users.create({ ...user_details, password: hash_password }, tx);
+      });
+
+      // The account works unverified if the email fails; the response says
+      // so, and the user can ask for a new link
+      let verificationEmailSent = true;
+      try {
+        await account_email_utils.sendVerificationEmail({
+          user_id,
+          username: user_details.username,
+          firstname: user_details.firstname,
+          email: user_details.email,
+        });
+      } catch (error) {
+        verificationEmailSent = false;
+        console.log(`Error registering user ${user_id}: ${error.message}`);
+      }
+
+      res.status(201).send({
+        message: "user created",
+        success: true,
+        verificationEmailSent,
+      });
     } catch (error) {
+      // Two registrations of the same name can both pass the check above;
+      // the unique key on username rejects the second one
+      if (error.code === "ER_DUP_ENTRY") {
+        return next({ status: 409, message: "Username taken" });
+      }
       next(error);
     }
   }
@@ -71,53 +96,23 @@ router.post(
  * @param {string} req.body.username - User's username
  * @param {string} req.body.password - User's password
  * @returns {Object} - Success message with session cookie set
- * @throws {Error} - If username doesn't exist or password is incorrect
+ * @throws {Error} - If username doesn't exist or password is incorrect, or 429
+ *   with Retry-After after too many failed attempts (see login_throttle)
  */
 router.post("/Login", async (req, res, next) => {
   try {
-    console.log("Login attempt for username:", req.body.username); // check that username exists
-    const users = await DButils.execQuery("SELECT username FROM users");
-    console.log("Found users in DB:", users);
-
-    // Check if users is an array of arrays or just an array of objects
-    const usersList = Array.isArray(users[0]) ? users[0] : users;
-    if (!usersList.find((x) => x.username === req.body.username)) {
-      console.log("Username not found in database");
-      throw { status: 401, message: "Username or Password incorrect" };
-    } // check that the password is correct
-    const result = await DButils.execQuery(
-      `SELECT * FROM users WHERE username = '${req.body.username}'`
-    );
-    // Handle different result formats
-    const user = Array.isArray(result[0]) ? result[0][0] : result[0];
-
-    console.log("Found user:", { ...user, password: "HIDDEN" });
-    console.log("Comparing passwords:");
-    console.log("1. Password from request:", req.body.password);
-    console.log("2. Hash from DB:", user.password);
-
-    const isPasswordMatch = bcrypt.compareSync(
+    const user = await login_throttle.verifyCredentials(
+      req.body.username,
       req.body.password,
-      user.password
+      clientOf(req)
     );
-    console.log("3. Password match result:", isPasswordMatch);
-
-    if (!isPasswordMatch) {
-      console.log("Password comparison failed");
-      throw { status: 401, message: "Username or Password incorrect" };
-    }
 
     // Set cookie
     req.session.user_id = user.user_id;
-    console.log(
-      "Login successful, set user_id in session:",
-      req.session.user_id
-    );
 
     // return cookie
     res.status(200).send({ message: "login succeeded", success: true });
   } catch (error) {
-    console.error("Login error:", error);
     next(error);
   }
 });
@@ -134,11 +129,9 @@ router.post("/Logout", auth.authenticate, function (req, res, next) {
   try {
     console.log("=== Logout Process Started ===");
     console.log("User requesting logout - ID:", req.session.user_id);
-    console.log("Session before reset:", req.session);
 
-    req.session.reset(); // reset the session info
+    req.session.reset(); // reset the session info and revoke its record
 
-    console.log("Session after reset:", req.session);
     console.log("=== Logout Process Completed ===");
 
     res.status(200).send({ success: true, message: "logout succeeded" });
@@ -148,4 +141,182 @@ router.post("/Logout", auth.authenticate, function (req, res, next) {
   }
 });
 
+/**
+ * Reads the client details recorded on a token login
+ */
+function clientOf(req) {
+  return {
+    ip_address: req.ip || null,
+    user_agent: (req.get("User-Agent") || "").slice(0, 255) || null,
+  };
+}
+
+/**
+ * Get an access token and a refresh token, for API clients without cookies
+ *
+ * Send the access token as `Authorization: Bearer <token>`. Before it
+ * expires, exchange the refresh token for a new pair; each refresh token
+ * can be used once, and reusing one revokes the login.
+ *
+ * @route POST /auth/token
+ * @validation validateTokenRequest
+ * @param {string} req.body.grant_type - "password" to log in, "refresh_token" to renew
+ * @param {string} [req.body.username] - Username (grant_type "password")
+ * @param {string} [req.body.password] - Password (grant_type "password")
+ * @param {string} [req.body.refresh_token] - Refresh token (grant_type "refresh_token")
+ * @returns {Object} - token_type "Bearer", access_token, expires_in, refresh_token and refresh_token_expires_in (seconds)
+ * @throws {Error} - 401 if the credentials or refresh token are not valid
+ */
+router.post(
+  "/auth/token",
+  validation.validateTokenRequest,
+  async (req, res, next) => {
+    try {
+      const tokens =
+        req.body.grant_type === "password"
+          ? await token_utils.createTokens(
+              req.body.username,
+              req.body.password,
+              clientOf(req)
+            )
+          : await token_utils.refreshTokens(
+              req.body.refresh_token,
+              clientOf(req)
+            );
+      res.set("Cache-Control", "no-store");
+      res.status(200).send({ success: true, ...tokens });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Revoke a token login, such as when the CLI logs out
+ *
+ * The refresh token and the access tokens issued with it stop working.
+ * Unknown tokens are accepted too, so the call can be repeated.
+ *
+ * @route POST /auth/revoke
+ * @validation validateTokenRevocation
+ * @param {string} req.body.refresh_token - Refresh token of the login
+ * @returns {Object} - Success message
+ */
+router.post(
+  "/auth/revoke",
+  validation.validateTokenRevocation,
+  async (req, res, next) => {
+    try {
+      await token_utils.revokeTokens(req.body.refresh_token);
+      res.status(200).send({ message: "Token revoked", success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Verify the user's email address with the token from a verification link
+ *
+ * @route POST /auth/verifyEmail
+ * @validation validateEmailVerification
+ * @param {string} req.body.token - Token from the link
+ * @returns {Object} - Success message
+ * @throws {Error} - 400 if the token is unknown, expired or already used
+ */
+router.post(
+  "/auth/verifyEmail",
+  validation.validateEmailVerification,
+  async (req, res, next) => {
+    try {
+      await account_email_utils.verifyEmail(req.body.token);
+      res.status(200).send({ message: "Email verified", success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Email the logged-in user a new verification link (API keys are refused)
+ *
+ * @route POST /auth/resendVerification
+ * @authentication Required
+ * @returns {Object} - Success message
+ * @throws {Error} - 409 if the address is already verified, 429 if a link was sent less than a minute ago
+ */
+router.post(
+  "/auth/resendVerification",
+  auth.authenticate,
+  auth.refuseApiKeys,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      await account_email_utils.resendVerificationEmail(user_id);
+      res
+        .status(200)
+        .send({ message: "Verification email sent", success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Email a password reset link to the accounts registered with an address
+ *
+ * The response is the same whether or not an account uses the address.
+ *
+ * @route POST /auth/forgotPassword
+ * @validation validateForgotPassword
+ * @param {string} req.body.email - Email address of the account
+ * @returns {Object} - Success message
+ */
+router.post(
+  "/auth/forgotPassword",
+  validation.validateForgotPassword,
+  async (req, res, next) => {
+    try {
+      await account_email_utils.requestPasswordReset(req.body.email);
+      res.status(200).send({
+        message:
+          "If an account uses that email, a password reset link has been sent to it",
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Choose a new password with the token from a password reset link
+ *
+ * The user is logged out everywhere and logs in again with the new
+ * password.
+ *
+ * @route POST /auth/resetPassword
+ * @validation validateResetPassword
+ * @param {string} req.body.token - Token from the link
+ * @param {string} req.body.password - New password (5-10 chars, with at least one number and special char)
+ * @param {string} req.body.passwordConfirmation - The new password again
+ * @returns {Object} - Success message
+ * @throws {Error} - 400 if the token is unknown, expired or already used
+ */
+router.post(
+  "/auth/resetPassword",
+  validation.validateResetPassword,
+  async (req, res, next) => {
+    try {
+      await account_email_utils.resetPassword(
+        req.body.token,
+        req.body.password
+      );
+      res.status(200).send({ message: "Password reset", success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
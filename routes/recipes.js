@@ -9,6 +9,11 @@
 var express = require("express");
 var router = express.Router();
 const recipes_utils = require("./utils/recipes_utils");
+const search_utils = require("./utils/search_utils");
+const recipe_scaling = require("./utils/recipe_scaling");
+const unit_conversion = require("./utils/unit_conversion");
+const user_utils = require("./utils/user_utils");
+const recipe_jsonld = require("./utils/recipe_jsonld");
 const { validation, auth } = require("../middleware");
 
 router.get("/", (req, res) => res.send("im here"));
@@ -28,17 +33,19 @@ router.get("/random", async (req, res, next) => {
     // Get basic random recipes first
     const basicRecipes = await recipes_utils.getRandomRecipes(3);
 
-    // If user is logged in, enhance with like information
-    if (userId) {
-      const recipeIds = basicRecipes.map((recipe) => recipe.id);
-      const enhancedRecipes = await recipes_utils.getRecipesPreviewWithLikes(
-        recipeIds,
-        userId
-      );
-      res.status(200).send(enhancedRecipes);
-    } else {
+    // Fallback recipes (API unavailable) have no likes to add
+    if (basicRecipes.some((recipe) => recipe.apiUnavailable)) {
       res.status(200).send(basicRecipes);
+      return;
     }
+
+    // Enhance with like information; the recipes themselves are already cached
+    const recipeIds = basicRecipes.map((recipe) => recipe.id);
+    const enhancedRecipes = await recipes_utils.getRecipesPreviewWithLikes(
+      recipeIds,
+      userId
+    );
+    res.status(200).send(enhancedRecipes);
   } catch (error) {
     next(error);
   }
@@ -54,7 +61,8 @@ router.get("/random", async (req, res, next) => {
  * @param {string} [req.query.diet] - Diet restriction filter
  * @param {string} [req.query.intolerance] - Food intolerance filter
  * @param {string} [req.query.sort] - Sort by 'time' or 'popularity'
- * @returns {Array<Object>} Matching recipe preview objects
+ * @param {string} [req.query.scope] - 'spoonacular' (default), 'mine', 'family' or 'all'; local scopes require login
+ * @returns {Array<Object>} Matching recipe preview objects, each with a source field
  * @returns {number} res.status - 200 on success, 204 when no results found
  * @throws {Error} If validation fails or API request fails
  */
@@ -63,24 +71,15 @@ router.get(
   validation.validateRecipeSearch,
   async (req, res, next) => {
     try {
-      const { query, number, cuisine, diet, intolerance, sort } = req.query;
+      const { query } = req.query;
       const userId = req.session?.user_id;
 
-      const results = await recipes_utils.searchRecipes(
-        query,
-        number,
-        cuisine,
-        diet,
-        intolerance,
-        sort,
-        userId
-      );
+      const results = await search_utils.searchAllRecipes(userId, req.query);
 
-      // Results already include like information from searchRecipes
-      const enhancedResults = results;// Save search results to database for lastSearch
+      // Results already include like information from searchAllRecipes
+      const enhancedResults = results; // Save search results to database for lastSearch
       if (req.session && req.session.user_id) {
         try {
-          const user_utils = require("./utils/user_utils");
           await user_utils.saveSearchHistory(
             req.session.user_id,
             query,
@@ -113,64 +112,97 @@ router.get(
  * If user is logged in, the recipe will be marked as watched.
  *
  * @route GET /recipes/:recipeId
+ * @validation validateServings, validateUnits, validateRecipeFormat
  * @param {string} req.params.recipeId - Spoonacular ID of the recipe to retrieve
+ * @param {number} [req.query.servings] - Scale the ingredients to this many servings
+ * @param {string} [req.query.units] - Convert to 'metric' or 'us' units (default: the user's preference)
+ * @param {string} [req.query.format] - 'json' (default) or 'jsonld' for schema.org Recipe JSON-LD
  * @returns {Object} Complete recipe details with like information
  * @returns {number} res.status - 200 on success
  * @throws {Error} If recipe not found or API request fails
  */
-router.get("/:recipeId", async (req, res, next) => {
-  try {
-    const userId = req.session?.user_id;
-    const recipe = await recipes_utils.getRecipeDetailsWithLikes(
-      req.params.recipeId,
-      userId
-    );
+router.get(
+  "/:recipeId",
+  validation.validateServings,
+  validation.validateUnits,
+  validation.validateRecipeFormat,
+  async (req, res, next) => {
+    try {
+      const userId = req.session?.user_id;
+      let recipe = await recipes_utils.getRecipeDetailsWithLikes(
+        req.params.recipeId,
+        userId
+      );
+      if (req.servings) {
+        recipe = recipe_scaling.scaleRecipe(recipe, req.servings);
+      }
+      const units = req.units || (await user_utils.getPreferredUnits(userId));
+      if (units) {
+        recipe = unit_conversion.convertRecipe(recipe, units);
+      }
 
-    // Mark as watched if user is logged in, better to have a separate endpoint for this
-    // Using this for debugging purposes, uncomment when needed
-    // if (req.session && req.session.user_id) {
-    //   await user_utils.markAsWatched(req.session.user_id, req.params.recipeId);
-    // }
+      // Mark as watched if user is logged in, better to have a separate endpoint for this
+      // Using this for debugging purposes, uncomment when needed
+      // if (req.session && req.session.user_id) {
+      //   await user_utils.markAsWatched(req.session.user_id, req.params.recipeId);
+      // }
 
-    res.status(200).send(recipe);
-  } catch (error) {
-    next(error);
+      if (req.format === "jsonld") {
+        return res
+          .status(200)
+          .type("application/ld+json")
+          .send(JSON.stringify(recipe_jsonld.toJsonLd(recipe)));
+      }
+      res.status(200).send(recipe);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Like or unlike a recipe
  *
  * @route POST /recipes/:recipeId/like
+ * @authentication Required (API keys need the likes:write scope)
  * @param {string} req.params.recipeId - Spoonacular ID of the recipe
  * @param {boolean} req.body.like - True to like, false to unlike
  * @returns {Object} Success message and updated like count
  * @returns {number} res.status - 200 on success
  * @throws {Error} If user not authenticated or operation fails
  */
-router.post("/:recipeId/like", auth.authenticate, async (req, res, next) => {
-  try {
-    const recipeId = req.params.recipeId;
-    const { like } = req.body;
-    const userId = req.session.user_id;
-
-    if (typeof like !== "boolean") {
-      return res
-        .status(400)
-        .send({ message: "Like parameter must be a boolean" });
-    }
+router.post(
+  "/:recipeId/like",
+  auth.authenticate,
+  auth.requireScope("likes:write"),
+  async (req, res, next) => {
+    try {
+      const recipeId = req.params.recipeId;
+      const { like } = req.body;
+      const userId = req.session.user_id;
 
-    const result = await recipes_utils.toggleRecipeLike(userId, recipeId, like);
-    const totalLikes = await recipes_utils.getRecipeLikesCount(recipeId);
+      if (typeof like !== "boolean") {
+        return res
+          .status(400)
+          .send({ message: "Like parameter must be a boolean" });
+      }
 
-    res.status(200).send({
-      ...result,
-      totalLikes: totalLikes,
-      userHasLiked: like,
-    });
-  } catch (error) {
-    next(error);
+      const result = await recipes_utils.toggleRecipeLike(
+        userId,
+        recipeId,
+        like
+      );
+      const totalLikes = await recipes_utils.getRecipeLikesCount(recipeId);
+
+      res.status(200).send({
+        ...result,
+        totalLikes: totalLikes,
+        userHasLiked: like,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
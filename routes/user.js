@@ -12,9 +12,21 @@
  */
 var express = require("express");
 var router = express.Router();
-const DButils = require("./utils/DButils");
+const { users } = require("./utils/repositories");
 const user_utils = require("./utils/user_utils");
 const recipe_utils = require("./utils/recipes_utils");
+const search_utils = require("./utils/search_utils");
+const revision_utils = require("./utils/revision_utils");
+const recipe_scaling = require("./utils/recipe_scaling");
+const unit_conversion = require("./utils/unit_conversion");
+const shopping_list_utils = require("./utils/shopping_list_utils");
+const meal_plan_utils = require("./utils/meal_plan_utils");
+const cookbook_utils = require("./utils/cookbook_utils");
+const recipe_jsonld = require("./utils/recipe_jsonld");
+const account_utils = require("./utils/account_utils");
+const image_uploads = require("./utils/image_uploads");
+const session_utils = require("./utils/session_utils");
+const api_key_utils = require("./utils/api_key_utils");
 const { auth, validation } = require("../middleware");
 
 /**
@@ -30,51 +42,10 @@ router.get("/checkUsername/:username", async (req, res, next) => {
     const username = req.params.username.trim();
     console.log(`Checking username: "${username}"`);
 
-    // Escape username to prevent SQL injection
-    const escapedUsername = username.replace(/'/g, "''");
-
-    const result = await DButils.execQuery(
-      `SELECT username FROM users WHERE username='${escapedUsername}'`
-    );
-
-    console.log(`Raw query result:`, result);
-    console.log(`Result type:`, typeof result);
-    console.log(`Result is array:`, Array.isArray(result));
-
-    // Handle different MySQL result formats
-    let users = result;
-    if (
-      Array.isArray(result) &&
-      result.length === 2 &&
-      Array.isArray(result[0])
-    ) {
-      // MySQL2 format: [rows, fields]
-      users = result[0];
-    } else if (
-      Array.isArray(result) &&
-      result.length > 0 &&
-      result[0] &&
-      typeof result[0] === "object"
-    ) {
-      // Direct rows array
-      users = result;
-    } else {
-      // Fallback
-      users = Array.isArray(result) ? result : [];
-    }
-
-    console.log(`Processed users:`, users);
-    console.log(`Users count: ${users.length}`);
-
-    const exists = users.length > 0;
+    const exists = await users.existsByUsername(username);
     const responseData = {
       exists: exists,
       message: exists ? "Username is taken" : "Username is available",
-      debug: {
-        rawResult: result,
-        processedUsers: users,
-        usersLength: users.length,
-      },
     };
 
     console.log(`Sending response:`, responseData);
@@ -93,6 +64,40 @@ router.get("/checkUsername/:username", async (req, res, next) => {
  */
 router.use(auth.authenticate);
 
+/**
+ * Scopes a personal API key needs, by route: the :read scope for GET
+ * requests and the :write scope for the others (see auth.requireScope).
+ * Routes without a scope here, such as sessions, API keys and account
+ * backups, cannot be used with an API key.
+ */
+router.use("/favorites", auth.requireScope("favorites"));
+router.use(
+  [
+    "/markwatched",
+    "/deleteWatchedRecipes",
+    "/lastWatchedRecipes",
+    "/allWatchedRecipes",
+    "/lastSearch",
+    "/searchHistory",
+  ],
+  auth.requireScope("history")
+);
+router.use(["/preferences", "/me/avatar"], auth.requireScope("profile"));
+router.use("/recipes/search", auth.requireScope("recipes:read", "family:read"));
+router.use("/myRecipes", auth.requireScope("recipes"));
+router.use("/familyRecipes", auth.requireScope("family"));
+router.use("/shoppingList", auth.requireScope("shopping"));
+// Adding a week's recipes to the shopping list changes the list as well
+router.use("/mealPlan/week/shoppingList", auth.requireScope("shopping"));
+router.use("/mealPlan", auth.requireScope("mealplan"));
+router.use(auth.refuseApiKeys);
+
+// Body of an image upload: the image plus room for the multipart framing
+const imageUploadBody = express.raw({
+  type: "multipart/form-data",
+  limit: image_uploads.MAX_IMAGE_SIZE + 64 * 1024,
+});
+
 /**
  * Add a recipe to user's favorites list
  *
@@ -296,10 +301,10 @@ router.get("/allWatchedRecipes", async (req, res, next) => {
 });
 
 /**
- * Get the last search results from session
+ * Get the results of the user's most recent search
  *
- * Returns the recipes from the most recent search operation
- * saved in the user's session.
+ * Returns the recipes saved with the newest entry of the user's
+ * search history.
  *
  * @route GET /users/lastSearch
  * @authentication Required
@@ -323,6 +328,215 @@ router.get("/lastSearch", async (req, res, next) => {
   }
 });
 
+/**
+ * Get the user's search history, newest first
+ *
+ * @route GET /users/searchHistory
+ * @authentication Required
+ * @validation validatePagination
+ * @param {number} [req.query.page] - 1-based page number (default 1)
+ * @param {number} [req.query.limit] - Entries per page, 1-50 (default 10)
+ * @returns {Object} Page object with page, limit, total, totalPages and items
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database query fails
+ */
+router.get(
+  "/searchHistory",
+  validation.validatePagination,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const { page, limit } = req.pagination;
+
+      const history = await user_utils.getSearchHistoryPage(
+        user_id,
+        page,
+        limit
+      );
+      res.status(200).send(history);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Replay a past search with its saved filters
+ *
+ * Runs the saved query again, in the same scope, and returns fresh results,
+ * so like counts and availability are current. The replay is not added to
+ * the history.
+ *
+ * @route GET /users/searchHistory/:searchId
+ * @authentication Required
+ * @param {string} req.params.searchId - ID of the search history entry
+ * @returns {Object} The saved search with its filters and fresh results
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the entry is not found or the search fails
+ */
+router.get("/searchHistory/:searchId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const history = await user_utils.getSearchHistoryEntry(
+      user_id,
+      req.params.searchId
+    );
+
+    const results = await search_utils.searchAllRecipes(user_id, {
+      ...history.search_params,
+      query: history.search_query,
+    });
+
+    res.status(200).send({
+      id: history.id,
+      search_query: history.search_query,
+      search_params: history.search_params,
+      searched_at: history.searched_at,
+      results: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a single search history entry
+ *
+ * @route DELETE /users/searchHistory/:searchId
+ * @authentication Required
+ * @param {string} req.params.searchId - ID of the search history entry
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the entry is not found or not owned by user
+ */
+router.delete("/searchHistory/:searchId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    await user_utils.deleteSearchHistoryEntry(user_id, req.params.searchId);
+    res.status(200).send({
+      message: "Search history entry deleted",
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Clear the user's whole search history
+ *
+ * @route DELETE /users/searchHistory
+ * @authentication Required
+ * @returns {Object} Success message with count of deleted entries
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.delete("/searchHistory", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    const deletedCount = await user_utils.clearSearchHistory(user_id);
+    res.status(200).send({
+      message: "Search history cleared",
+      success: true,
+      deletedCount: deletedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the user's display preferences
+ *
+ * @route GET /users/preferences
+ * @authentication Required
+ * @returns {Object} Preferences object with units ('metric', 'us' or null)
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.get("/preferences", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    const preferences = await user_utils.getPreferences(user_id);
+    res.status(200).send(preferences);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update the user's display preferences
+ *
+ * The stored units are used for recipe details whenever a request does
+ * not pass its own units parameter.
+ *
+ * @route PUT /users/preferences
+ * @authentication Required
+ * @validation validatePreferences
+ * @param {string|null} req.body.units - 'metric', 'us', or null to show recipes as written
+ * @returns {Object} Success message with the stored preferences
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.put(
+  "/preferences",
+  validation.validatePreferences,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const preferences = await user_utils.updatePreferences(user_id, req.body);
+      res.status(200).send({
+        message: "Preferences updated",
+        success: true,
+        preferences: preferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Full-text search over the user's private and family recipes
+ *
+ * Matches are ranked by relevance; each item has a source ('private' or
+ * 'family') and highlights with the matched words wrapped in <mark>.
+ *
+ * @route GET /users/recipes/search
+ * @authentication Required
+ * @validation validatePagination
+ * @param {string} req.query.q - Free-text query
+ * @param {number} [req.query.page] - 1-based page number (default 1)
+ * @param {number} [req.query.limit] - Results per page, 1-50 (default 10)
+ * @returns {Object} Page object with query, page, limit, total, totalPages and items
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the query is missing or the search index cannot be built
+ */
+router.get(
+  "/recipes/search",
+  validation.validatePagination,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const { page, limit } = req.pagination;
+
+      const results = await user_utils.searchMyRecipes(
+        user_id,
+        req.query.q,
+        page,
+        limit
+      );
+      res.status(200).send(results);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Get all private recipes created by the user
  *
@@ -387,115 +601,482 @@ router.post(
 );
 
 /**
- * Get full details of a specific private recipe
+ * Export the user's private recipes as a printable PDF cookbook
  *
- * @route GET /users/myRecipes/:recipeId
+ * @route GET /users/myRecipes/export.pdf
  * @authentication Required
- * @param {string} req.params.recipeId - ID of the private recipe to retrieve
- * @returns {Object} Complete recipe details
- * @returns {number} res.status - 200 on success
- * @throws {Error} If recipe not found or not owned by user
+ * @returns {Buffer} PDF file with a cover, table of contents and one recipe per page
+ * @returns {string} X-Unprintable-Characters header - Code points printed as "?" because the fonts lack them (see pdf_font)
+ * @returns {number} res.status - 200 on success, 404 when the user has no private recipes
+ * @throws {Error} If database query fails
  */
-router.get("/myRecipes/:recipeId", async (req, res, next) => {
+router.get("/myRecipes/export.pdf", async (req, res, next) => {
   try {
     const user_id = req.session.user_id;
-    const recipe_id = req.params.recipeId;
-
-    const recipe = await user_utils.getPrivateRecipeDetails(recipe_id, user_id);
-    res.status(200).send(recipe);
+    const { pdf, missingCharacters } =
+      await cookbook_utils.exportPrivateCookbook(user_id);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": 'attachment; filename="my-recipes.pdf"',
+    });
+    if (missingCharacters.length > 0) {
+      res.set("X-Unprintable-Characters", missingCharacters.join(" "));
+    }
+    res.status(200).send(pdf);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * Delete a specific private recipe
+ * Import private recipes from schema.org Recipe JSON-LD
  *
- * @route DELETE /users/myRecipes/:recipeId
+ * Maps each recipe's name, recipeYield, totalTime (or prepTime + cookTime),
+ * image, recipeIngredient, recipeInstructions and suitableForDiet onto a
+ * new private recipe. The recipes are imported together: if one cannot be
+ * added, none is.
+ *
+ * @route POST /users/myRecipes/import
  * @authentication Required
- * @param {string} req.params.recipeId - ID of the private recipe to delete
- * @returns {Object} Success message
- * @returns {number} res.status - 200 on success
- * @throws {Error} If recipe not found, not owned by user, or delete operation fails
+ * @validation validateRecipeImport
+ * @param {Object|Array} req.body - A Recipe, an array of Recipes or a document with an @graph (application/json or application/ld+json)
+ * @returns {Object} Success message with the imported recipe IDs and titles
+ * @returns {number} res.status - 201 on success, 400 if a recipe is invalid
+ * @throws {Error} If database operation fails
  */
-router.delete("/myRecipes/:recipeId", async (req, res, next) => {
-  try {
-    const user_id = req.session.user_id;
-    const recipe_id = req.params.recipeId;
-
-    await user_utils.deletePrivateRecipe(user_id, recipe_id);
-    res.status(200).send({
-      message: "Recipe deleted successfully",
-      success: true,
-    });
-  } catch (error) {
-    next(error);
+router.post(
+  "/myRecipes/import",
+  express.json({ type: ["application/json", "application/ld+json"] }),
+  validation.validateRecipeImport,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const imported = await user_utils.importPrivateRecipes(
+        user_id,
+        req.importedRecipes
+      );
+      res.status(201).send({
+        message: `Imported ${imported.length} ${
+          imported.length === 1 ? "recipe" : "recipes"
+        }`,
+        success: true,
+        imported,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
- * Get all family recipes for the logged-in user
+ * Get full details of a specific private recipe
  *
- * @route GET /users/familyRecipes
+ * @route GET /users/myRecipes/:recipeId
  * @authentication Required
- * @returns {Array<Object>} Array of family recipe objects
- * @returns {number} res.status - 200 on success, 204 when fewer than 3 recipes
- * @throws {Error} If database query fails
+ * @validation validateServings, validateUnits, validateRecipeFormat
+ * @param {string} req.params.recipeId - ID of the private recipe to retrieve
+ * @param {number} [req.query.servings] - Scale the ingredients to this many servings
+ * @param {string} [req.query.units] - Convert to 'metric' or 'us' units (default: the user's preference)
+ * @param {string} [req.query.format] - 'json' (default) or 'jsonld' for schema.org Recipe JSON-LD
+ * @returns {Object} Complete recipe details
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If recipe not found or not owned by user
  */
-router.get("/familyRecipes", async (req, res, next) => {
-  try {
-    const user_id = req.session.user_id;
-    const recipes = await user_utils.getAllFamilyRecipes(user_id);
-    res.status(200).send(recipes);
-  } catch (error) {
-    if (error.status === 204) {
-      res.status(204).send({ message: error.message, success: false });
-    } else {
+router.get(
+  "/myRecipes/:recipeId",
+  validation.validateServings,
+  validation.validateUnits,
+  validation.validateRecipeFormat,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const recipe_id = req.params.recipeId;
+
+      let recipe = await user_utils.getPrivateRecipeDetails(recipe_id, user_id);
+      if (req.servings) {
+        recipe = recipe_scaling.scaleRecipe(recipe, req.servings);
+      }
+      const units = req.units || (await user_utils.getPreferredUnits(user_id));
+      if (units) {
+        recipe = unit_conversion.convertRecipe(recipe, units);
+      }
+      if (req.format === "jsonld") {
+        return res
+          .status(200)
+          .type("application/ld+json")
+          .send(JSON.stringify(recipe_jsonld.toJsonLd(recipe)));
+      }
+      res.status(200).send(recipe);
+    } catch (error) {
       next(error);
     }
   }
-});
+);
 
 /**
- * Get full details of a specific family recipe
+ * Replace a private recipe
  *
- * @route GET /users/familyRecipes/:recipeId
+ * Every field is replaced; optional fields that are left out are reset to
+ * their defaults. The recipe keeps its ID.
+ *
+ * @route PUT /users/myRecipes/:recipeId
  * @authentication Required
- * @param {string} req.params.recipeId - ID of the family recipe to retrieve
- * @returns {Object} Family recipe details
+ * @validation validatePrivateRecipe
+ * @param {string} req.params.recipeId - ID of the private recipe to replace
+ * @param {Object} req.body - Recipe details, as for POST /users/myRecipes
+ * @returns {Object} Success message with the updated recipe
  * @returns {number} res.status - 200 on success
- * @throws {Error} If recipe not found or not owned by user
+ * @throws {Error} If validation fails, or the recipe is not found or not owned by user
  */
-router.get("/familyRecipes/:recipeId", async (req, res, next) => {
-  try {
-    const user_id = req.session.user_id;
-    const recipe = await user_utils.getFamilyRecipeDetails(
-      req.params.recipeId,
-      user_id
-    );
-    res.status(200).send(recipe);
-  } catch (error) {
-    next(error);
+router.put(
+  "/myRecipes/:recipeId",
+  validation.validatePrivateRecipe,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const recipe = await user_utils.updatePrivateRecipe(
+        user_id,
+        req.params.recipeId,
+        req.body
+      );
+      res.status(200).send({
+        message: "Recipe updated successfully",
+        success: true,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
- * Add a new family recipe for the user
+ * Update some fields of a private recipe
  *
- * @route POST /users/familyRecipes
+ * @route PATCH /users/myRecipes/:recipeId
  * @authentication Required
- * @param {Object} req.body - Recipe details
- * @param {string} req.body.recipe_name - Recipe name (required)
- * @param {string} req.body.owner_name - Recipe owner (required)
- * @param {string} req.body.when_to_prepare - When to prepare (required)
- * @param {Array} req.body.ingredients - List of ingredients (required)
- * @param {string} req.body.instructions - Preparation instructions (required)
- * @param {string} [req.body.image_url] - Recipe image URL
- * @returns {Object} Success message with recipe_id
- * @returns {number} res.status - 201 on success
- * @throws {Error} If validation fails or database operation fails
+ * @validation validatePrivateRecipePatch
+ * @param {string} req.params.recipeId - ID of the private recipe to update
+ * @param {Object} req.body - Any subset of the fields accepted by POST /users/myRecipes
+ * @returns {Object} Success message with the updated recipe
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If validation fails, or the recipe is not found or not owned by user
  */
-router.post("/familyRecipes", async (req, res, next) => {
+router.patch(
+  "/myRecipes/:recipeId",
+  validation.validatePrivateRecipePatch,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const recipe = await user_utils.updatePrivateRecipe(
+        user_id,
+        req.params.recipeId,
+        req.body,
+        true
+      );
+      res.status(200).send({
+        message: "Recipe updated successfully",
+        success: true,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Upload the image of a private recipe
+ *
+ * The image replaces the recipe's image and a thumbnail is made from it.
+ * Like other edits, the change is recorded as a revision.
+ *
+ * @route POST /users/myRecipes/:recipeId/image
+ * @authentication Required
+ * @validation validateImageUpload
+ * @param {string} req.params.recipeId - ID of the private recipe
+ * @param {File} req.body.image - JPEG or PNG file (multipart/form-data, at most 5 MB)
+ * @returns {Object} URLs of the stored image and its thumbnail
+ * @returns {number} res.status - 201 on success, 413 if the file is too large, 415 if it is not a JPEG or PNG
+ * @throws {Error} If the recipe is not found or not owned by user
+ */
+router.post(
+  "/myRecipes/:recipeId/image",
+  imageUploadBody,
+  validation.validateImageUpload,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const stored = await image_uploads.uploadPrivateRecipeImage(
+        user_id,
+        req.params.recipeId,
+        req.image
+      );
+      res.status(201).send({
+        message: "Image uploaded successfully",
+        success: true,
+        ...stored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the revisions of a private recipe, newest first
+ *
+ * @route GET /users/myRecipes/:recipeId/revisions
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the private recipe
+ * @returns {Array<Object>} Revisions with number, change type, editing user and time
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe is not found or not owned by user
+ */
+router.get("/myRecipes/:recipeId/revisions", async (req, res, next) => {
+  try {
+    const revisions = await revision_utils.getRecipeRevisions(
+      req.session.user_id,
+      "private",
+      req.params.recipeId
+    );
+    res.status(200).send(revisions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare two revisions of a private recipe
+ *
+ * @route GET /users/myRecipes/:recipeId/revisions/diff
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the private recipe
+ * @param {number} req.query.from - The older revision number
+ * @param {number} [req.query.to] - The newer revision number (default: the latest)
+ * @returns {Object} Ingredient changes, sentence-level instruction changes and other changed fields
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or a revision is not found
+ */
+router.get("/myRecipes/:recipeId/revisions/diff", async (req, res, next) => {
+  try {
+    const diff = await revision_utils.diffRecipeRevisions(
+      req.session.user_id,
+      "private",
+      req.params.recipeId,
+      req.query.from,
+      req.query.to
+    );
+    res.status(200).send(diff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get one revision of a private recipe as it was saved
+ *
+ * @route GET /users/myRecipes/:recipeId/revisions/:revision
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the private recipe
+ * @param {number} req.params.revision - The revision number
+ * @returns {Object} Revision details with the recipe snapshot
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or revision is not found
+ */
+router.get(
+  "/myRecipes/:recipeId/revisions/:revision",
+  async (req, res, next) => {
+    try {
+      const revision = await revision_utils.getRecipeRevision(
+        req.session.user_id,
+        "private",
+        req.params.recipeId,
+        req.params.revision
+      );
+      res.status(200).send(revision);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Restore a private recipe to an earlier revision
+ *
+ * The restore is saved as a new revision, so it can be undone as well.
+ *
+ * @route POST /users/myRecipes/:recipeId/revisions/:revision/restore
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the private recipe
+ * @param {number} req.params.revision - The revision number to restore
+ * @returns {Object} Success message with the new revision number and the restored recipe
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or revision is not found
+ */
+router.post(
+  "/myRecipes/:recipeId/revisions/:revision/restore",
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const new_revision = await revision_utils.restoreRecipeRevision(
+        user_id,
+        "private",
+        req.params.recipeId,
+        req.params.revision
+      );
+      const recipe = await user_utils.getPrivateRecipeDetails(
+        req.params.recipeId,
+        user_id
+      );
+      res.status(200).send({
+        message: `Recipe restored to revision ${req.params.revision}`,
+        success: true,
+        revision: new_revision,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete a specific private recipe
+ *
+ * @route DELETE /users/myRecipes/:recipeId
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the private recipe to delete
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If recipe not found, not owned by user, or delete operation fails
+ */
+router.delete("/myRecipes/:recipeId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const recipe_id = req.params.recipeId;
+
+    await user_utils.deletePrivateRecipe(user_id, recipe_id);
+    res.status(200).send({
+      message: "Recipe deleted successfully",
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get all family recipes for the logged-in user
+ *
+ * @route GET /users/familyRecipes
+ * @authentication Required
+ * @returns {Array<Object>} Array of family recipe objects
+ * @returns {number} res.status - 200 on success, 204 when fewer than 3 recipes
+ * @throws {Error} If database query fails
+ */
+router.get("/familyRecipes", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const recipes = await user_utils.getAllFamilyRecipes(user_id);
+    res.status(200).send(recipes);
+  } catch (error) {
+    if (error.status === 204) {
+      res.status(204).send({ message: error.message, success: false });
+    } else {
+      next(error);
+    }
+  }
+});
+
+/**
+ * Export the user's family recipes as a printable PDF cookbook
+ *
+ * @route GET /users/familyRecipes/export.pdf
+ * @authentication Required
+ * @returns {Buffer} PDF file with a cover, table of contents and one recipe per page
+ * @returns {string} X-Unprintable-Characters header - Code points printed as "?" because the fonts lack them (see pdf_font)
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database query fails
+ */
+router.get("/familyRecipes/export.pdf", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const { pdf, missingCharacters } =
+      await cookbook_utils.exportFamilyCookbook(user_id);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": 'attachment; filename="family-cookbook.pdf"',
+    });
+    if (missingCharacters.length > 0) {
+      res.set("X-Unprintable-Characters", missingCharacters.join(" "));
+    }
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get full details of a specific family recipe
+ *
+ * Family recipes without a servings count cannot be scaled; they are
+ * returned unchanged with `scaling.available` set to false.
+ *
+ * @route GET /users/familyRecipes/:recipeId
+ * @authentication Required
+ * @validation validateServings, validateUnits
+ * @param {string} req.params.recipeId - ID of the family recipe to retrieve
+ * @param {number} [req.query.servings] - Scale the ingredients to this many servings
+ * @param {string} [req.query.units] - Convert to 'metric' or 'us' units (default: the user's preference)
+ * @returns {Object} Family recipe details
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If recipe not found or not owned by user
+ */
+router.get(
+  "/familyRecipes/:recipeId",
+  validation.validateServings,
+  validation.validateUnits,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      let recipe = await user_utils.getFamilyRecipeDetails(
+        req.params.recipeId,
+        user_id
+      );
+      if (req.servings) {
+        recipe = recipe_scaling.scaleRecipe(recipe, req.servings);
+      }
+      const units = req.units || (await user_utils.getPreferredUnits(user_id));
+      if (units) {
+        recipe = unit_conversion.convertRecipe(recipe, units);
+      }
+      res.status(200).send(recipe);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Add a new family recipe for the user
+ *
+ * @route POST /users/familyRecipes
+ * @authentication Required
+ * @param {Object} req.body - Recipe details
+ * @param {string} req.body.recipe_name - Recipe name (required)
+ * @param {string} req.body.owner_name - Recipe owner (required)
+ * @param {string} req.body.when_to_prepare - When to prepare (required)
+ * @param {Array} req.body.ingredients - List of ingredients (required)
+ * @param {string} req.body.instructions - Preparation instructions (required)
+ * @param {string} [req.body.image_url] - Recipe image URL
+ * @returns {Object} Success message with recipe_id
+ * @returns {number} res.status - 201 on success
+ * @throws {Error} If validation fails or database operation fails
+ */
+router.post("/familyRecipes", async (req, res, next) => {
   try {
     const user_id = req.session.user_id;
     const recipe_details = req.body;
@@ -525,25 +1106,897 @@ router.post("/familyRecipes", async (req, res, next) => {
 });
 
 /**
- * Delete a specific family recipe
+ * Replace a family recipe
  *
- * @route DELETE /users/familyRecipes/:recipeId
+ * Every field is replaced; optional fields that are left out are cleared.
+ * The recipe keeps its ID. Default family recipes cannot be edited.
+ *
+ * @route PUT /users/familyRecipes/:recipeId
  * @authentication Required
- * @param {string} req.params.recipeId - ID of the family recipe to delete
- * @returns {Object} Success message
+ * @validation validateFamilyRecipe
+ * @param {string} req.params.recipeId - ID of the family recipe to replace
+ * @param {Object} req.body - Recipe details, as for POST /users/familyRecipes
+ * @returns {Object} Success message with the updated recipe
  * @returns {number} res.status - 200 on success
- * @throws {Error} If recipe not found, not owned by user, or delete operation fails
+ * @throws {Error} If validation fails, or the recipe is not found or not owned by user
  */
-router.delete("/familyRecipes/:recipeId", async (req, res, next) => {
-  try {
-    const user_id = req.session.user_id;
-    const recipe_id = req.params.recipeId;
+router.put(
+  "/familyRecipes/:recipeId",
+  validation.validateFamilyRecipe,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
 
-    await user_utils.deleteFamilyRecipe(user_id, recipe_id);
-    res.status(200).send({
-      message: "Family recipe deleted successfully",
-      success: true,
-    });
+      const recipe = await user_utils.updateFamilyRecipe(
+        user_id,
+        req.params.recipeId,
+        req.body
+      );
+      res.status(200).send({
+        message: "Family recipe updated successfully",
+        success: true,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Update some fields of a family recipe
+ *
+ * @route PATCH /users/familyRecipes/:recipeId
+ * @authentication Required
+ * @validation validateFamilyRecipePatch
+ * @param {string} req.params.recipeId - ID of the family recipe to update
+ * @param {Object} req.body - Any subset of the fields accepted by POST /users/familyRecipes
+ * @returns {Object} Success message with the updated recipe
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If validation fails, or the recipe is not found or not owned by user
+ */
+router.patch(
+  "/familyRecipes/:recipeId",
+  validation.validateFamilyRecipePatch,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const recipe = await user_utils.updateFamilyRecipe(
+        user_id,
+        req.params.recipeId,
+        req.body,
+        true
+      );
+      res.status(200).send({
+        message: "Family recipe updated successfully",
+        success: true,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Upload the image of a family recipe
+ *
+ * The image replaces the recipe's image and a thumbnail is made from it.
+ * Like other edits, the change is recorded as a revision.
+ *
+ * @route POST /users/familyRecipes/:recipeId/image
+ * @authentication Required
+ * @validation validateImageUpload
+ * @param {string} req.params.recipeId - ID of the family recipe
+ * @param {File} req.body.image - JPEG or PNG file (multipart/form-data, at most 5 MB)
+ * @returns {Object} URLs of the stored image and its thumbnail
+ * @returns {number} res.status - 201 on success, 413 if the file is too large, 415 if it is not a JPEG or PNG
+ * @throws {Error} If the recipe is not found or not owned by user
+ */
+router.post(
+  "/familyRecipes/:recipeId/image",
+  imageUploadBody,
+  validation.validateImageUpload,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const stored = await image_uploads.uploadFamilyRecipeImage(
+        user_id,
+        req.params.recipeId,
+        req.image
+      );
+      res.status(201).send({
+        message: "Image uploaded successfully",
+        success: true,
+        ...stored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the revisions of a family recipe, newest first
+ *
+ * @route GET /users/familyRecipes/:recipeId/revisions
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the family recipe
+ * @returns {Array<Object>} Revisions with number, change type, editing user and time
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe is not found or not owned by user
+ */
+router.get("/familyRecipes/:recipeId/revisions", async (req, res, next) => {
+  try {
+    const revisions = await revision_utils.getRecipeRevisions(
+      req.session.user_id,
+      "family",
+      req.params.recipeId
+    );
+    res.status(200).send(revisions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare two revisions of a family recipe
+ *
+ * @route GET /users/familyRecipes/:recipeId/revisions/diff
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the family recipe
+ * @param {number} req.query.from - The older revision number
+ * @param {number} [req.query.to] - The newer revision number (default: the latest)
+ * @returns {Object} Ingredient changes, sentence-level instruction changes and other changed fields
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or a revision is not found
+ */
+router.get(
+  "/familyRecipes/:recipeId/revisions/diff",
+  async (req, res, next) => {
+    try {
+      const diff = await revision_utils.diffRecipeRevisions(
+        req.session.user_id,
+        "family",
+        req.params.recipeId,
+        req.query.from,
+        req.query.to
+      );
+      res.status(200).send(diff);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get one revision of a family recipe as it was saved
+ *
+ * @route GET /users/familyRecipes/:recipeId/revisions/:revision
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the family recipe
+ * @param {number} req.params.revision - The revision number
+ * @returns {Object} Revision details with the recipe snapshot
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or revision is not found
+ */
+router.get(
+  "/familyRecipes/:recipeId/revisions/:revision",
+  async (req, res, next) => {
+    try {
+      const revision = await revision_utils.getRecipeRevision(
+        req.session.user_id,
+        "family",
+        req.params.recipeId,
+        req.params.revision
+      );
+      res.status(200).send(revision);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Restore a family recipe to an earlier revision
+ *
+ * The restore is saved as a new revision, so it can be undone as well.
+ *
+ * @route POST /users/familyRecipes/:recipeId/revisions/:revision/restore
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the family recipe
+ * @param {number} req.params.revision - The revision number to restore
+ * @returns {Object} Success message with the new revision number and the restored recipe
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe or revision is not found
+ */
+router.post(
+  "/familyRecipes/:recipeId/revisions/:revision/restore",
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const new_revision = await revision_utils.restoreRecipeRevision(
+        user_id,
+        "family",
+        req.params.recipeId,
+        req.params.revision
+      );
+      const recipe = await user_utils.getFamilyRecipeDetails(
+        req.params.recipeId,
+        user_id
+      );
+      res.status(200).send({
+        message: `Recipe restored to revision ${req.params.revision}`,
+        success: true,
+        revision: new_revision,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete a specific family recipe
+ *
+ * @route DELETE /users/familyRecipes/:recipeId
+ * @authentication Required
+ * @param {string} req.params.recipeId - ID of the family recipe to delete
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If recipe not found, not owned by user, or delete operation fails
+ */
+router.delete("/familyRecipes/:recipeId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const recipe_id = req.params.recipeId;
+
+    await user_utils.deleteFamilyRecipe(user_id, recipe_id);
+    res.status(200).send({
+      message: "Family recipe deleted successfully",
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the user's shopping list
+ *
+ * Ingredients of every recipe on the list are scaled to the requested
+ * servings, merged across recipes and grouped by aisle, together with the
+ * items the user added by hand.
+ *
+ * @route GET /users/shoppingList
+ * @authentication Required
+ * @returns {Object} Shopping list with recipes, aisles (each with items), totalItems and checkedItems
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.get("/shoppingList", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    const shoppingList = await shopping_list_utils.getShoppingList(user_id);
+    res.status(200).send(shoppingList);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add a recipe to the shopping list, or change its servings
+ *
+ * @route POST /users/shoppingList/recipes
+ * @authentication Required
+ * @validation validateShoppingListRecipe
+ * @param {string} req.body.source - 'spoonacular', 'private' or 'family'
+ * @param {string|number} req.body.recipeId - ID of the recipe within its source
+ * @param {number} [req.body.servings] - Servings to shop for (default: as written)
+ * @returns {Object} Success message with the added recipe
+ * @returns {number} res.status - 201 on success
+ * @throws {Error} If the recipe is not found or database operation fails
+ */
+router.post(
+  "/shoppingList/recipes",
+  validation.validateShoppingListRecipe,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const { source, recipeId, servings } = req.body;
+
+      const recipe = await shopping_list_utils.addRecipe(
+        user_id,
+        source,
+        recipeId,
+        servings
+      );
+      res.status(201).send({
+        message: "Recipe added to shopping list",
+        success: true,
+        recipe: recipe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove a recipe from the shopping list
+ *
+ * @route DELETE /users/shoppingList/recipes/:source/:recipeId
+ * @authentication Required
+ * @param {string} req.params.source - 'spoonacular', 'private' or 'family'
+ * @param {string} req.params.recipeId - ID of the recipe within its source
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe is not on the list or database operation fails
+ */
+router.delete(
+  "/shoppingList/recipes/:source/:recipeId",
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      await shopping_list_utils.removeRecipe(
+        user_id,
+        req.params.source,
+        req.params.recipeId
+      );
+      res.status(200).send({
+        message: "Recipe removed from shopping list",
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Add an item to the shopping list by hand
+ *
+ * @route POST /users/shoppingList/items
+ * @authentication Required
+ * @validation validateShoppingListItem
+ * @param {string} req.body.name - Item name
+ * @param {number} [req.body.quantity] - Amount to buy
+ * @param {string} [req.body.unit] - Unit of the amount
+ * @param {string} [req.body.aisle] - Aisle to list the item under (guessed from the name if missing)
+ * @returns {Object} Success message with the new item
+ * @returns {number} res.status - 201 on success
+ * @throws {Error} If database operation fails
+ */
+router.post(
+  "/shoppingList/items",
+  validation.validateShoppingListItem,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const item = await shopping_list_utils.addItem(user_id, req.body);
+      res.status(201).send({
+        message: "Item added to shopping list",
+        success: true,
+        item: item,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Check a shopping list item off, or uncheck it
+ *
+ * @route PATCH /users/shoppingList/items/:itemId
+ * @authentication Required
+ * @validation validateShoppingListCheck
+ * @param {string} req.params.itemId - ID of the item, as returned by GET /users/shoppingList
+ * @param {boolean} req.body.checked - The new checked state
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the item is not on the shopping list (404) or database operation fails
+ */
+router.patch(
+  "/shoppingList/items/:itemId",
+  validation.validateShoppingListCheck,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      await shopping_list_utils.setItemChecked(
+        user_id,
+        req.params.itemId,
+        req.body.checked
+      );
+      res.status(200).send({
+        message: req.body.checked ? "Item checked off" : "Item unchecked",
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete an item added by hand
+ *
+ * @route DELETE /users/shoppingList/items/:itemId
+ * @authentication Required
+ * @param {string} req.params.itemId - ID of the manual item ('manual-<id>')
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the item is not a manual item, not found, or database operation fails
+ */
+router.delete("/shoppingList/items/:itemId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    await shopping_list_utils.deleteItem(user_id, req.params.itemId);
+    res.status(200).send({
+      message: "Item deleted from shopping list",
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Clear the whole shopping list
+ *
+ * Removes all recipes and manual items and forgets which items were checked off.
+ *
+ * @route DELETE /users/shoppingList
+ * @authentication Required
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.delete("/shoppingList", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    await shopping_list_utils.clearShoppingList(user_id);
+    res.status(200).send({
+      message: "Shopping list cleared",
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the meal plan for a week with a prep time summary
+ *
+ * @route GET /users/mealPlan/week
+ * @authentication Required
+ * @validation validateWeekStart
+ * @param {string} [req.query.start] - First day, YYYY-MM-DD (default: today)
+ * @returns {Object} Week with start, end, days (each with meals and readyInMinutes) and summary
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.get(
+  "/mealPlan/week",
+  validation.validateWeekStart,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const week = await meal_plan_utils.getWeek(user_id, req.weekStart);
+      res.status(200).send(week);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Add every recipe planned for a week to the shopping list
+ *
+ * Recipes planned more than once are added once with their servings added up,
+ * and recipes already on the list get the week's servings added to theirs.
+ *
+ * @route POST /users/mealPlan/week/shoppingList
+ * @authentication Required
+ * @validation validateWeekStart
+ * @param {string} [req.body.start] - First day, YYYY-MM-DD (default: today)
+ * @returns {Object} Success message with the added recipes and the resulting shopping list
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If nothing is planned that week or database operation fails
+ */
+router.post(
+  "/mealPlan/week/shoppingList",
+  validation.validateWeekStart,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const result = await meal_plan_utils.addWeekToShoppingList(
+        user_id,
+        req.weekStart
+      );
+      res.status(200).send({
+        message: "Meal plan added to shopping list",
+        success: true,
+        added: result.added,
+        shoppingList: result.shoppingList,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get the recipe planned for a meal
+ *
+ * @route GET /users/mealPlan/:date/:slot
+ * @authentication Required
+ * @validation validateMealSlot
+ * @param {string} req.params.date - Day of the meal, YYYY-MM-DD
+ * @param {string} req.params.slot - 'breakfast', 'lunch', 'dinner' or 'snack'
+ * @returns {Object} Planned meal with source, recipeId, servings and recipe preview
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If nothing is planned for the slot or database operation fails
+ */
+router.get(
+  "/mealPlan/:date/:slot",
+  validation.validateMealSlot,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const meal = await meal_plan_utils.getMeal(
+        user_id,
+        req.params.date,
+        req.params.slot
+      );
+      res.status(200).send(meal);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Plan a recipe for a meal, replacing what was planned before
+ *
+ * @route PUT /users/mealPlan/:date/:slot
+ * @authentication Required
+ * @validation validateMealSlot, validateMeal
+ * @param {string} req.params.date - Day of the meal, YYYY-MM-DD
+ * @param {string} req.params.slot - 'breakfast', 'lunch', 'dinner' or 'snack'
+ * @param {string} req.body.source - 'spoonacular', 'private' or 'family'
+ * @param {string|number} req.body.recipeId - ID of the recipe within its source
+ * @param {number} req.body.servings - Servings to cook
+ * @returns {Object} Success message with the planned meal
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If the recipe is not found or database operation fails
+ */
+router.put(
+  "/mealPlan/:date/:slot",
+  validation.validateMealSlot,
+  validation.validateMeal,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      const meal = await meal_plan_utils.setMeal(
+        user_id,
+        req.params.date,
+        req.params.slot,
+        req.body
+      );
+      res.status(200).send({
+        message: "Meal planned",
+        success: true,
+        meal: meal,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove the recipe planned for a meal
+ *
+ * @route DELETE /users/mealPlan/:date/:slot
+ * @authentication Required
+ * @validation validateMealSlot
+ * @param {string} req.params.date - Day of the meal, YYYY-MM-DD
+ * @param {string} req.params.slot - 'breakfast', 'lunch', 'dinner' or 'snack'
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If nothing is planned for the slot or database operation fails
+ */
+router.delete(
+  "/mealPlan/:date/:slot",
+  validation.validateMealSlot,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+
+      await meal_plan_utils.removeMeal(
+        user_id,
+        req.params.date,
+        req.params.slot
+      );
+      res.status(200).send({
+        message: "Meal removed from plan",
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Download a backup of the user's whole account
+ *
+ * The zip archive holds account.json (profile, preferences, favorites,
+ * watched history, likes, search history, private and family recipes, meal
+ * plan and shopping list) and the recipe images served by the app.
+ *
+ * @route GET /users/me/export
+ * @authentication Required (API keys are refused)
+ * @returns {Buffer} Zip archive
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database query fails
+ */
+router.get("/me/export", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const { filename, archive } = await account_utils.exportAccount(user_id);
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(archive);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore a backup made by GET /users/me/export into the user's account
+ *
+ * The data is added to the account. Recipes get new IDs, and meal plan and
+ * shopping list entries are remapped to them.
+ *
+ * @route POST /users/me/import
+ * @authentication Required (API keys are refused)
+ * @validation validateAccountArchive
+ * @param {Buffer} req.body - The zip archive (application/zip, at most 50 MB)
+ * @returns {Object} Counts of the imported data and the old -> new recipe IDs
+ * @returns {number} res.status - 200 on success, 400 if the archive is invalid
+ * @throws {Error} If database operation fails
+ */
+router.post(
+  "/me/import",
+  express.raw({
+    type: ["application/zip", "application/octet-stream"],
+    limit: "50mb",
+  }),
+  validation.validateAccountArchive,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const result = await account_utils.importAccount(user_id, req.body);
+      res.status(200).send({
+        message: "Account data imported",
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Upload the user's profile picture
+ *
+ * The picture becomes the user's profilePic and a thumbnail is made from
+ * it. A previously uploaded picture is deleted.
+ *
+ * @route POST /users/me/avatar
+ * @authentication Required
+ * @validation validateImageUpload
+ * @param {File} req.body.image - JPEG or PNG file (multipart/form-data, at most 5 MB)
+ * @returns {Object} URLs of the stored picture and its thumbnail
+ * @returns {number} res.status - 201 on success, 413 if the file is too large, 415 if it is not a JPEG or PNG
+ * @throws {Error} If storing the picture fails
+ */
+router.post(
+  "/me/avatar",
+  imageUploadBody,
+  validation.validateImageUpload,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const stored = await image_uploads.uploadAvatar(user_id, req.image);
+      res.status(201).send({
+        message: "Profile picture uploaded successfully",
+        success: true,
+        ...stored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the places the user is logged in
+ *
+ * @route GET /users/me/sessions
+ * @authentication Required (API keys are refused)
+ * @returns {Array<Object>} Sessions, most recently used first, with session_id, created_at, last_seen_at, expires_at, ip_address, user_agent and current (true for the session making the request)
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database query fails
+ */
+router.get("/me/sessions", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const sessions = await session_utils.listSessions(user_id, req.sessionId);
+    res.status(200).send(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Log out everywhere
+ *
+ * Revokes all of the user's sessions, including this one unless
+ * keepCurrent=true is given (to log out other devices only).
+ *
+ * @route DELETE /users/me/sessions
+ * @authentication Required (API keys are refused)
+ * @param {string} [req.query.keepCurrent] - "true" to stay logged in here
+ * @returns {Object} Success message and the number of sessions revoked
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database operation fails
+ */
+router.delete("/me/sessions", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const keepCurrent = req.query.keepCurrent === "true";
+
+    const revoked = await session_utils.revokeAllSessions(
+      user_id,
+      keepCurrent ? req.sessionId : null
+    );
+    if (!keepCurrent) {
+      req.session.reset();
+    }
+    res.status(200).send({
+      message: keepCurrent
+        ? "Logged out of all other sessions"
+        : "Logged out of all sessions",
+      success: true,
+      revoked,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Log out one session, such as a lost device
+ *
+ * Revoking the current session logs this request's client out too.
+ *
+ * @route DELETE /users/me/sessions/:sessionId
+ * @authentication Required (API keys are refused)
+ * @param {string} req.params.sessionId - ID of the session
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success, 404 if the user has no such session
+ * @throws {Error} If the ID is invalid or database operation fails
+ */
+router.delete("/me/sessions/:sessionId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const session_id = req.params.sessionId;
+
+    await session_utils.revokeSession(user_id, session_id);
+    if (parseInt(session_id) === req.sessionId) {
+      req.session.reset();
+    }
+    res.status(200).send({ message: "Session revoked", success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the user's personal API keys
+ *
+ * The keys themselves are only shown when they are created; each key is
+ * listed with its first characters (prefix) to tell it apart.
+ *
+ * @route GET /users/me/apiKeys
+ * @authentication Required (API keys are refused)
+ * @returns {Array<Object>} Keys, newest first, with api_key_id, name, prefix, scopes, created_at and last_used_at
+ * @returns {number} res.status - 200 on success
+ * @throws {Error} If database query fails
+ */
+router.get("/me/apiKeys", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+    const apiKeys = await api_key_utils.listApiKeys(user_id);
+    res.status(200).send(apiKeys);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a personal API key for scripts
+ *
+ * Send the key as `Authorization: Bearer <key>`. It can only use the
+ * routes its scopes allow. The key is returned once and cannot be shown
+ * again.
+ *
+ * @route POST /users/me/apiKeys
+ * @authentication Required (API keys are refused)
+ * @validation validateApiKey
+ * @param {string} req.body.name - Name of the key (1-100 characters, unique per user)
+ * @param {Array<string>} req.body.scopes - Scopes such as "recipes:read" or "favorites:write"
+ * @returns {Object} The key's details and the key itself
+ * @returns {number} res.status - 201 on success, 409 if the user has a key with that name
+ * @throws {Error} If database operation fails
+ */
+router.post(
+  "/me/apiKeys",
+  validation.validateApiKey,
+  async (req, res, next) => {
+    try {
+      const user_id = req.session.user_id;
+      const apiKey = await api_key_utils.createApiKey(
+        user_id,
+        req.body.name,
+        req.body.scopes
+      );
+      res.set("Cache-Control", "no-store");
+      res.status(201).send({
+        message: "API key created; copy it now, it will not be shown again",
+        success: true,
+        ...apiKey,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Revoke a personal API key
+ *
+ * @route DELETE /users/me/apiKeys/:apiKeyId
+ * @authentication Required (API keys are refused)
+ * @param {string} req.params.apiKeyId - ID of the key
+ * @returns {Object} Success message
+ * @returns {number} res.status - 200 on success, 404 if the user has no such key
+ * @throws {Error} If the ID is invalid or database operation fails
+ */
+router.delete("/me/apiKeys/:apiKeyId", async (req, res, next) => {
+  try {
+    const user_id = req.session.user_id;
+
+    await api_key_utils.revokeApiKey(user_id, req.params.apiKeyId);
+    res.status(200).send({ message: "API key revoked", success: true });
   } catch (error) {
     next(error);
   }
@@ -3,21 +3,25 @@ const MySql = require("./MySql");
 
 /**
  * Executes a SQL query within a transaction
- * 
+ *
  * This function creates a database connection, starts a transaction,
  * executes the given SQL query, and handles transaction management
  * (commit/rollback) based on success or failure.
  *
- * @param {string} query - The SQL query to execute
+ * Values are never interpolated into the SQL string: every `?` placeholder
+ * in the query is bound to the matching entry of `params` by the driver.
+ *
+ * @param {string} query - The SQL query to execute, using `?` placeholders for values
+ * @param {Array} [params=[]] - Values bound to the query placeholders, in order
  * @returns {Promise<Array>} - A promise that resolves to the query result
  * @throws {Error} - If the query execution fails
  */
-exports.execQuery = async function (query) {
+exports.execQuery = async function (query, params = []) {
     let returnValue = []
     const connection = await MySql.connection();
     try {
     await connection.query("START TRANSACTION");
-    returnValue = await connection.query(query);
+    returnValue = await connection.query(query, params);
     await connection.query("COMMIT");
   } catch (err) {
     await connection.query("ROLLBACK");
@@ -29,3 +33,67 @@ exports.execQuery = async function (query) {
   return returnValue
 }
 
+/**
+ * Builds the handle passed to a withTransaction callback
+ *
+ * The handle runs every query on the same pooled connection, so all of them
+ * belong to the surrounding transaction. Calling `withTransaction` on the
+ * handle opens a savepoint instead of a new transaction.
+ *
+ * @param {Object} connection - The pooled connection owning the transaction
+ * @param {Object} state - Shared counter used to name savepoints uniquely
+ * @returns {Object} - Handle exposing execQuery and withTransaction
+ */
+function createTransactionHandle(connection, state) {
+  return {
+    execQuery: (query, params = []) => connection.query(query, params),
+    withTransaction: async (work) => {
+      const savepoint = `sp_${++state.savepoints}`;
+      await connection.query(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await work(createTransactionHandle(connection, state));
+        await connection.query(`RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+      } catch (err) {
+        await connection.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Runs several queries atomically on a single pooled connection
+ *
+ * The callback receives a transaction handle with the same `execQuery`
+ * signature as this module, so it can be passed to any repository function.
+ * The transaction commits when the callback resolves and rolls back if it
+ * throws. Nested `tx.withTransaction` calls run inside a savepoint: on error
+ * only the nested work is rolled back and the error is re-thrown, so the
+ * caller may catch it and still commit the outer transaction.
+ *
+ * @param {Function} work - Async callback receiving the transaction handle
+ * @returns {Promise<*>} - A promise that resolves to the callback's return value
+ * @throws {Error} - Whatever the callback or the database throws, after rolling back;
+ *   only errors without a `status` are logged
+ */
+exports.withTransaction = async function (work) {
+  const connection = await MySql.connection();
+  try {
+    await connection.query("START TRANSACTION");
+    const result = await work(
+      createTransactionHandle(connection, { savepoints: 0 })
+    );
+    await connection.query("COMMIT");
+    return result;
+  } catch (err) {
+    await connection.query("ROLLBACK");
+    // Errors with a status are expected outcomes (404, 409, ...), not failures
+    if (!err.status) {
+      console.log("ROLLBACK at withTransaction", err);
+    }
+    throw err;
+  } finally {
+    await connection.release();
+  }
+};
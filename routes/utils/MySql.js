@@ -29,4 +29,14 @@ module.exports = {
    * @throws {Error} - If connection creation fails
    */
   connection: () => pool.getConnection(),
+
+  /**
+   * Closes every connection in the pool
+   *
+   * Only needed by short-lived scripts (e.g. the migration CLI) that must
+   * exit once their work is done.
+   *
+   * @returns {Promise<void>} - A promise that resolves when the pool is closed
+   */
+  end: () => pool.end(),
 };
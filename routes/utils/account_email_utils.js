@@ -0,0 +1,326 @@
+/**
+ * Account Emails
+ *
+ * Email verification and password reset. Both email the user a link with a
+ * single-use token that expires:
+ *
+ * - on registration, a link to verify the email address (valid 24 hours,
+ *   POST /auth/verifyEmail). Logged-in users can ask for a new one.
+ * - on POST /auth/forgotPassword, a link to choose a new password (valid 1
+ *   hour, POST /auth/resetPassword). Resetting the password also verifies
+ *   the address and logs the user out everywhere.
+ *
+ * Only the SHA-256 hash of a token is stored, and sending a new link makes
+ * the earlier unused ones stop working. A user is sent at most one link of
+ * each kind a minute. Links point at `app_url`, the address of the web app.
+ */
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const DButils = require("./DButils");
+const mailer = require("./mailer");
+const { clearFailures } = require("./login_throttle");
+const { users, sessions, account_tokens } = require("./repositories");
+
+// Lifetimes, in seconds
+const VERIFY_EMAIL_DURATION = 24 * 60 * 60;
+const RESET_PASSWORD_DURATION = 60 * 60;
+
+// Shortest time between two links of the same kind, in seconds
+const RESEND_INTERVAL = 60;
+
+const APP_URL = (process.env.app_url || "http://localhost:3000").replace(
+  /\/+$/,
+  ""
+);
+
+/**
+ * Hashes an account token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Creates a token for a user, replacing their unused ones for the purpose
+ *
+ * @param {Object} user - The user row
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @param {number} duration - Seconds until the token expires
+ * @returns {Promise<string>} - The token
+ */
+async function createToken(user, purpose, duration) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await DButils.withTransaction(async (tx) => {
+    await account_tokens.deleteUnusedByUser(user.user_id, purpose, tx);
+    await account_tokens.create(
+      {
+        user_id: user.user_id,
+        purpose,
+        email: user.email,
+        token_hash: hashToken(token),
+      },
+      duration,
+      tx
+    );
+  });
+  return token;
+}
+
+/**
+ * Checks a token from a link and marks it used
+ *
+ * @param {string} token - The token
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @param {string} label - Name of the token in error messages
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object>} - The token row
+ * @throws {Object} - Throws a 400 error for an unknown, expired or used token
+ */
+async function useToken(token, purpose, label, tx) {
+  const row = await account_tokens.findByTokenHash(
+    hashToken(token),
+    purpose,
+    tx
+  );
+  if (!row) {
+    throw { status: 400, message: `Invalid ${label.toLowerCase()}` };
+  }
+  if (row.expired) {
+    throw { status: 400, message: `${label} has expired` };
+  }
+  if (
+    row.used_at ||
+    !(await account_tokens.markUsed(row.account_token_id, tx))
+  ) {
+    throw { status: 400, message: `${label} has already been used` };
+  }
+  return row;
+}
+
+/**
+ * Emails a user a link to verify their email address
+ *
+ * @param {Object} user - The user row
+ * @returns {Promise<void>}
+ * @throws {Object} - Throws an error object if the token cannot be stored or the email sent
+ */
+async function sendVerificationEmail(user) {
+  try {
+    const token = await createToken(
+      user,
+      "verify_email",
+      VERIFY_EMAIL_DURATION
+    );
+    await mailer.send({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+        `Hi ${user.firstname || user.username},`,
+        "",
+        `Please confirm that ${user.email} is the email address of your account "${user.username}" by opening this link:`,
+        "",
+        `${APP_URL}/verifyEmail?token=${token}`,
+        "",
+        "The link works once and expires in 24 hours. If you did not create an account, you can ignore this email.",
+      ].join("\n"),
+    });
+  } catch (error) {
+    console.log(
+      `Error sending verification email to user ${user.user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to send verification email",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Sends a logged-in user a new verification link
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<void>}
+ * @throws {Object} - Throws a 409 error if the address is already verified, 429 with retryAfter if a link was sent less than a minute ago, or 500 if the database operation or email fails
+ */
+async function resendVerificationEmail(user_id) {
+  let user;
+  let recent;
+  try {
+    user = await users.findById(user_id);
+    recent =
+      user &&
+      (await account_tokens.existsRecent(
+        user_id,
+        "verify_email",
+        RESEND_INTERVAL
+      ));
+  } catch (error) {
+    console.log(`Error loading user ${user_id}: ${error.message}`);
+    throw { status: 500, message: "Failed to load user", error: error };
+  }
+  if (!user) {
+    throw { status: 404, message: "User not found" };
+  }
+  if (user.email_verified_at) {
+    throw { status: 409, message: "Email address is already verified" };
+  }
+  if (recent) {
+    throw {
+      status: 429,
+      message: "A verification email was sent less than a minute ago",
+      retryAfter: RESEND_INTERVAL,
+    };
+  }
+  await sendVerificationEmail(user);
+}
+
+/**
+ * Verifies a user's email address with a token from a verification link
+ *
+ * @param {string} token - The token from the link
+ * @returns {Promise<boolean>} - True once the address is verified
+ * @throws {Object} - Throws a 400 error for an unknown, expired or used token, or 500 if the database operation fails
+ */
+async function verifyEmail(token) {
+  try {
+    await DButils.withTransaction(async (tx) => {
+      const row = await useToken(
+        token,
+        "verify_email",
+        "Verification token",
+        tx
+      );
+      await users.markEmailVerified(row.user_id, row.email, tx);
+    });
+    return true;
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error verifying email: ${error.message}`);
+    throw { status: 500, message: "Failed to verify email", error: error };
+  }
+}
+
+/**
+ * Emails a password reset link to each account registered with an address
+ *
+ * Nothing tells the caller whether an account was found, so the call
+ * cannot be used to find out who has an account. For the same reason a link
+ * that cannot be created or sent is only logged: that can only happen for
+ * an address with an account.
+ *
+ * @param {string} email - The email address
+ * @returns {Promise<void>}
+ * @throws {Object} - Throws an error object if the accounts cannot be looked up
+ */
+async function requestPasswordReset(email) {
+  let accounts;
+  try {
+    accounts = await users.findAllByEmail(email);
+  } catch (error) {
+    console.log(`Error sending password reset email: ${error.message}`);
+    throw {
+      status: 500,
+      message: "Failed to send password reset email",
+      error: error,
+    };
+  }
+
+  for (const user of accounts) {
+    try {
+      if (
+        await account_tokens.existsRecent(
+          user.user_id,
+          "reset_password",
+          RESEND_INTERVAL
+        )
+      ) {
+        continue;
+      }
+      const token = await createToken(
+        user,
+        "reset_password",
+        RESET_PASSWORD_DURATION
+      );
+      await mailer.send({
+        to: user.email,
+        subject: "Reset your password",
+        text: [
+          `Hi ${user.firstname || user.username},`,
+          "",
+          `Someone asked to reset the password of your account "${user.username}". To choose a new password, open this link:`,
+          "",
+          `${APP_URL}/resetPassword?token=${token}`,
+          "",
+          "The link works once and expires in 1 hour. If you did not ask for it, you can ignore this email; your password has not changed.",
+        ].join("\n"),
+      });
+    } catch (error) {
+      console.log(
+        `Error sending password reset email to user ${user.user_id}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Sets a new password with a token from a password reset link
+ *
+ * The user is logged out of every session and token login, and failed
+ * logins counted against their username are forgotten.
+ *
+ * @param {string} token - The token from the link
+ * @param {string} password - The new password
+ * @returns {Promise<boolean>} - True once the password is changed
+ * @throws {Object} - Throws a 400 error for an unknown, expired or used token, or 500 if the database operation fails
+ */
+async function resetPassword(token, password) {
+  let user;
+  try {
+    const hash = await bcrypt.hash(
+      password,
+      parseInt(process.env.bcrypt_saltRounds)
+    );
+    user = await DButils.withTransaction(async (tx) => {
+      const row = await useToken(
+        token,
+        "reset_password",
+        "Password reset token",
+        tx
+      );
+      await users.updatePassword(row.user_id, hash, tx);
+      // Following the link proves the address belongs to the user
+      await users.markEmailVerified(row.user_id, row.email, tx);
+      await account_tokens.deleteUnusedByUser(
+        row.user_id,
+        "reset_password",
+        tx
+      );
+      await sessions.deleteAllByUser(row.user_id, null, tx);
+      return users.findById(row.user_id, tx);
+    });
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error resetting password: ${error.message}`);
+    throw { status: 500, message: "Failed to reset password", error: error };
+  }
+
+  try {
+    await clearFailures(user.username);
+  } catch (error) {
+    console.log(
+      `Error clearing failed logins for ${user.username}: ${error.message}`
+    );
+  }
+  return true;
+}
+
+exports.sendVerificationEmail = sendVerificationEmail;
+exports.resendVerificationEmail = resendVerificationEmail;
+exports.verifyEmail = verifyEmail;
+exports.requestPasswordReset = requestPasswordReset;
+exports.resetPassword = resetPassword;
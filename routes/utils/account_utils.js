@@ -0,0 +1,589 @@
+/**
+ * Account Backup and Restore
+ *
+ * Exports everything a user has stored as one zip archive and restores such
+ * an archive into an account, on this instance or another one:
+ *
+ * - account.json: profile, preferences, favorites, watched history and
+ *   likes (with timestamps), search history, private and family recipes,
+ *   meal plan and shopping list
+ * - images/...: recipe images served by the app itself, stored under their
+ *   URL path ("images/family-images/cake.jpg")
+ *
+ * A restore adds to the target account. Recipes get new IDs, and the meal
+ * plan and shopping list entries that point at them are remapped. The
+ * profile is exported for reference only; the target account keeps its own
+ * username, email and password.
+ */
+const DButils = require("./DButils");
+const {
+  users,
+  favorite_recipes,
+  watched_recipes,
+  recipe_likes,
+  user_search_history,
+  private_recipes,
+  family_recipes,
+  meal_plan_entries,
+  shopping_list_recipes,
+  shopping_list_items,
+} = require("./repositories");
+const recipeIndex = require("./recipe_index");
+const revision_utils = require("./revision_utils");
+const { MEAL_SLOTS } = require("./meal_plan_utils");
+const { RECIPE_SOURCES } = require("./shopping_list_utils");
+const { createZip, readZip } = require("./zip_archive");
+const {
+  isLocalImage,
+  readLocalImage,
+  saveLocalImage,
+  removeLocalImage,
+} = require("./local_images");
+
+const ARCHIVE_FORMAT = "recipes-account-export";
+const ARCHIVE_VERSION = 1;
+const DATA_FILE = "account.json";
+const IMAGES_DIR = "images/";
+
+/**
+ * Parses a JSON column, keeping the text if it is not valid JSON
+ */
+function parseJson(text) {
+  if (typeof text !== "string") {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Returns the archive path of a local image URL
+ */
+function imageEntryName(url) {
+  return `${IMAGES_DIR}${url.split(/[?#]/)[0].replace(/^\/+/, "")}`;
+}
+
+/**
+ * Reads a timestamp from the archive, or null if it is missing or invalid
+ */
+function readDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Reads a positive integer recipe ID from the archive
+ */
+function readRecipeId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Builds a backup archive of a user's account
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - { filename, archive } with the zip file as a Buffer
+ * @throws {Object} - Throws a 404 error if the user does not exist, or a 500 error if the data cannot be read
+ */
+async function exportAccount(user_id) {
+  let data;
+  try {
+    const user = await users.findById(user_id);
+    if (!user) {
+      throw { status: 404, message: "User not found" };
+    }
+
+    const [
+      favorites,
+      watched,
+      likes,
+      searches,
+      privateRows,
+      familyRows,
+      meals,
+      listRecipes,
+      listItems,
+    ] = await Promise.all([
+      favorite_recipes.findRecipeIdsByUser(user_id),
+      watched_recipes.findAllByUser(user_id),
+      recipe_likes.findAllByUser(user_id),
+      user_search_history.findAllByUser(user_id),
+      private_recipes.findAllByUser(user_id),
+      family_recipes.findAllByUser(user_id),
+      meal_plan_entries.findAllByUser(user_id),
+      shopping_list_recipes.findAllByUser(user_id),
+      shopping_list_items.findAllByUser(user_id),
+    ]);
+
+    data = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        username: user.username,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        country: user.country,
+        email: user.email,
+        profilePic: user.profilePic,
+      },
+      preferences: { units: user.preferred_units || null },
+      favorites: favorites.map((row) => row.recipe_id),
+      watched: watched.map((row) => ({
+        recipe_id: row.recipe_id,
+        watched_at: row.watched_at,
+      })),
+      likes: likes.map((row) => ({
+        recipe_id: row.recipe_id,
+        liked_at: row.liked_at,
+      })),
+      searchHistory: searches.map((row) => ({
+        search_query: row.search_query,
+        search_params: parseJson(row.search_params),
+        search_results: parseJson(row.search_results),
+        searched_at: row.searched_at,
+      })),
+      privateRecipes: privateRows.map((row) => ({
+        recipe_id: row.recipe_id,
+        title: row.title,
+        readyInMinutes: row.readyInMinutes,
+        image_url: row.image_url,
+        popularity: row.popularity,
+        vegan: Boolean(row.vegan),
+        vegetarian: Boolean(row.vegetarian),
+        gluten_free: Boolean(row.gluten_free),
+        ingredients: parseJson(row.ingredients) || [],
+        instructions: row.instructions,
+        servings: row.servings,
+      })),
+      familyRecipes: familyRows.map((row) => ({
+        recipe_id: row.recipe_id,
+        recipe_name: row.recipe_name,
+        owner_name: row.owner_name,
+        when_to_prepare: row.when_to_prepare,
+        ingredients: parseJson(row.ingredients) || [],
+        instructions: row.instructions,
+        image_url: row.image_url,
+        readyInMinutes: row.readyInMinutes,
+        servings: row.servings,
+      })),
+      mealPlan: meals.map((row) => ({
+        plan_date: row.plan_date,
+        slot: row.slot,
+        recipe_source: row.recipe_source,
+        recipe_id: row.recipe_id,
+        servings: row.servings,
+      })),
+      shoppingList: {
+        recipes: listRecipes.map((row) => ({
+          recipe_source: row.recipe_source,
+          recipe_id: row.recipe_id,
+          servings: row.servings,
+        })),
+        items: listItems.map((row) => ({
+          name: row.name,
+          quantity: row.quantity === null ? null : Number(row.quantity),
+          unit: row.unit,
+          aisle: row.aisle,
+          checked: Boolean(row.checked),
+        })),
+      },
+    };
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error exporting account of user ${user_id}: ${error.message}`);
+    throw {
+      status: 500,
+      message: "Failed to export account data",
+      error: error,
+    };
+  }
+
+  const entries = [{ name: DATA_FILE, data: JSON.stringify(data, null, 2) }];
+  const imageUrls = new Set(
+    [...data.privateRecipes, ...data.familyRecipes]
+      .map((recipe) => recipe.image_url)
+      .filter(isLocalImage)
+  );
+  for (const url of imageUrls) {
+    const image = await readLocalImage(url);
+    if (image) {
+      entries.push({ name: imageEntryName(url), data: image });
+    }
+  }
+
+  const date = data.exportedAt.slice(0, 10);
+  return {
+    filename: `account-${data.profile.username}-${date}.zip`,
+    archive: createZip(entries),
+  };
+}
+
+/**
+ * Unpacks and checks a backup archive
+ *
+ * @param {Buffer} archive - The zip file
+ * @returns {Object} - { data, files } with the parsed account.json and all archive files
+ * @throws {Object} - Throws a 400 error if the archive is not a valid backup
+ */
+function readArchive(archive) {
+  const files = readZip(archive);
+  const invalid = (message) => ({ status: 400, message });
+
+  if (!files.has(DATA_FILE)) {
+    throw invalid(`Archive has no ${DATA_FILE}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(files.get(DATA_FILE).toString("utf8"));
+  } catch (error) {
+    throw invalid(`${DATA_FILE} is not valid JSON`);
+  }
+  if (!data || data.format !== ARCHIVE_FORMAT) {
+    throw invalid("Archive is not an account export");
+  }
+  if (data.version !== ARCHIVE_VERSION) {
+    throw invalid(`Unsupported account export version: ${data.version}`);
+  }
+
+  const lists = [
+    "favorites",
+    "watched",
+    "likes",
+    "searchHistory",
+    "privateRecipes",
+    "familyRecipes",
+    "mealPlan",
+  ];
+  for (const list of lists) {
+    if (data[list] !== undefined && !Array.isArray(data[list])) {
+      throw invalid(`${list} must be an array`);
+    }
+  }
+  if (data.shoppingList !== undefined) {
+    const { shoppingList } = data;
+    if (
+      !shoppingList ||
+      typeof shoppingList !== "object" ||
+      Array.isArray(shoppingList)
+    ) {
+      throw invalid("shoppingList must be an object");
+    }
+    for (const list of ["recipes", "items"]) {
+      if (
+        shoppingList[list] !== undefined &&
+        !Array.isArray(shoppingList[list])
+      ) {
+        throw invalid(`shoppingList.${list} must be an array`);
+      }
+    }
+  }
+
+  (data.privateRecipes || []).forEach((recipe, index) => {
+    if (!recipe || !recipe.title || !(Number(recipe.servings) > 0)) {
+      throw invalid(`privateRecipes[${index}] needs a title and servings`);
+    }
+  });
+  (data.familyRecipes || []).forEach((recipe, index) => {
+    if (
+      !recipe ||
+      !recipe.recipe_name ||
+      !recipe.owner_name ||
+      !recipe.instructions
+    ) {
+      throw invalid(
+        `familyRecipes[${index}] needs a recipe_name, owner_name and instructions`
+      );
+    }
+  });
+
+  return { data, files };
+}
+
+/**
+ * Restores the local image of a recipe from the archive
+ *
+ * URLs of newly written files are added to `written`, so they can be
+ * deleted again if the restore fails.
+ *
+ * @returns {Promise<string|null>} - The image URL to store with the recipe
+ */
+async function restoreImage(url, files, counts, written) {
+  if (!isLocalImage(url) || !files.has(imageEntryName(url))) {
+    return url || null;
+  }
+  try {
+    const saved = await saveLocalImage(url, files.get(imageEntryName(url)));
+    if (!saved) {
+      return url;
+    }
+    counts.images++;
+    if (saved.created) {
+      written.push(saved.url);
+    }
+    return saved.url;
+  } catch (error) {
+    console.log(`Error restoring image ${url}: ${error.message}`);
+    return url;
+  }
+}
+
+/**
+ * Restores a backup archive into a user's account
+ *
+ * Everything is added in one transaction, so a failed restore changes
+ * nothing in the database, and the image files it wrote are deleted again.
+ * Favorites, likes and watched recipes already in the account are kept.
+ *
+ * @param {number} user_id - The ID of the target user
+ * @param {Buffer} archive - The zip file made by exportAccount
+ * @returns {Promise<Object>} - { imported, recipeIds } with counts per kind and the old -> new recipe IDs
+ * @throws {Object} - Throws a 400 error for an invalid archive, or a 500 error if the restore fails
+ */
+async function importAccount(user_id, archive) {
+  const { data, files } = readArchive(archive);
+  const counts = {
+    favorites: 0,
+    watched: 0,
+    likes: 0,
+    searchHistory: 0,
+    privateRecipes: 0,
+    familyRecipes: 0,
+    mealPlan: 0,
+    shoppingList: 0,
+    images: 0,
+  };
+
+  // Images are written before the transaction, so their URLs are known
+  const written = [];
+  const privateRecipes = [];
+  for (const recipe of data.privateRecipes || []) {
+    privateRecipes.push({
+      old_id: recipe.recipe_id,
+      columns: {
+        title: String(recipe.title).slice(0, 100),
+        readyInMinutes: Number(recipe.readyInMinutes) || 0,
+        image_url:
+          (await restoreImage(recipe.image_url, files, counts, written)) || "",
+        popularity: Number(recipe.popularity) || 0,
+        vegan: recipe.vegan ? 1 : 0,
+        vegetarian: recipe.vegetarian ? 1 : 0,
+        gluten_free: recipe.gluten_free ? 1 : 0,
+        ingredients: JSON.stringify(recipe.ingredients || []),
+        instructions: recipe.instructions || "",
+        servings: Number(recipe.servings),
+      },
+    });
+  }
+  const familyRecipes = [];
+  for (const recipe of data.familyRecipes || []) {
+    familyRecipes.push({
+      old_id: recipe.recipe_id,
+      columns: {
+        recipe_name: String(recipe.recipe_name).slice(0, 100),
+        owner_name: String(recipe.owner_name).slice(0, 100),
+        when_to_prepare: recipe.when_to_prepare || null,
+        ingredients: JSON.stringify(recipe.ingredients || []),
+        instructions: recipe.instructions,
+        image_url: await restoreImage(recipe.image_url, files, counts, written),
+        readyInMinutes: Number(recipe.readyInMinutes) || null,
+        servings: Number(recipe.servings) || null,
+      },
+    });
+  }
+
+  const recipeIds = { private: {}, family: {} };
+  try {
+    await DButils.withTransaction(async (tx) => {
+      const units = data.preferences && data.preferences.units;
+      if (units === "metric" || units === "us") {
+        await users.updatePreferredUnits(user_id, units, tx);
+      }
+
+      for (const recipe_id of (data.favorites || []).map(readRecipeId)) {
+        if (!recipe_id) continue;
+        await favorite_recipes.addIfMissing(user_id, recipe_id, tx);
+        counts.favorites++;
+      }
+      for (const entry of data.watched || []) {
+        const recipe_id = readRecipeId(entry && entry.recipe_id);
+        if (!recipe_id) continue;
+        await watched_recipes.restore(
+          user_id,
+          recipe_id,
+          readDate(entry.watched_at),
+          tx
+        );
+        counts.watched++;
+      }
+      for (const entry of data.likes || []) {
+        const recipe_id = readRecipeId(entry && entry.recipe_id);
+        if (!recipe_id) continue;
+        await recipe_likes.restore(
+          user_id,
+          recipe_id,
+          readDate(entry.liked_at),
+          tx
+        );
+        counts.likes++;
+      }
+      for (const entry of data.searchHistory || []) {
+        if (!entry || typeof entry.search_query !== "string") continue;
+        await user_search_history.restore(
+          user_id,
+          {
+            search_query: entry.search_query.slice(0, 255),
+            search_params: JSON.stringify(entry.search_params || {}),
+            search_results: JSON.stringify(entry.search_results || []),
+            searched_at: readDate(entry.searched_at),
+          },
+          tx
+        );
+        counts.searchHistory++;
+      }
+
+      const restoreRecipes = async (source, recipes, repository) => {
+        for (const recipe of recipes) {
+          const recipe_id = await repository.create(
+            user_id,
+            recipe.columns,
+            tx
+          );
+          await revision_utils.recordRevision(
+            source,
+            recipe_id,
+            {
+              current: recipe.columns,
+              edited_by: user_id,
+              change_type: "create",
+            },
+            tx
+          );
+          recipe.recipe_id = recipe_id;
+          if (recipe.old_id !== undefined && recipe.old_id !== null) {
+            recipeIds[source][recipe.old_id] = recipe_id;
+          }
+        }
+        counts[`${source}Recipes`] = recipes.length;
+      };
+      await restoreRecipes("private", privateRecipes, private_recipes);
+      await restoreRecipes("family", familyRecipes, family_recipes);
+
+      // Local recipes are looked up under their new IDs; references to
+      // recipes that were not in the archive are dropped
+      const remap = (source, id) => {
+        if (!RECIPE_SOURCES.includes(source)) return null;
+        return source === "spoonacular"
+          ? readRecipeId(id)
+          : recipeIds[source][id];
+      };
+
+      for (const entry of data.mealPlan || []) {
+        const recipe_id = entry && remap(entry.recipe_source, entry.recipe_id);
+        if (
+          !recipe_id ||
+          !/^\d{4}-\d{2}-\d{2}$/.test(entry.plan_date) ||
+          !MEAL_SLOTS.includes(entry.slot) ||
+          !(Number(entry.servings) > 0)
+        ) {
+          continue;
+        }
+        await meal_plan_entries.upsert(
+          user_id,
+          {
+            plan_date: entry.plan_date,
+            slot: entry.slot,
+            recipe_source: entry.recipe_source,
+            recipe_id,
+            servings: Number(entry.servings),
+          },
+          tx
+        );
+        counts.mealPlan++;
+      }
+
+      const shoppingList = data.shoppingList || {};
+      for (const entry of shoppingList.recipes || []) {
+        const recipe_id = entry && remap(entry.recipe_source, entry.recipe_id);
+        if (!recipe_id) continue;
+        await shopping_list_recipes.upsert(
+          user_id,
+          entry.recipe_source,
+          recipe_id,
+          Number(entry.servings) || null,
+          tx
+        );
+        counts.shoppingList++;
+      }
+      for (const item of shoppingList.items || []) {
+        if (!item || typeof item.name !== "string" || !item.name.trim()) {
+          continue;
+        }
+        const quantity = Number(item.quantity);
+        const item_id = await shopping_list_items.insert(
+          user_id,
+          {
+            name: item.name.trim().slice(0, 255),
+            quantity:
+              item.quantity === null || !Number.isFinite(quantity)
+                ? null
+                : quantity,
+            unit: typeof item.unit === "string" ? item.unit.slice(0, 20) : null,
+            aisle:
+              typeof item.aisle === "string" ? item.aisle.slice(0, 100) : null,
+          },
+          tx
+        );
+        if (item.checked) {
+          await shopping_list_items.setChecked(item_id, user_id, true, tx);
+        }
+        counts.shoppingList++;
+      }
+    });
+  } catch (error) {
+    console.log(
+      `Error importing account data for user ${user_id}: ${error.message}`
+    );
+    // No recipe points at the restored images any more
+    await Promise.all(
+      written.map((url) =>
+        removeLocalImage(url).catch((removeError) =>
+          console.log(
+            `Error removing restored image ${url}: ${removeError.message}`
+          )
+        )
+      )
+    );
+    throw {
+      status: 500,
+      message: "Failed to import account data",
+      error: error,
+    };
+  }
+
+  privateRecipes.forEach((recipe) =>
+    recipeIndex.add("private", {
+      ...recipe.columns,
+      recipe_id: recipe.recipe_id,
+      user_id,
+    })
+  );
+  familyRecipes.forEach((recipe) =>
+    recipeIndex.add("family", {
+      ...recipe.columns,
+      recipe_id: recipe.recipe_id,
+      user_id,
+    })
+  );
+
+  return { imported: counts, recipeIds };
+}
+
+exports.exportAccount = exportAccount;
+exports.importAccount = importAccount;
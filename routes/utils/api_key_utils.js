@@ -0,0 +1,193 @@
+/**
+ * Personal API Keys
+ *
+ * Users create named API keys to script against the API, and choose the
+ * scopes each key grants. A key is sent like an access token, as
+ * `Authorization: Bearer rk_...`, and can only use the routes its scopes
+ * allow (see auth.requireScope). Keys do not expire; they work until their
+ * owner revokes them.
+ */
+const crypto = require("crypto");
+const { api_keys } = require("./repositories");
+
+// Every key starts with this, which tells keys apart from access tokens
+const KEY_PREFIX = "rk_";
+
+// Characters of the key kept in clear text, to tell keys apart in lists
+const DISPLAY_PREFIX_LENGTH = 10;
+
+// Scopes a key can be granted. Reading and writing are separate scopes;
+// a write scope does not include the read one.
+const API_KEY_SCOPES = [
+  "recipes:read", // private recipes and their revisions
+  "recipes:write",
+  "family:read", // family recipes and their revisions
+  "family:write",
+  "favorites:read",
+  "favorites:write",
+  "history:read", // watched recipes and search history
+  "history:write",
+  "likes:write",
+  "profile:read", // preferences
+  "profile:write", // preferences and profile picture
+  "shopping:read",
+  "shopping:write",
+  "mealplan:read",
+  "mealplan:write",
+];
+
+/**
+ * Hashes an API key for storage
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Shapes an API key row for the API
+ *
+ * @param {Object} row - Row from the api_keys repository
+ * @returns {Object} - api_key_id, name, prefix, scopes, created_at and last_used_at
+ */
+function toApiKey(row) {
+  return {
+    api_key_id: row.api_key_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes.split(" ").filter(Boolean),
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+  };
+}
+
+/**
+ * Tells whether a bearer token is an API key rather than an access token
+ *
+ * @param {string} token - A bearer token
+ * @returns {boolean} - True for API keys
+ */
+function isApiKey(token) {
+  return token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Creates an API key
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} name - Name of the key, unique among the user's keys
+ * @param {Array<string>} scopes - Scopes from API_KEY_SCOPES
+ * @returns {Promise<Object>} - The key's details and the key itself, which is not shown again
+ * @throws {Object} - Throws a 409 error if the user has a key with that name, or 500 if the database operation fails
+ */
+async function createApiKey(user_id, name, scopes) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const row = {
+    user_id,
+    name,
+    key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    key_hash: hashKey(key),
+    scopes: [...new Set(scopes)].join(" "),
+  };
+
+  try {
+    const api_key_id = await api_keys.create(row);
+    return {
+      ...toApiKey({
+        ...row,
+        api_key_id,
+        created_at: new Date(),
+        last_used_at: null,
+      }),
+      key,
+    };
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw {
+        status: 409,
+        message: "You already have an API key with that name",
+      };
+    }
+    console.log(`Error creating API key for user ${user_id}: ${error.message}`);
+    throw { status: 500, message: "Failed to create API key", error: error };
+  }
+}
+
+/**
+ * Lists a user's API keys, newest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Array<Object>>} - Keys with api_key_id, name, prefix, scopes, created_at and last_used_at
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function listApiKeys(user_id) {
+  try {
+    const rows = await api_keys.findAllByUser(user_id);
+    return rows.map(toApiKey);
+  } catch (error) {
+    console.log(`Error listing API keys for user ${user_id}: ${error.message}`);
+    throw { status: 500, message: "Failed to load API keys", error: error };
+  }
+}
+
+/**
+ * Revokes one of a user's API keys
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} api_key_id - The ID of the API key
+ * @returns {Promise<boolean>} - True once the key is revoked
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the user has no such key, or 500 if the database operation fails
+ */
+async function revokeApiKey(user_id, api_key_id) {
+  const parsedApiKeyId = parseInt(api_key_id);
+  if (isNaN(parsedApiKeyId)) {
+    throw { status: 400, message: "Invalid API key ID format." };
+  }
+
+  let deleted;
+  try {
+    deleted = await api_keys.deleteByIdForUser(parsedApiKeyId, user_id);
+  } catch (error) {
+    console.log(
+      `Error revoking API key ${parsedApiKeyId} for user ${user_id}: ${error.message}`
+    );
+    throw { status: 500, message: "Failed to revoke API key", error: error };
+  }
+
+  if (!deleted) {
+    throw { status: 404, message: "API key not found" };
+  }
+  return true;
+}
+
+/**
+ * Checks an API key and records that it was used
+ *
+ * @param {string} key - The bearer token of a request
+ * @returns {Promise<Object>} - { user_id, api_key_id, scopes }
+ * @throws {Object} - Throws a 401 error for an unknown key, or 500 if the database operation fails
+ */
+async function verifyApiKey(key) {
+  let row;
+  try {
+    row = await api_keys.findByKeyHash(hashKey(key));
+    if (row) {
+      await api_keys.touch(row.api_key_id);
+    }
+  } catch (error) {
+    console.log(`Error checking API key: ${error.message}`);
+    throw { status: 500, message: "Failed to check API key", error: error };
+  }
+
+  if (!row) {
+    throw { status: 401, message: "Invalid API key" };
+  }
+  const { api_key_id, scopes } = toApiKey(row);
+  return { user_id: row.user_id, api_key_id, scopes };
+}
+
+exports.API_KEY_SCOPES = API_KEY_SCOPES;
+exports.isApiKey = isApiKey;
+exports.createApiKey = createApiKey;
+exports.listApiKeys = listApiKeys;
+exports.revokeApiKey = revokeApiKey;
+exports.verifyApiKey = verifyApiKey;
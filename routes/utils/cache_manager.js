@@ -7,7 +7,7 @@
  * 3. API fallback (slowest)
  */
 
-const DButils = require("./DButils");
+const { api_cache } = require("./repositories");
 
 class CacheManager {
   constructor() {
@@ -19,6 +19,7 @@ class CacheManager {
       recipe_information: 24 * 60 * 60 * 1000, // 24 hours for recipe details
       random_recipes: 2 * 60 * 60 * 1000, // 2 hours for random recipes
       search_recipes: 4 * 60 * 60 * 1000, // 4 hours for search results
+      search_recipe_ids: 4 * 60 * 60 * 1000, // 4 hours for search result IDs
       recipe_nutrition: 7 * 24 * 60 * 60 * 1000, // 7 days for nutrition (rarely changes)
       default: 30 * 60 * 1000, // 30 minutes default
     };
@@ -68,14 +69,9 @@ class CacheManager {
    */
   async getFromDatabaseCache(cacheKey) {
     try {
-      const result = await DButils.execQuery(
-        `SELECT response_data, expires_at FROM api_cache 
-         WHERE cache_key = ? AND expires_at > NOW()`,
-        [cacheKey]
-      );
+      const cached = await api_cache.findValid(cacheKey);
 
-      if (result[0] && result[0].length > 0) {
-        const cached = result[0][0];
+      if (cached) {
         console.log(`💾 Database cache HIT for ${cacheKey}`);
 
         // Also store in memory cache for next time
@@ -108,20 +104,12 @@ class CacheManager {
 
     // Store in database cache
     try {
-      await DButils.execQuery(
-        `INSERT INTO api_cache (cache_key, endpoint, response_data, expires_at, request_params) 
-         VALUES (?, ?, ?, ?, ?) 
-         ON DUPLICATE KEY UPDATE 
-         response_data = VALUES(response_data), 
-         expires_at = VALUES(expires_at), 
-         request_params = VALUES(request_params)`,
-        [
-          cacheKey,
-          endpoint,
-          JSON.stringify(data),
-          expiresAt,
-          JSON.stringify(params),
-        ]
+      await api_cache.upsert(
+        cacheKey,
+        endpoint,
+        JSON.stringify(data),
+        expiresAt,
+        JSON.stringify(params)
       );
 
       console.log(
@@ -163,14 +151,10 @@ class CacheManager {
    */
   async cleanupExpiredCache() {
     try {
-      const result = await DButils.execQuery(
-        `DELETE FROM api_cache WHERE expires_at < NOW()`
-      );
+      const deleted = await api_cache.deleteExpired();
 
-      if (result[0].affectedRows > 0) {
-        console.log(
-          `🧹 Cleaned up ${result[0].affectedRows} expired cache entries`
-        );
+      if (deleted > 0) {
+        console.log(`🧹 Cleaned up ${deleted} expired cache entries`);
       }
     } catch (error) {
       console.error("Cache cleanup error:", error);
@@ -182,20 +166,11 @@ class CacheManager {
    */
   async getCacheStats() {
     try {
-      const stats = await DButils.execQuery(`
-        SELECT 
-          endpoint,
-          COUNT(*) as count,
-          MIN(created_at) as oldest,
-          MAX(expires_at) as newest_expiry
-        FROM api_cache 
-        WHERE expires_at > NOW()
-        GROUP BY endpoint
-      `);
+      const stats = await api_cache.statsByEndpoint();
 
       return {
         memoryCache: this.memoryCache.size,
-        databaseCache: stats[0] || [],
+        databaseCache: stats,
       };
     } catch (error) {
       console.error("Error getting cache stats:", error);
@@ -209,7 +184,7 @@ class CacheManager {
   async clearAllCache() {
     this.memoryCache.clear();
     try {
-      await DButils.execQuery(`DELETE FROM api_cache`);
+      await api_cache.deleteAll();
       console.log("🗑️ All cache cleared");
     } catch (error) {
       console.error("Error clearing cache:", error);
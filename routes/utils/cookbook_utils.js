@@ -0,0 +1,435 @@
+/**
+ * Cookbook Export
+ *
+ * Renders a user's family or private recipes as a printable PDF cookbook:
+ * a cover, a table of contents linking to each recipe, and one recipe per
+ * page (longer recipes continue on the next page) with its image, owner,
+ * when to prepare it, ingredients and instructions.
+ *
+ * Images are embedded when they are local files served by the app
+ * ("/family-images/...") in JPEG or PNG format; any other image is shown as
+ * a placeholder.
+ *
+ * Text is printed in Helvetica, which only has Latin-1 characters. Set
+ * pdf_font (and optionally pdf_font_bold) to TrueType font files to print
+ * other scripts such as Hebrew; characters still missing are reported with
+ * the PDF.
+ */
+const fs = require("fs");
+const PdfDocument = require("./pdf_document");
+const user_utils = require("./user_utils");
+const { users } = require("./repositories");
+const {
+  normalizeIngredients,
+  formatIngredient,
+} = require("./ingredient_parser");
+const { instructionSteps } = require("./text_analysis");
+const { readLocalImage } = require("./local_images");
+
+const MARGIN = 56;
+const FOOTER_Y = 815;
+const BOTTOM = 780;
+const IMAGE_MAX_HEIGHT = 220;
+const PLACEHOLDER_HEIGHT = 140;
+const TOC_TOP = 120;
+const TOC_LINE_HEIGHT = 20;
+const TOC_LINES_PER_PAGE = Math.floor((BOTTOM - TOC_TOP) / TOC_LINE_HEIGHT);
+
+const ACCENT = "#8c3b1f";
+const MUTED = "#666666";
+
+// Code points listed with a PDF that could not print them
+const MAX_REPORTED_CHARACTERS = 50;
+
+// Font file path -> contents, read on first use
+const fontFiles = new Map();
+
+/**
+ * Lists the facts shown under a recipe's title
+ */
+function recipeFacts(recipe) {
+  const facts = [];
+  if (recipe.owner) {
+    facts.push(`From ${recipe.owner}`);
+  }
+  if (recipe.whenToMake) {
+    facts.push(`When to prepare: ${recipe.whenToMake}`);
+  }
+  if (Number(recipe.readyInMinutes) > 0) {
+    facts.push(`Ready in ${recipe.readyInMinutes} minutes`);
+  }
+  if (Number(recipe.servings) > 0) {
+    facts.push(`Serves ${recipe.servings}`);
+  }
+  if (recipe.vegan) {
+    facts.push("Vegan");
+  } else if (recipe.vegetarian) {
+    facts.push("Vegetarian");
+  }
+  if (recipe.glutenFree) {
+    facts.push("Gluten free");
+  }
+  return facts;
+}
+
+/**
+ * Writes one recipe, starting on a new page
+ *
+ * @param {PdfDocument} doc - The document
+ * @param {Object} recipe - Recipe with normalized ingredients
+ * @returns {Promise<number>} - Index of the recipe's first page
+ */
+async function renderRecipe(doc, recipe) {
+  const width = doc.pageWidth - 2 * MARGIN;
+  let page = doc.addPage();
+  const firstPage = page.index;
+  let y = MARGIN;
+
+  // Moves to a continuation page when the next block does not fit
+  const ensureSpace = (height) => {
+    if (y + height <= BOTTOM) {
+      return;
+    }
+    page = doc.addPage();
+    page.text(`${recipe.title} (continued)`, MARGIN, MARGIN, {
+      font: "italic",
+      size: 10,
+      color: MUTED,
+    });
+    y = MARGIN + 24;
+  };
+
+  doc.wrap(recipe.title, "bold", 22, width).forEach((line) => {
+    y += 22;
+    page.text(line, MARGIN, y, { font: "bold", size: 22, color: ACCENT });
+    y += 6;
+  });
+
+  const facts = recipeFacts(recipe).join("  |  ");
+  if (facts) {
+    doc.wrap(facts, "italic", 11, width).forEach((line) => {
+      y += 15;
+      page.text(line, MARGIN, y, { font: "italic", size: 11, color: MUTED });
+    });
+  }
+  y += 10;
+  page.line(MARGIN, y, MARGIN + width, y, { color: ACCENT, width: 0.75 });
+  y += 16;
+
+  const data = await readLocalImage(recipe.image);
+  const image = data ? doc.addImage(data) : null;
+  if (image) {
+    const scale = Math.min(
+      width / image.width,
+      IMAGE_MAX_HEIGHT / image.height
+    );
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+    page.image(
+      image,
+      MARGIN + (width - imageWidth) / 2,
+      y,
+      imageWidth,
+      imageHeight
+    );
+    y += imageHeight + 20;
+  } else {
+    page.rect(MARGIN, y, width, PLACEHOLDER_HEIGHT, "#eeeae6");
+    const label = "No photo yet";
+    page.text(
+      label,
+      MARGIN + (width - doc.widthOf(label, "italic", 12)) / 2,
+      y + PLACEHOLDER_HEIGHT / 2 + 4,
+      { font: "italic", size: 12, color: MUTED }
+    );
+    y += PLACEHOLDER_HEIGHT + 20;
+  }
+
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 14;
+    page.text(text, MARGIN, y, { font: "bold", size: 14, color: ACCENT });
+    y += 10;
+  };
+
+  heading("Ingredients");
+  const ingredients = recipe.ingredients || [];
+  if (ingredients.length === 0) {
+    y += 15;
+    page.text("No ingredients listed", MARGIN, y, {
+      font: "italic",
+      size: 11,
+      color: MUTED,
+    });
+  }
+  ingredients.forEach((ingredient) => {
+    doc
+      .wrap(formatIngredient(ingredient), "regular", 11, width - 14)
+      .forEach((line, index) => {
+        ensureSpace(15);
+        y += 15;
+        if (index === 0) {
+          page.text("•", MARGIN, y, { size: 11, color: ACCENT });
+        }
+        page.text(line, MARGIN + 14, y, { size: 11 });
+      });
+  });
+  y += 12;
+
+  heading("Instructions");
+  const paragraphs = instructionSteps(recipe.instructions);
+  if (paragraphs.length === 0) {
+    y += 15;
+    page.text("No instructions written", MARGIN, y, {
+      font: "italic",
+      size: 11,
+      color: MUTED,
+    });
+  }
+  paragraphs.forEach((paragraph) => {
+    doc.wrap(paragraph, "regular", 11, width).forEach((line) => {
+      ensureSpace(15);
+      y += 15;
+      page.text(line, MARGIN, y, { size: 11 });
+    });
+    y += 6;
+  });
+
+  return firstPage;
+}
+
+/**
+ * Draws the cover page
+ */
+function renderCover(doc, page, title, subtitle, recipeCount) {
+  const width = doc.pageWidth - 2 * MARGIN;
+  page.rect(0, 0, doc.pageWidth, 300, ACCENT);
+  doc.wrap(title, "bold", 36, width).forEach((line, index) => {
+    page.text(line, MARGIN, 200 + index * 42, {
+      font: "bold",
+      size: 36,
+      color: "#ffffff",
+    });
+  });
+  if (subtitle) {
+    page.text(subtitle, MARGIN, 360, { size: 18 });
+  }
+  page.text(
+    `${recipeCount} ${recipeCount === 1 ? "recipe" : "recipes"}`,
+    MARGIN,
+    390,
+    { size: 14, color: MUTED }
+  );
+  page.text(
+    `Printed on ${new Date().toISOString().slice(0, 10)}`,
+    MARGIN,
+    FOOTER_Y - 20,
+    { font: "italic", size: 10, color: MUTED }
+  );
+}
+
+/**
+ * Fills the table of contents pages
+ *
+ * @param {PdfDocument} doc - The document
+ * @param {Array<PdfPage>} tocPages - The pages reserved for the contents
+ * @param {Array<Object>} entries - { title, pageIndex } per recipe
+ */
+function renderContents(doc, tocPages, entries) {
+  const width = doc.pageWidth - 2 * MARGIN;
+  tocPages.forEach((page, pageNumber) => {
+    page.text(
+      pageNumber === 0 ? "Contents" : "Contents (continued)",
+      MARGIN,
+      90,
+      {
+        font: "bold",
+        size: 22,
+        color: ACCENT,
+      }
+    );
+
+    entries
+      .slice(
+        pageNumber * TOC_LINES_PER_PAGE,
+        (pageNumber + 1) * TOC_LINES_PER_PAGE
+      )
+      .forEach((entry, index) => {
+        const y = TOC_TOP + (index + 1) * TOC_LINE_HEIGHT;
+        const number = String(entry.pageIndex + 1);
+        const numberWidth = doc.widthOf(number, "regular", 12);
+
+        // One line per recipe: long titles are shortened
+        const maxTitleWidth = width - numberWidth - 20;
+        let title = entry.title;
+        if (doc.widthOf(title, "regular", 12) > maxTitleWidth) {
+          while (
+            title.length > 1 &&
+            doc.widthOf(`${title}…`, "regular", 12) > maxTitleWidth
+          ) {
+            title = title.slice(0, -1);
+          }
+          title = `${title.trimEnd()}…`;
+        }
+
+        page.text(title, MARGIN, y, { size: 12 });
+        const dotsStart = MARGIN + doc.widthOf(title, "regular", 12) + 6;
+        const dotsEnd = MARGIN + width - numberWidth - 6;
+        const dotWidth = doc.widthOf(".", "regular", 12);
+        if (dotsEnd > dotsStart) {
+          page.text(
+            ".".repeat(Math.floor((dotsEnd - dotsStart) / dotWidth)),
+            dotsStart,
+            y,
+            { size: 12, color: MUTED }
+          );
+        }
+        page.text(number, MARGIN + width - numberWidth, y, { size: 12 });
+        page.link(MARGIN, y - 13, width, TOC_LINE_HEIGHT, entry.pageIndex);
+      });
+  });
+}
+
+/**
+ * Reads the TrueType fonts set in pdf_font and pdf_font_bold
+ *
+ * @returns {Promise<Object>} - { regular, bold } font files; fonts that are not set or cannot be read are left out
+ */
+async function loadFonts() {
+  const fonts = {};
+  const paths = {
+    regular: process.env.pdf_font,
+    bold: process.env.pdf_font_bold,
+  };
+  for (const [style, file] of Object.entries(paths)) {
+    if (!file) continue;
+    if (!fontFiles.has(file)) {
+      try {
+        fontFiles.set(file, await fs.promises.readFile(file));
+      } catch (error) {
+        console.log(`Error reading PDF font ${file}: ${error.message}`);
+        continue;
+      }
+    }
+    fonts[style] = fontFiles.get(file);
+  }
+  return fonts;
+}
+
+/**
+ * Renders a list of recipes as a cookbook
+ *
+ * @param {Object} options - { title, subtitle, recipes }
+ * @returns {Promise<Object>} - { pdf, missingCharacters } with the PDF file and the code points ("U+05D0") it printed as "?", at most 50
+ */
+async function renderCookbook({ title, subtitle, recipes }) {
+  const doc = new PdfDocument(
+    { Title: title, Author: subtitle || "" },
+    { fonts: await loadFonts() }
+  );
+
+  const cover = doc.addPage();
+  const tocPages = Array.from(
+    { length: Math.max(1, Math.ceil(recipes.length / TOC_LINES_PER_PAGE)) },
+    () => doc.addPage()
+  );
+
+  const entries = [];
+  for (const recipe of recipes) {
+    const pageIndex = await renderRecipe(doc, recipe);
+    entries.push({ title: recipe.title, pageIndex });
+  }
+
+  renderCover(doc, cover, title, subtitle, recipes.length);
+  renderContents(doc, tocPages, entries);
+
+  // Page numbers, except on the cover
+  doc.pages.slice(1).forEach((page) => {
+    const label = String(page.index + 1);
+    page.text(
+      label,
+      (doc.pageWidth - doc.widthOf(label, "regular", 9)) / 2,
+      FOOTER_Y,
+      { size: 9, color: MUTED }
+    );
+  });
+
+  const pdf = doc.toBuffer();
+  const missingCharacters = Array.from(doc.missingCharacters)
+    .slice(0, MAX_REPORTED_CHARACTERS)
+    .map(
+      (char) =>
+        `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`
+    );
+  return { pdf, missingCharacters };
+}
+
+/**
+ * Returns "Firstname Lastname" of a user, or null
+ */
+async function userDisplayName(user_id) {
+  try {
+    const user = await users.findById(user_id);
+    const name =
+      user && [user.firstname, user.lastname].filter(Boolean).join(" ");
+    return name || (user && user.username) || null;
+  } catch (error) {
+    console.log(`Error retrieving user ${user_id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Exports the user's family recipes as a PDF cookbook
+ *
+ * Includes the same recipes as the family recipes page, so the default
+ * recipes are printed when the user has fewer than three of their own.
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - { pdf, missingCharacters }, see renderCookbook
+ * @throws {Object} - Throws an error object if the recipes cannot be retrieved
+ */
+async function exportFamilyCookbook(user_id) {
+  const recipes = (await user_utils.getAllFamilyRecipes(user_id)).map(
+    (recipe) => ({
+      ...recipe,
+      ingredients: normalizeIngredients(recipe.ingredients),
+    })
+  );
+  const name = await userDisplayName(user_id);
+
+  return renderCookbook({
+    title: "Family Cookbook",
+    subtitle: name ? `Collected by ${name}` : null,
+    recipes,
+  });
+}
+
+/**
+ * Exports the user's private recipes as a PDF cookbook
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - { pdf, missingCharacters }, see renderCookbook
+ * @throws {Object} - Throws a 404 error if the user has no private recipes
+ */
+async function exportPrivateCookbook(user_id) {
+  const recipes = (await user_utils.getPrivateRecipes(user_id)).map(
+    (recipe) => ({
+      ...recipe,
+      ingredients: normalizeIngredients(recipe.ingredients),
+    })
+  );
+  if (recipes.length === 0) {
+    throw { status: 404, message: "No private recipes to export" };
+  }
+  const name = await userDisplayName(user_id);
+
+  return renderCookbook({
+    title: "My Recipes",
+    subtitle: name,
+    recipes,
+  });
+}
+
+exports.exportFamilyCookbook = exportFamilyCookbook;
+exports.exportPrivateCookbook = exportPrivateCookbook;
@@ -0,0 +1,96 @@
+/**
+ * File Storage
+ *
+ * Uploaded files are kept behind a small storage interface, so the rest of
+ * the app only deals in keys and URLs and another backend (object storage,
+ * a CDN) can replace the local one:
+ *
+ *   save(key, data)  -> Promise<string>  stores a file, returns its URL
+ *   remove(url)      -> Promise<boolean> deletes a file saved earlier
+ *   owns(url)        -> boolean          tells whether a URL is one of its files
+ *
+ * LocalDiskStorage writes into the `public` directory, which main.js serves
+ * with express.static, so a file saved as "family-images/cake.jpg" is
+ * served at "/family-images/cake.jpg".
+ */
+const fs = require("fs");
+const path = require("path");
+
+// Directories uploads are saved in, under the storage root
+const UPLOAD_DIRECTORIES = ["recipe-images", "family-images", "avatars"];
+
+class LocalDiskStorage {
+  /**
+   * @param {string} root - Directory served as the site root
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Resolves a key to a file path, refusing keys that leave the root
+   *
+   * @param {string} key - Relative path such as "avatars/abc.jpg"
+   * @returns {string|null} - The file path
+   */
+  pathFor(key) {
+    const file = path.resolve(this.root, key);
+    return file.startsWith(this.root + path.sep) ? file : null;
+  }
+
+  /**
+   * Stores a file under a key, replacing any file with that key
+   *
+   * @param {string} key - Relative path such as "avatars/abc.jpg"
+   * @param {Buffer} data - File contents
+   * @returns {Promise<string>} - URL the file is served from
+   */
+  async save(key, data) {
+    const file = this.pathFor(key);
+    if (!file) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+    return `/${key.split(path.sep).join("/")}`;
+  }
+
+  /**
+   * Tells whether a URL points at a file uploaded to this storage
+   *
+   * @param {string} url - File URL, e.g. a recipe's image
+   * @returns {boolean} - True for URLs in the upload directories
+   */
+  owns(url) {
+    return (
+      typeof url === "string" &&
+      UPLOAD_DIRECTORIES.some((directory) => url.startsWith(`/${directory}/`))
+    );
+  }
+
+  /**
+   * Deletes an uploaded file by its URL
+   *
+   * @param {string} url - URL returned by save
+   * @returns {Promise<boolean>} - True if a file was deleted
+   */
+  async remove(url) {
+    const file = this.owns(url) && this.pathFor(`.${url.split(/[?#]/)[0]}`);
+    if (!file) {
+      return false;
+    }
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new LocalDiskStorage(
+  path.join(__dirname, "..", "..", "public")
+);
@@ -0,0 +1,437 @@
+/**
+ * Image Processing
+ *
+ * Recognizes uploaded images and makes thumbnails of them with zlib alone.
+ * JPEG and PNG images are decoded, scaled down with an area average and
+ * saved as PNG thumbnails; photos are turned upright using their Exif
+ * orientation. Images that cannot be decoded (progressive JPEGs, interlaced
+ * PNGs) get no thumbnail.
+ */
+const zlib = require("zlib");
+const { decodeJpeg, MAX_PIXELS } = require("./jpeg_decoder");
+
+const PNG_SIGNATURE = Buffer.from("89504e470d0a1a0a", "hex");
+
+// Image formats accepted for upload, recognized by their first bytes
+const IMAGE_TYPES = {
+  jpeg: { contentType: "image/jpeg", extension: ".jpg" },
+  png: { contentType: "image/png", extension: ".png" },
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Recognizes an image format from the file contents
+ *
+ * @param {Buffer} data - The file
+ * @returns {Object|null} - { type, contentType, extension }, or null if the file is not a JPEG or PNG image
+ */
+function detectImageType(data) {
+  if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8) {
+    return { type: "jpeg", ...IMAGE_TYPES.jpeg };
+  }
+  if (data.length > 8 && data.slice(0, 8).equals(PNG_SIGNATURE)) {
+    return { type: "png", ...IMAGE_TYPES.png };
+  }
+  return null;
+}
+
+/**
+ * Reverses the PNG row filters of inflated image data
+ *
+ * @param {Buffer} data - Inflated IDAT data (a filter byte before each row)
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} bytesPerPixel - Bytes of one pixel
+ * @returns {Buffer} - Raw pixel rows without filter bytes
+ */
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const rowLength = width * bytesPerPixel;
+  const pixels = Buffer.alloc(rowLength * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowLength + 1)];
+    const source = y * (rowLength + 1) + 1;
+    const target = y * rowLength;
+
+    for (let x = 0; x < rowLength; x++) {
+      const raw = data[source + x];
+      const left = x >= bytesPerPixel ? pixels[target + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[target - rowLength + x] : 0;
+      const upLeft =
+        y > 0 && x >= bytesPerPixel
+          ? pixels[target - rowLength + x - bytesPerPixel]
+          : 0;
+
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = Math.floor((left + up) / 2);
+      } else if (filter === 4) {
+        predictor = paeth(left, up, upLeft);
+      }
+      pixels[target + x] = (raw + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * The PNG Paeth predictor: whichever neighbour is closest to left + up - upLeft
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distLeft = Math.abs(estimate - left);
+  const distUp = Math.abs(estimate - up);
+  const distUpLeft = Math.abs(estimate - upLeft);
+  if (distLeft <= distUp && distLeft <= distUpLeft) {
+    return left;
+  }
+  return distUp <= distUpLeft ? up : upLeft;
+}
+
+/**
+ * Splits a PNG file into its header, palette, transparency and image data
+ *
+ * @param {Buffer} data - PNG file contents
+ * @returns {Object|null} - { header, palette, transparency, compressed }, or null if the data is not a PNG
+ */
+function readPngChunks(data) {
+  if (data.length < 33 || !data.slice(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString("latin1", offset + 4, offset + 8);
+    const chunk = data.slice(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  return header
+    ? { header, palette, transparency, compressed: Buffer.concat(idat) }
+    : null;
+}
+
+/**
+ * Decodes a PNG image into RGBA pixels
+ *
+ * Supports 8 and 16-bit images of every color type; interlaced images and
+ * images with fewer than 8 bits per sample are not supported.
+ *
+ * @param {Buffer} data - PNG file contents
+ * @returns {Object|null} - { width, height, channels: 4, pixels }, or null if unsupported
+ */
+function decodePng(data) {
+  const png = readPngChunks(data);
+  if (!png) {
+    return null;
+  }
+  const { width, height, bitDepth, colorType, interlace } = png.header;
+  const samples = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (
+    !samples ||
+    interlace !== 0 ||
+    !(bitDepth === 8 || (bitDepth === 16 && colorType !== 3)) ||
+    (colorType === 3 && !png.palette) ||
+    width * height > MAX_PIXELS
+  ) {
+    return null;
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  let raw;
+  try {
+    // Data beyond the rows the header announces is refused, not inflated
+    const rowBytes = 1 + width * samples * bytesPerSample;
+    raw = unfilterPng(
+      zlib.inflateSync(png.compressed, {
+        maxOutputLength: rowBytes * height,
+      }),
+      width,
+      height,
+      samples * bytesPerSample
+    );
+  } catch (error) {
+    return null;
+  }
+
+  const pixels = Buffer.alloc(width * height * 4);
+  const sample = (index) => raw[index * bytesPerSample];
+  for (let i = 0; i < width * height; i++) {
+    const at = i * samples;
+    let rgba;
+    if (colorType === 0) {
+      rgba = [sample(at), sample(at), sample(at), 255];
+    } else if (colorType === 2) {
+      rgba = [sample(at), sample(at + 1), sample(at + 2), 255];
+    } else if (colorType === 3) {
+      const index = raw[at];
+      rgba = [
+        png.palette[index * 3],
+        png.palette[index * 3 + 1],
+        png.palette[index * 3 + 2],
+        png.transparency && index < png.transparency.length
+          ? png.transparency[index]
+          : 255,
+      ];
+    } else if (colorType === 4) {
+      rgba = [sample(at), sample(at), sample(at), sample(at + 1)];
+    } else {
+      rgba = [sample(at), sample(at + 1), sample(at + 2), sample(at + 3)];
+    }
+    pixels[i * 4] = rgba[0];
+    pixels[i * 4 + 1] = rgba[1];
+    pixels[i * 4 + 2] = rgba[2];
+    pixels[i * 4 + 3] = rgba[3];
+  }
+
+  return { width, height, channels: 4, pixels };
+}
+
+/**
+ * Scales an image down to fit a box, averaging the pixels each output pixel covers
+ *
+ * @param {Object} image - { width, height, channels, pixels }
+ * @param {number} maxSize - Largest width and height of the result
+ * @returns {Object} - The scaled image (the same image if it already fits)
+ */
+function resizeImage(image, maxSize) {
+  const { width, height, channels, pixels } = image;
+  const scale = Math.min(1, maxSize / width, maxSize / height);
+  if (scale === 1) {
+    return image;
+  }
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const result = Buffer.alloc(targetWidth * targetHeight * channels);
+
+  // Source columns and rows covered by each output column and row
+  const spans = (target, source) =>
+    Array.from({ length: target }, (_, i) => {
+      const start = Math.floor((i * source) / target);
+      const end = Math.max(start + 1, Math.floor(((i + 1) * source) / target));
+      return [start, end];
+    });
+  const columns = spans(targetWidth, width);
+  const rows = spans(targetHeight, height);
+  const sums = new Float64Array(channels);
+
+  for (let y = 0; y < targetHeight; y++) {
+    const [top, bottom] = rows[y];
+    for (let x = 0; x < targetWidth; x++) {
+      const [left, right] = columns[x];
+      sums.fill(0);
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const at = (sy * width + sx) * channels;
+          for (let c = 0; c < channels; c++) {
+            sums[c] += pixels[at + c];
+          }
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const at = (y * targetWidth + x) * channels;
+      for (let c = 0; c < channels; c++) {
+        result[at + c] = Math.round(sums[c] / count);
+      }
+    }
+  }
+
+  return { width: targetWidth, height: targetHeight, channels, pixels: result };
+}
+
+/**
+ * Turns an image upright according to its Exif orientation (1-8)
+ *
+ * @param {Object} image - { width, height, channels, pixels }
+ * @param {number} orientation - Exif orientation
+ * @returns {Object} - The upright image
+ */
+function orientImage(image, orientation) {
+  const { width, height, channels, pixels } = image;
+  const swap = orientation >= 5;
+  const targetWidth = swap ? height : width;
+  const targetHeight = swap ? width : height;
+  const result = Buffer.alloc(pixels.length);
+
+  // Where the pixel at (x, y) goes
+  const place = {
+    2: (x, y) => [width - 1 - x, y],
+    3: (x, y) => [width - 1 - x, height - 1 - y],
+    4: (x, y) => [x, height - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [height - 1 - y, x],
+    7: (x, y) => [height - 1 - y, width - 1 - x],
+    8: (x, y) => [y, width - 1 - x],
+  }[orientation];
+  if (!place) {
+    return image;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [tx, ty] = place(x, y);
+      pixels.copy(
+        result,
+        (ty * targetWidth + tx) * channels,
+        (y * width + x) * channels,
+        (y * width + x + 1) * channels
+      );
+    }
+  }
+
+  return { width: targetWidth, height: targetHeight, channels, pixels: result };
+}
+
+/**
+ * Computes the CRC-32 checksum of a PNG chunk
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Writes one PNG chunk
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes pixels as a PNG file
+ *
+ * Each row uses whichever filter leaves the smallest values, as most PNG
+ * writers do; fully opaque RGBA images are written without the alpha channel.
+ *
+ * @param {Object} image - { width, height, channels (1, 3 or 4), pixels }
+ * @returns {Buffer} - The PNG file
+ */
+function encodePng(image) {
+  let { width, height, channels, pixels } = image;
+  if (channels === 4) {
+    let opaque = true;
+    for (let i = 3; i < pixels.length && opaque; i += 4) {
+      opaque = pixels[i] === 255;
+    }
+    if (opaque) {
+      const rgb = Buffer.alloc(width * height * 3);
+      for (let i = 0; i < width * height; i++) {
+        pixels.copy(rgb, i * 3, i * 4, i * 4 + 3);
+      }
+      pixels = rgb;
+      channels = 3;
+    }
+  }
+
+  const rowLength = width * channels;
+  const filtered = Buffer.alloc((rowLength + 1) * height);
+  const candidate = Buffer.alloc(rowLength);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowLength;
+    let bestScore = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let x = 0; x < rowLength; x++) {
+        const left = x >= channels ? pixels[row + x - channels] : 0;
+        const up = y > 0 ? pixels[row - rowLength + x] : 0;
+        const upLeft =
+          y > 0 && x >= channels ? pixels[row - rowLength + x - channels] : 0;
+        let predictor = 0;
+        if (filter === 1) {
+          predictor = left;
+        } else if (filter === 2) {
+          predictor = up;
+        } else if (filter === 3) {
+          predictor = Math.floor((left + up) / 2);
+        } else if (filter === 4) {
+          predictor = paeth(left, up, upLeft);
+        }
+        const value = (pixels[row + x] - predictor) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        filtered[y * (rowLength + 1)] = filter;
+        candidate.copy(filtered, y * (rowLength + 1) + 1);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = { 1: 0, 3: 2, 4: 6 }[channels];
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(filtered, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Makes a PNG thumbnail of a JPEG or PNG image
+ *
+ * @param {Buffer} data - The image file
+ * @param {number} maxSize - Largest width and height of the thumbnail
+ * @returns {Buffer|null} - The thumbnail, or null if the image cannot be decoded
+ */
+function createThumbnail(data, maxSize) {
+  const format = detectImageType(data);
+  const image =
+    format && (format.type === "jpeg" ? decodeJpeg(data) : decodePng(data));
+  if (!image) {
+    return null;
+  }
+  const thumbnail = orientImage(resizeImage(image, maxSize), image.orientation);
+  return encodePng(thumbnail);
+}
+
+exports.IMAGE_TYPES = IMAGE_TYPES;
+exports.detectImageType = detectImageType;
+exports.unfilterPng = unfilterPng;
+exports.readPngChunks = readPngChunks;
+exports.createThumbnail = createThumbnail;
@@ -0,0 +1,223 @@
+/**
+ * Image Uploads
+ *
+ * Stores uploaded recipe images and avatars with a thumbnail next to each
+ * one, and points the recipe or user at the new image. An image saved as
+ * "/family-images/<id>.jpg" has its thumbnail at
+ * "/family-images/thumbnails/<id>.png".
+ */
+const crypto = require("crypto");
+const storage = require("./file_storage");
+const user_utils = require("./user_utils");
+const { createThumbnail } = require("./image_processing");
+const { users, private_recipes, family_recipes } = require("./repositories");
+
+// Largest accepted image file, in bytes
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// Largest width and height of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// URL of an avatar saved by uploadAvatar: a random UUID name, nothing else
+const AVATAR_URL =
+  /^\/avatars\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(jpg|png)$/;
+
+/**
+ * Returns the thumbnail URL of an uploaded image
+ *
+ * @param {string} url - Image URL returned by storeImage
+ * @returns {string} - Thumbnail URL
+ */
+function thumbnailUrl(url) {
+  const slash = url.lastIndexOf("/");
+  const name = url.slice(slash + 1).replace(/\.[^.]*$/, "");
+  return `${url.slice(0, slash)}/thumbnails/${name}.png`;
+}
+
+/**
+ * Saves an image and its thumbnail under a new name
+ *
+ * Images whose format cannot be decoded (such as progressive JPEGs) are
+ * stored without a thumbnail, and the image itself stands in for it.
+ *
+ * @param {string} directory - Storage directory, e.g. "avatars"
+ * @param {Object} image - { data, extension } as set by validateImageUpload
+ * @returns {Promise<Object>} - { image, thumbnail } URLs
+ */
+async function storeImage(directory, image) {
+  const name = crypto.randomUUID();
+  const url = await storage.save(
+    `${directory}/${name}${image.extension}`,
+    image.data
+  );
+
+  const thumbnail = createThumbnail(image.data, THUMBNAIL_SIZE);
+  if (!thumbnail) {
+    console.log(`No thumbnail for ${url}: image format cannot be decoded`);
+    return { image: url, thumbnail: url };
+  }
+  try {
+    await storage.save(`${directory}/thumbnails/${name}.png`, thumbnail);
+  } catch (error) {
+    await storage.remove(url);
+    throw error;
+  }
+  return { image: url, thumbnail: thumbnailUrl(url) };
+}
+
+/**
+ * Deletes an uploaded image and its thumbnail, logging failures
+ *
+ * @param {Object} stored - { image, thumbnail } as returned by storeImage
+ */
+async function discardImage(stored) {
+  for (const url of new Set([stored.image, stored.thumbnail])) {
+    try {
+      await storage.remove(url);
+    } catch (error) {
+      console.log(`Error deleting uploaded file ${url}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Stores an image and attaches it to a recipe through the recipe's update
+ *
+ * @param {string} source - "private" or "family"
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @param {Object} image - { data, extension } as set by validateImageUpload
+ * @returns {Promise<Object>} - { image, thumbnail } URLs
+ */
+async function uploadRecipeImage(source, user_id, recipe_id, image) {
+  const parsedRecipeId = parseInt(recipe_id);
+  if (isNaN(parsedRecipeId)) {
+    throw { status: 400, message: "Invalid recipe ID format." };
+  }
+  const repository = source === "private" ? private_recipes : family_recipes;
+
+  let stored;
+  try {
+    const recipe = await repository.findByIdForUser(parsedRecipeId, user_id);
+    if (!recipe) {
+      throw {
+        status: 404,
+        message:
+          source === "private"
+            ? "Recipe not found or not owned by user."
+            : "Family recipe not found or not owned by user.",
+      };
+    }
+    stored = await storeImage(
+      source === "private" ? "recipe-images" : "family-images",
+      image
+    );
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error storing image for ${source} recipe ${parsedRecipeId}: ${error.message}`
+    );
+    throw { status: 500, message: "Failed to store image", error: error };
+  }
+
+  try {
+    if (source === "private") {
+      await user_utils.updatePrivateRecipe(
+        user_id,
+        parsedRecipeId,
+        { image: stored.image },
+        true
+      );
+    } else {
+      await user_utils.updateFamilyRecipe(
+        user_id,
+        parsedRecipeId,
+        { image_url: stored.image },
+        true
+      );
+    }
+  } catch (error) {
+    await discardImage(stored);
+    throw error;
+  }
+  return stored;
+}
+
+/**
+ * Stores an image of a private recipe and makes it the recipe's image
+ *
+ * The previous image is kept, since earlier revisions of the recipe still
+ * refer to it.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} recipe_id - The ID of the private recipe
+ * @param {Object} image - { data, extension } as set by validateImageUpload
+ * @returns {Promise<Object>} - { image, thumbnail } URLs
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the recipe is not found or not owned, or 500 if storing fails
+ */
+async function uploadPrivateRecipeImage(user_id, recipe_id, image) {
+  return uploadRecipeImage("private", user_id, recipe_id, image);
+}
+
+/**
+ * Stores an image of a family recipe and makes it the recipe's image
+ *
+ * The built-in default family recipes cannot be changed.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} recipe_id - The ID of the family recipe
+ * @param {Object} image - { data, extension } as set by validateImageUpload
+ * @returns {Promise<Object>} - { image, thumbnail } URLs
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the recipe is not found or not owned, or 500 if storing fails
+ */
+async function uploadFamilyRecipeImage(user_id, recipe_id, image) {
+  return uploadRecipeImage("family", user_id, recipe_id, image);
+}
+
+/**
+ * Stores a profile picture and makes it the user's profilePic
+ *
+ * A previously uploaded avatar and its thumbnail are deleted. Any other
+ * profilePic is left alone, even one in the upload directories: only URLs
+ * in the exact form storeImage gives avatars are deleted.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} image - { data, extension } as set by validateImageUpload
+ * @returns {Promise<Object>} - { image, thumbnail } URLs
+ * @throws {Object} - Throws a 404 error if the user does not exist, or 500 if storing fails
+ */
+async function uploadAvatar(user_id, image) {
+  let stored;
+  try {
+    const user = await users.findById(user_id);
+    if (!user) {
+      throw { status: 404, message: "User not found" };
+    }
+    stored = await storeImage("avatars", image);
+    await users.updateProfilePic(user_id, stored.image);
+
+    if (AVATAR_URL.test(user.profilePic || "")) {
+      await discardImage({
+        image: user.profilePic,
+        thumbnail: thumbnailUrl(user.profilePic),
+      });
+    }
+    return stored;
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    if (stored) {
+      await discardImage(stored);
+    }
+    console.log(`Error storing avatar for user ${user_id}: ${error.message}`);
+    throw { status: 500, message: "Failed to store avatar", error: error };
+  }
+}
+
+exports.MAX_IMAGE_SIZE = MAX_IMAGE_SIZE;
+exports.uploadPrivateRecipeImage = uploadPrivateRecipeImage;
+exports.uploadFamilyRecipeImage = uploadFamilyRecipeImage;
+exports.uploadAvatar = uploadAvatar;
@@ -0,0 +1,536 @@
+/**
+ * Ingredient Parser
+ *
+ * Normalizes the different ingredient formats used in the application into
+ * one shape:
+ *
+ *   { quantity, quantityMax, unit, name, note, aisle, original }
+ *
+ * - quantity: number, or null when no amount is given ("to taste")
+ * - quantityMax: upper bound for ranges such as "2-3", otherwise null
+ * - unit: canonical unit name ("g", "cup", "tbsp", ...), or null for plain
+ *   counts. Only the spellings in UNIT_ALIASES are units.
+ * - name: the ingredient itself
+ * - note: size, preparation or other remarks ("large", "drained", "to
+ *   taste"), or null
+ * - aisle: the store aisle Spoonacular files the ingredient under, or null
+ * - original: the text the ingredient was parsed from
+ *
+ * Inputs can be the `{name, amount}` objects stored for private and family
+ * recipes, plain ingredient lines, Spoonacular `extendedIngredients`, or
+ * ingredients already in this shape, which are kept as they are.
+ */
+
+const { analyze, stem } = require("./text_analysis");
+
+// Canonical unit name for every accepted spelling
+const UNIT_ALIASES = {
+  g: ["g", "gr", "gram", "grams", "gramme", "grammes"],
+  kg: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"],
+  mg: ["mg", "milligram", "milligrams"],
+  ml: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"],
+  l: ["l", "liter", "liters", "litre", "litres"],
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons"],
+  tbsp: ["tbsp", "tbsps", "tbs", "tb", "tablespoon", "tablespoons"],
+  cup: ["cup", "cups", "c"],
+  "fl oz": ["fl oz", "fluid ounce", "fluid ounces"],
+  oz: ["oz", "ounce", "ounces"],
+  lb: ["lb", "lbs", "pound", "pounds"],
+  pint: ["pint", "pints", "pt"],
+  quart: ["quart", "quarts", "qt"],
+  gallon: ["gallon", "gallons", "gal"],
+  pinch: ["pinch", "pinches"],
+  dash: ["dash", "dashes"],
+  clove: ["clove", "cloves"],
+  can: ["can", "cans"],
+  box: ["box", "boxes"],
+  bag: ["bag", "bags"],
+  package: ["package", "packages", "pkg", "pack", "packs"],
+  slice: ["slice", "slices"],
+  piece: ["piece", "pieces"],
+  bunch: ["bunch", "bunches"],
+  stick: ["stick", "sticks"],
+  sprig: ["sprig", "sprigs"],
+  handful: ["handful", "handfuls"],
+  serving: ["serving", "servings"],
+};
+
+// Single letters whose case tells the unit apart: "1 T" is a tablespoon,
+// "1 t" a teaspoon
+const CASED_UNITS = { T: "tbsp", t: "tsp" };
+
+// Sizes written between the count and the ingredient ("3 large eggs"); they
+// describe the ingredient, so they become part of the note
+const SIZE = /^(extra[- ]large|large|medium|small)\b\s*/i;
+
+const UNIT_LOOKUP = new Map();
+Object.entries(UNIT_ALIASES).forEach(([unit, aliases]) =>
+  aliases.forEach((alias) => UNIT_LOOKUP.set(alias, unit))
+);
+
+// Multi-word spellings are matched before single words
+const MULTI_WORD_UNITS = Object.values(UNIT_ALIASES)
+  .flat()
+  .filter((alias) => alias.includes(" "));
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  dozen: 12,
+  half: 0.5,
+  quarter: 0.25,
+  third: 1 / 3,
+};
+
+const UNICODE_FRACTIONS = {
+  "½": 0.5,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "¼": 0.25,
+  "¾": 0.75,
+  "⅕": 0.2,
+  "⅛": 0.125,
+  "⅜": 0.375,
+  "⅝": 0.625,
+  "⅞": 0.875,
+};
+
+// Amounts that mean "no fixed quantity"
+const UNMEASURED =
+  /^(to taste|as needed|as required|optional|some|for serving|for garnish)$/i;
+const UNMEASURED_SUFFIX =
+  /\s+(to taste|as needed|as required|for serving|for garnish)$/i;
+
+/**
+ * Returns the canonical unit for a word, or null if it is not a known unit
+ *
+ * @param {string} word - Unit as written ("Tablespoons", "kg", ...)
+ * @returns {string|null} - Canonical unit name
+ */
+function canonicalUnit(word) {
+  if (!word) {
+    return null;
+  }
+  const key = String(word).trim().replace(/\.$/, "");
+  return CASED_UNITS[key] || UNIT_LOOKUP.get(key.toLowerCase()) || null;
+}
+
+/**
+ * Reads one number at the start of the text
+ *
+ * Understands integers, decimals ("1.5" or "1,5"), fractions ("1/2"),
+ * mixed numbers ("1 1/2", "1½"), unicode fractions and number words
+ * ("half", "a dozen").
+ *
+ * @param {string} text - Text starting with a number
+ * @returns {Object|null} - { value, rest } or null when the text has no leading number
+ */
+function readNumber(text) {
+  let match = text.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)(?![\d.])/);
+  if (match) {
+    return {
+      value: Number(match[1]) + Number(match[2]) / Number(match[3]),
+      rest: text.slice(match[0].length),
+    };
+  }
+
+  match = text.match(/^(\d+)\s*\/\s*(\d+)/);
+  if (match && Number(match[2]) !== 0) {
+    return {
+      value: Number(match[1]) / Number(match[2]),
+      rest: text.slice(match[0].length),
+    };
+  }
+
+  const fractions = Object.keys(UNICODE_FRACTIONS).join("");
+  match = text.match(new RegExp(`^(\\d+)?\\s*([${fractions}])`));
+  if (match) {
+    return {
+      value: Number(match[1] || 0) + UNICODE_FRACTIONS[match[2]],
+      rest: text.slice(match[0].length),
+    };
+  }
+
+  match = text.match(/^\d+(?:[.,]\d+)?/);
+  if (match) {
+    return {
+      value: Number(match[0].replace(",", ".")),
+      rest: text.slice(match[0].length),
+    };
+  }
+
+  match = text.match(/^([a-z]+)\b/i);
+  if (match && NUMBER_WORDS[match[1].toLowerCase()] !== undefined) {
+    let value = NUMBER_WORDS[match[1].toLowerCase()];
+    let rest = text.slice(match[0].length);
+
+    // "half a cup", "a half cup", "a dozen"
+    const next = rest.match(/^\s+(a|an|half|dozen|quarter)\b/i);
+    if (next) {
+      const word = next[1].toLowerCase();
+      if (word === "dozen" || word === "half" || word === "quarter") {
+        value *= NUMBER_WORDS[word];
+      }
+      rest = rest.slice(next[0].length);
+    }
+    return { value, rest };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a quantity or range ("2", "2-3", "2 to 3", "2 or 3") at the start of the text
+ *
+ * @param {string} text - Text starting with an amount
+ * @returns {Object} - { quantity, quantityMax, rest }; quantity is null when there is no amount
+ */
+function readQuantity(text) {
+  const first = readNumber(text.trim());
+  if (!first) {
+    return { quantity: null, quantityMax: null, rest: text.trim() };
+  }
+
+  const range = first.rest.match(/^\s*(?:-|–|—|to|or)\s*/i);
+  if (range) {
+    const second = readNumber(first.rest.slice(range[0].length));
+    if (second && second.value > first.value) {
+      return {
+        quantity: first.value,
+        quantityMax: second.value,
+        rest: second.rest.trim(),
+      };
+    }
+  }
+  return { quantity: first.value, quantityMax: null, rest: first.rest.trim() };
+}
+
+/**
+ * Reads a unit at the start of the text
+ *
+ * @param {string} text - Text following the quantity
+ * @returns {Object} - { unit, rest }; unit is null when the text does not start with a known unit
+ */
+function readUnit(text) {
+  const lower = text.toLowerCase();
+  for (const alias of MULTI_WORD_UNITS) {
+    if (lower.startsWith(alias + " ") || lower === alias) {
+      return {
+        unit: UNIT_LOOKUP.get(alias),
+        rest: text.slice(alias.length).trim(),
+      };
+    }
+  }
+
+  const match = text.match(/^([a-z]+)\.?(?=\s|$)/i);
+  if (match && canonicalUnit(match[1])) {
+    return {
+      unit: canonicalUnit(match[1]),
+      rest: text.slice(match[0].length).trim(),
+    };
+  }
+  return { unit: null, rest: text };
+}
+
+/**
+ * Reads a size word ("large", "medium"...) at the start of the text
+ *
+ * @param {string} text - Text following the quantity
+ * @returns {Object} - { size, rest }; size is null when the text does not start with one
+ */
+function readSize(text) {
+  const match = text.match(SIZE);
+  if (!match) {
+    return { size: null, rest: text };
+  }
+  return { size: match[1].toLowerCase(), rest: text.slice(match[0].length) };
+}
+
+/**
+ * Splits a name into the ingredient and a note
+ *
+ * Text after the first comma and text in parentheses become the note:
+ * "tomatoes (ripe), diced" -> name "tomatoes", note "ripe, diced".
+ *
+ * @param {string} text - Ingredient name with optional remarks
+ * @returns {Object} - { name, note }
+ */
+function splitNote(text) {
+  const notes = [];
+  let name = text.replace(UNMEASURED_SUFFIX, (match, phrase) => {
+    notes.push(phrase);
+    return "";
+  });
+  name = name.replace(/\(([^)]*)\)/g, (match, inner) => {
+    notes.push(inner.trim());
+    return " ";
+  });
+
+  const comma = name.indexOf(",");
+  if (comma !== -1) {
+    notes.push(name.slice(comma + 1).trim());
+    name = name.slice(0, comma);
+  }
+
+  name = name
+    .replace(/^\s*of\s+/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const note = notes.filter((part) => part.length > 0).join(", ");
+  return { name, note: note || null };
+}
+
+/**
+ * Parses an amount such as "1 cup", "half kilo" or "to taste"
+ *
+ * @param {string|number} amount - The amount as entered
+ * @param {string} [name] - The ingredient name, so "1 lemon" for a lemon is not read as a unit
+ * @returns {Object} - { quantity, quantityMax, unit, note }
+ */
+function parseAmount(amount, name) {
+  const text = String(amount === undefined || amount === null ? "" : amount)
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) {
+    return { quantity: null, quantityMax: null, unit: null, note: null };
+  }
+  if (UNMEASURED.test(text)) {
+    return { quantity: null, quantityMax: null, unit: null, note: text };
+  }
+
+  const { quantity, quantityMax, rest } = readQuantity(text);
+  const { size, rest: afterSize } = readSize(rest);
+  const { unit, rest: remainder } = readUnit(afterSize);
+  let note = remainder || null;
+
+  // A word after the number that just repeats the ingredient ("1 lemon" of
+  // lemon) is dropped; other unknown words stay in the note
+  if (
+    !unit &&
+    quantity !== null &&
+    note &&
+    /^[a-z]+$/i.test(note) &&
+    analyze(name).includes(stem(note.toLowerCase()))
+  ) {
+    note = null;
+  }
+  return {
+    quantity,
+    quantityMax,
+    unit,
+    note: [size, note].filter(Boolean).join(", ") || null,
+  };
+}
+
+/**
+ * Parses a free-form ingredient line such as "2 cups chopped tomatoes, drained"
+ *
+ * @param {string} line - The ingredient line
+ * @returns {Object} - Normalized ingredient
+ */
+function parseIngredientLine(line) {
+  const original = String(line || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const { quantity, quantityMax, rest } = readQuantity(original);
+
+  // Package sizes come between the count and the unit: "1 (14 oz) can beans"
+  let size = null;
+  const afterSize = rest.replace(/^\(([^)]*)\)\s*/, (match, inner) => {
+    size = inner.trim();
+    return "";
+  });
+  const sized = quantity === null ? { size: null } : readSize(afterSize);
+  const { unit, rest: remainder } =
+    quantity === null ? { unit: null, rest } : readUnit(sized.rest);
+  const split = splitNote(quantity === null ? rest : remainder);
+  const name = split.name;
+  const note =
+    [quantity === null ? null : size, sized.size, split.note]
+      .filter(Boolean)
+      .join(", ") || null;
+
+  return {
+    quantity,
+    quantityMax,
+    unit,
+    name: name || original,
+    note,
+    aisle: null,
+    original,
+  };
+}
+
+/**
+ * Normalizes a Spoonacular extendedIngredients entry
+ *
+ * @param {Object} ingredient - Entry with amount, unit, name and meta
+ * @returns {Object} - Normalized ingredient
+ */
+function normalizeSpoonacularIngredient(ingredient) {
+  const unitText = String(ingredient.unit || "").trim();
+  const unit = canonicalUnit(unitText);
+  const meta = (Array.isArray(ingredient.meta) ? ingredient.meta : []).slice();
+  // Spoonacular also gives sizes and other words as the unit ("2 large
+  // eggs"); they go to the note
+  if (unitText && !unit && !meta.includes(unitText.toLowerCase())) {
+    meta.unshift(unitText.toLowerCase());
+  }
+
+  return {
+    quantity:
+      typeof ingredient.amount === "number" && ingredient.amount > 0
+        ? ingredient.amount
+        : null,
+    quantityMax: null,
+    unit,
+    name: ingredient.nameClean || ingredient.name || "",
+    note: meta.length > 0 ? meta.join(", ") : null,
+    aisle: ingredient.aisle || null,
+    original: ingredient.original || "",
+  };
+}
+
+/**
+ * Reads an ingredient that is already normalized
+ *
+ * Clients send back the ingredients they read, so these keep their
+ * quantities and notes instead of being parsed again. The fields come from
+ * a request, so each one is checked.
+ *
+ * @param {Object} ingredient - Ingredient with a quantity key
+ * @returns {Object} - Normalized ingredient
+ */
+function readNormalizedIngredient(ingredient) {
+  const number = (value) =>
+    typeof value === "number" && value > 0 ? value : null;
+  const text = (value) =>
+    typeof value === "string" && value.trim() ? value.trim() : null;
+  const quantity = number(ingredient.quantity);
+  const quantityMax = number(ingredient.quantityMax);
+
+  return {
+    quantity,
+    quantityMax:
+      quantity !== null && quantityMax > quantity ? quantityMax : null,
+    unit: canonicalUnit(ingredient.unit),
+    name: text(ingredient.name) || "",
+    note: text(ingredient.note),
+    aisle: text(ingredient.aisle),
+    original: text(ingredient.original) || "",
+  };
+}
+
+/**
+ * Normalizes one ingredient of any supported format
+ *
+ * @param {string|Object} ingredient - Ingredient line, {name, amount} object, Spoonacular entry or normalized ingredient
+ * @returns {Object} - Normalized ingredient
+ */
+function normalizeIngredient(ingredient) {
+  if (typeof ingredient === "string") {
+    return parseIngredientLine(ingredient);
+  }
+  if (!ingredient || typeof ingredient !== "object") {
+    return parseIngredientLine(String(ingredient || ""));
+  }
+  if (Object.prototype.hasOwnProperty.call(ingredient, "quantity")) {
+    return readNormalizedIngredient(ingredient);
+  }
+  if (typeof ingredient.amount === "number" || ingredient.original) {
+    return normalizeSpoonacularIngredient(ingredient);
+  }
+
+  // {name, amount} as stored for private and family recipes
+  const { name, note } = splitNote(String(ingredient.name || ""));
+  const amount = parseAmount(ingredient.amount, name);
+  const notes = [note, amount.note].filter(Boolean).join(", ");
+  const amountText = String(
+    ingredient.amount === undefined || ingredient.amount === null
+      ? ""
+      : ingredient.amount
+  ).trim();
+  let original = String(ingredient.name || "").trim();
+  if (amountText) {
+    original =
+      amount.quantity === null
+        ? `${original}, ${amountText}`
+        : `${amountText} ${original}`;
+  }
+
+  return {
+    quantity: amount.quantity,
+    quantityMax: amount.quantityMax,
+    unit: amount.unit,
+    name: name,
+    note: notes || null,
+    aisle: null,
+    original: original,
+  };
+}
+
+/**
+ * Normalizes a whole ingredient list
+ *
+ * @param {Array|string} ingredients - Ingredients array, or its JSON text
+ * @returns {Array<Object>} - Normalized ingredients
+ */
+function normalizeIngredients(ingredients) {
+  let list = ingredients;
+  if (typeof ingredients === "string") {
+    try {
+      list = JSON.parse(ingredients);
+    } catch (error) {
+      list = ingredients.split(/\n+/);
+    }
+  }
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .map(normalizeIngredient)
+    .filter((ingredient) => ingredient.name || ingredient.original);
+}
+
+/**
+ * Writes a normalized ingredient back as one line of text
+ *
+ * Scaled or converted ingredients are written from their new quantity;
+ * others keep the text as it was entered.
+ *
+ * @param {Object} ingredient - Normalized ingredient
+ * @returns {string} - E.g. "1 1/2 cup flour, sifted"
+ */
+function formatIngredient(ingredient) {
+  if (!ingredient.quantityText && ingredient.original) {
+    return ingredient.original;
+  }
+  const quantity =
+    ingredient.quantityText ||
+    (typeof ingredient.quantity === "number"
+      ? String(ingredient.quantity)
+      : "");
+  const line = [quantity, ingredient.unit, ingredient.name]
+    .filter(Boolean)
+    .join(" ");
+  return ingredient.note ? `${line}, ${ingredient.note}` : line;
+}
+
+exports.canonicalUnit = canonicalUnit;
+exports.parseAmount = parseAmount;
+exports.parseIngredientLine = parseIngredientLine;
+exports.normalizeIngredient = normalizeIngredient;
+exports.normalizeIngredients = normalizeIngredients;
+exports.formatIngredient = formatIngredient;
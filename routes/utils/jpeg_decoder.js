@@ -0,0 +1,551 @@
+/**
+ * JPEG Decoder
+ *
+ * Decodes baseline JPEG images (the format cameras and phones write) into
+ * RGB pixels with plain JavaScript, so uploaded photos can be resized into
+ * thumbnails. Progressive, lossless, arithmetic-coded, 12-bit and CMYK
+ * images are not supported; decodeJpeg returns null for them.
+ */
+
+// Position in the 8x8 block of each coefficient in zigzag order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+];
+
+// IDCT_TABLE[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+const IDCT_TABLE = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+    IDCT_TABLE[x * 8 + u] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+// Largest image decoded, in pixels: a 12 MP phone photo (4000 x 3000).
+// Decoding is synchronous and takes about 6 bytes a pixel, so this keeps
+// one upload to about 72 MB.
+const MAX_PIXELS = 12 * 1000 * 1000;
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Builds the decoding tables of a Huffman table segment
+ *
+ * @param {Buffer} counts - Number of codes of each length 1-16
+ * @param {Buffer} symbols - The symbols in code order
+ * @returns {Object} - { maxCode, minCode, valuePointer, symbols }
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const minCode = new Int32Array(17);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    if (count > 0) {
+      valuePointer[length] = index;
+      minCode[length] = code;
+      code += count;
+      index += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode, minCode, valuePointer, symbols };
+}
+
+/**
+ * Reads the bits of entropy-coded data, skipping stuffed zero bytes
+ *
+ * At a marker it supplies zero bits without moving past the marker.
+ */
+class BitReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.offset = offset;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  readBit() {
+    if (this.count === 0) {
+      let byte = this.data[this.offset];
+      if (byte === undefined) {
+        byte = 0;
+      } else if (byte === 0xff) {
+        const next = this.data[this.offset + 1];
+        if (next === 0) {
+          this.offset += 2;
+        } else {
+          byte = 0;
+        }
+      } else {
+        this.offset++;
+      }
+      this.buffer = byte;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.buffer >> this.count) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  // Reads a coefficient of the given bit length, restoring its sign
+  receiveExtend(length) {
+    if (length === 0) {
+      return 0;
+    }
+    const value = this.receive(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  decode(table) {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.readBit();
+      if (code <= table.maxCode[length]) {
+        return table.symbols[
+          table.valuePointer[length] + code - table.minCode[length]
+        ];
+      }
+    }
+    throw new Error("Invalid Huffman code");
+  }
+
+  // Skips to the restart marker expected after each restart interval
+  restart() {
+    this.count = 0;
+    while (this.offset + 1 < this.data.length) {
+      if (
+        this.data[this.offset] === 0xff &&
+        this.data[this.offset + 1] >= 0xd0 &&
+        this.data[this.offset + 1] <= 0xd7
+      ) {
+        this.offset += 2;
+        return;
+      }
+      this.offset++;
+    }
+  }
+}
+
+/**
+ * Applies the inverse DCT to one block and stores its samples
+ *
+ * @param {Float64Array} block - Dequantized coefficients in natural order
+ * @param {Uint8Array} plane - The component's samples
+ * @param {number} planeWidth - Width of the plane in samples
+ * @param {number} left - Column of the block's first sample
+ * @param {number} top - Row of the block's first sample
+ */
+function storeBlock(block, plane, planeWidth, left, top) {
+  let acZero = true;
+  for (let i = 1; i < 64 && acZero; i++) {
+    acZero = block[i] === 0;
+  }
+  if (acZero) {
+    const value = clampByte(block[0] / 8 + 128);
+    for (let y = 0; y < 8; y++) {
+      plane.fill(
+        value,
+        (top + y) * planeWidth + left,
+        (top + y) * planeWidth + left + 8
+      );
+    }
+    return;
+  }
+
+  const rows = new Float64Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) {
+        sum += IDCT_TABLE[x * 8 + u] * block[v * 8 + u];
+      }
+      rows[v * 8 + x] = sum;
+    }
+  }
+  for (let y = 0; y < 8; y++) {
+    const offset = (top + y) * planeWidth + left;
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) {
+        sum += IDCT_TABLE[y * 8 + v] * rows[v * 8 + x];
+      }
+      plane[offset + x] = clampByte(sum + 128);
+    }
+  }
+}
+
+/**
+ * Decodes the entropy-coded data of one scan into the component planes
+ *
+ * @param {Buffer} data - The JPEG file
+ * @param {number} offset - Where the scan data starts
+ * @param {Object} frame - Frame header with the components and MCU layout
+ * @param {Array<Object>} scanComponents - Components of the scan with their Huffman tables
+ * @param {number} restartInterval - MCUs between restart markers (0 for none)
+ * @returns {number} - Offset of the marker that ends the scan
+ */
+function decodeScan(data, offset, frame, scanComponents, restartInterval) {
+  const reader = new BitReader(data, offset);
+  const block = new Float64Array(64);
+  scanComponents.forEach((component) => {
+    component.prediction = 0;
+  });
+
+  const decodeBlock = (component, blockRow, blockColumn) => {
+    block.fill(0);
+    const quantization = component.quantization;
+    const dcLength = reader.decode(component.dcTable);
+    component.prediction += reader.receiveExtend(dcLength);
+    block[0] = component.prediction * quantization[0];
+    for (let k = 1; k < 64; ) {
+      const symbol = reader.decode(component.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      block[ZIGZAG[k]] = reader.receiveExtend(size) * quantization[k];
+      k++;
+    }
+    storeBlock(
+      block,
+      component.plane,
+      component.planeWidth,
+      blockColumn * 8,
+      blockRow * 8
+    );
+  };
+
+  // A single-component scan covers only that component's blocks; an
+  // interleaved scan goes MCU by MCU
+  const single = scanComponents.length === 1;
+  const units = single
+    ? scanComponents[0].blocksPerLine * scanComponents[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (let unit = 0; unit < units; unit++) {
+    if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+      reader.restart();
+      scanComponents.forEach((component) => {
+        component.prediction = 0;
+      });
+    }
+    if (single) {
+      const component = scanComponents[0];
+      decodeBlock(
+        component,
+        Math.floor(unit / component.blocksPerLine),
+        unit % component.blocksPerLine
+      );
+      continue;
+    }
+    const mcuRow = Math.floor(unit / frame.mcusPerLine);
+    const mcuColumn = unit % frame.mcusPerLine;
+    scanComponents.forEach((component) => {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          decodeBlock(
+            component,
+            mcuRow * component.v + v,
+            mcuColumn * component.h + h
+          );
+        }
+      }
+    });
+  }
+
+  // Find the marker after the scan data
+  let end = reader.offset;
+  while (end + 1 < data.length) {
+    if (
+      data[end] === 0xff &&
+      data[end + 1] !== 0 &&
+      (data[end + 1] < 0xd0 || data[end + 1] > 0xd7)
+    ) {
+      break;
+    }
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Reads the orientation tag of an Exif segment
+ *
+ * @param {Buffer} segment - APP1 contents after the "Exif\0\0" header
+ * @returns {number} - Exif orientation 1-8 (1 when missing)
+ */
+function readExifOrientation(segment) {
+  if (segment.length < 8) {
+    return 1;
+  }
+  const little = segment.toString("latin1", 0, 2) === "II";
+  const read16 = (at) =>
+    little ? segment.readUInt16LE(at) : segment.readUInt16BE(at);
+  const read32 = (at) =>
+    little ? segment.readUInt32LE(at) : segment.readUInt32BE(at);
+  const ifd = read32(4);
+  if (ifd + 2 > segment.length) {
+    return 1;
+  }
+  const entries = read16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > segment.length) break;
+    if (read16(entry) === 0x0112) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Decodes a baseline JPEG image
+ *
+ * @param {Buffer} data - JPEG file contents
+ * @returns {Object|null} - { width, height, channels, pixels, orientation } with
+ *   RGB (or grayscale) pixels, or null if the image is not a supported JPEG
+ */
+function decodeJpeg(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    return null;
+  }
+
+  const quantizationTables = [];
+  const huffmanTables = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let orientation = 1;
+  let scanned = false;
+  let offset = 2;
+
+  try {
+    while (offset + 4 <= data.length) {
+      if (data[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = data[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      if (marker === 0xd9) {
+        break;
+      }
+      const length = data.readUInt16BE(offset + 2);
+      const segment = data.slice(offset + 4, offset + 2 + length);
+      offset += 2 + length;
+
+      if (marker === 0xdb) {
+        // Quantization tables, kept in zigzag order
+        for (let at = 0; at < segment.length; ) {
+          const wide = segment[at] >> 4;
+          const table = new Int32Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[k] = wide
+              ? segment.readUInt16BE(at + 1 + k * 2)
+              : segment[at + 1 + k];
+          }
+          quantizationTables[segment[at] & 15] = table;
+          at += 1 + (wide ? 128 : 64);
+        }
+      } else if (marker === 0xc4) {
+        for (let at = 0; at < segment.length; ) {
+          const counts = segment.slice(at + 1, at + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(
+            counts,
+            segment.slice(at + 17, at + 17 + total)
+          );
+          huffmanTables[segment[at] >> 4 ? "ac" : "dc"][segment[at] & 15] =
+            table;
+          at += 17 + total;
+        }
+      } else if (marker === 0xc0 || marker === 0xc1) {
+        const componentCount = segment[5];
+        if (
+          segment[0] !== 8 ||
+          (componentCount !== 1 && componentCount !== 3)
+        ) {
+          return null;
+        }
+        frame = {
+          height: segment.readUInt16BE(1),
+          width: segment.readUInt16BE(3),
+          components: [],
+        };
+        for (let i = 0; i < componentCount; i++) {
+          const at = 6 + i * 3;
+          frame.components.push({
+            id: segment[at],
+            h: segment[at + 1] >> 4,
+            v: segment[at + 1] & 15,
+            quantizationId: segment[at + 2],
+          });
+        }
+        if (
+          !frame.width ||
+          !frame.height ||
+          frame.width * frame.height > MAX_PIXELS
+        ) {
+          return null;
+        }
+        const maxH = Math.max(...frame.components.map((c) => c.h));
+        const maxV = Math.max(...frame.components.map((c) => c.v));
+        frame.maxH = maxH;
+        frame.maxV = maxV;
+        frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+        frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+        frame.components.forEach((component) => {
+          component.blocksPerLine = Math.ceil(
+            Math.ceil((frame.width * component.h) / maxH) / 8
+          );
+          component.blocksPerColumn = Math.ceil(
+            Math.ceil((frame.height * component.v) / maxV) / 8
+          );
+          component.planeWidth = frame.mcusPerLine * component.h * 8;
+          component.plane = new Uint8Array(
+            component.planeWidth * frame.mcusPerColumn * component.v * 8
+          );
+        });
+      } else if (
+        marker >= 0xc2 &&
+        marker <= 0xcf &&
+        marker !== 0xc4 &&
+        marker !== 0xc8 &&
+        marker !== 0xcc
+      ) {
+        // Progressive, lossless or arithmetic-coded
+        return null;
+      } else if (marker === 0xdd) {
+        restartInterval = segment.readUInt16BE(0);
+      } else if (
+        marker === 0xee &&
+        segment.toString("latin1", 0, 5) === "Adobe"
+      ) {
+        adobeTransform = segment[11];
+      } else if (
+        marker === 0xe1 &&
+        segment.toString("latin1", 0, 6) === "Exif\0\0"
+      ) {
+        orientation = readExifOrientation(segment.slice(6));
+      } else if (marker === 0xda) {
+        if (!frame) {
+          return null;
+        }
+        const scanComponents = [];
+        for (let i = 0; i < segment[0]; i++) {
+          const component = frame.components.find(
+            (c) => c.id === segment[1 + i * 2]
+          );
+          const tables = segment[2 + i * 2];
+          if (!component) {
+            return null;
+          }
+          component.dcTable = huffmanTables.dc[tables >> 4];
+          component.acTable = huffmanTables.ac[tables & 15];
+          component.quantization = quantizationTables[component.quantizationId];
+          if (
+            !component.dcTable ||
+            !component.acTable ||
+            !component.quantization
+          ) {
+            return null;
+          }
+          scanComponents.push(component);
+        }
+        scanned = scanned || offset < data.length;
+        offset = decodeScan(
+          data,
+          offset,
+          frame,
+          scanComponents,
+          restartInterval
+        );
+      }
+    }
+  } catch (error) {
+    return null;
+  }
+
+  // A file cut short inside a scan still shows the part that was decoded;
+  // one cut before any scan has no image
+  if (!frame || !scanned) {
+    return null;
+  }
+  return toPixels(frame, adobeTransform, orientation);
+}
+
+/**
+ * Upsamples the component planes and converts them to RGB
+ */
+function toPixels(frame, adobeTransform, orientation) {
+  const { width, height, components, maxH, maxV } = frame;
+  const channels = components.length === 1 ? 1 : 3;
+  const pixels = Buffer.alloc(width * height * channels);
+  const rows = components.map((component) =>
+    Array.from(
+      { length: height },
+      (_, y) => Math.floor((y * component.v) / maxV) * component.planeWidth
+    )
+  );
+  const columns = components.map((component) =>
+    Int32Array.from({ length: width }, (_, x) =>
+      Math.floor((x * component.h) / maxH)
+    )
+  );
+  // Three components are YCbCr unless an Adobe marker says they are RGB
+  const ycc = channels === 3 && adobeTransform !== 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const at = (y * width + x) * channels;
+      if (channels === 1) {
+        pixels[at] = components[0].plane[rows[0][y] + columns[0][x]];
+        continue;
+      }
+      const c0 = components[0].plane[rows[0][y] + columns[0][x]];
+      const c1 = components[1].plane[rows[1][y] + columns[1][x]];
+      const c2 = components[2].plane[rows[2][y] + columns[2][x]];
+      if (!ycc) {
+        pixels[at] = c0;
+        pixels[at + 1] = c1;
+        pixels[at + 2] = c2;
+        continue;
+      }
+      pixels[at] = clampByte(c0 + 1.402 * (c2 - 128));
+      pixels[at + 1] = clampByte(
+        c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128)
+      );
+      pixels[at + 2] = clampByte(c0 + 1.772 * (c1 - 128));
+    }
+  }
+
+  return { width, height, channels, pixels, orientation };
+}
+
+exports.MAX_PIXELS = MAX_PIXELS;
+exports.decodeJpeg = decodeJpeg;
@@ -0,0 +1,140 @@
+/**
+ * Local Images
+ *
+ * Recipe images can be URLs elsewhere or paths of files this app serves
+ * itself ("/family-images/cake.jpg"). These helpers read and write the
+ * local ones, and keep every path inside the static directories.
+ */
+const fs = require("fs");
+const path = require("path");
+
+// Directories local image URLs are served from; new files go to the first
+const IMAGE_ROOTS = ["public", "dist"].map((dir) =>
+  path.join(__dirname, "..", "..", dir)
+);
+
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".gif", ".webp"]);
+
+/**
+ * Tells whether an image URL points at a file served by the app
+ *
+ * @param {string} url - Image URL from a recipe
+ * @returns {boolean} - True for paths such as "/family-images/cake.jpg"
+ */
+function isLocalImage(url) {
+  return (
+    typeof url === "string" && url.startsWith("/") && !url.startsWith("//")
+  );
+}
+
+/**
+ * Resolves a local image URL to a file path inside a static directory
+ *
+ * @param {string} root - The static directory
+ * @param {string} url - Image URL
+ * @returns {string|null} - The file path, or null if the URL leaves the directory
+ */
+function resolveInRoot(root, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+  const file = path.resolve(root, `.${pathname}`);
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * Reads a local image by its URL path
+ *
+ * @param {string} url - Image URL from a recipe
+ * @returns {Promise<Buffer|null>} - The file contents, or null for remote or missing images
+ */
+async function readLocalImage(url) {
+  if (!isLocalImage(url)) {
+    return null;
+  }
+  for (const root of IMAGE_ROOTS) {
+    const file = resolveInRoot(root, url);
+    if (!file) continue;
+    try {
+      return await fs.promises.readFile(file);
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Stores an image under a local URL, as when restoring a backup
+ *
+ * An identical file already at that URL is reused. If a different file is
+ * there, the image is stored under a numbered name ("cake-1.jpg") instead,
+ * so existing images are never overwritten.
+ *
+ * @param {string} url - Preferred image URL, e.g. "/family-images/cake.jpg"
+ * @param {Buffer} data - The image file
+ * @returns {Promise<Object|null>} - { url, created } with the URL the image is served from and whether a new file was written, or null if the URL is not a safe image path
+ */
+async function saveLocalImage(url, data) {
+  const root = IMAGE_ROOTS[0];
+  const file = isLocalImage(url) && resolveInRoot(root, url);
+  const extension = file ? path.extname(file).toLowerCase() : "";
+  if (!file || !IMAGE_EXTENSIONS.has(extension)) {
+    return null;
+  }
+
+  const directory = path.dirname(file);
+  const base = path.basename(file, path.extname(file));
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  for (let attempt = 0; ; attempt++) {
+    const name =
+      attempt === 0 ? `${base}${extension}` : `${base}-${attempt}${extension}`;
+    const target = path.join(directory, name);
+    let created = true;
+    try {
+      await fs.promises.writeFile(target, data, { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      const existing = await fs.promises.readFile(target);
+      if (!existing.equals(data)) {
+        continue;
+      }
+      created = false;
+    }
+    return {
+      url: `/${path.relative(root, target).split(path.sep).join("/")}`,
+      created,
+    };
+  }
+}
+
+/**
+ * Deletes an image stored by saveLocalImage
+ *
+ * @param {string} url - The URL saveLocalImage returned
+ * @returns {Promise<void>}
+ */
+async function removeLocalImage(url) {
+  const file = isLocalImage(url) && resolveInRoot(IMAGE_ROOTS[0], url);
+  if (!file) {
+    return;
+  }
+  try {
+    await fs.promises.unlink(file);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+exports.isLocalImage = isLocalImage;
+exports.readLocalImage = readLocalImage;
+exports.saveLocalImage = saveLocalImage;
+exports.removeLocalImage = removeLocalImage;
@@ -0,0 +1,300 @@
+/**
+ * Login Throttling
+ *
+ * Slows down password guessing. Failed logins are counted per username and
+ * per IP address (see login_tracker.js):
+ *
+ * - after each failure the username and the address must wait before the
+ *   next attempt: 1 second, then 2, 4, 8... up to 30 seconds.
+ * - after `login_max_failures` failures the account is locked for
+ *   `login_lockout_seconds`, and after `login_max_failures_per_ip` failures
+ *   from one address so is the address. Each lockout is recorded in the
+ *   `login_lockouts` table.
+ *
+ * Attempts that come too early are refused with 429 and a `retryAfter` in
+ * seconds, sent as the Retry-After header, without checking the password.
+ * Failures are forgotten `login_lockout_seconds` after the last one, and a
+ * successful login forgets those of its username.
+ *
+ * An attempt is counted as a failure before its password is checked and
+ * taken back if it succeeds, so guesses sent at the same time are held to
+ * the same waits as guesses sent one after another.
+ *
+ * Configured from the environment:
+ *   login_max_failures         Failures before an account locks (default 5).
+ *   login_max_failures_per_ip  Failures before an address locks (default 20,
+ *                              0 turns off the per-address limit).
+ *   login_lockout_seconds      Length of a lockout (default 900).
+ */
+const bcrypt = require("bcrypt");
+const tracker = require("./login_tracker");
+const { users, login_lockouts } = require("./repositories");
+
+// Longest wait between two attempts, in seconds
+const MAX_BACKOFF = 30;
+
+/**
+ * Reads the throttling settings from the environment
+ *
+ * @returns {Object} - maxFailures, maxFailuresPerIp and lockoutSeconds
+ * @throws {Error} - If a setting is not a whole number in range
+ */
+function readConfig() {
+  const settings = {
+    maxFailures: ["login_max_failures", 5, 1],
+    maxFailuresPerIp: ["login_max_failures_per_ip", 20, 0],
+    lockoutSeconds: ["login_lockout_seconds", 900, 1],
+  };
+  const config = {};
+  Object.entries(settings).forEach(([setting, [name, fallback, min]]) => {
+    const raw = (process.env[name] || "").trim();
+    const value = raw === "" ? fallback : Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(
+        `Invalid ${name}="${raw}"; use a whole number of at least ${min}`
+      );
+    }
+    config[setting] = value;
+  });
+  return config;
+}
+
+const CONFIG = readConfig();
+
+/**
+ * Seconds to wait after a number of failures before trying again
+ */
+function backoff(failures) {
+  return failures > 0 ? Math.min(2 ** (failures - 1), MAX_BACKOFF) : 0;
+}
+
+/**
+ * Lists the keys a login attempt is counted under
+ *
+ * @param {string} username - The username tried
+ * @param {Object} client - ip_address and user_agent of the request
+ * @returns {Array<Object>} - { key, type, max } for the username and the address
+ */
+function keysFor(username, client) {
+  const keys = [
+    {
+      key: `user:${username.toLowerCase()}`,
+      type: "username",
+      max: CONFIG.maxFailures,
+    },
+  ];
+  if (CONFIG.maxFailuresPerIp > 0 && client.ip_address) {
+    keys.push({
+      key: `ip:${client.ip_address}`,
+      type: "ip",
+      max: CONFIG.maxFailuresPerIp,
+    });
+  }
+  return keys;
+}
+
+/**
+ * Builds the 429 error for an attempt that must wait
+ *
+ * @param {string} type - "username" or "ip"
+ * @param {boolean} locked - Whether the key is locked rather than backing off
+ * @param {number} seconds - Seconds until the next attempt is allowed
+ * @returns {Object} - The error object
+ */
+function tooManyAttempts(type, locked, seconds) {
+  const retryAfter = Math.max(1, Math.ceil(seconds));
+  let message = "Too many failed login attempts; wait before trying again";
+  if (locked) {
+    message =
+      type === "username"
+        ? "Account temporarily locked after too many failed login attempts"
+        : "Too many failed login attempts from this address";
+  }
+  return { status: 429, message, retryAfter };
+}
+
+/**
+ * Refuses an attempt if its username or address is locked or backing off
+ *
+ * @param {Array<Object>} keys - Keys from keysFor
+ * @throws {Object} - Throws a 429 error with retryAfter if the attempt must wait
+ */
+async function checkAllowed(keys) {
+  for (const { key, type } of keys) {
+    const state = await tracker.get(key);
+    if (!state) {
+      continue;
+    }
+    if (state.lock_seconds > 0) {
+      throw tooManyAttempts(type, true, state.lock_seconds);
+    }
+    const wait = backoff(state.failures) - state.idle_seconds;
+    if (state.idle_seconds < CONFIG.lockoutSeconds && wait > 0) {
+      throw tooManyAttempts(type, false, wait);
+    }
+  }
+}
+
+/**
+ * Records a lockout in the audit log
+ *
+ * A lockout that cannot be recorded still applies, so errors are only
+ * logged.
+ */
+async function recordLockout(lockout) {
+  try {
+    await login_lockouts.create(lockout);
+  } catch (error) {
+    console.log(
+      `Error recording ${lockout.lock_type} lockout for ${lockout.username}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Counts an attempt as failed before its password is checked
+ *
+ * Concurrent attempts therefore cannot all pass checkAllowed before any of
+ * them is counted: each one sees the failures counted by the others.
+ *
+ * @param {Array<Object>} keys - Keys from keysFor
+ * @returns {Promise<Array<Object>>} - The keys, each with the state its attempt left
+ */
+async function reserveAttempt(keys) {
+  const reserved = [];
+  for (const key of keys) {
+    const state = await tracker.recordFailure(key.key, CONFIG.lockoutSeconds);
+    reserved.push({ ...key, state });
+  }
+  return reserved;
+}
+
+/**
+ * Takes back the failure counted for an attempt that succeeded
+ *
+ * The username's failures are forgotten; the address keeps the others.
+ *
+ * @param {Array<Object>} reserved - Keys from reserveAttempt
+ */
+async function releaseAttempt(reserved) {
+  for (const { key, type } of reserved) {
+    if (type === "username") {
+      await tracker.clear(key);
+    } else {
+      await tracker.cancelFailure(key);
+    }
+  }
+}
+
+/**
+ * Finds the 429 error for an attempt that was counted too soon
+ *
+ * This happens when attempts are sent at the same time: they all pass
+ * checkAllowed, but each comes before the wait of the one counted before
+ * it has ended, or after it locked the key.
+ *
+ * @param {Array<Object>} reserved - Keys from reserveAttempt
+ * @returns {Object|null} - The error object, or null if the attempt can go ahead
+ */
+function findEarlyAttempt(reserved) {
+  for (const { type, state } of reserved) {
+    if (state.lock_seconds > 0) {
+      return tooManyAttempts(type, true, state.lock_seconds);
+    }
+    const wait = backoff(state.failures - 1) - (state.gap_seconds || 0);
+    if (state.gap_seconds !== null && wait > 0) {
+      return tooManyAttempts(type, false, wait);
+    }
+  }
+  return null;
+}
+
+/**
+ * Locks the username or address whose failures reached their limit
+ *
+ * Only the attempt whose failure reached the limit locks a key, so
+ * concurrent attempts lock and record it once.
+ *
+ * @param {Array<Object>} reserved - Keys from reserveAttempt
+ * @param {string} username - The username tried
+ * @param {Object|null} user - The user with that username, if any
+ * @param {Object} client - ip_address and user_agent of the request
+ * @returns {Promise<Object|null>} - The 429 error for a lockout, or null
+ */
+async function applyLockouts(reserved, username, user, client) {
+  let lockedOut = null;
+  for (const { key, type, max, state } of reserved) {
+    if (state.failures !== max || state.lock_seconds > 0) {
+      continue;
+    }
+
+    await tracker.lock(key, CONFIG.lockoutSeconds);
+    console.log(
+      `Locked ${type} ${
+        type === "username" ? username : client.ip_address
+      } for ${CONFIG.lockoutSeconds}s after ${state.failures} failed logins`
+    );
+    await recordLockout({
+      lock_type: type,
+      username,
+      user_id: user ? user.user_id : null,
+      ip_address: client.ip_address,
+      user_agent: client.user_agent,
+      failures: state.failures,
+      duration: CONFIG.lockoutSeconds,
+    });
+    lockedOut = lockedOut || tooManyAttempts(type, true, CONFIG.lockoutSeconds);
+  }
+  return lockedOut;
+}
+
+/**
+ * Checks a username and password, throttling failed attempts
+ *
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @param {Object} client - ip_address and user_agent of the request
+ * @returns {Promise<Object>} - The user
+ * @throws {Object} - Throws a 401 error for a wrong username or password, 429 with retryAfter if there were too many failures, or 500 if the database operation fails
+ */
+async function verifyCredentials(username, password, client) {
+  username = typeof username === "string" ? username : "";
+  password = typeof password === "string" ? password : "";
+  const keys = keysFor(username, client);
+
+  try {
+    await checkAllowed(keys);
+    const reserved = await reserveAttempt(keys);
+    const user = await users.findByUsername(username);
+    const early = findEarlyAttempt(reserved);
+    if (!early && user && (await bcrypt.compare(password, user.password))) {
+      await releaseAttempt(reserved);
+      return user;
+    }
+
+    const lockedOut = await applyLockouts(reserved, username, user, client);
+    if (lockedOut || early) {
+      throw lockedOut || early;
+    }
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error checking login for ${username}: ${error.message}`);
+    throw { status: 500, message: "Failed to log in", error: error };
+  }
+  throw { status: 401, message: "Username or Password incorrect" };
+}
+
+/**
+ * Forgets the failed logins counted against a username
+ *
+ * @param {string} username - The username
+ * @returns {Promise<void>}
+ */
+async function clearFailures(username) {
+  await tracker.clear(keysFor(username, {})[0].key);
+}
+
+exports.verifyCredentials = verifyCredentials;
+exports.clearFailures = clearFailures;
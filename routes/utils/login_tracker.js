@@ -0,0 +1,172 @@
+/**
+ * Login Tracker
+ *
+ * Counts recent failed logins per key ("user:<username>" or "ip:<address>")
+ * for login_throttle.js. Trackers share a small interface, so the in-memory
+ * one can be replaced by one that survives restarts and is shared between
+ * servers:
+ *
+ *   get(key)                   -> Promise<Object|null> the key's state
+ *   recordFailure(key, window) -> Promise<Object>      counts a failure, returns the new state
+ *   cancelFailure(key)         -> Promise<void>        takes back the latest failure
+ *   lock(key, seconds)         -> Promise<void>        locks the key
+ *   clear(key)                 -> Promise<void>        forgets the key's failures
+ *
+ * A state is { failures, idle_seconds, gap_seconds, lock_seconds }: the
+ * failures counted, seconds since the last one, seconds between the last
+ * two (null if the last one started the count), and seconds left of the key's
+ * lockout (0 when it is not locked). A failure more than `window` seconds
+ * after the previous one, or after a lockout ended, starts the count over.
+ *
+ * recordFailure is atomic: concurrent calls for a key each count once and
+ * each get the state their own failure left.
+ *
+ * The tracker is chosen with `login_tracker`: "memory" (default) keeps the
+ * counts in this process; "mysql" keeps them in the `login_attempts` table.
+ */
+const DButils = require("./DButils");
+const { login_attempts } = require("./repositories");
+
+// How often the in-memory tracker drops keys it no longer needs, in ms
+const SWEEP_INTERVAL = 60 * 1000;
+
+class MemoryLoginTracker {
+  constructor() {
+    // key -> { failures, lastFailureAt, previousFailureAt, lockedUntil }
+    // (times in ms)
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Shapes an entry as a tracker state
+   */
+  toState(entry, now) {
+    return {
+      failures: entry.failures,
+      idle_seconds: Math.floor((now - entry.lastFailureAt) / 1000),
+      gap_seconds: entry.previousFailureAt
+        ? Math.floor((entry.lastFailureAt - entry.previousFailureAt) / 1000)
+        : null,
+      lock_seconds: Math.max(0, Math.ceil((entry.lockedUntil - now) / 1000)),
+    };
+  }
+
+  /**
+   * Drops keys whose failures are forgotten and that are not locked
+   *
+   * @param {number} window - Seconds after which failures are forgotten
+   */
+  sweep(window, now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL) {
+      return;
+    }
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (
+        now - entry.lastFailureAt > window * 1000 &&
+        entry.lockedUntil <= now
+      ) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry ? this.toState(entry, Date.now()) : null;
+  }
+
+  async recordFailure(key, window) {
+    const now = Date.now();
+    this.sweep(window, now);
+    let entry = this.entries.get(key);
+    if (
+      !entry ||
+      now - entry.lastFailureAt > window * 1000 ||
+      (entry.lockedUntil && entry.lockedUntil <= now)
+    ) {
+      entry = { failures: 0, lastFailureAt: null, lockedUntil: 0 };
+      this.entries.set(key, entry);
+    }
+    entry.failures += 1;
+    entry.previousFailureAt = entry.lastFailureAt;
+    entry.lastFailureAt = now;
+    return this.toState(entry, now);
+  }
+
+  async cancelFailure(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+    entry.failures -= 1;
+    if (entry.failures <= 0) {
+      this.entries.delete(key);
+      return;
+    }
+    entry.lastFailureAt = entry.previousFailureAt || entry.lastFailureAt;
+    entry.previousFailureAt = null;
+  }
+
+  async lock(key, seconds) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.lockedUntil = Date.now() + seconds * 1000;
+    }
+  }
+
+  async clear(key) {
+    this.entries.delete(key);
+  }
+}
+
+class MysqlLoginTracker {
+  async get(key) {
+    return login_attempts.findByKey(key);
+  }
+
+  async recordFailure(key, window) {
+    // Old rows are only needed until their failures are forgotten
+    if (Math.random() < 0.01) {
+      await login_attempts.deleteStale(window);
+    }
+    // The row stays locked until the transaction ends, so the state read
+    // back is the one this failure left
+    return DButils.withTransaction(async (tx) => {
+      await login_attempts.recordFailure(key, window, tx);
+      return login_attempts.findByKey(key, tx);
+    });
+  }
+
+  async cancelFailure(key) {
+    await login_attempts.cancelFailure(key);
+  }
+
+  async lock(key, seconds) {
+    await login_attempts.lock(key, seconds);
+  }
+
+  async clear(key) {
+    await login_attempts.deleteByKey(key);
+  }
+}
+
+/**
+ * Creates the tracker named by `login_tracker`
+ *
+ * @returns {Object} - A login tracker
+ * @throws {Error} - If login_tracker names no tracker
+ */
+function createTracker() {
+  const trackers = { memory: MemoryLoginTracker, mysql: MysqlLoginTracker };
+  const name = (process.env.login_tracker || "memory").trim().toLowerCase();
+  if (!trackers[name]) {
+    throw new Error(
+      `Invalid login_tracker "${name}"; use ${Object.keys(trackers).join(", ")}`
+    );
+  }
+  return new trackers[name]();
+}
+
+module.exports = createTracker();
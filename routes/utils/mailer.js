@@ -0,0 +1,79 @@
+/**
+ * Mailer
+ *
+ * Emails are sent through a small mailer interface, so the rest of the app
+ * only composes messages and a real delivery backend (SMTP, an email API)
+ * can replace the default one:
+ *
+ *   send(message) -> Promise<string>  sends { to, subject, text }, returns its message ID
+ *
+ * OutboxMailer does not deliver anything: it writes each message as an
+ * .eml file into an outbox directory (`mail_outbox_dir`, by default
+ * `outbox` in the project root), which works offline and lets tests and
+ * developers read what would have been sent. Messages come from
+ * `mail_from`.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Makes a value safe for a header line
+ *
+ * Line breaks are removed so a value cannot add headers, and non-ASCII text
+ * is encoded as an RFC 2047 encoded word.
+ */
+function headerValue(value) {
+  const line = String(value).replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(line)
+    ? line
+    : `=?UTF-8?B?${Buffer.from(line).toString("base64")}?=`;
+}
+
+class OutboxMailer {
+  /**
+   * @param {string} directory - Directory messages are written to
+   * @param {string} from - Sender of the messages
+   */
+  constructor(directory, from) {
+    this.directory = directory;
+    this.from = from;
+  }
+
+  /**
+   * Writes a message to the outbox
+   *
+   * @param {Object} message - to, subject and text (plain text body)
+   * @returns {Promise<string>} - The message ID
+   */
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    const domain = this.from.replace(/^.*@|>.*$/g, "") || "localhost";
+    const content = [
+      `Message-ID: <${id}@${domain}>`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${headerValue(this.from)}`,
+      `To: ${headerValue(message.to)}`,
+      `Subject: ${headerValue(message.subject)}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+      "",
+      message.text.replace(/\r?\n/g, "\r\n"),
+    ].join("\r\n");
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${id}.eml`),
+      content
+    );
+    return id;
+  }
+}
+
+module.exports = new OutboxMailer(
+  path.resolve(
+    process.env.mail_outbox_dir || path.join(__dirname, "..", "..", "outbox")
+  ),
+  process.env.mail_from || "Recipes <no-reply@localhost>"
+);
@@ -0,0 +1,344 @@
+/**
+ * Meal Plan Utilities
+ *
+ * A meal plan holds one recipe per day and meal slot, from any recipe
+ * source, with the number of servings to cook. Planned recipes resolve to
+ * previews the same way favorites do: Spoonacular recipes through
+ * getRecipesPreviewWithLikes, private and family recipes through their
+ * detail helpers.
+ */
+const { meal_plan_entries } = require("./repositories");
+const recipes_utils = require("./recipes_utils");
+const user_utils = require("./user_utils");
+const shopping_list_utils = require("./shopping_list_utils");
+
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+const WEEK_DAYS = 7;
+
+/**
+ * Returns the day a number of days after a date
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - Days to add
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves the recipes of meal plan entries to previews
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Array<Object>} entries - Entry rows with recipe_source and recipe_id
+ * @returns {Promise<Map<string, Object>>} - "source:id" -> recipe preview (null if the recipe is gone)
+ */
+async function resolveRecipes(user_id, entries) {
+  const previews = new Map();
+
+  const spoonacularIds = [
+    ...new Set(
+      entries
+        .filter((entry) => entry.recipe_source === "spoonacular")
+        .map((entry) => entry.recipe_id)
+    ),
+  ];
+  if (spoonacularIds.length > 0) {
+    const results = await recipes_utils.getRecipesPreviewWithLikes(
+      spoonacularIds.map(Number),
+      user_id
+    );
+    results.forEach((preview) =>
+      previews.set(`spoonacular:${preview.id}`, preview)
+    );
+  }
+
+  const localEntries = entries.filter(
+    (entry) => entry.recipe_source !== "spoonacular"
+  );
+  for (const entry of localEntries) {
+    const key = `${entry.recipe_source}:${entry.recipe_id}`;
+    if (previews.has(key)) continue;
+    try {
+      const recipe =
+        entry.recipe_source === "private"
+          ? await user_utils.getPrivateRecipeDetails(entry.recipe_id, user_id)
+          : await user_utils.getFamilyRecipeDetails(entry.recipe_id, user_id);
+      previews.set(key, {
+        id: recipe.id,
+        title: recipe.title,
+        readyInMinutes: recipe.readyInMinutes,
+        image: recipe.image,
+        servings: recipe.servings,
+      });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      previews.set(key, null);
+    }
+  }
+
+  return previews;
+}
+
+/**
+ * Formats an entry row with its resolved recipe
+ */
+function formatEntry(entry, previews) {
+  return {
+    date: entry.plan_date,
+    slot: entry.slot,
+    source: entry.recipe_source,
+    recipeId: entry.recipe_id,
+    servings: entry.servings,
+    recipe: previews.get(`${entry.recipe_source}:${entry.recipe_id}`) || null,
+    updatedAt: entry.updated_at,
+  };
+}
+
+/**
+ * Retrieves the recipe planned for one meal slot
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} date - The day, "YYYY-MM-DD"
+ * @param {string} slot - "breakfast", "lunch", "dinner" or "snack"
+ * @returns {Promise<Object>} - The planned meal with its recipe preview
+ * @throws {Object} - Throws a 404 error if nothing is planned for the slot
+ */
+async function getMeal(user_id, date, slot) {
+  let entry;
+  try {
+    entry = await meal_plan_entries.findBySlot(user_id, date, slot);
+  } catch (error) {
+    console.log(
+      `Error retrieving meal plan ${date} ${slot} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve meal plan",
+      error: error,
+    };
+  }
+
+  if (!entry) {
+    throw { status: 404, message: "No meal planned for this slot" };
+  }
+  const previews = await resolveRecipes(user_id, [entry]);
+  return formatEntry(entry, previews);
+}
+
+/**
+ * Plans a recipe for a meal slot, replacing what was planned before
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} date - The day, "YYYY-MM-DD"
+ * @param {string} slot - "breakfast", "lunch", "dinner" or "snack"
+ * @param {Object} meal - The meal
+ * @param {string} meal.source - "spoonacular", "private" or "family"
+ * @param {string|number} meal.recipeId - The ID of the recipe within its source
+ * @param {number} meal.servings - Servings to cook
+ * @returns {Promise<Object>} - The planned meal with its recipe preview
+ * @throws {Object} - Throws a 404 error if the recipe does not exist, or a 500 error if the database operation fails
+ */
+async function setMeal(user_id, date, slot, meal) {
+  const entry = {
+    plan_date: date,
+    slot,
+    recipe_source: meal.source,
+    recipe_id: String(meal.recipeId),
+    servings: meal.servings,
+  };
+
+  const previews = await resolveRecipes(user_id, [entry]);
+  const preview = previews.get(`${entry.recipe_source}:${entry.recipe_id}`);
+  if (!preview || (preview.error && !preview.apiLimitExceeded)) {
+    throw { status: 404, message: "Recipe not found" };
+  }
+
+  try {
+    await meal_plan_entries.upsert(user_id, entry);
+  } catch (error) {
+    console.log(
+      `Error saving meal plan ${date} ${slot} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to save meal plan",
+      error: error,
+    };
+  }
+  return formatEntry(entry, previews);
+}
+
+/**
+ * Empties a meal slot
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} date - The day, "YYYY-MM-DD"
+ * @param {string} slot - "breakfast", "lunch", "dinner" or "snack"
+ * @returns {Promise<boolean>} - True if the slot was emptied
+ * @throws {Object} - Throws a 404 error if nothing was planned for the slot
+ */
+async function removeMeal(user_id, date, slot) {
+  let removed;
+  try {
+    removed = await meal_plan_entries.remove(user_id, date, slot);
+  } catch (error) {
+    console.log(
+      `Error deleting meal plan ${date} ${slot} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to delete meal plan",
+      error: error,
+    };
+  }
+
+  if (removed === 0) {
+    throw { status: 404, message: "No meal planned for this slot" };
+  }
+  return true;
+}
+
+/**
+ * Loads the entries of the seven days starting at a date
+ */
+async function findWeekEntries(user_id, start) {
+  try {
+    return await meal_plan_entries.findByDateRange(
+      user_id,
+      start,
+      addDays(start, WEEK_DAYS - 1)
+    );
+  } catch (error) {
+    console.log(
+      `Error retrieving meal plan week ${start} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve meal plan",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Retrieves the meal plan for the seven days starting at a date
+ *
+ * The summary adds up readyInMinutes per day and for the whole week;
+ * recipes without a numeric prep time ("N/A") are counted separately.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} start - First day, "YYYY-MM-DD"
+ * @returns {Promise<Object>} - { start, end, days: [{ date, meals, readyInMinutes }], summary }
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function getWeek(user_id, start) {
+  const entries = await findWeekEntries(user_id, start);
+  const previews = await resolveRecipes(user_id, entries);
+
+  let totalMinutes = 0;
+  let withoutTime = 0;
+  const days = Array.from({ length: WEEK_DAYS }, (_, index) => {
+    const date = addDays(start, index);
+    const meals = entries
+      .filter((entry) => entry.plan_date === date)
+      .sort((a, b) => MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot))
+      .map((entry) => formatEntry(entry, previews));
+
+    let dayMinutes = 0;
+    meals.forEach((meal) => {
+      const minutes = Number(meal.recipe && meal.recipe.readyInMinutes);
+      if (Number.isFinite(minutes) && minutes > 0) {
+        dayMinutes += minutes;
+      } else {
+        withoutTime++;
+      }
+    });
+    totalMinutes += dayMinutes;
+
+    return { date, meals, readyInMinutes: dayMinutes };
+  });
+
+  return {
+    start,
+    end: addDays(start, WEEK_DAYS - 1),
+    days,
+    summary: {
+      plannedMeals: entries.length,
+      totalReadyInMinutes: totalMinutes,
+      averageReadyInMinutesPerDay: Math.round(totalMinutes / WEEK_DAYS),
+      mealsWithoutPrepTime: withoutTime,
+    },
+  };
+}
+
+/**
+ * Adds every recipe of a week's plan to the shopping list
+ *
+ * A recipe planned several times is added once, with the servings of all
+ * its meals added up. For a recipe already on the list, from another week
+ * or added by hand, the plan's servings are added to those on the list.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} start - First day, "YYYY-MM-DD"
+ * @returns {Promise<Object>} - { added, shoppingList } with the recipes added and the resulting list
+ * @throws {Object} - Throws a 404 error if nothing is planned that week
+ */
+async function addWeekToShoppingList(user_id, start) {
+  const entries = await findWeekEntries(user_id, start);
+  if (entries.length === 0) {
+    throw { status: 404, message: "No meals planned for this week" };
+  }
+
+  const recipes = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.recipe_source}:${entry.recipe_id}`;
+    if (!recipes.has(key)) {
+      recipes.set(key, {
+        source: entry.recipe_source,
+        recipeId: entry.recipe_id,
+        servings: 0,
+      });
+    }
+    recipes.get(key).servings += entry.servings;
+  });
+
+  const added = [];
+  for (const recipe of recipes.values()) {
+    try {
+      added.push(
+        await shopping_list_utils.addRecipe(
+          user_id,
+          recipe.source,
+          recipe.recipeId,
+          recipe.servings,
+          { addServings: true }
+        )
+      );
+    } catch (error) {
+      // A recipe deleted since it was planned does not stop the rest
+      if (error.status !== 404 && error.status !== 503) {
+        throw error;
+      }
+      console.log(
+        `Skipping planned recipe ${recipe.source}:${recipe.recipeId}: ${error.message}`
+      );
+    }
+  }
+
+  return {
+    added,
+    shoppingList: await shopping_list_utils.getShoppingList(user_id),
+  };
+}
+
+exports.MEAL_SLOTS = MEAL_SLOTS;
+exports.getMeal = getMeal;
+exports.setMeal = setMeal;
+exports.removeMeal = removeMeal;
+exports.getWeek = getWeek;
+exports.addWeekToShoppingList = addWeekToShoppingList;
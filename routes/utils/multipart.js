@@ -0,0 +1,103 @@
+/**
+ * Multipart Form Data
+ *
+ * Splits a buffered multipart/form-data request body (RFC 7578) into its
+ * parts, for the image upload routes. The body is read whole by
+ * `express.raw` with a size limit before it gets here.
+ */
+
+/**
+ * Reads the boundary from a multipart Content-Type header
+ *
+ * @param {string} contentType - The Content-Type header
+ * @returns {string|null} - The boundary, or null if the header is not multipart/form-data
+ */
+function readBoundary(contentType) {
+  if (!/^multipart\/form-data\s*(;|$)/i.test(contentType || "")) {
+    return null;
+  }
+  const match = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Reads the parameters of a Content-Disposition header
+ *
+ * @param {string} header - e.g. 'form-data; name="image"; filename="cake.jpg"'
+ * @returns {Object} - Parameter name -> value
+ */
+function readDisposition(header) {
+  const params = {};
+  const pattern = /;\s*([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = pattern.exec(header))) {
+    const value =
+      match[2] !== undefined ? match[2].replace(/\\(.)/g, "$1") : match[3];
+    params[match[1].toLowerCase()] = value.trim();
+  }
+  return params;
+}
+
+/**
+ * Parses a multipart/form-data body
+ *
+ * @param {Buffer} body - The request body
+ * @param {string} contentType - The request's Content-Type header
+ * @returns {Array<Object>} - Parts as { name, filename, contentType, data }
+ * @throws {Object} - Throws a 400 error if the body is not valid multipart/form-data
+ */
+function parseMultipart(body, contentType) {
+  const invalid = (message) => ({ status: 400, message });
+  const boundary = readBoundary(contentType);
+  if (!boundary) {
+    throw invalid("Request must be multipart/form-data with a boundary");
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`, "latin1");
+  const parts = [];
+  let offset = body.indexOf(delimiter);
+  if (offset < 0) {
+    throw invalid("Multipart body has no parts");
+  }
+
+  for (;;) {
+    offset += delimiter.length;
+    // "--" after a delimiter ends the body
+    if (body[offset] === 0x2d && body[offset + 1] === 0x2d) {
+      return parts;
+    }
+    const headersStart = body.indexOf("\r\n", offset) + 2;
+    const headersEnd = body.indexOf("\r\n\r\n", headersStart);
+    const next = body.indexOf(
+      Buffer.concat([Buffer.from("\r\n"), delimiter]),
+      headersEnd
+    );
+    if (headersStart < 2 || headersEnd < 0 || next < 0) {
+      throw invalid("Multipart body is incomplete");
+    }
+
+    const headers = {};
+    body
+      .toString("utf8", headersStart, headersEnd)
+      .split("\r\n")
+      .forEach((line) => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          headers[line.slice(0, colon).trim().toLowerCase()] = line
+            .slice(colon + 1)
+            .trim();
+        }
+      });
+    const disposition = readDisposition(headers["content-disposition"] || "");
+
+    parts.push({
+      name: disposition.name,
+      filename: disposition.filename,
+      contentType: headers["content-type"] || null,
+      data: body.slice(headersEnd + 4, next),
+    });
+    offset = next + 2;
+  }
+}
+
+exports.parseMultipart = parseMultipart;
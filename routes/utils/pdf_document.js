@@ -0,0 +1,855 @@
+/**
+ * PDF Document Writer
+ *
+ * A small PDF 1.4 writer for server-side documents without any external
+ * service or dependency beyond zlib. It supports what the cookbook export
+ * needs: pages with text in the standard Helvetica fonts, lines, filled
+ * rectangles, JPEG and PNG images and links to other pages.
+ *
+ * Text uses WinAnsiEncoding, so characters outside Latin-1 (and a few
+ * typographic marks) are printed as "?". Documents given TrueType fonts
+ * embed them instead and print any character the fonts have, with
+ * right-to-left runs (Hebrew, Arabic) put in display order. Characters that
+ * could not be printed are collected in `missingCharacters`.
+ */
+const zlib = require("zlib");
+const { unfilterPng, readPngChunks } = require("./image_processing");
+const { readTrueTypeFont } = require("./truetype_font");
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica" },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold" },
+  italic: { resource: "F3", baseFont: "Helvetica-Oblique" },
+};
+
+// Glyph widths (1/1000 em) of the characters 32-126, from the Helvetica AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556;
+
+// Unicode characters that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "…": 0x85,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+};
+
+// Characters of right-to-left scripts: Hebrew, Arabic and their presentation forms
+const RTL_CHARACTER = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc]/;
+const MIRRORED = {
+  "(": ")",
+  ")": "(",
+  "[": "]",
+  "]": "[",
+  "{": "}",
+  "}": "{",
+  "<": ">",
+  ">": "<",
+};
+
+// Horizontal shear of italic text drawn with an upright embedded font
+const ITALIC_SKEW = 0.2;
+
+/**
+ * Converts text to WinAnsi character codes
+ *
+ * @param {string} text - Any text
+ * @param {Set<string>} [missing] - Collects the characters replaced by "?"
+ * @returns {string} - One char per byte (latin1), unknown characters replaced by "?"
+ */
+function toWinAnsi(text, missing) {
+  return Array.from(String(text))
+    .map((char) => {
+      if (WIN_ANSI_EXTRAS[char]) {
+        return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+      }
+      const code = char.charCodeAt(0);
+      if ((code >= 32 && code < 127) || (code >= 0xa0 && code <= 0xff)) {
+        return char;
+      }
+      if (/\s/.test(char)) {
+        return " ";
+      }
+      if (missing) {
+        missing.add(char);
+      }
+      return "?";
+    })
+    .join("");
+}
+
+/**
+ * Puts a line of text in display order
+ *
+ * A simplified form of the Unicode bidirectional algorithm: the line takes
+ * the direction of its first letter, spaces and punctuation take the
+ * direction of the letters around them, and right-to-left runs are reversed
+ * with their brackets mirrored. Digits stay left to right.
+ *
+ * @param {string} text - One line, in reading order
+ * @returns {string} - The characters from left to right
+ */
+function visualOrder(text) {
+  const chars = Array.from(String(text));
+  const types = chars.map((char) => {
+    if (RTL_CHARACTER.test(char)) return "R";
+    return /[\p{L}\p{N}]/u.test(char) ? "L" : null;
+  });
+  if (!types.includes("R")) {
+    return chars.join("");
+  }
+  const base = types.find(Boolean);
+  const resolved = types.map((type, i) => {
+    if (type) return type;
+    const before = types.slice(0, i).reverse().find(Boolean) || base;
+    const after = types.slice(i + 1).find(Boolean) || base;
+    return before === after ? before : base;
+  });
+
+  const runs = [];
+  chars.forEach((char, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === resolved[i]) {
+      last.chars.push(char);
+    } else {
+      runs.push({ type: resolved[i], chars: [char] });
+    }
+  });
+  runs
+    .filter((run) => run.type === "R")
+    .forEach((run) => {
+      run.chars = run.chars.reverse().map((char) => MIRRORED[char] || char);
+    });
+  if (base === "R") {
+    runs.reverse();
+  }
+  return runs.map((run) => run.chars.join("")).join("");
+}
+
+/**
+ * Escapes encoded text for a PDF string literal
+ */
+function escapeString(encoded) {
+  return encoded.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Formats text as a PDF text string, as used in the document information
+ *
+ * @returns {string} - A string literal, or UTF-16 hex if the text does not fit WinAnsi
+ */
+function textString(text) {
+  const missing = new Set();
+  const encoded = toWinAnsi(text, missing);
+  if (missing.size === 0) {
+    return `(${escapeString(encoded)})`;
+  }
+  const utf16 = Buffer.from(String(text), "utf16le").swap16();
+  return `<FEFF${utf16.toString("hex").toUpperCase()}>`;
+}
+
+/**
+ * Builds the ToUnicode CMap of an embedded font
+ *
+ * @param {Map<number, string>} glyphs - Glyph ID -> the character it was used for
+ * @returns {string} - The CMap program
+ */
+function toUnicodeCMap(glyphs) {
+  const entries = Array.from(glyphs).map(([glyph, char]) => {
+    const unicode = Buffer.from(char, "utf16le").swap16().toString("hex");
+    return `<${glyph.toString(16).padStart(4, "0")}> <${unicode}>`;
+  });
+  // At most 100 mappings per block
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join("\n")}\nendbfchar`);
+  }
+  return [
+    "/CIDInit /ProcSet findresource begin",
+    "12 dict begin",
+    "begincmap",
+    "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def",
+    "/CMapName /Adobe-Identity-UCS def",
+    "/CMapType 2 def",
+    "1 begincodespacerange\n<0000> <ffff>\nendcodespacerange",
+    ...blocks,
+    "endcmap",
+    "CMapName currentdict /CMap defineresource pop",
+    "end",
+    "end",
+  ].join("\n");
+}
+
+/**
+ * Formats a number for a content stream
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts a "#rrggbb" color to PDF color operands
+ */
+function rgb(color) {
+  const hex = color.replace("#", "");
+  return [0, 2, 4]
+    .map((offset) => num(parseInt(hex.slice(offset, offset + 2), 16) / 255))
+    .join(" ");
+}
+
+/**
+ * Reads the size and color space of a JPEG image
+ *
+ * @param {Buffer} data - JPEG file contents
+ * @returns {Object|null} - { width, height, components }, or null if the data is not a JPEG
+ */
+function readJpegInfo(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    return null;
+  }
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) {
+      return null;
+    }
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // Start-of-frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9],
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Converts a PNG file into PDF image data
+ *
+ * Grayscale, RGB and palette images are embedded as they are compressed;
+ * images with an alpha channel are split into color and a soft mask.
+ * 16-bit and interlaced images are not supported.
+ *
+ * @param {Buffer} data - PNG file contents
+ * @returns {Object|null} - Image description for PdfDocument, or null if unsupported
+ */
+function readPng(data) {
+  const png = readPngChunks(data);
+  if (!png) {
+    return null;
+  }
+  const { header, palette, compressed } = png;
+  if (header.interlace !== 0 || header.bitDepth !== 8) {
+    return null;
+  }
+  const { width, height, colorType } = header;
+
+  if (colorType === 0 || colorType === 2 || (colorType === 3 && palette)) {
+    const colors = colorType === 2 ? 3 : 1;
+    let colorSpace = colorType === 0 ? "/DeviceGray" : "/DeviceRGB";
+    if (colorType === 3) {
+      const hex = palette.toString("hex");
+      colorSpace = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${hex}>]`;
+    }
+    return {
+      width,
+      height,
+      colorSpace,
+      filter: "/FlateDecode",
+      decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: compressed,
+      mask: null,
+    };
+  }
+
+  if (colorType === 4 || colorType === 6) {
+    const colors = colorType === 6 ? 3 : 1;
+    const pixels = unfilterPng(
+      zlib.inflateSync(compressed),
+      width,
+      height,
+      colors + 1
+    );
+    const color = Buffer.alloc(width * height * colors);
+    const alpha = Buffer.alloc(width * height);
+    for (let i = 0; i < width * height; i++) {
+      pixels.copy(
+        color,
+        i * colors,
+        i * (colors + 1),
+        i * (colors + 1) + colors
+      );
+      alpha[i] = pixels[i * (colors + 1) + colors];
+    }
+    return {
+      width,
+      height,
+      colorSpace: colors === 3 ? "/DeviceRGB" : "/DeviceGray",
+      filter: "/FlateDecode",
+      decodeParms: null,
+      data: zlib.deflateSync(color),
+      mask: zlib.deflateSync(alpha),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Writes the objects of an embedded TrueType font
+ *
+ * The font is a Type0 font with Identity-H encoding, so text is written as
+ * glyph IDs. The widths and the ToUnicode map, which lets readers copy and
+ * search the text, cover the glyphs the document used.
+ *
+ * @param {Object} embedded - { font, glyphs } of the document
+ * @param {Function} reserve - Reserves an object ID
+ * @param {Function} set - Sets the body of an object
+ * @param {Function} stream - Builds a stream object from a dictionary and data
+ * @returns {number} - Object ID of the Type0 font
+ */
+function writeEmbeddedFont({ font, glyphs }, reserve, set, stream) {
+  const scale = 1000 / font.unitsPerEm;
+  const fileId = reserve();
+  set(
+    fileId,
+    stream(
+      `/Length1 ${font.data.length} /Filter /FlateDecode`,
+      zlib.deflateSync(font.data)
+    )
+  );
+
+  const descriptorId = reserve();
+  set(
+    descriptorId,
+    `<< /Type /FontDescriptor /FontName /${
+      font.name
+    } /Flags 32 /FontBBox [${font.bbox
+      .map((value) => num(value * scale))
+      .join(" ")}] /ItalicAngle 0 /Ascent ${num(
+      font.ascent * scale
+    )} /Descent ${num(font.descent * scale)} /CapHeight ${num(
+      font.ascent * scale
+    )} /StemV 80 /FontFile2 ${fileId} 0 R >>`
+  );
+
+  const widths = Array.from(glyphs.keys())
+    .sort((a, b) => a - b)
+    .map((glyph) => `${glyph} [${num(font.widthOf(glyph) * scale)}]`)
+    .join(" ");
+  const cidFontId = reserve();
+  set(
+    cidFontId,
+    `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.name} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /W [${widths}] /CIDToGIDMap /Identity >>`
+  );
+
+  const toUnicodeId = reserve();
+  set(
+    toUnicodeId,
+    stream(
+      "/Filter /FlateDecode",
+      zlib.deflateSync(Buffer.from(toUnicodeCMap(glyphs), "latin1"))
+    )
+  );
+
+  const fontId = reserve();
+  set(
+    fontId,
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+  );
+  return fontId;
+}
+
+class PdfPage {
+  constructor(doc, index) {
+    this.doc = doc;
+    this.index = index;
+    this.operations = [];
+    this.images = new Set();
+    this.links = [];
+  }
+
+  /**
+   * Draws one line of text with its baseline at y (measured from the top)
+   *
+   * @param {string} text - The text
+   * @param {number} x - Left edge in points
+   * @param {number} y - Baseline, in points from the top of the page
+   * @param {Object} [options] - { font: "regular"|"bold"|"italic", size, color }
+   */
+  text(text, x, y, options = {}) {
+    const style = options.font || "regular";
+    const size = options.size || 11;
+    const embedded = this.doc.embeddedFontFor(style);
+    let font = FONTS[style].resource;
+    let position = `${num(x)} ${num(PAGE_HEIGHT - y)} Td`;
+    let string;
+    if (embedded) {
+      font = embedded.resource;
+      string = `<${this.doc.encodeGlyphs(text, embedded)}>`;
+      if (style === "italic") {
+        position = `1 0 ${ITALIC_SKEW} 1 ${num(x)} ${num(PAGE_HEIGHT - y)} Tm`;
+      }
+    } else {
+      string = `(${escapeString(toWinAnsi(text, this.doc.missingCharacters))})`;
+    }
+    this.operations.push(
+      `BT ${rgb(options.color || "#000000")} rg /${font} ${num(
+        size
+      )} Tf ${position} ${string} Tj ET`
+    );
+  }
+
+  /**
+   * Draws a straight line
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    this.operations.push(
+      `${rgb(options.color || "#000000")} RG ${num(options.width || 1)} w ${num(
+        x1
+      )} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  /**
+   * Fills a rectangle whose top-left corner is at (x, y)
+   */
+  rect(x, y, width, height, color) {
+    this.operations.push(
+      `${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(
+        width
+      )} ${num(height)} re f`
+    );
+  }
+
+  /**
+   * Draws an image added with PdfDocument.addImage, top-left corner at (x, y)
+   */
+  image(image, x, y, width, height) {
+    this.images.add(image);
+    this.operations.push(
+      `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(
+        PAGE_HEIGHT - y - height
+      )} cm /${image.resource} Do Q`
+    );
+  }
+
+  /**
+   * Makes a rectangle (top-left at x, y) a link to another page
+   *
+   * @param {number} pageIndex - Index of the target page, from 0
+   */
+  link(x, y, width, height, pageIndex) {
+    this.links.push({ x, y, width, height, pageIndex });
+  }
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} [info] - Document information, e.g. { Title, Author }
+   * @param {Object} [options] - { fonts: { regular, bold } } TrueType files
+   *   (Buffers) to print all text with instead of Helvetica; bold falls back
+   *   to regular, and italic is the regular font slanted
+   */
+  constructor(info = {}, options = {}) {
+    this.info = info;
+    this.pages = [];
+    this.images = [];
+    this.missingCharacters = new Set();
+    this.embeddedFonts = {};
+    Object.entries(options.fonts || {}).forEach(([style, data]) => {
+      const font = data && readTrueTypeFont(data);
+      if (font) {
+        const index = Object.keys(this.embeddedFonts).length + 1;
+        // Glyph ID -> character, for widths and the ToUnicode map
+        const glyphs = new Map();
+        this.embeddedFonts[style] = { font, resource: `U${index}`, glyphs };
+      }
+    });
+  }
+
+  get pageWidth() {
+    return PAGE_WIDTH;
+  }
+
+  get pageHeight() {
+    return PAGE_HEIGHT;
+  }
+
+  /**
+   * Appends a page
+   *
+   * @returns {PdfPage} - The new page
+   */
+  addPage() {
+    const page = new PdfPage(this, this.pages.length);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Adds a JPEG or PNG image that pages can draw
+   *
+   * @param {Buffer} data - Image file contents
+   * @returns {Object|null} - Image handle with width and height, or null if the format is not supported
+   */
+  addImage(data) {
+    let image = null;
+    const jpeg = readJpegInfo(data);
+    if (jpeg && [1, 3].includes(jpeg.components)) {
+      image = {
+        width: jpeg.width,
+        height: jpeg.height,
+        colorSpace: jpeg.components === 1 ? "/DeviceGray" : "/DeviceRGB",
+        filter: "/DCTDecode",
+        decodeParms: null,
+        data,
+        mask: null,
+      };
+    } else if (!jpeg) {
+      try {
+        image = readPng(data);
+      } catch (error) {
+        image = null;
+      }
+    }
+    if (!image) {
+      return null;
+    }
+
+    image.resource = `Im${this.images.length + 1}`;
+    this.images.push(image);
+    return image;
+  }
+
+  /**
+   * Finds the embedded font that prints a style
+   *
+   * @param {string} style - "regular", "bold" or "italic"
+   * @returns {Object|null} - { font, resource, glyphs }, or null to use Helvetica
+   */
+  embeddedFontFor(style) {
+    return (
+      (style === "bold" && this.embeddedFonts.bold) ||
+      this.embeddedFonts.regular ||
+      null
+    );
+  }
+
+  /**
+   * Finds the glyph of each character of a line, in display order
+   *
+   * Characters the font does not have are printed as "?" and added to
+   * missingCharacters; other whitespace is printed as a space.
+   *
+   * @param {string} text - The line
+   * @param {Object} embedded - Font from embeddedFontFor
+   * @param {boolean} [record=false] - Record the glyphs and missing characters
+   * @returns {Array<number>} - Glyph IDs
+   */
+  glyphsOf(text, embedded, record = false) {
+    const { font, glyphs } = embedded;
+    return Array.from(visualOrder(text)).map((char) => {
+      const shown = /\s/.test(char) ? " " : char;
+      let glyph = font.glyphOf(shown.codePointAt(0));
+      let printed = shown;
+      if (glyph === 0) {
+        glyph = font.glyphOf(0x3f);
+        printed = "?";
+      }
+      if (record) {
+        glyphs.set(glyph, printed);
+        if (printed !== shown) {
+          this.missingCharacters.add(char);
+        }
+      }
+      return glyph;
+    });
+  }
+
+  /**
+   * Encodes a line for an embedded font's Identity-H encoding
+   *
+   * @param {string} text - The line
+   * @param {Object} embedded - Font from embeddedFontFor
+   * @returns {string} - Hex glyph IDs
+   */
+  encodeGlyphs(text, embedded) {
+    return this.glyphsOf(text, embedded, true)
+      .map((glyph) => glyph.toString(16).padStart(4, "0"))
+      .join("");
+  }
+
+  /**
+   * Measures the width of a line of text
+   *
+   * @param {string} text - The text
+   * @param {string} font - "regular", "bold" or "italic"
+   * @param {number} size - Font size in points
+   * @returns {number} - Width in points
+   */
+  widthOf(text, font, size) {
+    const embedded = this.embeddedFontFor(font);
+    if (embedded) {
+      const units = this.glyphsOf(text, embedded).reduce(
+        (total, glyph) => total + embedded.font.widthOf(glyph),
+        0
+      );
+      return (units * size) / embedded.font.unitsPerEm;
+    }
+    const widths = font === "bold" ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of toWinAnsi(text)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Breaks text into lines that fit a width
+   *
+   * Words longer than the width are split. Newlines in the text start new
+   * lines.
+   *
+   * @param {string} text - The text
+   * @param {string} font - "regular", "bold" or "italic"
+   * @param {number} size - Font size in points
+   * @param {number} maxWidth - Available width in points
+   * @returns {Array<string>} - The lines
+   */
+  wrap(text, font, size, maxWidth) {
+    const lines = [];
+    String(text || "")
+      .split(/\r?\n/)
+      .forEach((paragraph) => {
+        let line = "";
+        paragraph
+          .split(/\s+/)
+          .filter((word) => word.length > 0)
+          .forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.widthOf(candidate, font, size) <= maxWidth) {
+              line = candidate;
+              return;
+            }
+            if (line) {
+              lines.push(line);
+            }
+            line = word;
+            while (this.widthOf(line, font, size) > maxWidth) {
+              let cut = line.length - 1;
+              while (
+                cut > 1 &&
+                this.widthOf(line.slice(0, cut), font, size) > maxWidth
+              ) {
+                cut--;
+              }
+              lines.push(line.slice(0, cut));
+              line = line.slice(cut);
+            }
+          });
+        lines.push(line);
+      });
+    return lines;
+  }
+
+  /**
+   * Serializes the document
+   *
+   * @returns {Buffer} - The PDF file
+   */
+  toBuffer() {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body) => {
+      objects[id - 1] = Buffer.isBuffer(body)
+        ? body
+        : Buffer.from(body, "latin1");
+    };
+    const stream = (dictionary, data) =>
+      Buffer.concat([
+        Buffer.from(
+          `<< ${dictionary} /Length ${data.length} >>\nstream\n`,
+          "latin1"
+        ),
+        data,
+        Buffer.from("\nendstream", "latin1"),
+      ]);
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const infoId = reserve();
+    const fontIds = {};
+    Object.values(FONTS).forEach((font) => {
+      fontIds[font.resource] = reserve();
+      set(
+        fontIds[font.resource],
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+      );
+    });
+
+    Object.values(this.embeddedFonts).forEach((embedded) => {
+      fontIds[embedded.resource] = writeEmbeddedFont(
+        embedded,
+        reserve,
+        set,
+        stream
+      );
+    });
+
+    const imageIds = new Map();
+    this.images.forEach((image) => {
+      let maskRef = "";
+      if (image.mask) {
+        const maskId = reserve();
+        set(
+          maskId,
+          stream(
+            `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+            image.mask
+          )
+        );
+        maskRef = ` /SMask ${maskId} 0 R`;
+      }
+      const imageId = reserve();
+      const parms = image.decodeParms
+        ? ` /DecodeParms ${image.decodeParms}`
+        : "";
+      set(
+        imageId,
+        stream(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter ${image.filter}${parms}${maskRef}`,
+          image.data
+        )
+      );
+      imageIds.set(image, imageId);
+    });
+
+    const pageIds = this.pages.map(() => reserve());
+    this.pages.forEach((page, index) => {
+      const contentId = reserve();
+      set(
+        contentId,
+        stream(
+          "/Filter /FlateDecode",
+          zlib.deflateSync(Buffer.from(page.operations.join("\n"), "latin1"))
+        )
+      );
+
+      const fonts = Object.entries(fontIds)
+        .map(([resource, id]) => `/${resource} ${id} 0 R`)
+        .join(" ");
+      const images = Array.from(page.images)
+        .map((image) => `/${image.resource} ${imageIds.get(image)} 0 R`)
+        .join(" ");
+      const annots = page.links
+        .filter((link) => pageIds[link.pageIndex])
+        .map(
+          (link) =>
+            `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${num(
+              link.x
+            )} ${num(PAGE_HEIGHT - link.y - link.height)} ${num(
+              link.x + link.width
+            )} ${num(PAGE_HEIGHT - link.y)}] /Dest [${
+              pageIds[link.pageIndex]
+            } 0 R /Fit] >>`
+        )
+        .join(" ");
+
+      set(
+        pageIds[index],
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(
+          PAGE_WIDTH
+        )} ${num(PAGE_HEIGHT)}] /Resources << /Font << ${fonts} >>${
+          images ? ` /XObject << ${images} >>` : ""
+        } >> /Contents ${contentId} 0 R${
+          annots ? ` /Annots [${annots}]` : ""
+        } >>`
+      );
+    });
+
+    set(
+      pagesId,
+      `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(" ")}] /Count ${pageIds.length} >>`
+    );
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    const infoEntries = Object.entries(this.info)
+      .map(([key, value]) => `/${key} ${textString(value)}`)
+      .join(" ");
+    set(infoId, `<< /Producer (Recipes API) ${infoEntries} >>`);
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const offset = length;
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+        body,
+        Buffer.from("\nendobj\n", "latin1"),
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map(
+        (offset) => `${String(offset).padStart(10, "0")} 00000 n `
+      ),
+      "trailer",
+      `<< /Size ${
+        objects.length + 1
+      } /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      "startxref",
+      String(length),
+      "%%EOF",
+    ].join("\n");
+    chunks.push(Buffer.from(xref + "\n", "latin1"));
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,62 @@
+/**
+ * Recipe Data Providers
+ *
+ * Every recipe provider implements the same four methods and resolves with
+ * data in Spoonacular's response format:
+ *
+ *   getInformation(recipe_id)   -> recipe information object
+ *   random(count)               -> { recipes: [...] }
+ *   complexSearch(params)       -> { results: [...], totalResults }
+ *   informationBulk(recipe_ids) -> [recipe information objects]
+ *
+ * The active provider is chosen with the `recipe_provider` environment
+ * variable: "spoonacular" (default) or "local".
+ */
+require("dotenv").config();
+const SpoonacularProvider = require("./spoonacular_provider");
+const LocalRecipeProvider = require("./local_provider");
+
+const providers = {
+  spoonacular: () =>
+    new SpoonacularProvider({ apiKey: process.env.spooncular_apiKey }),
+  local: () =>
+    new LocalRecipeProvider({ fixturesDir: process.env.recipe_fixtures_dir }),
+};
+
+/**
+ * Creates a provider by name
+ *
+ * @param {string} name - Provider name ("spoonacular" or "local")
+ * @returns {Object} - The provider instance
+ * @throws {Error} - If no provider with that name exists
+ */
+function createProvider(name) {
+  if (!providers[name]) {
+    throw new Error(
+      `Unknown recipe provider "${name}". Expected one of: ${Object.keys(
+        providers
+      ).join(", ")}`
+    );
+  }
+  return providers[name]();
+}
+
+let activeProvider = null;
+
+/**
+ * Returns the provider selected by configuration, creating it on first use
+ *
+ * @returns {Object} - The active provider instance
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(
+      process.env.recipe_provider || "spoonacular"
+    );
+    console.log(`🍳 Using "${activeProvider.name}" recipe provider`);
+  }
+  return activeProvider;
+}
+
+exports.createProvider = createProvider;
+exports.getProvider = getProvider;
@@ -0,0 +1,180 @@
+/**
+ * Local Recipe Provider
+ *
+ * A Spoonacular stand-in that serves recipe information objects stored as
+ * JSON files (one recipe per file, in Spoonacular's format) from a fixtures
+ * directory. It needs no network access and no API key, which makes it
+ * suitable for offline development and for exercising the recipe routes.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Builds an error shaped like an axios HTTP error, so the error handling in
+ * recipes_utils treats local and remote failures the same way
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.response = {
+    status,
+    data: { status: "failure", code: status, message },
+  };
+  return error;
+}
+
+class LocalRecipeProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixturesDir] - Directory holding <id>.json recipe files
+   */
+  constructor(options = {}) {
+    this.name = "local";
+    this.fixturesDir =
+      options.fixturesDir ||
+      path.join(__dirname, "..", "..", "..", "fixtures", "recipes");
+    this.recipes = null;
+  }
+
+  /**
+   * Loads every fixture file once and indexes the recipes by ID
+   */
+  load() {
+    if (!this.recipes) {
+      this.recipes = new Map();
+      fs.readdirSync(this.fixturesDir)
+        .filter((file) => file.endsWith(".json"))
+        .forEach((file) => {
+          const recipe = JSON.parse(
+            fs.readFileSync(path.join(this.fixturesDir, file), "utf8")
+          );
+          this.recipes.set(String(recipe.id), recipe);
+        });
+      console.log(
+        `📁 Loaded ${this.recipes.size} local recipes from ${this.fixturesDir}`
+      );
+    }
+    return this.recipes;
+  }
+
+  /**
+   * Returns the fixture with the given ID, or rejects with a 404 error
+   */
+  async getInformation(recipe_id) {
+    const recipe = this.load().get(String(recipe_id));
+    if (!recipe) {
+      throw httpError(404, `A recipe with the id ${recipe_id} does not exist.`);
+    }
+    return recipe;
+  }
+
+  /**
+   * Returns `count` distinct fixtures in random order
+   */
+  async random(count) {
+    const all = Array.from(this.load().values());
+    // Partial Fisher-Yates shuffle, enough to pick `count` distinct recipes
+    for (let i = 0; i < Math.min(count, all.length); i++) {
+      const j = i + Math.floor(Math.random() * (all.length - i));
+      [all[i], all[j]] = [all[j], all[i]];
+    }
+    return { recipes: all.slice(0, count) };
+  }
+
+  /**
+   * Filters the fixtures by query (title and ingredient names), cuisine, diet
+   * and intolerances, then sorts and trims them like complexSearch does
+   */
+  async complexSearch(params = {}) {
+    const query = (params.query || "").toLowerCase();
+    const lower = (values) => (values || []).map((v) => v.toLowerCase());
+
+    let results = Array.from(this.load().values()).filter((recipe) => {
+      const haystack = [
+        recipe.title,
+        ...(recipe.extendedIngredients || []).map((i) => i.name),
+      ]
+        .join(" ")
+        .toLowerCase();
+      if (query && !haystack.includes(query)) return false;
+      if (
+        params.cuisine &&
+        !lower(recipe.cuisines).includes(params.cuisine.toLowerCase())
+      )
+        return false;
+      if (params.diet && !matchesDiet(recipe, params.diet)) return false;
+      if (params.intolerances && !toleratesAll(recipe, params.intolerances))
+        return false;
+      if (params.instructionsRequired && !recipe.instructions) return false;
+      return true;
+    });
+
+    const sortKeys = {
+      time: (recipe) => recipe.readyInMinutes,
+      popularity: (recipe) => recipe.aggregateLikes,
+    };
+    const sortKey = sortKeys[params.sort];
+    if (sortKey) {
+      const direction = params.sortDirection === "desc" ? -1 : 1;
+      results.sort((a, b) => direction * (sortKey(a) - sortKey(b)));
+    }
+
+    const totalResults = results.length;
+    const number = parseInt(params.number) || 10;
+    results = results.slice(0, number).map((recipe) => ({
+      id: recipe.id,
+      title: recipe.title,
+      image: recipe.image,
+      imageType: recipe.imageType,
+    }));
+
+    return { results, offset: 0, number, totalResults };
+  }
+
+  /**
+   * Returns the fixtures for the given IDs, skipping unknown ones
+   */
+  async informationBulk(recipe_ids) {
+    const recipes = this.load();
+    return recipe_ids
+      .map((id) => recipes.get(String(id)))
+      .filter((recipe) => recipe !== undefined);
+  }
+}
+
+/**
+ * Checks a recipe against a Spoonacular diet name
+ */
+function matchesDiet(recipe, diet) {
+  switch (diet.toLowerCase()) {
+    case "vegan":
+      return recipe.vegan === true;
+    case "vegetarian":
+    case "lacto vegetarian":
+    case "ovo vegetarian":
+      return recipe.vegetarian === true;
+    case "gluten free":
+      return recipe.glutenFree === true;
+    default:
+      return (recipe.diets || []).includes(diet.toLowerCase());
+  }
+}
+
+/**
+ * Checks a recipe against a comma separated list of intolerances
+ */
+function toleratesAll(recipe, intolerances) {
+  return intolerances
+    .split(",")
+    .map((i) => i.trim().toLowerCase())
+    .every((intolerance) => {
+      if (intolerance === "gluten" || intolerance === "wheat")
+        return recipe.glutenFree === true;
+      if (intolerance === "dairy") return recipe.dairyFree === true;
+      const names = (recipe.extendedIngredients || []).map((i) =>
+        i.name.toLowerCase()
+      );
+      return !names.some((name) => name.includes(intolerance));
+    });
+}
+
+module.exports = LocalRecipeProvider;
@@ -0,0 +1,78 @@
+/**
+ * Spoonacular Recipe Provider
+ *
+ * Talks to the real Spoonacular HTTP API. Responses are returned exactly as
+ * Spoonacular sends them, and failed requests reject with the axios error so
+ * callers can inspect `error.response.status` (402 quota, 429 rate limit).
+ */
+const axios = require("axios");
+
+class SpoonacularProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Recipes API root
+   * @param {string} [options.apiKey] - Spoonacular API key
+   */
+  constructor(options = {}) {
+    this.name = "spoonacular";
+    this.baseUrl = options.baseUrl || "https://api.spoonacular.com/recipes";
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Performs a GET request against the recipes API
+   */
+  async request(path, params = {}) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      params: { ...params, apiKey: this.apiKey },
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetches the full information of one recipe
+   *
+   * @param {number} recipe_id - The Spoonacular recipe ID
+   * @returns {Promise<Object>} - The recipe information object
+   */
+  async getInformation(recipe_id) {
+    return this.request(`/${recipe_id}/information`, {
+      includeNutrition: false,
+    });
+  }
+
+  /**
+   * Fetches random recipes
+   *
+   * @param {number} count - Number of recipes to return
+   * @returns {Promise<Object>} - Object of the form { recipes: [...] }
+   */
+  async random(count) {
+    return this.request("/random", { number: count });
+  }
+
+  /**
+   * Runs a complex search
+   *
+   * @param {Object} params - Spoonacular complexSearch query parameters
+   * @returns {Promise<Object>} - Object of the form { results: [...], totalResults }
+   */
+  async complexSearch(params) {
+    return this.request("/complexSearch", params);
+  }
+
+  /**
+   * Fetches the full information of several recipes in one call
+   *
+   * @param {Array<number>} recipe_ids - The Spoonacular recipe IDs
+   * @returns {Promise<Array<Object>>} - Recipe information objects
+   */
+  async informationBulk(recipe_ids) {
+    return this.request("/informationBulk", {
+      ids: recipe_ids.join(","),
+      includeNutrition: false,
+    });
+  }
+}
+
+module.exports = SpoonacularProvider;
@@ -0,0 +1,436 @@
+/**
+ * Recipe Search Index
+ *
+ * In-process inverted index over the title, ingredients and instructions of
+ * every private and family recipe. It is built from the database on startup
+ * and updated by user_utils whenever a recipe is added or deleted, so the
+ * user's own recipes can be searched without scanning the tables.
+ *
+ * All relevance ranking is done here: the unified search (search_utils)
+ * takes the user's recipes from match() and scores Spoonacular recipes with
+ * score(), so every source is ranked with the same weights.
+ */
+const { private_recipes, family_recipes } = require("./repositories");
+const {
+  analyze,
+  tokenize,
+  stem,
+  normalizeIngredientName,
+  ingredientNames,
+} = require("./text_analysis");
+
+// Relevance weight of a term found in each field
+const FIELD_WEIGHTS = { title: 3, ingredients: 2, instructions: 1 };
+const SNIPPET_WORDS = 24; // Words shown in a snippet
+const SNIPPET_LEAD = 6; // Words kept before the first match
+
+/**
+ * Escapes text for safe inclusion in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Splits text into alternating word / separator parts and marks the words
+ * whose stem is one of the query terms
+ */
+function splitWords(text, terms) {
+  return String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .split(/([A-Za-z0-9]+)/)
+    .filter((part) => part.length > 0)
+    .map((part) => {
+      const isWord = /^[A-Za-z0-9]+$/.test(part);
+      return {
+        text: part,
+        isWord,
+        matched: isWord && terms.has(stem(part.toLowerCase())),
+      };
+    });
+}
+
+/**
+ * Renders parts as HTML, wrapping matched words in <mark>
+ */
+function renderParts(parts) {
+  return parts
+    .map((part) =>
+      part.matched
+        ? `<mark>${escapeHtml(part.text)}</mark>`
+        : escapeHtml(part.text)
+    )
+    .join("");
+}
+
+/**
+ * Highlights every query term in a short text such as a title
+ *
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Stemmed query terms
+ * @returns {string} - HTML-escaped text with matches wrapped in <mark>
+ */
+function highlight(text, terms) {
+  return renderParts(splitWords(text, terms));
+}
+
+/**
+ * Cuts a window of text around the first query term and highlights it
+ *
+ * @param {string} text - Plain text or HTML (tags are dropped)
+ * @param {Set<string>} terms - Stemmed query terms
+ * @returns {string|null} - HTML snippet, or null if no term occurs in the text
+ */
+function snippet(text, terms) {
+  const parts = splitWords(text, terms);
+  const words = parts.filter((part) => part.isWord);
+  const firstMatch = words.findIndex((part) => part.matched);
+  if (firstMatch === -1) {
+    return null;
+  }
+
+  const startWord = Math.max(0, firstMatch - SNIPPET_LEAD);
+  const endWord = Math.min(words.length, startWord + SNIPPET_WORDS);
+  const start = parts.indexOf(words[startWord]);
+  const end = parts.indexOf(words[endWord - 1]) + 1;
+
+  const prefix = startWord > 0 ? "…" : "";
+  const suffix = endWord < words.length ? "…" : "";
+  return (
+    prefix +
+    renderParts(parts.slice(start, end)).replace(/\s+/g, " ").trim() +
+    suffix
+  );
+}
+
+/**
+ * Splits a recipe's text into analyzed terms per field
+ *
+ * @param {string} title - Recipe title
+ * @param {Array<string>} ingredients - Ingredient names
+ * @param {string} instructions - Instructions (HTML tags are ignored)
+ * @returns {Object} - Terms of the title, ingredients and instructions
+ */
+function fieldTerms(title, ingredients, instructions) {
+  return {
+    title: analyze(title),
+    ingredients: ingredients.flatMap((name) =>
+      tokenize(normalizeIngredientName(name))
+    ),
+    instructions: analyze(instructions),
+  };
+}
+
+/**
+ * Scores one query term from its count in each field of a recipe
+ *
+ * @param {Object} counts - Occurrences of the term per field
+ * @returns {number} - Sum of the weighted, log-scaled counts
+ */
+function termScore(counts) {
+  let score = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    if (counts[field] > 0) {
+      score += weight * (1 + Math.log(counts[field]));
+    }
+  }
+  return score;
+}
+
+/**
+ * Adds a document's terms to a postings map
+ */
+function insertDocument(documents, postings, doc) {
+  documents.set(doc.key, doc);
+  for (const [field, terms] of Object.entries(doc.terms)) {
+    for (const term of terms) {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      const posting = postings.get(term);
+      if (!posting.has(doc.key)) {
+        posting.set(doc.key, { title: 0, ingredients: 0, instructions: 0 });
+      }
+      posting.get(doc.key)[field]++;
+    }
+  }
+}
+
+/**
+ * Removes a document's terms from a postings map
+ */
+function removeDocument(documents, postings, key) {
+  const doc = documents.get(key);
+  if (!doc) {
+    return;
+  }
+  for (const terms of Object.values(doc.terms)) {
+    for (const term of terms) {
+      const posting = postings.get(term);
+      if (posting) {
+        posting.delete(key);
+        if (posting.size === 0) {
+          postings.delete(term);
+        }
+      }
+    }
+  }
+  documents.delete(key);
+}
+
+class RecipeIndex {
+  constructor() {
+    // "source:recipe_id" -> indexed recipe
+    this.documents = new Map();
+    // term -> Map("source:recipe_id" -> term count per field)
+    this.postings = new Map();
+
+    this.ready = false;
+    this.building = null;
+    // Changes made while a rebuild is loading rows, replayed once it is done
+    this.changesDuringBuild = null;
+  }
+
+  /**
+   * Converts a private_recipes or family_recipes row into an index document
+   *
+   * @param {string} source - "private" or "family"
+   * @param {Object} row - The recipe row (ingredients as JSON text or array)
+   * @returns {Object} - The document with its analyzed terms per field
+   */
+  toDocument(source, row) {
+    const title = source === "family" ? row.recipe_name : row.title;
+    const ingredients = ingredientNames(row.ingredients);
+
+    return {
+      key: `${source}:${row.recipe_id}`,
+      source,
+      id: row.recipe_id,
+      user_id: Number(row.user_id),
+      title: title || "",
+      image: row.image_url || null,
+      ingredients,
+      instructions: String(row.instructions || ""),
+      // Columns the unified search shows and filters on
+      readyInMinutes: row.readyInMinutes,
+      popularity: Number(row.popularity) || 0,
+      vegan: Number(row.vegan) === 1,
+      vegetarian: Number(row.vegetarian) === 1,
+      glutenFree: Number(row.gluten_free) === 1,
+      owner: row.owner_name,
+      terms: fieldTerms(title, ingredients, row.instructions),
+    };
+  }
+
+  /**
+   * Adds a recipe to the index, replacing an older version of it
+   *
+   * @param {string} source - "private" or "family"
+   * @param {Object} row - The recipe row, including recipe_id and user_id
+   */
+  add(source, row) {
+    const doc = this.toDocument(source, row);
+    removeDocument(this.documents, this.postings, doc.key);
+    insertDocument(this.documents, this.postings, doc);
+
+    if (this.changesDuringBuild) {
+      this.changesDuringBuild.push((documents, postings) => {
+        removeDocument(documents, postings, doc.key);
+        insertDocument(documents, postings, doc);
+      });
+    }
+  }
+
+  /**
+   * Removes a recipe from the index
+   *
+   * @param {string} source - "private" or "family"
+   * @param {number} recipe_id - The ID of the recipe
+   */
+  remove(source, recipe_id) {
+    const key = `${source}:${recipe_id}`;
+    removeDocument(this.documents, this.postings, key);
+
+    if (this.changesDuringBuild) {
+      this.changesDuringBuild.push((documents, postings) =>
+        removeDocument(documents, postings, key)
+      );
+    }
+  }
+
+  /**
+   * Rebuilds the whole index from the database
+   *
+   * Concurrent calls share the same rebuild. Recipes added or deleted while
+   * the rows are loading are applied to the new index before it is swapped in.
+   *
+   * @returns {Promise<void>} - Resolves once the new index is in use
+   * @throws {Error} - If the recipes cannot be loaded
+   */
+  rebuild() {
+    if (this.building) {
+      return this.building;
+    }
+
+    this.changesDuringBuild = [];
+    this.building = (async () => {
+      try {
+        const [privateRows, familyRows] = await Promise.all([
+          private_recipes.findAll(),
+          family_recipes.findAll(),
+        ]);
+
+        const documents = new Map();
+        const postings = new Map();
+        privateRows.forEach((row) =>
+          insertDocument(documents, postings, this.toDocument("private", row))
+        );
+        familyRows.forEach((row) =>
+          insertDocument(documents, postings, this.toDocument("family", row))
+        );
+        this.changesDuringBuild.forEach((change) =>
+          change(documents, postings)
+        );
+
+        this.documents = documents;
+        this.postings = postings;
+        this.ready = true;
+        console.log(
+          `🔎 Recipe search index built: ${documents.size} recipes, ${postings.size} terms`
+        );
+      } finally {
+        this.building = null;
+        this.changesDuringBuild = null;
+      }
+    })();
+    return this.building;
+  }
+
+  /**
+   * Builds the index if the startup build has not completed yet
+   */
+  async ensureReady() {
+    if (!this.ready) {
+      await this.rebuild();
+    }
+  }
+
+  /**
+   * Finds and scores one user's recipes
+   *
+   * Each query term adds its IDF times the weighted, log-scaled term
+   * frequency in the title, ingredients and instructions. The total is then
+   * scaled by the share of query terms the recipe contains, so recipes
+   * matching every term rank first.
+   *
+   * @param {number} user_id - The ID of the user whose recipes are searched
+   * @param {string} query - Free-text query
+   * @returns {Array<Object>} - { doc, score } for every match, best first
+   */
+  match(user_id, query) {
+    const queryTerms = [...new Set(analyze(query))];
+    const owner = Number(user_id);
+    const matches = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + this.documents.size / posting.size);
+      for (const [key, counts] of posting) {
+        const doc = this.documents.get(key);
+        if (doc.user_id !== owner) continue;
+
+        if (!matches.has(key)) {
+          matches.set(key, { doc, score: 0, matchedTerms: 0 });
+        }
+        const match = matches.get(key);
+        match.score += idf * termScore(counts);
+        match.matchedTerms++;
+      }
+    }
+
+    return Array.from(matches.values())
+      .map(({ doc, score, matchedTerms }) => ({
+        doc,
+        score: (score * matchedTerms) / queryTerms.length,
+      }))
+      .sort(
+        (a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title)
+      );
+  }
+
+  /**
+   * Scores a recipe that is not in the index, such as a Spoonacular recipe
+   *
+   * The recipe is scored as match() would score it if it were one more
+   * document of the index, so the scores of both can be compared.
+   *
+   * @param {Object} recipe - title, ingredients (names) and instructions
+   * @param {string} query - Free-text query
+   * @returns {number} - Relevance score, 0 when no query term occurs
+   */
+  score(recipe, query) {
+    const queryTerms = [...new Set(analyze(query))];
+    const counts = new Map();
+    const terms = fieldTerms(
+      recipe.title,
+      recipe.ingredients,
+      recipe.instructions
+    );
+    for (const [field, fieldTermList] of Object.entries(terms)) {
+      for (const term of fieldTermList) {
+        if (!counts.has(term)) {
+          counts.set(term, { title: 0, ingredients: 0, instructions: 0 });
+        }
+        counts.get(term)[field]++;
+      }
+    }
+
+    let score = 0;
+    let matchedTerms = 0;
+    for (const term of queryTerms) {
+      if (!counts.has(term)) continue;
+      const posting = this.postings.get(term);
+      const idf = Math.log(
+        1 + (this.documents.size + 1) / ((posting ? posting.size : 0) + 1)
+      );
+      score += idf * termScore(counts.get(term));
+      matchedTerms++;
+    }
+    return queryTerms.length > 0
+      ? (score * matchedTerms) / queryTerms.length
+      : 0;
+  }
+
+  /**
+   * Searches one user's recipes
+   *
+   * @param {number} user_id - The ID of the user whose recipes are searched
+   * @param {string} query - Free-text query
+   * @returns {Array<Object>} - Matches ordered by relevance, with highlighted title and snippet
+   */
+  search(user_id, query) {
+    const terms = new Set(analyze(query));
+    return this.match(user_id, query).map(({ doc, score }) => ({
+      id: doc.id,
+      source: doc.source,
+      title: doc.title,
+      image: doc.image,
+      score: Math.round(score * 1000) / 1000,
+      highlights: {
+        title: highlight(doc.title, terms),
+        snippet:
+          snippet(doc.instructions, terms) ||
+          snippet(doc.ingredients.join(", "), terms) ||
+          "",
+      },
+    }));
+  }
+}
+
+module.exports = new RecipeIndex();
@@ -0,0 +1,243 @@
+/**
+ * Recipe JSON-LD
+ *
+ * Converts recipes to and from schema.org `Recipe` JSON-LD, the format
+ * recipe sites embed in their pages and other recipe apps import.
+ *
+ * Export works on the recipe details returned by the API. Import maps a
+ * JSON-LD recipe onto the fields accepted for a new private recipe (as in
+ * POST /users/myRecipes).
+ */
+const { formatIngredient } = require("./ingredient_parser");
+const { instructionSteps } = require("./text_analysis");
+
+const SCHEMA_CONTEXT = "https://schema.org";
+
+// schema.org RestrictedDiet values and the recipe flags they stand for
+const DIETS = [
+  ["vegan", "https://schema.org/VeganDiet"],
+  ["vegetarian", "https://schema.org/VegetarianDiet"],
+  ["glutenFree", "https://schema.org/GlutenFreeDiet"],
+];
+
+/**
+ * Writes minutes as an ISO 8601 duration ("PT1H30M")
+ *
+ * @param {number} minutes - Whole minutes
+ * @returns {string} - The duration
+ */
+function toDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${rest || !hours ? `${rest}M` : ""}`;
+}
+
+/**
+ * Reads an ISO 8601 duration ("PT1H30M", "P0DT45M") as whole minutes
+ *
+ * @param {string} duration - The duration
+ * @returns {number|null} - Minutes, or null if the text is not a duration
+ */
+function parseDuration(duration) {
+  const match =
+    typeof duration === "string" &&
+    duration
+      .trim()
+      .match(
+        /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+      );
+  if (!match || match[0].length <= 2) {
+    return null;
+  }
+  const [, days, hours, minutes, seconds] = match.map((part) =>
+    Number(part || 0)
+  );
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Removes markup and extra whitespace from a JSON-LD text value
+ */
+function plainText(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Converts recipe details into a schema.org Recipe
+ *
+ * @param {Object} recipe - Recipe details with normalized ingredients (private or Spoonacular)
+ * @returns {Object} - The JSON-LD document
+ */
+function toJsonLd(recipe) {
+  const jsonld = {
+    "@context": SCHEMA_CONTEXT,
+    "@type": "Recipe",
+    name: recipe.title,
+  };
+
+  if (recipe.image) {
+    jsonld.image = recipe.image;
+  }
+  if (recipe.summary) {
+    jsonld.description = plainText(recipe.summary);
+  }
+  if (recipe.owner) {
+    jsonld.author = { "@type": "Person", name: recipe.owner };
+  }
+
+  const minutes = Number(recipe.readyInMinutes);
+  if (Number.isFinite(minutes) && minutes > 0) {
+    jsonld.totalTime = toDuration(Math.round(minutes));
+  }
+  const servings = Number(recipe.servings);
+  if (Number.isFinite(servings) && servings > 0) {
+    jsonld.recipeYield = `${servings} ${
+      servings === 1 ? "serving" : "servings"
+    }`;
+  }
+
+  const diets = DIETS.filter(([flag]) => recipe[flag]).map(([, diet]) => diet);
+  if (diets.length > 0) {
+    jsonld.suitableForDiet = diets;
+  }
+
+  jsonld.recipeIngredient = (recipe.ingredients || []).map((ingredient) =>
+    typeof ingredient === "string" ? ingredient : formatIngredient(ingredient)
+  );
+  jsonld.recipeInstructions = instructionSteps(recipe.instructions).map(
+    (text) => ({ "@type": "HowToStep", text })
+  );
+
+  return jsonld;
+}
+
+/**
+ * Tells whether a JSON-LD node is a Recipe
+ */
+function isRecipe(node) {
+  const types = [].concat((node && node["@type"]) || []);
+  return types.some(
+    (type) => type === "Recipe" || type === `${SCHEMA_CONTEXT}/Recipe`
+  );
+}
+
+/**
+ * Collects the Recipe nodes of an imported document
+ *
+ * Accepts a single recipe, an array of recipes, or documents with an
+ * `@graph` as recipe sites publish them.
+ *
+ * @param {Object|Array} document - The JSON-LD document
+ * @returns {Array<Object>} - The nodes to import; nodes that are not recipes are kept so they can be reported
+ */
+function recipeNodes(document) {
+  const nodes = [].concat(document || []);
+  return nodes.flatMap((node) => {
+    if (node && Array.isArray(node["@graph"]) && !isRecipe(node)) {
+      const recipes = node["@graph"].filter(isRecipe);
+      return recipes.length > 0 ? recipes : [node];
+    }
+    return [node];
+  });
+}
+
+/**
+ * Reads the number of servings from a recipeYield ("4 servings", 4, ["4", "4 servings"])
+ */
+function parseYield(recipeYield) {
+  for (const value of [].concat(recipeYield || [])) {
+    const match = String(value).match(/\d+/);
+    if (match && Number(match[0]) > 0) {
+      return Number(match[0]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Flattens recipeInstructions (text, HowToStep and HowToSection) into steps
+ */
+function readInstructions(instructions) {
+  if (typeof instructions === "string") {
+    return instructionSteps(instructions);
+  }
+  return [].concat(instructions || []).flatMap((item) => {
+    if (typeof item === "string") {
+      return instructionSteps(item);
+    }
+    if (item && item.itemListElement) {
+      return readInstructions(item.itemListElement);
+    }
+    const text = item && plainText(item.text || item.name);
+    return text ? [text] : [];
+  });
+}
+
+/**
+ * Reads the first image URL from an image, ImageObject or a list of them
+ */
+function readImage(image) {
+  for (const value of [].concat(image || [])) {
+    const url = typeof value === "string" ? value : value && value.url;
+    if (typeof url === "string" && url.trim()) {
+      return url.trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Maps a schema.org Recipe onto the fields of a new private recipe
+ *
+ * Fields the recipe does not provide are left out, so they get the usual
+ * defaults; the caller validates the result like any new private recipe.
+ *
+ * @param {Object} node - A JSON-LD Recipe node
+ * @returns {Object} - Recipe details as accepted by addPrivateRecipe
+ */
+function fromJsonLd(node) {
+  const details = {
+    title: plainText(node.name) || undefined,
+    servings: parseYield(node.recipeYield) || undefined,
+    image: readImage(node.image),
+  };
+
+  const totalTime = parseDuration(node.totalTime);
+  const partTimes = [node.prepTime, node.cookTime]
+    .map(parseDuration)
+    .filter((minutes) => minutes !== null);
+  if (totalTime !== null) {
+    details.readyInMinutes = totalTime;
+  } else if (partTimes.length > 0) {
+    details.readyInMinutes = partTimes.reduce((sum, minutes) => sum + minutes);
+  }
+
+  details.ingredients = []
+    .concat(node.recipeIngredient || node.ingredients || [])
+    .map(plainText)
+    .filter(Boolean);
+  details.instructions = readInstructions(node.recipeInstructions).join("\n");
+
+  const diets = []
+    .concat(node.suitableForDiet || [])
+    .map((diet) => String((diet && diet["@id"]) || diet));
+  DIETS.forEach(([flag, diet]) => {
+    const name = diet.slice(diet.lastIndexOf("/") + 1);
+    details[flag] = diets.some((value) => value.endsWith(name));
+  });
+
+  return details;
+}
+
+exports.toJsonLd = toJsonLd;
+exports.isRecipe = isRecipe;
+exports.recipeNodes = recipeNodes;
+exports.fromJsonLd = fromJsonLd;
@@ -0,0 +1,142 @@
+/**
+ * Recipe Scaling
+ *
+ * Rescales the normalized ingredients returned by the recipe detail
+ * functions to a different number of servings. Quantities are rounded to
+ * amounts that can be measured in a kitchen, and ingredients without a
+ * numeric quantity ("to taste") are left as they are.
+ */
+
+// Fractions a cook can measure with standard cups and spoons
+const KITCHEN_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [1 / 2, "1/2"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [1, ""],
+];
+
+// Units measured on a scale or in a measuring jug, rounded to whole numbers
+// (to a tenth below 1, for spices and yeast)
+const FINE_UNITS = new Set(["g", "mg", "ml"]);
+
+/**
+ * Rounds a quantity to a kitchen-friendly amount
+ *
+ * Grams and milliliters are rounded to whole numbers (to 5 above 100 and
+ * to a tenth below 1), amounts of 10 or more to whole numbers, and smaller
+ * amounts to the nearest eighth, quarter, third or half.
+ *
+ * @param {number} value - The exact scaled quantity
+ * @param {string|null} unit - The canonical unit of the quantity
+ * @returns {Object} - { quantity, text } with the rounded number and how to write it ("1 1/2")
+ */
+function roundQuantity(value, unit) {
+  if (FINE_UNITS.has(unit) && value < 1) {
+    const rounded = Math.max(0.1, Math.round(value * 10) / 10);
+    return { quantity: rounded, text: String(rounded) };
+  }
+  if (FINE_UNITS.has(unit) || value >= 10) {
+    const step = FINE_UNITS.has(unit) && value > 100 ? 5 : 1;
+    const rounded = Math.max(step, Math.round(value / step) * step);
+    return { quantity: rounded, text: String(rounded) };
+  }
+
+  let whole = Math.floor(value);
+  const rest = value - whole;
+  let [fraction, text] = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - rest) < Math.abs(best[0] - rest) ? candidate : best
+  );
+  if (fraction === 1) {
+    whole += 1;
+    fraction = 0;
+  }
+  // Never round a real amount down to nothing
+  if (whole === 0 && fraction === 0) {
+    [fraction, text] = KITCHEN_FRACTIONS[1];
+  }
+
+  const parts = [whole > 0 ? String(whole) : "", text].filter(Boolean);
+  return {
+    quantity: Math.round((whole + fraction) * 1000) / 1000,
+    text: parts.join(" "),
+  };
+}
+
+/**
+ * Scales one normalized ingredient by a factor
+ *
+ * @param {Object} ingredient - Ingredient from ingredient_parser
+ * @param {number} factor - Requested servings divided by the recipe's servings
+ * @returns {Object} - The ingredient with scaled quantity, quantityMax and quantityText
+ */
+function scaleIngredient(ingredient, factor) {
+  if (typeof ingredient.quantity !== "number") {
+    return { ...ingredient, quantityText: null };
+  }
+
+  const scaled = roundQuantity(ingredient.quantity * factor, ingredient.unit);
+  let quantityMax = null;
+  let quantityText = scaled.text;
+  if (typeof ingredient.quantityMax === "number") {
+    const scaledMax = roundQuantity(
+      ingredient.quantityMax * factor,
+      ingredient.unit
+    );
+    quantityMax = scaledMax.quantity;
+    quantityText = `${scaled.text}-${scaledMax.text}`;
+  }
+
+  return {
+    ...ingredient,
+    quantity: scaled.quantity,
+    quantityMax,
+    quantityText,
+  };
+}
+
+/**
+ * Scales a recipe's ingredients to a number of servings
+ *
+ * Recipes without a numeric servings count (family recipes report "N/A")
+ * cannot be scaled; they are returned unchanged with `scaling.available`
+ * set to false.
+ *
+ * @param {Object} recipe - Recipe details with normalized ingredients and servings
+ * @param {number} servings - The requested number of servings
+ * @returns {Object} - The recipe with scaled ingredients and a `scaling` summary
+ */
+function scaleRecipe(recipe, servings) {
+  const originalServings = Number(recipe.servings);
+  if (!Number.isFinite(originalServings) || originalServings <= 0) {
+    return {
+      ...recipe,
+      scaling: {
+        available: false,
+        message:
+          "Scaling is unavailable because the recipe has no servings count",
+        requestedServings: servings,
+      },
+    };
+  }
+
+  const factor = servings / originalServings;
+  return {
+    ...recipe,
+    servings: servings,
+    ingredients: (recipe.ingredients || []).map((ingredient) =>
+      scaleIngredient(ingredient, factor)
+    ),
+    scaling: {
+      available: true,
+      originalServings: originalServings,
+      factor: Math.round(factor * 1000) / 1000,
+    },
+  };
+}
+
+exports.roundQuantity = roundQuantity;
+exports.scaleRecipe = scaleRecipe;
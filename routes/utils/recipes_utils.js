@@ -3,11 +3,14 @@
  *
  * This module provides functions to interact with the Spoonacular API for retrieving
  * recipe information and managing recipe data in the local database.
+ * Recipe data is fetched through the configured provider (see ./providers),
+ * which is either the real Spoonacular API or a local fixture-backed stand-in.
  */
-const axios = require("axios");
-const api_domain = "https://api.spoonacular.com/recipes";
+const { getProvider } = require("./providers");
 const DButils = require("./DButils");
+const { recipe_likes } = require("./repositories");
 const cacheManager = require("./cache_manager");
+const { normalizeIngredients } = require("./ingredient_parser");
 
 // Rate limiting tracking
 let requestCount = 0;
@@ -15,6 +18,7 @@ let lastRequestTime = Date.now();
 let lastThrottleWarning = 0;
 const MAX_REQUESTS_PER_MINUTE = 10; // Conservative limit to avoid hitting Spoonacular rate limits
 const THROTTLE_WARNING_INTERVAL = 10000; // Only show throttle warning every 10 seconds
+const BULK_CHUNK_SIZE = 100; // Maximum number of IDs sent in one informationBulk call
 
 /**
  * Check if we should throttle API requests to avoid rate limits
@@ -52,7 +56,7 @@ function shouldThrottleRequest() {
  */
 async function getRecipeInformation(recipe_id) {
   const endpoint = "recipe_information";
-  const params = { recipe_id, includeNutrition: false };
+  const params = recipeInformationCacheParams(recipe_id);
 
   // Check advanced cache first
   const cachedData = await cacheManager.get(endpoint, params);
@@ -70,17 +74,12 @@ async function getRecipeInformation(recipe_id) {
   try {
     console.log(`🌐 API call for recipe ${recipe_id} information`);
     requestCount++;
-    const response = await axios.get(`${api_domain}/${recipe_id}/information`, {
-      params: {
-        includeNutrition: false,
-        apiKey: process.env.spooncular_apiKey,
-      },
-    });
+    const data = await getProvider().getInformation(recipe_id);
 
     // Store in advanced cache
-    await cacheManager.set(endpoint, params, response.data);
+    await cacheManager.set(endpoint, params, data);
 
-    return response;
+    return { data };
   } catch (error) {
     if (error.response && error.response.status === 429) {
       // Rate limit exceeded - throw specific error
@@ -90,6 +89,127 @@ async function getRecipeInformation(recipe_id) {
   }
 }
 
+/**
+ * Builds the cache parameters of a recipe information entry
+ *
+ * Numeric IDs are normalized so "123" (route params) and 123 (database rows)
+ * share a single cache entry.
+ *
+ * @param {number|string} recipe_id - The Spoonacular ID of the recipe
+ * @returns {Object} - Cache parameters for the recipe_information endpoint
+ */
+function recipeInformationCacheParams(recipe_id) {
+  const id = /^\d+$/.test(String(recipe_id)) ? Number(recipe_id) : recipe_id;
+  return { recipe_id: id, includeNutrition: false };
+}
+
+/**
+ * Checks whether an error came from API rate limiting or local throttling
+ *
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} - True for rate limit and throttle errors
+ */
+function isRateLimitError(error) {
+  return (
+    !!error &&
+    typeof error.message === "string" &&
+    (error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
+      error.message.includes("RATE_LIMIT_THROTTLE"))
+  );
+}
+
+/**
+ * Fetches information for many recipes with as few API calls as possible
+ *
+ * Recipes found in the cache are served from it. Only the missing IDs are
+ * requested, in a single informationBulk call (split into chunks of
+ * BULK_CHUNK_SIZE for very long lists), and every returned recipe is written
+ * back to the cache under its own key so single-recipe lookups hit it too.
+ *
+ * @param {Array<number>} recipe_ids - The Spoonacular IDs of the recipes
+ * @returns {Promise<Object>} - { recipes, error } where recipes is a Map from
+ *                              String(recipe_id) to the recipe information, and
+ *                              error is the API error that left IDs missing, if any
+ */
+async function getRecipesInformationBulk(recipe_ids) {
+  const endpoint = "recipe_information";
+  const recipes = new Map();
+  let error = null;
+
+  const uniqueIds = [...new Set(recipe_ids.map((id) => String(id)))];
+  const cached = await Promise.all(
+    uniqueIds.map((id) =>
+      cacheManager.get(endpoint, recipeInformationCacheParams(id))
+    )
+  );
+  const missingIds = uniqueIds.filter((id, index) => {
+    if (cached[index]) {
+      recipes.set(id, cached[index]);
+      return false;
+    }
+    return true;
+  });
+
+  for (let i = 0; i < missingIds.length; i += BULK_CHUNK_SIZE) {
+    const chunk = missingIds.slice(i, i + BULK_CHUNK_SIZE);
+
+    if (shouldThrottleRequest()) {
+      error = new Error(
+        `RATE_LIMIT_THROTTLE: Too many requests, using throttling for recipes ${chunk.join(
+          ", "
+        )}`
+      );
+      break;
+    }
+
+    try {
+      console.log(`🌐 API bulk call for ${chunk.length} recipes`);
+      requestCount++;
+      const results = await getProvider().informationBulk(chunk);
+
+      for (const recipe of results) {
+        recipes.set(String(recipe.id), recipe);
+        await cacheManager.set(
+          endpoint,
+          recipeInformationCacheParams(recipe.id),
+          recipe
+        );
+      }
+    } catch (bulkError) {
+      console.error(
+        `❌ Bulk fetch failed for recipes ${chunk.join(", ")}:`,
+        bulkError.message
+      );
+      error =
+        bulkError.response && bulkError.response.status === 429
+          ? new Error(`API_RATE_LIMIT_EXCEEDED: ${bulkError.message}`)
+          : bulkError;
+      break;
+    }
+  }
+
+  return { recipes, error };
+}
+
+/**
+ * Formats a recipe information object as a recipe preview
+ *
+ * @param {Object} recipe - Recipe information in Spoonacular's format
+ * @returns {Object} - Preview with id, title, readyInMinutes, image, popularity and diet flags
+ */
+function formatRecipePreview(recipe) {
+  return {
+    id: recipe.id,
+    title: recipe.title,
+    readyInMinutes: recipe.readyInMinutes,
+    image: recipe.image,
+    popularity: recipe.aggregateLikes,
+    vegan: recipe.vegan,
+    vegetarian: recipe.vegetarian,
+    glutenFree: recipe.glutenFree,
+  };
+}
+
 /**
  * Retrieves and formats full recipe details from the Spoonacular API
  *
@@ -126,7 +246,7 @@ async function getRecipeDetails(recipe_id) {
       vegan: vegan,
       vegetarian: vegetarian,
       glutenFree: glutenFree,
-      ingredients: extendedIngredients,
+      ingredients: normalizeIngredients(extendedIngredients),
       instructions: instructions,
       servings: servings,
     };
@@ -158,86 +278,15 @@ async function getRecipeDetails(recipe_id) {
 /**
  * Retrieves preview information for multiple recipes by their IDs
  *
- * This function fetches basic information for a list of recipes using batching
- * to avoid overwhelming the API with simultaneous requests.
+ * Recipe information is loaded with getRecipesInformationBulk, so the whole
+ * list costs at most one API call for the recipes that are not cached yet.
  *
  * @param {Array<number>} recipes_ids_list - Array of recipe IDs to fetch preview data for
  * @returns {Promise<Array<Object>>} - A promise that resolves to an array of recipe preview objects
  *                                    Each preview contains id, title, readyInMinutes, image, and popularity
  */
 async function getRecipesPreview(recipes_ids_list) {
-  if (recipes_ids_list.length <= 5) {
-    // For small lists, use the original method to avoid unnecessary delays
-    let recipes_info = await Promise.all(
-      recipes_ids_list.map(async (recipe_id) => {
-        try {
-          const recipe = await getRecipeInformation(recipe_id);
-          const {
-            id,
-            title,
-            readyInMinutes,
-            image,
-            aggregateLikes,
-            vegan,
-            vegetarian,
-            glutenFree,
-          } = recipe.data;
-          return {
-            id: id,
-            title: title,
-            readyInMinutes: readyInMinutes,
-            image: image,
-            popularity: aggregateLikes,
-            vegan: vegan,
-            vegetarian: vegetarian,
-            glutenFree: glutenFree,
-          };
-        } catch (error) {
-          // Handle rate limiting specifically
-          if (
-            error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
-            error.message.includes("RATE_LIMIT_THROTTLE")
-          ) {
-            console.log(
-              `⚠️  API Rate limit or throttling for recipe ${recipe_id}. Using fallback data.`
-            );
-            return {
-              id: recipe_id,
-              title: "Recipe Details Unavailable (Rate Limited)",
-              readyInMinutes: "N/A",
-              image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
-              popularity: 0,
-              vegan: false,
-              vegetarian: false,
-              glutenFree: false,
-              apiLimitExceeded: true,
-            };
-          }
-
-          console.log(`Failed to fetch recipe ${recipe_id}: ${error.message}`);
-          // Return a placeholder with error information instead of null
-          return {
-            id: recipe_id,
-            title: "Recipe information unavailable",
-            readyInMinutes: 0,
-            image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
-            popularity: 0,
-            vegan: false,
-            vegetarian: false,
-            glutenFree: false,
-            error: true,
-          };
-        }
-      })
-    );
-    return recipes_info.filter((recipe) => !recipe.error);
-  } else {
-    // For larger lists, use batch processing
-    console.log(
-      `🔄 Processing ${recipes_ids_list.length} recipes in batches to avoid rate limits...`
-    );
-    return await processRecipesBatch(recipes_ids_list);
-  }
+  return await processRecipesBatch(recipes_ids_list);
 }
 
 /**
@@ -253,17 +302,20 @@ async function getRandomRecipes(count = 3) {
 
   try {
     console.log(`🌐 API call for ${count} random recipes`);
-    const response = await axios.get(`${api_domain}/random`, {
-      params: {
-        number: count,
-        apiKey: process.env.spooncular_apiKey,
-      },
-    });
-
-    // Store raw data in cache
-    await cacheManager.set(endpoint, params, response.data.recipes);
+    const data = await getProvider().random(count);
+
+    // Store raw data in cache, and each recipe on its own so list
+    // endpoints that look the recipes up again do not refetch them
+    await cacheManager.set(endpoint, params, data.recipes);
+    for (const recipe of data.recipes) {
+      await cacheManager.set(
+        "recipe_information",
+        recipeInformationCacheParams(recipe.id),
+        recipe
+      );
+    }
 
-    return response.data.recipes.map((recipe) => ({
+    return data.recipes.map((recipe) => ({
       id: recipe.id,
       title: recipe.title,
       readyInMinutes: recipe.readyInMinutes,
@@ -395,7 +447,45 @@ async function searchRecipes(
     throw { status: 400, message: "Query parameter is missing" };
   }
 
-  const endpoint = "search_recipes";
+  const recipe_ids = await getSearchRecipeIds(
+    query,
+    number,
+    cuisine,
+    diet,
+    intolerance,
+    sort
+  );
+
+  if (recipe_ids.length === 0) {
+    return [];
+  }
+  return await getRecipesPreviewWithLikes(recipe_ids, user_id);
+}
+
+/**
+ * Returns the IDs of the recipes matching a search, from cache when possible
+ *
+ * Only the matching IDs are cached: like counts and the user's like status
+ * change between requests, so callers build the previews every time.
+ *
+ * @param {string} query - The search query term
+ * @param {number} number - Maximum number of results to retrieve
+ * @param {string} cuisine - Optional cuisine type filter
+ * @param {string} diet - Optional diet restriction filter
+ * @param {string} intolerance - Optional food intolerance filter
+ * @param {string} sort - Optional sort ('time' or 'popularity')
+ * @returns {Promise<Array<number>>} - Matching recipe IDs in result order
+ * @throws {Object} - Throws an error object with status and message if the API request fails
+ */
+async function getSearchRecipeIds(
+  query,
+  number = 5,
+  cuisine,
+  diet,
+  intolerance,
+  sort
+) {
+  const endpoint = "search_recipe_ids";
   const cacheParams = {
     query,
     number,
@@ -405,16 +495,44 @@ async function searchRecipes(
     sort: sort || null,
   };
 
-  // Check cache first
-  const cachedData = await cacheManager.get(endpoint, cacheParams);
-  if (cachedData) {
-    return cachedData;
+  let recipe_ids = await cacheManager.get(endpoint, cacheParams);
+  if (!recipe_ids) {
+    recipe_ids = await fetchSearchRecipeIds(
+      query,
+      number,
+      cuisine,
+      diet,
+      intolerance,
+      sort
+    );
+    await cacheManager.set(endpoint, cacheParams, recipe_ids);
   }
+  return recipe_ids;
+}
 
+/**
+ * Runs a complexSearch through the recipe provider and returns the matching IDs
+ *
+ * @param {string} query - The search query term
+ * @param {number} number - Maximum number of results to retrieve
+ * @param {string} cuisine - Optional cuisine type filter
+ * @param {string} diet - Optional diet restriction filter
+ * @param {string} intolerance - Optional food intolerance filter
+ * @param {string} sort - Optional sort ('time' or 'popularity')
+ * @returns {Promise<Array<number>>} - Matching recipe IDs in result order
+ * @throws {Object} - Throws an error object with status and message if the API request fails
+ */
+async function fetchSearchRecipeIds(
+  query,
+  number,
+  cuisine,
+  diet,
+  intolerance,
+  sort
+) {
   const params = {
     query: query,
     number: number,
-    apiKey: process.env.spooncular_apiKey,
     instructionsRequired: true,
   };
 
@@ -434,22 +552,13 @@ async function searchRecipes(
   }
   try {
     console.log(`🌐 API call for search: "${query}"`);
-    const response = await axios.get(`${api_domain}/complexSearch`, { params });
-
-    if (response.data.totalResults === 0) {
-      const emptyResult = [];
-      // Cache empty results too to avoid repeated API calls
-      await cacheManager.set(endpoint, cacheParams, emptyResult);
-      return emptyResult;
-    }    const recipes = await getRecipesPreviewWithLikes(
-      response.data.results.map((recipe) => recipe.id),
-      user_id
-    );
+    const data = await getProvider().complexSearch(params);
 
-    // Store in cache
-    await cacheManager.set(endpoint, cacheParams, recipes);
-
-    return recipes;
+    // Empty results are returned (and cached) too, to avoid repeated API calls
+    if (data.totalResults === 0) {
+      return [];
+    }
+    return data.results.map((recipe) => recipe.id);
   } catch (error) {
     console.error(
       `❌ Error searching recipes with query "${query}":`,
@@ -497,25 +606,22 @@ async function searchRecipes(
  */
 async function toggleRecipeLike(user_id, recipe_id, like) {
   try {
-    // If like parameter is not provided, check current state and toggle
-    if (like === undefined) {
-      const currentlyLiked = await hasUserLikedRecipe(user_id, recipe_id);
-      like = !currentlyLiked;
-    }
+    return await DButils.withTransaction(async (tx) => {
+      // If like parameter is not provided, check current state and toggle
+      if (like === undefined) {
+        like = !(await recipe_likes.existsForUser(user_id, recipe_id, tx));
+      }
 
-    if (like) {
-      // Add like (INSERT IGNORE to prevent duplicates)
-      await DButils.execQuery(
-        `INSERT IGNORE INTO recipe_likes (recipe_id, user_id) VALUES ('${recipe_id}', '${user_id}')`
-      );
-      return { success: true, message: "Recipe liked successfully" };
-    } else {
-      // Remove like
-      await DButils.execQuery(
-        `DELETE FROM recipe_likes WHERE recipe_id = '${recipe_id}' AND user_id = '${user_id}'`
-      );
-      return { success: true, message: "Recipe unliked successfully" };
-    }
+      if (like) {
+        // Add like (INSERT IGNORE to prevent duplicates)
+        await recipe_likes.add(user_id, recipe_id, tx);
+        return { success: true, message: "Recipe liked successfully" };
+      } else {
+        // Remove like
+        await recipe_likes.remove(user_id, recipe_id, tx);
+        return { success: true, message: "Recipe unliked successfully" };
+      }
+    });
   } catch (error) {
     console.error("Error toggling recipe like:", error);
     throw error;
@@ -526,34 +632,27 @@ async function toggleRecipeLike(user_id, recipe_id, like) {
  * Get the total number of likes for a recipe (Spoonacular + user likes)
  *
  * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {number} [spoonacularLikes] - Spoonacular's aggregateLikes when the caller
+ *                                      already has the recipe data; fetched otherwise
  * @returns {Promise<number>} - Total number of likes
  */
-/**
- * Get the total number of likes for a recipe (Spoonacular + user likes)
- *
- * @param {number} recipe_id - The Spoonacular ID of the recipe
- * @returns {Promise<number>} - Total number of likes
- */
-async function getRecipeLikesCount(recipe_id) {
+async function getRecipeLikesCount(recipe_id, spoonacularLikes) {
   try {
     // Get user likes count from database
-    const userLikesResult = await DButils.execQuery(
-      `SELECT COUNT(*) as userLikes FROM recipe_likes WHERE recipe_id = '${recipe_id}'`
-    );
-
-    // Handle MySQL2 result format correctly
-    const userLikes = parseInt(userLikesResult[0][0].userLikes) || 0;
+    const userLikes = await recipe_likes.countByRecipe(recipe_id);
 
-    // Get Spoonacular likes from API
-    let spoonacularLikes = 0;
-    try {
-      const recipeInfo = await getRecipeInformation(recipe_id);
-      spoonacularLikes = parseInt(recipeInfo.data.aggregateLikes) || 0;
-    } catch (apiError) {
-      // Silently use 0 if API fails (rate limit, daily limit, etc.)
-      // This reduces log spam while still providing functionality
-      spoonacularLikes = 0;
+    // Get Spoonacular likes from API unless the caller supplied them
+    if (spoonacularLikes === undefined) {
+      try {
+        const recipeInfo = await getRecipeInformation(recipe_id);
+        spoonacularLikes = recipeInfo.data.aggregateLikes;
+      } catch (apiError) {
+        // Silently use 0 if API fails (rate limit, daily limit, etc.)
+        // This reduces log spam while still providing functionality
+        spoonacularLikes = 0;
+      }
     }
+    spoonacularLikes = parseInt(spoonacularLikes) || 0;
 
     const totalLikes = spoonacularLikes + userLikes;
     return totalLikes;
@@ -572,16 +671,65 @@ async function getRecipeLikesCount(recipe_id) {
  */
 async function hasUserLikedRecipe(user_id, recipe_id) {
   try {
-    const result = await DButils.execQuery(
-      `SELECT COUNT(*) as liked FROM recipe_likes WHERE recipe_id = '${recipe_id}' AND user_id = '${user_id}'`
-    );
-    return result[0][0].liked > 0;
+    return await recipe_likes.existsForUser(user_id, recipe_id);
   } catch (error) {
     console.error("Error checking user like status:", error);
     return false;
   }
 }
 
+/**
+ * Get the total number of likes for several recipes (Spoonacular + user likes)
+ *
+ * User likes for all recipes are counted in a single query. Spoonacular likes
+ * are read from the recipe data the caller already loaded, so no recipe is
+ * fetched again; recipes missing from that data count local likes only.
+ *
+ * @param {Array<number>} recipe_ids - The Spoonacular IDs of the recipes
+ * @param {Map<string, Object>} [recipes] - Loaded recipe information keyed by String(recipe_id)
+ * @returns {Promise<Map<string, number>>} - Total likes keyed by String(recipe_id)
+ */
+async function getRecipeLikesCounts(recipe_ids, recipes = new Map()) {
+  const userLikes = new Map();
+  try {
+    const rows = await recipe_likes.countByRecipes(recipe_ids);
+    rows.forEach((row) =>
+      userLikes.set(String(row.recipe_id), parseInt(row.userLikes) || 0)
+    );
+  } catch (error) {
+    console.error("Error getting recipe likes counts:", error);
+  }
+
+  const totals = new Map();
+  recipe_ids.forEach((recipe_id) => {
+    const id = String(recipe_id);
+    const recipe = recipes.get(id);
+    const spoonacularLikes = recipe ? parseInt(recipe.aggregateLikes) || 0 : 0;
+    totals.set(id, spoonacularLikes + (userLikes.get(id) || 0));
+  });
+  return totals;
+}
+
+/**
+ * Check which of several recipes a user has liked, in a single query
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Array<number>} recipe_ids - The Spoonacular IDs of the recipes
+ * @returns {Promise<Map<string, boolean>>} - Like status keyed by String(recipe_id)
+ */
+async function getUserLikedRecipes(user_id, recipe_ids) {
+  const liked = new Map(recipe_ids.map((id) => [String(id), false]));
+  if (!user_id) return liked;
+
+  try {
+    const rows = await recipe_likes.findLikedRecipeIds(user_id, recipe_ids);
+    rows.forEach((row) => liked.set(String(row.recipe_id), true));
+  } catch (error) {
+    console.error("Error checking user like status:", error);
+  }
+  return liked;
+}
+
 /**
  * Enhanced version of getRecipeDetails that includes like information
  *
@@ -592,7 +740,11 @@ async function hasUserLikedRecipe(user_id, recipe_id) {
 async function getRecipeDetailsWithLikes(recipe_id, user_id = null) {
   try {
     const recipeDetails = await getRecipeDetails(recipe_id);
-    const totalLikes = await getRecipeLikesCount(recipe_id);
+    // getRecipeDetails already maps aggregateLikes to popularity
+    const totalLikes = await getRecipeLikesCount(
+      recipe_id,
+      recipeDetails.popularity
+    );
     const userHasLiked = user_id
       ? await hasUserLikedRecipe(user_id, recipe_id)
       : false;
@@ -613,80 +765,59 @@ async function getRecipeDetailsWithLikes(recipe_id, user_id = null) {
  *
  * @param {Array<number>} recipes_ids_list - Array of recipe IDs
  * @param {number} [user_id] - Optional user ID to check likes
+ * @param {Object} [loaded] - What getRecipesInformationBulk returned for these IDs, if the caller already has it; otherwise the recipes are fetched
  * @returns {Promise<Array<Object>>} - Array of recipe previews with like information
  */
-async function getRecipesPreviewWithLikes(recipes_ids_list, user_id = null) {
-  let recipes_info = await Promise.all(
-    recipes_ids_list.map(async (recipe_id) => {
-      try {
-        const recipe = await getRecipeInformation(recipe_id);
-        const {
-          id,
-          title,
-          readyInMinutes,
-          image,
-          vegan,
-          vegetarian,
-          glutenFree,
-        } = recipe.data;
-
-        const totalLikes = await getRecipeLikesCount(recipe_id);
-        const userHasLiked = user_id
-          ? await hasUserLikedRecipe(user_id, recipe_id)
-          : false;
-
-        return {
-          id: id,
-          title: title,
-          readyInMinutes: readyInMinutes,
-          image: image,
-          popularity: totalLikes,
-          vegan: vegan,
-          vegetarian: vegetarian,
-          glutenFree: glutenFree,
-          userHasLiked: userHasLiked,
-        };
-      } catch (error) {
-        // Handle rate limiting specifically
-        if (
-          error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
-          error.message.includes("RATE_LIMIT_THROTTLE")
-        ) {
-          console.log(
-            `⚠️  API Rate limit or throttling for recipe ${recipe_id}. Using fallback data.`
-          );
-        } else {
-          console.log(`Failed to fetch recipe ${recipe_id}: ${error.message}`);
-        }
-
-        // Still get the likes count even if recipe details fail
-        const totalLikes = await getRecipeLikesCount(recipe_id);
-        const userHasLiked = user_id
-          ? await hasUserLikedRecipe(user_id, recipe_id)
-          : false;
-
-        return {
-          id: recipe_id,
-          title:
-            error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
-            error.message.includes("RATE_LIMIT_THROTTLE")
-              ? "Recipe Details Unavailable (Rate Limited)"
-              : "Recipe information unavailable",
-          readyInMinutes: "N/A",
-          image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
-          popularity: totalLikes,
-          vegan: false,
-          vegetarian: false,
-          glutenFree: false,
-          userHasLiked: userHasLiked,
-          apiLimitExceeded:
-            error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
-            error.message.includes("RATE_LIMIT_THROTTLE"),
-          error: true,
-        };
-      }
-    })
-  );
+async function getRecipesPreviewWithLikes(
+  recipes_ids_list,
+  user_id = null,
+  loaded = null
+) {
+  const { recipes, error } =
+    loaded || (await getRecipesInformationBulk(recipes_ids_list));
+  const likeCounts = await getRecipeLikesCounts(recipes_ids_list, recipes);
+  const userLikes = await getUserLikedRecipes(user_id, recipes_ids_list);
+
+  let recipes_info = recipes_ids_list.map((recipe_id) => {
+    const totalLikes = likeCounts.get(String(recipe_id));
+    const userHasLiked = userLikes.get(String(recipe_id));
+
+    const recipe = recipes.get(String(recipe_id));
+    if (recipe) {
+      return {
+        ...formatRecipePreview(recipe),
+        popularity: totalLikes,
+        userHasLiked: userHasLiked,
+      };
+    }
+
+    // Handle rate limiting specifically
+    const rateLimited = isRateLimitError(error);
+    if (rateLimited) {
+      console.log(
+        `⚠️  API Rate limit or throttling for recipe ${recipe_id}. Using fallback data.`
+      );
+    } else {
+      console.log(`Failed to fetch recipe ${recipe_id}`);
+    }
+
+    // Still return the likes count even if recipe details fail
+    return {
+      id: recipe_id,
+      title: rateLimited
+        ? "Recipe Details Unavailable (Rate Limited)"
+        : "Recipe information unavailable",
+      readyInMinutes: "N/A",
+      image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
+      popularity: totalLikes,
+      vegan: false,
+      vegetarian: false,
+      glutenFree: false,
+      userHasLiked: userHasLiked,
+      apiLimitExceeded: rateLimited,
+      error: true,
+    };
+  });
 
   // Don't filter out recipes with errors - they still have valid like counts
   // Only filter out if we have no recipes at all
@@ -694,89 +825,45 @@ async function getRecipesPreviewWithLikes(recipes_ids_list, user_id = null) {
 }
 
 /**
- * Process recipes in batches to avoid overwhelming the API with simultaneous requests
+ * Builds previews for a list of recipes from a single bulk fetch
+ *
+ * Recipes that could not be loaded because of rate limiting are returned as
+ * placeholders flagged with apiLimitExceeded; recipes that failed for any
+ * other reason are left out.
+ *
+ * @param {Array<number>} recipe_ids - Array of recipe IDs
+ * @returns {Promise<Array<Object>>} - Array of recipe preview objects, in input order
  */
-async function processRecipesBatch(recipe_ids, batchSize = 3, delayMs = 1000) {
-  const results = [];
-
-  for (let i = 0; i < recipe_ids.length; i += batchSize) {
-    const batch = recipe_ids.slice(i, i + batchSize);
-    console.log(
-      `Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
-        recipe_ids.length / batchSize
-      )}: recipes ${batch.join(", ")}`
-    );
+async function processRecipesBatch(recipe_ids) {
+  const { recipes, error } = await getRecipesInformationBulk(recipe_ids);
 
-    // Process batch in parallel
-    const batchPromises = batch.map(async (recipe_id) => {
-      try {
-        const recipe = await getRecipeInformation(recipe_id);
-        const {
-          id,
-          title,
-          readyInMinutes,
-          image,
-          aggregateLikes,
-          vegan,
-          vegetarian,
-          glutenFree,
-        } = recipe.data;
-        return {
-          id: id,
-          title: title,
-          readyInMinutes: readyInMinutes,
-          image: image,
-          popularity: aggregateLikes,
-          vegan: vegan,
-          vegetarian: vegetarian,
-          glutenFree: glutenFree,
-        };
-      } catch (error) {
-        // Handle rate limiting specifically
-        if (
-          error.message.includes("API_RATE_LIMIT_EXCEEDED") ||
-          error.message.includes("RATE_LIMIT_THROTTLE")
-        ) {
-          console.log(
-            `⚠️  API Rate limit or throttling for recipe ${recipe_id}. Using fallback data.`
-          );
-          return {
-            id: recipe_id,
-            title: "Recipe Details Unavailable (Rate Limited)",
-            readyInMinutes: "N/A",
-            image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
-            popularity: 0,
-            vegan: false,
-            vegetarian: false,
-            glutenFree: false,
-            apiLimitExceeded: true,
-          };
-        }
-
-        console.log(`Failed to fetch recipe ${recipe_id}: ${error.message}`);
-        return {
-          id: recipe_id,
-          title: "Recipe information unavailable",
-          readyInMinutes: 0,
-          image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
-          popularity: 0,
-          vegan: false,
-          vegetarian: false,
-          glutenFree: false,
-          error: true,
-        };
-      }
-    });
-
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
+  const results = recipe_ids.map((recipe_id) => {
+    const recipe = recipes.get(String(recipe_id));
+    if (recipe) {
+      return formatRecipePreview(recipe);
+    }
 
-    // Add delay between batches (except for the last batch)
-    if (i + batchSize < recipe_ids.length) {
-      console.log(`⏱️  Waiting ${delayMs}ms before next batch...`);
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    // Handle rate limiting specifically
+    if (isRateLimitError(error)) {
+      console.log(
+        `⚠️  API Rate limit or throttling for recipe ${recipe_id}. Using fallback data.`
+      );
+      return {
+        id: recipe_id,
+        title: "Recipe Details Unavailable (Rate Limited)",
+        readyInMinutes: "N/A",
+        image: `https://placehold.co/312x231?text=Recipe+${recipe_id}`,
+        popularity: 0,
+        vegan: false,
+        vegetarian: false,
+        glutenFree: false,
+        apiLimitExceeded: true,
+      };
     }
-  }
+
+    console.log(`Failed to fetch recipe ${recipe_id}`);
+    return { id: recipe_id, error: true };
+  });
 
   return results.filter((recipe) => !recipe.error);
 }
@@ -797,7 +884,7 @@ function getFallbackRecipeDetails(recipe_id) {
     vegan: false,
     vegetarian: false,
     glutenFree: false,
-    ingredients: [
+    ingredients: normalizeIngredients([
       {
         id: 1,
         original: "Ingredients not available (API limit reached)",
@@ -805,7 +892,7 @@ function getFallbackRecipeDetails(recipe_id) {
         amount: 0,
         unit: "",
       },
-    ],
+    ]),
     instructions: [
       {
         number: 1,
@@ -821,9 +908,13 @@ exports.getRecipeDetails = getRecipeDetails;
 exports.getRecipesPreview = getRecipesPreview;
 exports.getRandomRecipes = getRandomRecipes;
 exports.searchRecipes = searchRecipes;
+exports.getSearchRecipeIds = getSearchRecipeIds;
 exports.toggleRecipeLike = toggleRecipeLike;
 exports.getRecipeLikesCount = getRecipeLikesCount;
 exports.hasUserLikedRecipe = hasUserLikedRecipe;
+exports.getRecipeLikesCounts = getRecipeLikesCounts;
+exports.getUserLikedRecipes = getUserLikedRecipes;
 exports.getRecipeDetailsWithLikes = getRecipeDetailsWithLikes;
 exports.getRecipesPreviewWithLikes = getRecipesPreviewWithLikes;
 exports.processRecipesBatch = processRecipesBatch;
+exports.getRecipesInformationBulk = getRecipesInformationBulk;
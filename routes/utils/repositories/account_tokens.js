@@ -0,0 +1,103 @@
+/**
+ * Account Tokens Repository
+ *
+ * Data access for the `account_tokens` table: the single-use tokens emailed
+ * to verify an address or reset a password. Tokens are looked up by their
+ * SHA-256 hash.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Inserts a new account token
+ *
+ * @param {Object} token - user_id, purpose ('verify_email' or 'reset_password'), email and token_hash
+ * @param {number} duration - Seconds until the token expires
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new account token ID
+ */
+async function create(token, duration, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO account_tokens (user_id, purpose, email, token_hash, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [token.user_id, token.purpose, token.email, token.token_hash, duration]
+  );
+  return result.insertId;
+}
+
+/**
+ * Finds an account token by its hash, used or expired ones included
+ *
+ * @param {string} token_hash - SHA-256 of the token, hex
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The token with an expired flag, or null
+ */
+async function findByTokenHash(token_hash, purpose, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT account_token_id, user_id, purpose, email, created_at, expires_at,
+            used_at, expires_at <= NOW() AS expired
+     FROM account_tokens
+     WHERE token_hash = ? AND purpose = ?`,
+    [token_hash, purpose]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Marks an account token as used, unless it already was
+ *
+ * @param {number} account_token_id - The ID of the account token
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if this call marked it, false if it was already used
+ */
+async function markUsed(account_token_id, db = DButils) {
+  const [result] = await db.execQuery(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE account_token_id = ? AND used_at IS NULL`,
+    [account_token_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Tells whether a user was sent an unused token for a purpose recently
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @param {number} seconds - How recent, in seconds
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if such a token was created in the last `seconds`
+ */
+async function existsRecent(user_id, purpose, seconds, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT 1 FROM account_tokens
+     WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+     LIMIT 1`,
+    [user_id, purpose, seconds]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Deletes a user's tokens for a purpose that have not been used
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of tokens deleted
+ */
+async function deleteUnusedByUser(user_id, purpose, db = DButils) {
+  const [result] = await db.execQuery(
+    `DELETE FROM account_tokens
+     WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+    [user_id, purpose]
+  );
+  return result.affectedRows;
+}
+
+exports.create = create;
+exports.findByTokenHash = findByTokenHash;
+exports.markUsed = markUsed;
+exports.existsRecent = existsRecent;
+exports.deleteUnusedByUser = deleteUnusedByUser;
@@ -0,0 +1,101 @@
+/**
+ * API Cache Repository
+ *
+ * Data access for the `api_cache` table used by the cache manager.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Finds a cache entry that has not expired yet
+ *
+ * @param {string} cache_key - The cache key
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - Row with response_data and expires_at, or null
+ */
+async function findValid(cache_key, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT response_data, expires_at FROM api_cache
+     WHERE cache_key = ? AND expires_at > NOW()`,
+    [cache_key]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Inserts or replaces a cache entry
+ *
+ * @param {string} cache_key - The cache key
+ * @param {string} endpoint - The cached endpoint name
+ * @param {string} response_data - Response data serialized to JSON
+ * @param {Date} expires_at - Expiry time
+ * @param {string} request_params - Request parameters serialized to JSON
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function upsert(
+  cache_key,
+  endpoint,
+  response_data,
+  expires_at,
+  request_params,
+  db = DButils
+) {
+  await db.execQuery(
+    `INSERT INTO api_cache (cache_key, endpoint, response_data, expires_at, request_params)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+     response_data = VALUES(response_data),
+     expires_at = VALUES(expires_at),
+     request_params = VALUES(request_params)`,
+    [cache_key, endpoint, response_data, expires_at, request_params]
+  );
+}
+
+/**
+ * Deletes all expired cache entries
+ *
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteExpired(db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM api_cache WHERE expires_at < NOW()"
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Summarizes live cache entries per endpoint
+ *
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of { endpoint, count, oldest, newest_expiry }
+ */
+async function statsByEndpoint(db = DButils) {
+  const [rows] = await db.execQuery(`
+    SELECT
+      endpoint,
+      COUNT(*) as count,
+      MIN(created_at) as oldest,
+      MAX(expires_at) as newest_expiry
+    FROM api_cache
+    WHERE expires_at > NOW()
+    GROUP BY endpoint
+  `);
+  return rows;
+}
+
+/**
+ * Deletes every cache entry
+ *
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function deleteAll(db = DButils) {
+  await db.execQuery("DELETE FROM api_cache");
+}
+
+exports.findValid = findValid;
+exports.upsert = upsert;
+exports.deleteExpired = deleteExpired;
+exports.statsByEndpoint = statsByEndpoint;
+exports.deleteAll = deleteAll;
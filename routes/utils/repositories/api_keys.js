@@ -0,0 +1,106 @@
+/**
+ * API Keys Repository
+ *
+ * Data access for the `api_keys` table. Keys are looked up by the SHA-256
+ * hash of the key; the hash is never returned.
+ */
+const DButils = require("../DButils");
+
+const API_KEY_COLUMNS =
+  "api_key_id, user_id, name, key_prefix, scopes, created_at, last_used_at";
+
+// last_used_at is written at most this often per key, in seconds
+const LAST_USED_RESOLUTION = 60;
+
+/**
+ * Inserts a new API key
+ *
+ * @param {Object} apiKey - user_id, name, key_prefix, key_hash and scopes (space-separated)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new API key ID
+ */
+async function create(apiKey, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      apiKey.user_id,
+      apiKey.name,
+      apiKey.key_prefix,
+      apiKey.key_hash,
+      apiKey.scopes,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Finds an API key by its hash
+ *
+ * @param {string} key_hash - SHA-256 of the key, hex
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The API key, or null
+ */
+async function findByKeyHash(key_hash, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = ?`,
+    [key_hash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lists a user's API keys, newest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - API keys
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys
+     WHERE user_id = ?
+     ORDER BY created_at DESC, api_key_id DESC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Records that an API key was used
+ *
+ * @param {number} api_key_id - The ID of the API key
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function touch(api_key_id, db = DButils) {
+  await db.execQuery(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE api_key_id = ?
+       AND (last_used_at IS NULL
+            OR last_used_at < DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+    [api_key_id, LAST_USED_RESOLUTION]
+  );
+}
+
+/**
+ * Deletes one of a user's API keys
+ *
+ * @param {number} api_key_id - The ID of the API key
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user had that key
+ */
+async function deleteByIdForUser(api_key_id, user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM api_keys WHERE api_key_id = ? AND user_id = ?",
+    [api_key_id, user_id]
+  );
+  return result.affectedRows > 0;
+}
+
+exports.create = create;
+exports.findByKeyHash = findByKeyHash;
+exports.findAllByUser = findAllByUser;
+exports.touch = touch;
+exports.deleteByIdForUser = deleteByIdForUser;
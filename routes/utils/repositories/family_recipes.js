@@ -0,0 +1,180 @@
+/**
+ * Family Recipes Repository
+ *
+ * Data access for the `family_recipes` table.
+ */
+const DButils = require("../DButils");
+
+// Columns a recipe update may change
+const UPDATABLE_COLUMNS = [
+  "recipe_name",
+  "owner_name",
+  "when_to_prepare",
+  "ingredients",
+  "instructions",
+  "image_url",
+  "readyInMinutes",
+  "servings",
+];
+
+/**
+ * Inserts a new family recipe
+ *
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} recipe - Column values (ingredients already serialized to JSON)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new recipe ID
+ */
+async function create(user_id, recipe, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO family_recipes (user_id, recipe_name, owner_name, when_to_prepare, ingredients, instructions, image_url,
+       readyInMinutes, servings)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user_id,
+      recipe.recipe_name,
+      recipe.owner_name,
+      recipe.when_to_prepare,
+      recipe.ingredients,
+      recipe.instructions,
+      recipe.image_url,
+      recipe.readyInMinutes || null,
+      recipe.servings || null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Lists all family recipes of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Recipe rows
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT * FROM family_recipes WHERE user_id = ?",
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Lists the recipes of all users
+ *
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Recipe rows
+ */
+async function findAll(db = DButils) {
+  const [rows] = await db.execQuery("SELECT * FROM family_recipes");
+  return rows;
+}
+
+/**
+ * Finds a family recipe owned by a user
+ *
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The recipe row, or null if not found or not owned
+ */
+async function findByIdForUser(recipe_id, user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT * FROM family_recipes WHERE recipe_id = ? AND user_id = ?",
+    [recipe_id, user_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Finds a family recipe owned by a user and locks its row until the
+ * transaction ends
+ *
+ * The row is read as committed, so it is current even if another
+ * transaction changed it while this one waited for the lock.
+ *
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} db - Transaction handle
+ * @returns {Promise<Object|null>} - The recipe row, or null if not found or not owned
+ */
+async function lockByIdForUser(recipe_id, user_id, db) {
+  const [rows] = await db.execQuery(
+    "SELECT * FROM family_recipes WHERE recipe_id = ? AND user_id = ? FOR UPDATE",
+    [recipe_id, user_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Locks a family recipe's row until the transaction ends
+ *
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} db - Transaction handle
+ * @returns {Promise<boolean>} - Whether the recipe exists
+ */
+async function lockById(recipe_id, db) {
+  const [rows] = await db.execQuery(
+    "SELECT recipe_id FROM family_recipes WHERE recipe_id = ? FOR UPDATE",
+    [recipe_id]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Updates columns of a family recipe owned by a user and sets updated_at
+ *
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} changes - New column values, keyed by column name (ingredients already serialized to JSON)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows updated (0 if not found or not owned)
+ * @throws {Error} - If changes contains a column that may not be updated
+ */
+async function updateByIdForUser(recipe_id, user_id, changes, db = DButils) {
+  const columns = Object.keys(changes);
+  const invalid = columns.filter(
+    (column) => !UPDATABLE_COLUMNS.includes(column)
+  );
+  if (invalid.length > 0) {
+    throw new Error(
+      `Cannot update family_recipes columns: ${invalid.join(", ")}`
+    );
+  }
+
+  const assignments = columns.map((column) => `${column} = ?`);
+  assignments.push("updated_at = CURRENT_TIMESTAMP");
+  const [result] = await db.execQuery(
+    `UPDATE family_recipes SET ${assignments.join(", ")}
+     WHERE recipe_id = ? AND user_id = ?`,
+    [...columns.map((column) => changes[column]), recipe_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Deletes a family recipe owned by a user
+ *
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteByIdForUser(recipe_id, user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM family_recipes WHERE recipe_id = ? AND user_id = ?",
+    [recipe_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.UPDATABLE_COLUMNS = UPDATABLE_COLUMNS;
+exports.create = create;
+exports.findAll = findAll;
+exports.findAllByUser = findAllByUser;
+exports.findByIdForUser = findByIdForUser;
+exports.lockById = lockById;
+exports.lockByIdForUser = lockByIdForUser;
+exports.updateByIdForUser = updateByIdForUser;
+exports.deleteByIdForUser = deleteByIdForUser;
@@ -0,0 +1,73 @@
+/**
+ * Favorite Recipes Repository
+ *
+ * Data access for the `favorite_recipes` table.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Adds a recipe to a user's favorites
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ * @throws {Error} - With code ER_DUP_ENTRY if the recipe is already a favorite
+ */
+async function add(user_id, recipe_id, db = DButils) {
+  await db.execQuery(
+    "INSERT INTO favorite_recipes (user_id, recipe_id) VALUES (?, ?)",
+    [user_id, recipe_id]
+  );
+}
+
+/**
+ * Adds a recipe to a user's favorites unless it is already there
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function addIfMissing(user_id, recipe_id, db = DButils) {
+  await db.execQuery(
+    "INSERT IGNORE INTO favorite_recipes (user_id, recipe_id) VALUES (?, ?)",
+    [user_id, recipe_id]
+  );
+}
+
+/**
+ * Lists the recipe IDs a user has marked as favorite
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of the form { recipe_id }
+ */
+async function findRecipeIdsByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT recipe_id FROM favorite_recipes WHERE user_id = ?",
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Removes a recipe from a user's favorites
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function remove(user_id, recipe_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM favorite_recipes WHERE user_id = ? AND recipe_id = ?",
+    [user_id, recipe_id]
+  );
+  return result.affectedRows;
+}
+
+exports.add = add;
+exports.addIfMissing = addIfMissing;
+exports.findRecipeIdsByUser = findRecipeIdsByUser;
+exports.remove = remove;
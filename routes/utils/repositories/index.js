@@ -0,0 +1,48 @@
+/**
+ * Repository Index
+ *
+ * One repository module per database table. Every query the application
+ * runs lives in one of these modules and binds its values through
+ * `?` placeholders, so request data never becomes part of a SQL string.
+ */
+const users = require("./users");
+const favorite_recipes = require("./favorite_recipes");
+const watched_recipes = require("./watched_recipes");
+const private_recipes = require("./private_recipes");
+const family_recipes = require("./family_recipes");
+const recipe_revisions = require("./recipe_revisions");
+const recipe_likes = require("./recipe_likes");
+const user_search_history = require("./user_search_history");
+const api_cache = require("./api_cache");
+const shopping_list_recipes = require("./shopping_list_recipes");
+const shopping_list_items = require("./shopping_list_items");
+const shopping_list_checks = require("./shopping_list_checks");
+const meal_plan_entries = require("./meal_plan_entries");
+const sessions = require("./sessions");
+const refresh_tokens = require("./refresh_tokens");
+const api_keys = require("./api_keys");
+const login_attempts = require("./login_attempts");
+const login_lockouts = require("./login_lockouts");
+const account_tokens = require("./account_tokens");
+
+module.exports = {
+  users,
+  favorite_recipes,
+  watched_recipes,
+  private_recipes,
+  family_recipes,
+  recipe_revisions,
+  recipe_likes,
+  user_search_history,
+  api_cache,
+  shopping_list_recipes,
+  shopping_list_items,
+  shopping_list_checks,
+  meal_plan_entries,
+  sessions,
+  refresh_tokens,
+  api_keys,
+  login_attempts,
+  login_lockouts,
+  account_tokens,
+};
@@ -0,0 +1,127 @@
+/**
+ * Login Attempts Repository
+ *
+ * Data access for the `login_attempts` table, used by the MySQL login
+ * tracker. Each row counts the recent failed logins of one key.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Finds the failed-login state of a key
+ *
+ * @param {string} attempt_key - "user:<username>" or "ip:<address>"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - failures, idle_seconds (since the last failure), gap_seconds (between the last two failures, null if the last one started the count) and lock_seconds (left of the lockout, 0 if not locked), or null
+ */
+async function findByKey(attempt_key, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT failures,
+            TIMESTAMPDIFF(SECOND, last_failure_at, NOW()) AS idle_seconds,
+            TIMESTAMPDIFF(SECOND, previous_failure_at, last_failure_at)
+              AS gap_seconds,
+            GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0), 0)
+              AS lock_seconds
+     FROM login_attempts WHERE attempt_key = ?`,
+    [attempt_key]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Counts a failed login
+ *
+ * The count starts over if the previous failure is older than the window
+ * or the key's lockout has ended.
+ *
+ * @param {string} attempt_key - "user:<username>" or "ip:<address>"
+ * @param {number} window - Seconds after which earlier failures are forgotten
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function recordFailure(attempt_key, window, db = DButils) {
+  // Assignments run in order, so failures and previous_failure_at still
+  // see the previous last_failure_at and locked_until
+  await db.execQuery(
+    `INSERT INTO login_attempts (attempt_key, failures, last_failure_at)
+     VALUES (?, 1, NOW())
+     ON DUPLICATE KEY UPDATE
+       failures = IF(last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+                     OR locked_until <= NOW(), 1, failures + 1),
+       previous_failure_at = IF(failures = 1, NULL, last_failure_at),
+       locked_until = IF(locked_until <= NOW(), NULL, locked_until),
+       last_failure_at = NOW()`,
+    [attempt_key, window]
+  );
+}
+
+/**
+ * Takes back the latest failure counted for a key
+ *
+ * @param {string} attempt_key - "user:<username>" or "ip:<address>"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function cancelFailure(attempt_key, db = DButils) {
+  await db.execQuery(
+    `UPDATE login_attempts
+     SET failures = GREATEST(failures - 1, 0),
+         last_failure_at = COALESCE(previous_failure_at, last_failure_at),
+         previous_failure_at = NULL
+     WHERE attempt_key = ?`,
+    [attempt_key]
+  );
+}
+
+/**
+ * Locks a key
+ *
+ * @param {string} attempt_key - "user:<username>" or "ip:<address>"
+ * @param {number} duration - Seconds the lockout lasts
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function lock(attempt_key, duration, db = DButils) {
+  await db.execQuery(
+    `UPDATE login_attempts
+     SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE attempt_key = ?`,
+    [duration, attempt_key]
+  );
+}
+
+/**
+ * Forgets the failed logins of a key
+ *
+ * @param {string} attempt_key - "user:<username>" or "ip:<address>"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function deleteByKey(attempt_key, db = DButils) {
+  await db.execQuery("DELETE FROM login_attempts WHERE attempt_key = ?", [
+    attempt_key,
+  ]);
+}
+
+/**
+ * Deletes keys with no recent failures and no running lockout
+ *
+ * @param {number} window - Seconds after which failures are forgotten
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of keys deleted
+ */
+async function deleteStale(window, db = DButils) {
+  const [result] = await db.execQuery(
+    `DELETE FROM login_attempts
+     WHERE last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+       AND (locked_until IS NULL OR locked_until < NOW())`,
+    [window]
+  );
+  return result.affectedRows;
+}
+
+exports.findByKey = findByKey;
+exports.recordFailure = recordFailure;
+exports.cancelFailure = cancelFailure;
+exports.lock = lock;
+exports.deleteByKey = deleteByKey;
+exports.deleteStale = deleteStale;
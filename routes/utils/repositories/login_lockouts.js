@@ -0,0 +1,34 @@
+/**
+ * Login Lockouts Repository
+ *
+ * Data access for the `login_lockouts` table, the audit log of accounts
+ * and IP addresses locked after too many failed logins.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Records a lockout
+ *
+ * @param {Object} lockout - lock_type ('username' or 'ip'), username, user_id, ip_address, user_agent, failures and duration (seconds the lockout lasts)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new lockout ID
+ */
+async function create(lockout, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO login_lockouts
+       (lock_type, username, user_id, ip_address, user_agent, failures, locked_until)
+     VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [
+      lockout.lock_type,
+      lockout.username || null,
+      lockout.user_id || null,
+      lockout.ip_address || null,
+      lockout.user_agent || null,
+      lockout.failures,
+      lockout.duration,
+    ]
+  );
+  return result.insertId;
+}
+
+exports.create = create;
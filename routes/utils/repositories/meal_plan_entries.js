@@ -0,0 +1,115 @@
+/**
+ * Meal Plan Entries Repository
+ *
+ * Data access for the `meal_plan_entries` table. Dates are passed and
+ * returned as "YYYY-MM-DD" strings.
+ */
+const DButils = require("../DButils");
+
+const ENTRY_COLUMNS = `DATE_FORMAT(plan_date, '%Y-%m-%d') AS plan_date, slot,
+       recipe_source, recipe_id, servings, updated_at`;
+
+/**
+ * Puts a recipe in a meal slot, replacing the slot's previous recipe
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} entry - plan_date, slot, recipe_source, recipe_id and servings
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function upsert(user_id, entry, db = DButils) {
+  await db.execQuery(
+    `INSERT INTO meal_plan_entries (user_id, plan_date, slot, recipe_source, recipe_id, servings)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE recipe_source = VALUES(recipe_source),
+       recipe_id = VALUES(recipe_id), servings = VALUES(servings)`,
+    [
+      user_id,
+      entry.plan_date,
+      entry.slot,
+      entry.recipe_source,
+      String(entry.recipe_id),
+      entry.servings,
+    ]
+  );
+}
+
+/**
+ * Finds the recipe planned for one meal slot
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} plan_date - The day, "YYYY-MM-DD"
+ * @param {string} slot - "breakfast", "lunch", "dinner" or "snack"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The entry row, or null if the slot is empty
+ */
+async function findBySlot(user_id, plan_date, slot, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM meal_plan_entries
+     WHERE user_id = ? AND plan_date = ? AND slot = ?`,
+    [user_id, plan_date, slot]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lists a user's planned meals between two days, inclusive
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} from - First day, "YYYY-MM-DD"
+ * @param {string} to - Last day, "YYYY-MM-DD"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Entry rows ordered by day and slot
+ */
+async function findByDateRange(user_id, from, to, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM meal_plan_entries
+     WHERE user_id = ? AND plan_date BETWEEN ? AND ?
+     ORDER BY plan_date ASC, slot ASC`,
+    [user_id, from, to]
+  );
+  return rows;
+}
+
+/**
+ * Lists every planned meal of a user, oldest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Entry rows
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM meal_plan_entries
+     WHERE user_id = ?
+     ORDER BY plan_date ASC, slot ASC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Empties a meal slot
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} plan_date - The day, "YYYY-MM-DD"
+ * @param {string} slot - "breakfast", "lunch", "dinner" or "snack"
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function remove(user_id, plan_date, slot, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM meal_plan_entries WHERE user_id = ? AND plan_date = ? AND slot = ?",
+    [user_id, plan_date, slot]
+  );
+  return result.affectedRows;
+}
+
+exports.upsert = upsert;
+exports.findBySlot = findBySlot;
+exports.findByDateRange = findByDateRange;
+exports.findAllByUser = findAllByUser;
+exports.remove = remove;
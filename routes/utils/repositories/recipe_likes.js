@@ -0,0 +1,144 @@
+/**
+ * Recipe Likes Repository
+ *
+ * Data access for the `recipe_likes` table.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Records a user's like on a recipe (no-op if already liked)
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function add(user_id, recipe_id, db = DButils) {
+  await db.execQuery(
+    "INSERT IGNORE INTO recipe_likes (recipe_id, user_id) VALUES (?, ?)",
+    [recipe_id, user_id]
+  );
+}
+
+/**
+ * Records a user's like with a given timestamp, unless it exists already
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {Date|null} liked_at - When the like was added (null for now)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function restore(user_id, recipe_id, liked_at, db = DButils) {
+  await db.execQuery(
+    `INSERT IGNORE INTO recipe_likes (recipe_id, user_id, liked_at)
+     VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [recipe_id, user_id, liked_at]
+  );
+}
+
+/**
+ * Lists every like of a user, oldest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of the form { recipe_id, liked_at }
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT recipe_id, liked_at FROM recipe_likes WHERE user_id = ? ORDER BY liked_at ASC",
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Removes a user's like from a recipe
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function remove(user_id, recipe_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM recipe_likes WHERE recipe_id = ? AND user_id = ?",
+    [recipe_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Counts the local user likes of a recipe
+ *
+ * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of users who liked the recipe
+ */
+async function countByRecipe(recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT COUNT(*) AS userLikes FROM recipe_likes WHERE recipe_id = ?",
+    [recipe_id]
+  );
+  return parseInt(rows[0].userLikes) || 0;
+}
+
+/**
+ * Checks whether a user has liked a recipe
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The Spoonacular ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the like exists
+ */
+async function existsForUser(user_id, recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT COUNT(*) AS liked FROM recipe_likes WHERE recipe_id = ? AND user_id = ?",
+    [recipe_id, user_id]
+  );
+  return rows[0].liked > 0;
+}
+
+/**
+ * Counts the local user likes of several recipes in one query
+ *
+ * @param {Array<number>} recipe_ids - The Spoonacular IDs of the recipes
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of { recipe_id, userLikes }; recipes without likes are omitted
+ */
+async function countByRecipes(recipe_ids, db = DButils) {
+  if (recipe_ids.length === 0) return [];
+  const [rows] = await db.execQuery(
+    `SELECT recipe_id, COUNT(*) AS userLikes FROM recipe_likes
+     WHERE recipe_id IN (?)
+     GROUP BY recipe_id`,
+    [recipe_ids]
+  );
+  return rows;
+}
+
+/**
+ * Lists which of the given recipes a user has liked, in one query
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Array<number>} recipe_ids - The Spoonacular IDs of the recipes
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of { recipe_id } for the liked recipes
+ */
+async function findLikedRecipeIds(user_id, recipe_ids, db = DButils) {
+  if (recipe_ids.length === 0) return [];
+  const [rows] = await db.execQuery(
+    "SELECT recipe_id FROM recipe_likes WHERE user_id = ? AND recipe_id IN (?)",
+    [user_id, recipe_ids]
+  );
+  return rows;
+}
+
+exports.add = add;
+exports.restore = restore;
+exports.findAllByUser = findAllByUser;
+exports.remove = remove;
+exports.countByRecipe = countByRecipe;
+exports.existsForUser = existsForUser;
+exports.countByRecipes = countByRecipes;
+exports.findLikedRecipeIds = findLikedRecipeIds;
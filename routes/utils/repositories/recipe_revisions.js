@@ -0,0 +1,161 @@
+/**
+ * Recipe Revisions Repository
+ *
+ * Data access for the `recipe_revisions` table, which keeps a snapshot of
+ * every version of a private or family recipe.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Appends a revision to a recipe's history
+ *
+ * The revision number is the next one for the recipe. The caller must hold
+ * the lock on the recipe's row (see revision_utils.recordRevision); the
+ * number is then read with a locking read, which sees revisions committed
+ * while the transaction waited for that lock.
+ *
+ * @param {Object} revision - The revision to store
+ * @param {string} revision.recipe_source - "private" or "family"
+ * @param {number} revision.recipe_id - The ID of the recipe
+ * @param {string} revision.change_type - "original", "create", "update" or "restore"
+ * @param {number|null} revision.restored_from - Revision number copied by a restore
+ * @param {number|null} revision.edited_by - The ID of the user who made the change
+ * @param {Object} revision.snapshot - Recipe column values
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The revision number that was assigned
+ */
+async function insert(revision, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT COALESCE(MAX(revision_number), 0) + 1 AS next_number
+     FROM recipe_revisions
+     WHERE recipe_source = ? AND recipe_id = ?
+     FOR UPDATE`,
+    [revision.recipe_source, revision.recipe_id]
+  );
+  const revision_number = rows[0].next_number;
+
+  await db.execQuery(
+    `INSERT INTO recipe_revisions (recipe_source, recipe_id, revision_number, change_type,
+       restored_from, edited_by, snapshot)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      revision.recipe_source,
+      revision.recipe_id,
+      revision_number,
+      revision.change_type,
+      revision.restored_from || null,
+      revision.edited_by || null,
+      JSON.stringify(revision.snapshot),
+    ]
+  );
+  return revision_number;
+}
+
+/**
+ * Counts the revisions of a recipe
+ *
+ * @param {string} recipe_source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of revisions
+ */
+async function countByRecipe(recipe_source, recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT COUNT(*) AS total FROM recipe_revisions
+     WHERE recipe_source = ? AND recipe_id = ?`,
+    [recipe_source, recipe_id]
+  );
+  return rows[0].total;
+}
+
+/**
+ * Lists the revisions of a recipe, newest first (without the snapshots)
+ *
+ * @param {string} recipe_source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Revision rows with the editor's username
+ */
+async function findAllByRecipe(recipe_source, recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT r.revision_number, r.change_type, r.restored_from, r.edited_by,
+       u.username AS edited_by_username, r.created_at
+     FROM recipe_revisions r
+     LEFT JOIN users u ON u.user_id = r.edited_by
+     WHERE r.recipe_source = ? AND r.recipe_id = ?
+     ORDER BY r.revision_number DESC`,
+    [recipe_source, recipe_id]
+  );
+  return rows;
+}
+
+/**
+ * Finds one revision of a recipe
+ *
+ * @param {string} recipe_source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {number} revision_number - The revision number
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The revision row with its snapshot, or null if not found
+ */
+async function findByNumber(
+  recipe_source,
+  recipe_id,
+  revision_number,
+  db = DButils
+) {
+  const [rows] = await db.execQuery(
+    `SELECT r.revision_number, r.change_type, r.restored_from, r.edited_by,
+       u.username AS edited_by_username, r.created_at, r.snapshot
+     FROM recipe_revisions r
+     LEFT JOIN users u ON u.user_id = r.edited_by
+     WHERE r.recipe_source = ? AND r.recipe_id = ? AND r.revision_number = ?`,
+    [recipe_source, recipe_id, revision_number]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Finds the newest revision of a recipe
+ *
+ * @param {string} recipe_source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The revision row with its snapshot, or null if none exists
+ */
+async function findLatest(recipe_source, recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT revision_number FROM recipe_revisions
+     WHERE recipe_source = ? AND recipe_id = ?
+     ORDER BY revision_number DESC
+     LIMIT 1`,
+    [recipe_source, recipe_id]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return findByNumber(recipe_source, recipe_id, rows[0].revision_number, db);
+}
+
+/**
+ * Deletes the whole history of a recipe
+ *
+ * @param {string} recipe_source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of revisions deleted
+ */
+async function deleteAllByRecipe(recipe_source, recipe_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM recipe_revisions WHERE recipe_source = ? AND recipe_id = ?",
+    [recipe_source, recipe_id]
+  );
+  return result.affectedRows;
+}
+
+exports.insert = insert;
+exports.countByRecipe = countByRecipe;
+exports.findAllByRecipe = findAllByRecipe;
+exports.findByNumber = findByNumber;
+exports.findLatest = findLatest;
+exports.deleteAllByRecipe = deleteAllByRecipe;
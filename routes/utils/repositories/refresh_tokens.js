@@ -0,0 +1,64 @@
+/**
+ * Refresh Tokens Repository
+ *
+ * Data access for the `refresh_tokens` table. Tokens are looked up by
+ * their SHA-256 hash, together with the user of their session.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Inserts a new refresh token
+ *
+ * @param {number} session_id - The token login the token belongs to
+ * @param {string} token_hash - SHA-256 of the token, hex
+ * @param {number} duration - Seconds until the token expires
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new refresh token ID
+ */
+async function create(session_id, token_hash, duration, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [session_id, token_hash, duration]
+  );
+  return result.insertId;
+}
+
+/**
+ * Finds a refresh token by its hash, used or expired ones included
+ *
+ * @param {string} token_hash - SHA-256 of the token, hex
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The token with its session's user_id and an expired flag, or null
+ */
+async function findByTokenHash(token_hash, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT rt.refresh_token_id, rt.session_id, s.user_id, rt.created_at,
+            rt.expires_at, rt.used_at, rt.expires_at <= NOW() AS expired
+     FROM refresh_tokens rt
+     JOIN sessions s ON s.session_id = rt.session_id
+     WHERE rt.token_hash = ?`,
+    [token_hash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Marks a refresh token as exchanged, unless it already was
+ *
+ * @param {number} refresh_token_id - The ID of the refresh token
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if this call marked it, false if it was already used
+ */
+async function markUsed(refresh_token_id, db = DButils) {
+  const [result] = await db.execQuery(
+    `UPDATE refresh_tokens SET used_at = NOW()
+     WHERE refresh_token_id = ? AND used_at IS NULL`,
+    [refresh_token_id]
+  );
+  return result.affectedRows > 0;
+}
+
+exports.create = create;
+exports.findByTokenHash = findByTokenHash;
+exports.markUsed = markUsed;
@@ -0,0 +1,201 @@
+/**
+ * Sessions Repository
+ *
+ * Data access for the `sessions` table: the server-side session store, and
+ * the record of logged-in cookie sessions. Sessions are looked up by the
+ * SHA-256 hash of their cookie token; expired sessions are never returned.
+ */
+const DButils = require("../DButils");
+
+const SESSION_COLUMNS = `session_id, user_id, data, ip_address, user_agent,
+       created_at, last_seen_at, expires_at,
+       TIMESTAMPDIFF(SECOND, last_seen_at, NOW()) AS idle_seconds`;
+
+/**
+ * Inserts a new session
+ *
+ * @param {Object} session - token_hash, user_id, data (JSON), ip_address and user_agent
+ * @param {number} duration - Seconds until the session expires if unused
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new session ID
+ */
+async function create(session, duration, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO sessions (token_hash, user_id, data, ip_address, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [
+      session.token_hash,
+      session.user_id || null,
+      session.data,
+      session.ip_address || null,
+      session.user_agent || null,
+      duration,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Finds an unexpired session by its token hash
+ *
+ * @param {string} token_hash - SHA-256 of the cookie token, hex
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The session row with idle_seconds, or null
+ */
+async function findByTokenHash(token_hash, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${SESSION_COLUMNS}
+     FROM sessions
+     WHERE token_hash = ? AND expires_at > NOW()`,
+    [token_hash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Finds an unexpired session by its ID
+ *
+ * @param {number} session_id - The ID of the session
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The session row with idle_seconds, or null
+ */
+async function findById(session_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${SESSION_COLUMNS}
+     FROM sessions
+     WHERE session_id = ? AND expires_at > NOW()`,
+    [session_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lists a user's unexpired sessions, most recently used first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Session rows
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT ${SESSION_COLUMNS}
+     FROM sessions
+     WHERE user_id = ? AND expires_at > NOW()
+     ORDER BY last_seen_at DESC, session_id DESC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Stores new session contents and records activity
+ *
+ * @param {number} session_id - The ID of the session
+ * @param {Object} changes - user_id and data (JSON)
+ * @param {number} duration - Seconds until the session expires if unused
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function update(session_id, changes, duration, db = DButils) {
+  await db.execQuery(
+    `UPDATE sessions
+     SET user_id = ?, data = ?, last_seen_at = NOW(),
+         expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE session_id = ?`,
+    [changes.user_id || null, changes.data, duration, session_id]
+  );
+}
+
+/**
+ * Records activity on a session, extending its expiry
+ *
+ * @param {number} session_id - The ID of the session
+ * @param {Object} client - ip_address and user_agent of the request
+ * @param {number} duration - Seconds until the session expires if unused
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function touch(session_id, client, duration, db = DButils) {
+  await db.execQuery(
+    `UPDATE sessions
+     SET last_seen_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+         ip_address = ?, user_agent = ?
+     WHERE session_id = ?`,
+    [duration, client.ip_address || null, client.user_agent || null, session_id]
+  );
+}
+
+/**
+ * Deletes a session
+ *
+ * @param {number} session_id - The ID of the session
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the session existed
+ */
+async function deleteById(session_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM sessions WHERE session_id = ?",
+    [session_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Deletes one of a user's sessions
+ *
+ * @param {number} session_id - The ID of the session
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user had that session
+ */
+async function deleteByIdForUser(session_id, user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM sessions WHERE session_id = ? AND user_id = ?",
+    [session_id, user_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Deletes all of a user's sessions, optionally keeping one
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number|null} [except_session_id=null] - A session to keep
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function deleteAllByUser(
+  user_id,
+  except_session_id = null,
+  db = DButils
+) {
+  const [result] = await db.execQuery(
+    "DELETE FROM sessions WHERE user_id = ? AND session_id <> ?",
+    [user_id, except_session_id || 0]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Deletes sessions that have expired
+ *
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function deleteExpired(db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM sessions WHERE expires_at <= NOW()"
+  );
+  return result.affectedRows;
+}
+
+exports.create = create;
+exports.findByTokenHash = findByTokenHash;
+exports.findById = findById;
+exports.findAllByUser = findAllByUser;
+exports.update = update;
+exports.touch = touch;
+exports.deleteById = deleteById;
+exports.deleteByIdForUser = deleteByIdForUser;
+exports.deleteAllByUser = deleteAllByUser;
+exports.deleteExpired = deleteExpired;
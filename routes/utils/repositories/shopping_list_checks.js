@@ -0,0 +1,93 @@
+/**
+ * Shopping List Checks Repository
+ *
+ * Data access for the `shopping_list_checks` table, which remembers which
+ * of the items computed from a user's recipes are checked off.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Marks a recipe item as checked off
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} item_key - The key of the computed item
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function add(user_id, item_key, db = DButils) {
+  await db.execQuery(
+    "INSERT IGNORE INTO shopping_list_checks (user_id, item_key) VALUES (?, ?)",
+    [user_id, item_key]
+  );
+}
+
+/**
+ * Lists the keys of a user's checked-off recipe items
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<string>>} - The item keys
+ */
+async function findKeysByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT item_key FROM shopping_list_checks WHERE user_id = ?",
+    [user_id]
+  );
+  return rows.map((row) => row.item_key);
+}
+
+/**
+ * Unchecks a recipe item
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} item_key - The key of the computed item
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function remove(user_id, item_key, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_checks WHERE user_id = ? AND item_key = ?",
+    [user_id, item_key]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Forgets the checked-off state of items no longer on a user's list
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Array<string>} item_keys - Keys of the items still on the list
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUserExcept(user_id, item_keys, db = DButils) {
+  if (item_keys.length === 0) {
+    return deleteAllByUser(user_id, db);
+  }
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_checks WHERE user_id = ? AND item_key NOT IN (?)",
+    [user_id, item_keys]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Unchecks every recipe item of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUser(user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_checks WHERE user_id = ?",
+    [user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.add = add;
+exports.findKeysByUser = findKeysByUser;
+exports.remove = remove;
+exports.deleteAllByUser = deleteAllByUser;
+exports.deleteAllByUserExcept = deleteAllByUserExcept;
@@ -0,0 +1,102 @@
+/**
+ * Shopping List Items Repository
+ *
+ * Data access for the `shopping_list_items` table, which holds the items a
+ * user added to the shopping list by hand.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Inserts a manual item
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} item - Item columns: name, quantity, unit, aisle
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new item ID
+ */
+async function insert(user_id, item, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO shopping_list_items (user_id, name, quantity, unit, aisle)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      user_id,
+      item.name,
+      item.quantity === undefined ? null : item.quantity,
+      item.unit || null,
+      item.aisle || null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Lists a user's manual items, oldest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - The item rows
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT item_id, name, quantity, unit, aisle, checked, created_at
+     FROM shopping_list_items
+     WHERE user_id = ?
+     ORDER BY created_at ASC, item_id ASC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Checks or unchecks one of a user's manual items
+ *
+ * @param {number} item_id - The ID of the item
+ * @param {number} user_id - The ID of the user who owns the item
+ * @param {boolean} checked - The new checked state
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows matched (0 if the item is not the user's)
+ */
+async function setChecked(item_id, user_id, checked, db = DButils) {
+  const [result] = await db.execQuery(
+    "UPDATE shopping_list_items SET checked = ? WHERE item_id = ? AND user_id = ?",
+    [checked ? 1 : 0, item_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Deletes one of a user's manual items
+ *
+ * @param {number} item_id - The ID of the item
+ * @param {number} user_id - The ID of the user who owns the item
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteByIdForUser(item_id, user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_items WHERE item_id = ? AND user_id = ?",
+    [item_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Deletes every manual item of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUser(user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_items WHERE user_id = ?",
+    [user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.insert = insert;
+exports.findAllByUser = findAllByUser;
+exports.setChecked = setChecked;
+exports.deleteByIdForUser = deleteByIdForUser;
+exports.deleteAllByUser = deleteAllByUser;
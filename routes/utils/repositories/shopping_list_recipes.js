@@ -0,0 +1,119 @@
+/**
+ * Shopping List Recipes Repository
+ *
+ * Data access for the `shopping_list_recipes` table, which holds the
+ * recipes a user is shopping for.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Adds a recipe to a user's shopping list, or updates its servings
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} recipe_source - "spoonacular", "private" or "family"
+ * @param {string} recipe_id - The ID of the recipe within its source
+ * @param {number|null} servings - Servings to shop for, or null for the recipe's own
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function upsert(
+  user_id,
+  recipe_source,
+  recipe_id,
+  servings,
+  db = DButils
+) {
+  await db.execQuery(
+    `INSERT INTO shopping_list_recipes (user_id, recipe_source, recipe_id, servings)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE servings = VALUES(servings)`,
+    [user_id, recipe_source, String(recipe_id), servings]
+  );
+}
+
+/**
+ * Adds a recipe to a user's shopping list, or adds to its servings
+ *
+ * A recipe on the list for its own servings (servings null) counts them as
+ * `recipe_servings` before the new servings are added.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} recipe_source - "spoonacular", "private" or "family"
+ * @param {string} recipe_id - The ID of the recipe within its source
+ * @param {number} servings - Servings to add
+ * @param {number|null} recipe_servings - The recipe's own servings, if known
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function addServings(
+  user_id,
+  recipe_source,
+  recipe_id,
+  servings,
+  recipe_servings,
+  db = DButils
+) {
+  await db.execQuery(
+    `INSERT INTO shopping_list_recipes (user_id, recipe_source, recipe_id, servings)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE servings = COALESCE(servings, ?, 0) + VALUES(servings)`,
+    [user_id, recipe_source, String(recipe_id), servings, recipe_servings]
+  );
+}
+
+/**
+ * Lists the recipes on a user's shopping list, oldest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of the form { recipe_source, recipe_id, servings, added_at }
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT recipe_source, recipe_id, servings, added_at
+     FROM shopping_list_recipes
+     WHERE user_id = ?
+     ORDER BY added_at ASC, recipe_id ASC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Removes a recipe from a user's shopping list
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} recipe_source - "spoonacular", "private" or "family"
+ * @param {string} recipe_id - The ID of the recipe within its source
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function remove(user_id, recipe_source, recipe_id, db = DButils) {
+  const [result] = await db.execQuery(
+    `DELETE FROM shopping_list_recipes
+     WHERE user_id = ? AND recipe_source = ? AND recipe_id = ?`,
+    [user_id, recipe_source, String(recipe_id)]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Removes every recipe from a user's shopping list
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUser(user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM shopping_list_recipes WHERE user_id = ?",
+    [user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.upsert = upsert;
+exports.addServings = addServings;
+exports.findAllByUser = findAllByUser;
+exports.remove = remove;
+exports.deleteAllByUser = deleteAllByUser;
@@ -0,0 +1,186 @@
+/**
+ * User Search History Repository
+ *
+ * Data access for the `user_search_history` table (one row per search).
+ */
+const DButils = require("../DButils");
+
+/**
+ * Appends a search to a user's history
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} search_query - The search query text
+ * @param {string} search_params - Search parameters serialized to JSON
+ * @param {string} search_results - Search results serialized to JSON
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new search history entry ID
+ */
+async function insert(
+  user_id,
+  search_query,
+  search_params,
+  search_results,
+  db = DButils
+) {
+  const [result] = await db.execQuery(
+    `INSERT INTO user_search_history (user_id, search_query, search_params, search_results)
+     VALUES (?, ?, ?, ?)`,
+    [user_id, search_query, search_params, search_results]
+  );
+  return result.insertId;
+}
+
+/**
+ * Appends a search to a user's history with its original timestamp
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} entry - search_query, search_params and search_results (JSON text) and searched_at (Date or null for now)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new search history entry ID
+ */
+async function restore(user_id, entry, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO user_search_history (user_id, search_query, search_params, search_results, searched_at)
+     VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [
+      user_id,
+      entry.search_query,
+      entry.search_params,
+      entry.search_results,
+      entry.searched_at,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Lists a user's whole search history, oldest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of { search_id, search_query, search_params, search_results, searched_at }
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT search_id, search_query, search_params, search_results, searched_at
+     FROM user_search_history
+     WHERE user_id = ?
+     ORDER BY searched_at ASC, search_id ASC`,
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Finds the most recent search of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The history row, or null if none exists
+ */
+async function findLatestByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT search_id, search_query, search_params, search_results, searched_at
+     FROM user_search_history
+     WHERE user_id = ?
+     ORDER BY searched_at DESC, search_id DESC
+     LIMIT 1`,
+    [user_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lists one page of a user's searches, newest first (without the results)
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} limit - Maximum number of rows
+ * @param {number} offset - Number of rows to skip
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of { search_id, search_query, search_params, searched_at }
+ */
+async function findPageByUser(user_id, limit, offset, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT search_id, search_query, search_params, searched_at
+     FROM user_search_history
+     WHERE user_id = ?
+     ORDER BY searched_at DESC, search_id DESC
+     LIMIT ? OFFSET ?`,
+    [user_id, parseInt(limit), parseInt(offset)]
+  );
+  return rows;
+}
+
+/**
+ * Counts the searches in a user's history
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of history entries
+ */
+async function countByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT COUNT(*) AS total FROM user_search_history WHERE user_id = ?",
+    [user_id]
+  );
+  return parseInt(rows[0].total) || 0;
+}
+
+/**
+ * Finds one search history entry owned by a user
+ *
+ * @param {number} search_id - The ID of the history entry
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The history row, or null if not found or not owned
+ */
+async function findByIdForUser(search_id, user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    `SELECT search_id, search_query, search_params, search_results, searched_at
+     FROM user_search_history
+     WHERE search_id = ? AND user_id = ?`,
+    [search_id, user_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Deletes one search history entry owned by a user
+ *
+ * @param {number} search_id - The ID of the history entry
+ * @param {number} user_id - The ID of the owning user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteByIdForUser(search_id, user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM user_search_history WHERE search_id = ? AND user_id = ?",
+    [search_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Deletes the whole search history of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUser(user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM user_search_history WHERE user_id = ?",
+    [user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.insert = insert;
+exports.restore = restore;
+exports.findAllByUser = findAllByUser;
+exports.findLatestByUser = findLatestByUser;
+exports.findPageByUser = findPageByUser;
+exports.countByUser = countByUser;
+exports.findByIdForUser = findByIdForUser;
+exports.deleteByIdForUser = deleteByIdForUser;
+exports.deleteAllByUser = deleteAllByUser;
@@ -0,0 +1,163 @@
+/**
+ * Users Repository
+ *
+ * Data access for the `users` table.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Finds a user by ID
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The user row, or null if none exists
+ */
+async function findById(user_id, db = DButils) {
+  const [rows] = await db.execQuery("SELECT * FROM users WHERE user_id = ?", [
+    user_id,
+  ]);
+  return rows[0] || null;
+}
+
+/**
+ * Finds a user by username
+ *
+ * @param {string} username - The username to look up
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object|null>} - The user row, or null if none exists
+ */
+async function findByUsername(username, db = DButils) {
+  const [rows] = await db.execQuery("SELECT * FROM users WHERE username = ?", [
+    username,
+  ]);
+  return rows[0] || null;
+}
+
+/**
+ * Checks whether a username is already taken
+ *
+ * @param {string} username - The username to check
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if a user with this username exists
+ */
+async function existsByUsername(username, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT 1 FROM users WHERE username = ? LIMIT 1",
+    [username]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Inserts a new user
+ *
+ * @param {Object} user - User columns (password must already be hashed)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - The new user ID
+ */
+async function create(user, db = DButils) {
+  const [result] = await db.execQuery(
+    `INSERT INTO users (username, firstname, lastname, country, password, email, profilePic)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.username,
+      user.firstname,
+      user.lastname,
+      user.country,
+      user.password,
+      user.email,
+      user.profilePic || null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Sets the measuring system a user wants recipes shown in
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|null} units - "metric", "us", or null to keep recipes as written
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+async function updatePreferredUnits(user_id, units, db = DButils) {
+  const [result] = await db.execQuery(
+    "UPDATE users SET preferred_units = ? WHERE user_id = ?",
+    [units, user_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Sets the URL of a user's profile picture
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|null} profilePic - Picture URL
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+async function updateProfilePic(user_id, profilePic, db = DButils) {
+  const [result] = await db.execQuery(
+    "UPDATE users SET profilePic = ? WHERE user_id = ?",
+    [profilePic, user_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Finds the users registered with an email address
+ *
+ * @param {string} email - The email address, compared without regard to case
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - The user rows
+ */
+async function findAllByEmail(email, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT * FROM users WHERE LOWER(email) = LOWER(?)",
+    [email]
+  );
+  return rows;
+}
+
+/**
+ * Replaces a user's password
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} password - The new password, already hashed
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+async function updatePassword(user_id, password, db = DButils) {
+  const [result] = await db.execQuery(
+    "UPDATE users SET password = ? WHERE user_id = ?",
+    [password, user_id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Marks a user's email address as verified, if it is still the given one
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} email - The address that was verified
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if the user still has that address
+ */
+async function markEmailVerified(user_id, email, db = DButils) {
+  const [result] = await db.execQuery(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+     WHERE user_id = ? AND email = ?`,
+    [user_id, email]
+  );
+  return result.affectedRows > 0;
+}
+
+exports.findById = findById;
+exports.findByUsername = findByUsername;
+exports.existsByUsername = existsByUsername;
+exports.create = create;
+exports.updatePreferredUnits = updatePreferredUnits;
+exports.updateProfilePic = updateProfilePic;
+exports.findAllByEmail = findAllByEmail;
+exports.updatePassword = updatePassword;
+exports.markEmailVerified = markEmailVerified;
@@ -0,0 +1,129 @@
+/**
+ * Watched Recipes Repository
+ *
+ * Data access for the `watched_recipes` table.
+ */
+const DButils = require("../DButils");
+
+/**
+ * Checks whether a user has already watched a recipe
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<boolean>} - True if a watched record exists
+ */
+async function exists(user_id, recipe_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT 1 FROM watched_recipes WHERE user_id = ? AND recipe_id = ?",
+    [user_id, recipe_id]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Inserts a new watched record
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function insert(user_id, recipe_id, db = DButils) {
+  await db.execQuery(
+    "INSERT INTO watched_recipes (user_id, recipe_id) VALUES (?, ?)",
+    [user_id, recipe_id]
+  );
+}
+
+/**
+ * Refreshes the watched timestamp of an existing record
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function touch(user_id, recipe_id, db = DButils) {
+  await db.execQuery(
+    "UPDATE watched_recipes SET watched_at = CURRENT_TIMESTAMP WHERE user_id = ? AND recipe_id = ?",
+    [user_id, recipe_id]
+  );
+}
+
+/**
+ * Lists the recipe IDs a user has watched, most recent first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} [limit] - Optional maximum number of rows
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of the form { recipe_id }
+ */
+async function findRecipeIdsByUser(user_id, limit, db = DButils) {
+  let query =
+    "SELECT recipe_id FROM watched_recipes WHERE user_id = ? ORDER BY watched_at DESC";
+  const params = [user_id];
+  if (limit !== undefined) {
+    query += " LIMIT ?";
+    params.push(parseInt(limit));
+  }
+  const [rows] = await db.execQuery(query, params);
+  return rows;
+}
+
+/**
+ * Lists a user's watched history with timestamps, most recent first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Array<Object>>} - Rows of the form { recipe_id, watched_at }
+ */
+async function findAllByUser(user_id, db = DButils) {
+  const [rows] = await db.execQuery(
+    "SELECT recipe_id, watched_at FROM watched_recipes WHERE user_id = ? ORDER BY watched_at DESC",
+    [user_id]
+  );
+  return rows;
+}
+
+/**
+ * Records a watched recipe with a given timestamp, keeping the later one
+ * if the recipe is already in the history
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Date|null} watched_at - When it was watched (null for now)
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<void>}
+ */
+async function restore(user_id, recipe_id, watched_at, db = DButils) {
+  await db.execQuery(
+    `INSERT INTO watched_recipes (user_id, recipe_id, watched_at)
+     VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+     ON DUPLICATE KEY UPDATE watched_at = GREATEST(watched_at, VALUES(watched_at))`,
+    [user_id, recipe_id, watched_at]
+  );
+}
+
+/**
+ * Deletes the whole watched history of a user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteAllByUser(user_id, db = DButils) {
+  const [result] = await db.execQuery(
+    "DELETE FROM watched_recipes WHERE user_id = ?",
+    [user_id]
+  );
+  return result.affectedRows;
+}
+
+exports.exists = exists;
+exports.insert = insert;
+exports.touch = touch;
+exports.findRecipeIdsByUser = findRecipeIdsByUser;
+exports.findAllByUser = findAllByUser;
+exports.restore = restore;
+exports.deleteAllByUser = deleteAllByUser;
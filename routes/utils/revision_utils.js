@@ -0,0 +1,463 @@
+/**
+ * Recipe Revision Utilities
+ *
+ * Keeps the version history of private and family recipes: every create,
+ * edit and restore stores a snapshot of the recipe columns in
+ * `recipe_revisions`. Revisions can be listed, compared and restored.
+ */
+const DButils = require("./DButils");
+const {
+  private_recipes,
+  family_recipes,
+  recipe_revisions,
+} = require("./repositories");
+const recipeIndex = require("./recipe_index");
+
+const RECIPE_REPOSITORIES = {
+  private: private_recipes,
+  family: family_recipes,
+};
+
+/**
+ * Picks the versioned columns of a recipe row
+ *
+ * @param {string} source - "private" or "family"
+ * @param {Object} row - Recipe row or column values
+ * @returns {Object} - Snapshot with every updatable column
+ */
+function takeSnapshot(source, row) {
+  const snapshot = {};
+  RECIPE_REPOSITORIES[source].UPDATABLE_COLUMNS.forEach((column) => {
+    snapshot[column] = row[column] === undefined ? null : row[column];
+  });
+  return snapshot;
+}
+
+/**
+ * Reads a stored snapshot, which the driver may return as JSON text
+ */
+function parseSnapshot(snapshot) {
+  return typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+}
+
+/**
+ * Parses the ingredients column of a snapshot into an array
+ */
+function parseIngredients(ingredients) {
+  if (Array.isArray(ingredients)) {
+    return ingredients;
+  }
+  try {
+    return ingredients ? JSON.parse(ingredients) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Formats a revision row for API responses
+ *
+ * @param {Object} row - Revision row from the repository
+ * @param {boolean} [withRecipe=false] - Include the recipe snapshot
+ * @returns {Object} - Revision metadata (and recipe)
+ */
+function formatRevision(row, withRecipe = false) {
+  const revision = {
+    revision: row.revision_number,
+    change_type: row.change_type,
+    restored_from: row.restored_from,
+    edited_by: row.edited_by,
+    edited_by_username: row.edited_by_username || null,
+    edited_at: row.created_at,
+  };
+  if (withRecipe) {
+    const snapshot = parseSnapshot(row.snapshot);
+    revision.recipe = {
+      ...snapshot,
+      ingredients: parseIngredients(snapshot.ingredients),
+    };
+  }
+  return revision;
+}
+
+/**
+ * Records a new version of a recipe
+ *
+ * If the recipe has no history yet (it predates revision tracking), the
+ * `previous` version is stored first as its "original" revision so that
+ * it is never lost. The recipe's row stays locked until the transaction
+ * ends, so concurrent edits are numbered one after the other.
+ *
+ * @param {string} source - "private" or "family"
+ * @param {number} recipe_id - The ID of the recipe
+ * @param {Object} change - The change to record
+ * @param {Object} change.current - Recipe columns after the change
+ * @param {Object} [change.previous] - Recipe columns before the change
+ * @param {number} change.edited_by - The ID of the user making the change
+ * @param {string} change.change_type - "create", "update" or "restore"
+ * @param {number} [change.restored_from] - Revision number copied by a restore
+ * @param {Object} db - Transaction handle
+ * @returns {Promise<number>} - The revision number of the new version
+ */
+async function recordRevision(source, recipe_id, change, db) {
+  await RECIPE_REPOSITORIES[source].lockById(recipe_id, db);
+
+  if (change.previous) {
+    const existing = await recipe_revisions.countByRecipe(
+      source,
+      recipe_id,
+      db
+    );
+    if (existing === 0) {
+      await recipe_revisions.insert(
+        {
+          recipe_source: source,
+          recipe_id,
+          change_type: "original",
+          edited_by: null,
+          snapshot: takeSnapshot(source, change.previous),
+        },
+        db
+      );
+    }
+  }
+
+  return await recipe_revisions.insert(
+    {
+      recipe_source: source,
+      recipe_id,
+      change_type: change.change_type,
+      restored_from: change.restored_from,
+      edited_by: change.edited_by,
+      snapshot: takeSnapshot(source, change.current),
+    },
+    db
+  );
+}
+
+/**
+ * Loads a recipe owned by the user, for the revision endpoints
+ *
+ * @param {string} source - "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @param {number} user_id - The ID of the user
+ * @param {Object} [db=DButils] - Query executor (DButils or a transaction handle)
+ * @param {Object} [options]
+ * @param {boolean} [options.lock=false] - Lock the row until the transaction ends, before reading it
+ * @returns {Promise<Object>} - The recipe row
+ * @throws {Object} - Throws a 400 error for an invalid ID, or 404 if the recipe is not found or not owned
+ */
+async function findOwnedRecipe(
+  source,
+  recipe_id,
+  user_id,
+  db = DButils,
+  { lock = false } = {}
+) {
+  const parsedRecipeId = parseInt(recipe_id);
+  if (isNaN(parsedRecipeId)) {
+    throw { status: 400, message: "Invalid recipe ID format." };
+  }
+
+  const repository = RECIPE_REPOSITORIES[source];
+  const recipe = await (lock
+    ? repository.lockByIdForUser(parsedRecipeId, user_id, db)
+    : repository.findByIdForUser(parsedRecipeId, user_id, db));
+  if (!recipe) {
+    throw {
+      status: 404,
+      message: "Recipe not found or not owned by user.",
+    };
+  }
+  return recipe;
+}
+
+/**
+ * Parses a revision number from a request
+ *
+ * @param {string|number} revision - The revision number
+ * @returns {number} - The parsed number
+ * @throws {Object} - Throws a 400 error if it is not a positive integer
+ */
+function parseRevisionNumber(revision) {
+  const number = Number(revision);
+  if (!Number.isInteger(number) || number < 1) {
+    throw { status: 400, message: "Revision must be a positive integer." };
+  }
+  return number;
+}
+
+/**
+ * Lists the revisions of a recipe, newest first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @returns {Promise<Array<Object>>} - Revision metadata
+ * @throws {Object} - Throws a 400 or 404 error if the recipe is invalid, missing or not owned
+ */
+async function getRecipeRevisions(user_id, source, recipe_id) {
+  const recipe = await findOwnedRecipe(source, recipe_id, user_id);
+  const rows = await recipe_revisions.findAllByRecipe(source, recipe.recipe_id);
+  return rows.map((row) => formatRevision(row));
+}
+
+/**
+ * Retrieves one revision of a recipe with its full snapshot
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @param {string|number} revision - The revision number
+ * @returns {Promise<Object>} - Revision metadata with the recipe as it was
+ * @throws {Object} - Throws a 400 or 404 error if the recipe or revision is invalid or missing
+ */
+async function getRecipeRevision(user_id, source, recipe_id, revision) {
+  const recipe = await findOwnedRecipe(source, recipe_id, user_id);
+  const row = await recipe_revisions.findByNumber(
+    source,
+    recipe.recipe_id,
+    parseRevisionNumber(revision)
+  );
+  if (!row) {
+    throw { status: 404, message: "Revision not found" };
+  }
+  return formatRevision(row, true);
+}
+
+/**
+ * Builds a comparison key for an ingredient
+ */
+function ingredientKey(ingredient) {
+  const name = typeof ingredient === "string" ? ingredient : ingredient.name;
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Compares two ingredient lists by ingredient name
+ *
+ * @param {Array} before - Ingredients of the older revision
+ * @param {Array} after - Ingredients of the newer revision
+ * @returns {Object} - { added, removed, changed: [{ name, from, to }] }
+ */
+function diffIngredients(before, after) {
+  const beforeByKey = new Map(
+    before.map((item) => [ingredientKey(item), item])
+  );
+  const afterByKey = new Map(after.map((item) => [ingredientKey(item), item]));
+
+  const diff = { added: [], removed: [], changed: [] };
+  afterByKey.forEach((item, key) => {
+    if (!beforeByKey.has(key)) {
+      diff.added.push(item);
+    } else if (JSON.stringify(beforeByKey.get(key)) !== JSON.stringify(item)) {
+      diff.changed.push({
+        name: typeof item === "string" ? item : item.name,
+        from: beforeByKey.get(key),
+        to: item,
+      });
+    }
+  });
+  beforeByKey.forEach((item, key) => {
+    if (!afterByKey.has(key)) {
+      diff.removed.push(item);
+    }
+  });
+  return diff;
+}
+
+/**
+ * Splits instructions into lines, or sentences when written as one paragraph
+ */
+function splitInstructions(text) {
+  return String(text || "")
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0);
+}
+
+/**
+ * Compares two instruction texts sentence by sentence
+ *
+ * Uses the longest common subsequence of sentences, so an edited sentence
+ * shows up as one removed and one added entry while the rest stays unchanged.
+ *
+ * @param {string} before - Instructions of the older revision
+ * @param {string} after - Instructions of the newer revision
+ * @returns {Array<Object>} - Ordered entries of { change: "unchanged"|"added"|"removed", text }
+ */
+function diffInstructions(before, after) {
+  const a = splitInstructions(before);
+  const b = splitInstructions(after);
+
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      entries.push({ change: "unchanged", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      entries.push({ change: "removed", text: a[i++] });
+    } else {
+      entries.push({ change: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) entries.push({ change: "removed", text: a[i++] });
+  while (j < b.length) entries.push({ change: "added", text: b[j++] });
+  return entries;
+}
+
+/**
+ * Compares two revisions of a recipe
+ *
+ * Ingredients are compared by name and instructions sentence by sentence;
+ * any other column that differs is listed under `fields`.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @param {string|number} from - The older revision number
+ * @param {string|number} [to] - The newer revision number (default: the latest)
+ * @returns {Promise<Object>} - { from, to, ingredients, instructions, fields }
+ * @throws {Object} - Throws a 400 or 404 error if the recipe or a revision is invalid or missing
+ */
+async function diffRecipeRevisions(user_id, source, recipe_id, from, to) {
+  if (from === undefined) {
+    throw { status: 400, message: "The revision to compare from is required" };
+  }
+  const recipe = await findOwnedRecipe(source, recipe_id, user_id);
+
+  const fromRow = await recipe_revisions.findByNumber(
+    source,
+    recipe.recipe_id,
+    parseRevisionNumber(from)
+  );
+  const toRow =
+    to === undefined
+      ? await recipe_revisions.findLatest(source, recipe.recipe_id)
+      : await recipe_revisions.findByNumber(
+          source,
+          recipe.recipe_id,
+          parseRevisionNumber(to)
+        );
+  if (!fromRow || !toRow) {
+    throw { status: 404, message: "Revision not found" };
+  }
+
+  const before = parseSnapshot(fromRow.snapshot);
+  const after = parseSnapshot(toRow.snapshot);
+  const fields = Object.keys(after)
+    .filter((column) => !["ingredients", "instructions"].includes(column))
+    .filter((column) => before[column] !== after[column])
+    .map((column) => ({
+      field: column,
+      from: before[column],
+      to: after[column],
+    }));
+
+  return {
+    from: formatRevision(fromRow),
+    to: formatRevision(toRow),
+    ingredients: diffIngredients(
+      parseIngredients(before.ingredients),
+      parseIngredients(after.ingredients)
+    ),
+    instructions: diffInstructions(before.instructions, after.instructions),
+    fields: fields,
+  };
+}
+
+/**
+ * Restores a recipe to an earlier revision
+ *
+ * The recipe's columns are overwritten with the snapshot and the restore is
+ * recorded as a new revision, so it can itself be undone.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe
+ * @param {string|number} revision - The revision number to restore
+ * @returns {Promise<number>} - The revision number created by the restore
+ * @throws {Object} - Throws a 400 or 404 error if the recipe or revision is invalid or missing, or 500 if the restore fails
+ */
+async function restoreRecipeRevision(user_id, source, recipe_id, revision) {
+  const revision_number = parseRevisionNumber(revision);
+
+  try {
+    const { restored, new_revision } = await DButils.withTransaction(
+      async (tx) => {
+        const recipe = await findOwnedRecipe(source, recipe_id, user_id, tx, {
+          lock: true,
+        });
+        const row = await recipe_revisions.findByNumber(
+          source,
+          recipe.recipe_id,
+          revision_number,
+          tx
+        );
+        if (!row) {
+          throw { status: 404, message: "Revision not found" };
+        }
+
+        const changes = takeSnapshot(source, parseSnapshot(row.snapshot));
+        await RECIPE_REPOSITORIES[source].updateByIdForUser(
+          recipe.recipe_id,
+          user_id,
+          changes,
+          tx
+        );
+        const new_revision = await recordRevision(
+          source,
+          recipe.recipe_id,
+          {
+            previous: recipe,
+            current: changes,
+            edited_by: user_id,
+            change_type: "restore",
+            restored_from: revision_number,
+          },
+          tx
+        );
+        return { restored: { ...recipe, ...changes }, new_revision };
+      }
+    );
+
+    recipeIndex.add(source, restored);
+    return new_revision;
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error restoring revision ${revision} of ${source} recipe ${recipe_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to restore recipe revision",
+      error: error,
+    };
+  }
+}
+
+exports.recordRevision = recordRevision;
+exports.getRecipeRevisions = getRecipeRevisions;
+exports.getRecipeRevision = getRecipeRevision;
+exports.diffRecipeRevisions = diffRecipeRevisions;
+exports.restoreRecipeRevision = restoreRecipeRevision;
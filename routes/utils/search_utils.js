@@ -0,0 +1,289 @@
+/**
+ * Unified Recipe Search
+ *
+ * Runs one search over Spoonacular and over the logged-in user's own private
+ * and family recipes, and merges everything into a single ranked list. Each
+ * result carries a `source` field ("spoonacular", "private" or "family") so
+ * clients can tell the ID spaces apart.
+ *
+ * The user's recipes come from the search index, and Spoonacular results
+ * are scored by the same index (see recipe_index.js), so one ranking covers
+ * all sources.
+ */
+const recipes_utils = require("./recipes_utils");
+const recipeIndex = require("./recipe_index");
+const { ingredientNames } = require("./text_analysis");
+
+const SEARCH_SCOPES = ["all", "spoonacular", "mine", "family"];
+
+/**
+ * Checks a local recipe against the Spoonacular-style search filters
+ *
+ * Local recipes only record vegan, vegetarian and gluten-free flags (family
+ * recipes record none), so a filter that cannot be verified from those flags
+ * or from the ingredient names excludes the recipe rather than letting
+ * through something that may not satisfy it.
+ *
+ * @param {Object} recipe - Recipe flags and ingredient names
+ * @param {Object} filters - cuisine, diet and intolerance from the query
+ * @returns {boolean} - True if the recipe satisfies all filters
+ */
+function matchesFilters(recipe, { cuisine, diet, intolerance }) {
+  // Local recipes do not record a cuisine
+  if (cuisine) return false;
+
+  if (diet) {
+    // Spoonacular treats "," as AND and "|" as OR between diets
+    const satisfied = diet.split(",").every((group) =>
+      group.split("|").some((name) => {
+        switch (name.trim().toLowerCase()) {
+          case "vegan":
+            return recipe.vegan === true;
+          case "vegetarian":
+          case "lacto vegetarian":
+          case "ovo vegetarian":
+            return recipe.vegetarian === true || recipe.vegan === true;
+          case "gluten free":
+            return recipe.glutenFree === true;
+          default:
+            return false;
+        }
+      })
+    );
+    if (!satisfied) return false;
+  }
+
+  if (intolerance) {
+    const names = recipe.ingredients.map((name) => name.toLowerCase());
+    const tolerated = intolerance
+      .split(",")
+      .map((i) => i.trim().toLowerCase())
+      .every((item) => {
+        if (item === "gluten" || item === "wheat") {
+          return recipe.glutenFree === true;
+        }
+        return !names.some((name) => name.includes(item));
+      });
+    if (!tolerated) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Searches the user's private and family recipes in the search index
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} query - The search term
+ * @param {Array<string>} sources - "private", "family" or both
+ * @param {Object} filters - cuisine, diet and intolerance from the query
+ * @returns {Promise<Array<Object>>} - Scored recipe previews with their source
+ * @throws {Object} - Throws a 500 error if the index cannot be built
+ */
+async function searchLocalRecipes(user_id, query, sources, filters) {
+  try {
+    await recipeIndex.ensureReady();
+  } catch (error) {
+    console.log(`Error building recipe search index: ${error.message}`);
+    throw {
+      status: 500,
+      message: "Failed to search recipes",
+      error: error,
+    };
+  }
+
+  return recipeIndex
+    .match(user_id, query)
+    .filter(
+      ({ doc }) => sources.includes(doc.source) && matchesFilters(doc, filters)
+    )
+    .map(({ doc, score }) => {
+      const recipe = {
+        id: doc.id,
+        title: doc.title,
+        readyInMinutes: doc.readyInMinutes,
+        image: doc.image,
+        popularity: doc.popularity,
+        vegan: doc.vegan,
+        vegetarian: doc.vegetarian,
+        glutenFree: doc.glutenFree,
+        source: doc.source,
+      };
+      if (doc.source === "family") {
+        recipe.owner = doc.owner;
+      }
+      return { recipe, score };
+    });
+}
+
+/**
+ * Searches Spoonacular and scores the results with the local ranking
+ *
+ * Spoonacular already applied the filters; the recipes are scored again from
+ * their (cached) information so they can be ranked against local recipes.
+ *
+ * @param {number} user_id - The ID of the user, for like information
+ * @param {Object} params - The search parameters
+ * @returns {Promise<Array<Object>>} - Scored recipe previews with source "spoonacular"
+ */
+async function searchSpoonacularRecipes(user_id, params) {
+  const { query, number, cuisine, diet, intolerance, sort } = params;
+  const recipe_ids = await recipes_utils.getSearchRecipeIds(
+    query,
+    number,
+    cuisine,
+    diet,
+    intolerance,
+    sort
+  );
+  if (recipe_ids.length === 0) {
+    return [];
+  }
+
+  const loaded = await recipes_utils.getRecipesInformationBulk(recipe_ids);
+  // The previews are built from the recipes just loaded, not fetched again
+  const previews = await recipes_utils.getRecipesPreviewWithLikes(
+    recipe_ids,
+    user_id,
+    loaded
+  );
+
+  return previews.map((preview) => {
+    const info = loaded.recipes.get(String(preview.id));
+    const score = info
+      ? recipeIndex.score(
+          {
+            title: info.title,
+            ingredients: ingredientNames(info.extendedIngredients),
+            instructions: info.instructions,
+          },
+          query
+        )
+      : 0;
+    return { recipe: { ...preview, source: "spoonacular" }, score };
+  });
+}
+
+/**
+ * Orders the merged results
+ *
+ * With a `sort` parameter the list is ordered by preparation time or
+ * popularity like Spoonacular does; otherwise by relevance score. Ties keep
+ * their original order, so Spoonacular's own ranking is preserved.
+ *
+ * @param {Array<Object>} results - Scored results ({recipe, score})
+ * @param {string} [sort] - 'time' or 'popularity'
+ * @returns {Array<Object>} - The sorted results
+ */
+function rankResults(results, sort) {
+  const time = (entry) =>
+    Number.isFinite(entry.recipe.readyInMinutes)
+      ? entry.recipe.readyInMinutes
+      : Infinity;
+  const popularity = (entry) => Number(entry.recipe.popularity) || 0;
+
+  const comparators = {
+    time: (a, b) => time(a) - time(b),
+    popularity: (a, b) => popularity(b) - popularity(a),
+  };
+  const compare = comparators[sort] || ((a, b) => b.score - a.score);
+  return results.slice().sort(compare);
+}
+
+/**
+ * Searches recipes across the selected sources
+ *
+ * Scopes:
+ * - spoonacular: Spoonacular only (the default, available to guests)
+ * - mine: the user's private recipes
+ * - family: the user's family recipes
+ * - all: Spoonacular and both kinds of local recipes
+ *
+ * When Spoonacular is unavailable during an `all` search, the local results
+ * are still returned.
+ *
+ * @param {number|null} user_id - The ID of the logged-in user, if any
+ * @param {Object} params - The search parameters
+ * @param {string} params.query - The search term
+ * @param {number} [params.number=5] - Maximum number of results
+ * @param {string} [params.cuisine] - Cuisine type filter
+ * @param {string} [params.diet] - Diet restriction filter
+ * @param {string} [params.intolerance] - Food intolerance filter
+ * @param {string} [params.sort] - 'time' or 'popularity'
+ * @param {string} [params.scope="spoonacular"] - Where to search
+ * @returns {Promise<Array<Object>>} - Ranked recipe previews, each with a source field
+ * @throws {Object} - 400 for a missing query or unknown scope, 401 when a local scope is used without logging in
+ */
+async function searchAllRecipes(user_id, params) {
+  const scope = params.scope || "spoonacular";
+  const number = parseInt(params.number) || 5;
+
+  if (!params.query) {
+    throw { status: 400, message: "Query parameter is missing" };
+  }
+  if (!SEARCH_SCOPES.includes(scope)) {
+    throw {
+      status: 400,
+      message: `Scope must be one of: ${SEARCH_SCOPES.join(", ")}`,
+    };
+  }
+  if (scope !== "spoonacular" && !user_id) {
+    throw { status: 401, message: "Log in to search your own recipes" };
+  }
+
+  // Spoonacular alone keeps its own ranking and needs no rescoring
+  if (scope === "spoonacular") {
+    const results = await recipes_utils.searchRecipes(
+      params.query,
+      number,
+      params.cuisine,
+      params.diet,
+      params.intolerance,
+      params.sort,
+      user_id
+    );
+    return results.map((recipe) => ({ ...recipe, source: "spoonacular" }));
+  }
+
+  const filters = {
+    cuisine: params.cuisine,
+    diet: params.diet,
+    intolerance: params.intolerance,
+  };
+  const sources = {
+    all: ["private", "family"],
+    mine: ["private"],
+    family: ["family"],
+  }[scope];
+
+  const results = await searchLocalRecipes(
+    user_id,
+    params.query,
+    sources,
+    filters
+  );
+  if (scope === "all") {
+    try {
+      results.push(
+        ...(await searchSpoonacularRecipes(user_id, {
+          ...params,
+          number,
+        }))
+      );
+    } catch (error) {
+      if (results.length === 0) {
+        throw error;
+      }
+      console.warn(
+        `⚠️  Spoonacular search failed, returning local results only: ${error.message}`
+      );
+    }
+  }
+
+  return rankResults(results, params.sort)
+    .slice(0, number)
+    .map((entry) => entry.recipe);
+}
+
+exports.SEARCH_SCOPES = SEARCH_SCOPES;
+exports.searchAllRecipes = searchAllRecipes;
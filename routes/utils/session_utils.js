@@ -0,0 +1,99 @@
+/**
+ * Session Management
+ *
+ * Lists the places a user is logged in and logs them out of some or all of
+ * them. Each logged-in session has a row in the `sessions` table (see
+ * middleware/session.middleware.js); deleting the row revokes the session
+ * on its next request.
+ */
+const { sessions } = require("./repositories");
+
+/**
+ * Shapes a session row for the API
+ *
+ * @param {Object} row - Row from the sessions repository
+ * @param {number|null} current_session_id - The session of the request
+ * @returns {Object} - The session without its token or contents
+ */
+function toSession(row, current_session_id) {
+  return {
+    session_id: row.session_id,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    expires_at: row.expires_at,
+    ip_address: row.ip_address,
+    user_agent: row.user_agent,
+    current: row.session_id === current_session_id,
+  };
+}
+
+/**
+ * Lists a user's active sessions, most recently used first
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number|null} current_session_id - The session of the request, marked as current
+ * @returns {Promise<Array<Object>>} - Sessions with session_id, created_at, last_seen_at, expires_at, ip_address, user_agent and current
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function listSessions(user_id, current_session_id) {
+  try {
+    const rows = await sessions.findAllByUser(user_id);
+    return rows.map((row) => toSession(row, current_session_id));
+  } catch (error) {
+    console.log(`Error listing sessions for user ${user_id}: ${error.message}`);
+    throw { status: 500, message: "Failed to load sessions", error: error };
+  }
+}
+
+/**
+ * Logs one of a user's sessions out
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} session_id - The ID of the session
+ * @returns {Promise<boolean>} - True once the session is revoked
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the user has no such session, or 500 if the database operation fails
+ */
+async function revokeSession(user_id, session_id) {
+  const parsedSessionId = parseInt(session_id);
+  if (isNaN(parsedSessionId)) {
+    throw { status: 400, message: "Invalid session ID format." };
+  }
+
+  let deleted;
+  try {
+    deleted = await sessions.deleteByIdForUser(parsedSessionId, user_id);
+  } catch (error) {
+    console.log(
+      `Error revoking session ${parsedSessionId} for user ${user_id}: ${error.message}`
+    );
+    throw { status: 500, message: "Failed to revoke session", error: error };
+  }
+
+  if (!deleted) {
+    throw { status: 404, message: "Session not found" };
+  }
+  return true;
+}
+
+/**
+ * Logs a user out everywhere, optionally except for one session
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number|null} [except_session_id=null] - A session to keep, such as the current one
+ * @returns {Promise<number>} - Number of sessions revoked
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function revokeAllSessions(user_id, except_session_id = null) {
+  try {
+    return await sessions.deleteAllByUser(user_id, except_session_id);
+  } catch (error) {
+    console.log(
+      `Error revoking sessions for user ${user_id}: ${error.message}`
+    );
+    throw { status: 500, message: "Failed to revoke sessions", error: error };
+  }
+}
+
+exports.listSessions = listSessions;
+exports.revokeSession = revokeSession;
+exports.revokeAllSessions = revokeAllSessions;
@@ -0,0 +1,716 @@
+/**
+ * Shopping List Utilities
+ *
+ * Builds a user's shopping list from the Spoonacular, private and family
+ * recipes they added, plus the items they typed in by hand. Ingredients of
+ * all recipes are scaled to the requested servings, merged by ingredient
+ * (summing volumes and weights across units) and grouped by store aisle.
+ *
+ * Only the recipes, the manual items and the checked-off state are stored;
+ * the merged items are computed whenever the list is read. A computed item
+ * is identified by a key made of its normalized name and unit kind, so it
+ * stays checked off while recipes are added or removed.
+ */
+const DButils = require("./DButils");
+const {
+  shopping_list_recipes,
+  shopping_list_items,
+  shopping_list_checks,
+} = require("./repositories");
+const recipes_utils = require("./recipes_utils");
+const user_utils = require("./user_utils");
+const { normalizeIngredientName } = require("./text_analysis");
+const { roundQuantity } = require("./recipe_scaling");
+const {
+  cupWeight,
+  toBaseAmount,
+  fromBaseAmount,
+} = require("./unit_conversion");
+
+const RECIPE_SOURCES = ["spoonacular", "private", "family"];
+const OTHER_AISLE = "Other";
+const MANUAL_PREFIX = "manual-";
+
+// Aisle of ingredients that do not come with one from Spoonacular
+const AISLE_KEYWORDS = Object.entries({
+  Produce: [
+    "tomato",
+    "onion",
+    "garlic",
+    "pepper",
+    "zucchini",
+    "lettuce",
+    "carrot",
+    "potato",
+    "lemon",
+    "lime",
+    "apple",
+    "banana",
+    "cucumber",
+    "mushroom",
+    "spinach",
+    "avocado",
+    "parsley",
+    "cilantro",
+    "basil",
+    "mint",
+    "celery",
+    "eggplant",
+    "cabbage",
+  ],
+  "Spices and Seasonings": [
+    "salt",
+    "black pepper",
+    "cumin",
+    "paprika",
+    "cinnamon",
+    "oregano",
+    "turmeric",
+    "nutmeg",
+    "chili powder",
+  ],
+  "Milk, Eggs, Other Dairy": [
+    "milk",
+    "egg",
+    "butter",
+    "cream",
+    "sour cream",
+    "yogurt",
+  ],
+  Cheese: ["cheese", "cream cheese"],
+  Meat: ["beef", "chicken", "pork", "lamb", "turkey", "bacon"],
+  Seafood: ["fish", "salmon", "tuna", "shrimp"],
+  Baking: [
+    "flour",
+    "sugar",
+    "baking powder",
+    "baking soda",
+    "yeast",
+    "cornflour",
+    "cornstarch",
+    "cocoa",
+    "chocolate",
+    "vanilla",
+    "pudding",
+  ],
+  "Oil, Vinegar, Salad Dressing": ["oil", "vinegar"],
+  "Pasta and Rice": ["pasta", "rice", "noodle", "spaghetti"],
+  "Bakery/Bread": ["bread", "pita", "bun", "biscuit"],
+  Nuts: ["almond", "walnut", "peanut", "pecan", "hazelnut"],
+})
+  .flatMap(([aisle, keywords]) =>
+    keywords.map((keyword) => [normalizeIngredientName(keyword), aisle])
+  )
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Returns the aisle an ingredient is sold in
+ *
+ * Spoonacular's aisle is used when there is one ("Baking;Spices" -> "Baking");
+ * otherwise the most specific keyword in the name decides, so "black pepper"
+ * is a spice while "green pepper" is produce.
+ *
+ * @param {string} name - Ingredient name
+ * @param {string|null} aisle - Aisle from Spoonacular, if any
+ * @returns {string} - Aisle name
+ */
+function aisleOf(name, aisle) {
+  if (aisle && aisle.trim()) {
+    return aisle.split(";")[0].trim();
+  }
+  const normalized = ` ${normalizeIngredientName(name)} `;
+  const match = AISLE_KEYWORDS.find(([keyword]) =>
+    normalized.includes(` ${keyword} `)
+  );
+  return match ? match[1] : OTHER_AISLE;
+}
+
+/**
+ * Loads the details of a recipe on the list
+ *
+ * Spoonacular recipes that cannot be fetched come back as fallback details
+ * with `apiUnavailable` set.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "spoonacular", "private" or "family"
+ * @param {string} recipe_id - The ID of the recipe within its source
+ * @returns {Promise<Object>} - Recipe details with normalized ingredients
+ * @throws {Object} - Throws a 404 error if a private or family recipe does not exist or is not the user's
+ */
+async function loadRecipe(user_id, source, recipe_id) {
+  if (source === "private") {
+    return await user_utils.getPrivateRecipeDetails(recipe_id, user_id);
+  }
+  if (source === "family") {
+    return await user_utils.getFamilyRecipeDetails(recipe_id, user_id);
+  }
+  return await recipes_utils.getRecipeDetails(recipe_id);
+}
+
+/**
+ * Adds the ingredients of one recipe to the merged groups
+ *
+ * @param {Map} groups - Item key -> merged group
+ * @param {Object} recipe - Recipe details with normalized ingredients
+ * @param {number} factor - Scaling factor for the requested servings
+ */
+function mergeIngredients(groups, recipe, factor) {
+  for (const ingredient of recipe.ingredients || []) {
+    const nameKey =
+      normalizeIngredientName(ingredient.name).replace(/\s+/g, "-") ||
+      String(ingredient.name || "")
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, "-");
+    if (!nameKey) continue;
+
+    // Buy for the upper end of a range
+    const amount =
+      typeof ingredient.quantity === "number"
+        ? (ingredient.quantityMax || ingredient.quantity) * factor
+        : null;
+    const base = amount === null ? null : toBaseAmount(amount, ingredient.unit);
+
+    let unitKey;
+    if (amount === null) {
+      unitKey = "unmeasured";
+    } else if (base) {
+      unitKey = base.kind;
+    } else {
+      unitKey = ingredient.unit || "count";
+    }
+
+    const key = `${nameKey}:${unitKey}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        nameKey,
+        name: ingredient.name,
+        aisle: aisleOf(ingredient.name, ingredient.aisle),
+        kind: base ? base.kind : null,
+        unit: base ? null : ingredient.unit || null,
+        units: new Set(),
+        total: 0,
+        measured: amount !== null,
+        recipes: new Set(),
+      });
+    }
+
+    const group = groups.get(key);
+    if (base) {
+      group.total += base.base;
+      group.units.add(ingredient.unit);
+    } else if (amount !== null) {
+      group.total += amount;
+    }
+    group.recipes.add(recipe.title);
+  }
+}
+
+/**
+ * Folds volumes of dry ingredients into their weight when both occur
+ *
+ * "1/4 cup butter" from one recipe and "200 g butter" from another become
+ * one item in grams. A volume on its own is left as a volume.
+ *
+ * @param {Map} groups - Item key -> merged group
+ */
+function foldVolumesIntoMass(groups) {
+  for (const group of Array.from(groups.values())) {
+    const massGroup = groups.get(`${group.nameKey}:mass`);
+    const gramsPerCup = cupWeight(group.name);
+    if (group.kind !== "volume" || !massGroup || !gramsPerCup) continue;
+
+    massGroup.total +=
+      (group.total / toBaseAmount(1, "cup").base) * gramsPerCup;
+    group.units.forEach((unit) => massGroup.units.add(unit));
+    group.recipes.forEach((title) => massGroup.recipes.add(title));
+    groups.delete(group.key);
+  }
+}
+
+/**
+ * Turns a merged group into a list item
+ *
+ * Amounts that were all given in one unit stay in that unit; mixed units
+ * are shown in the user's preferred system (metric by default). Counts and
+ * packages are rounded up to whole numbers.
+ *
+ * @param {Object} group - Merged group
+ * @param {string|null} system - The user's preferred units
+ * @param {Set<string>} checkedKeys - Keys of checked-off items
+ * @returns {Object} - The list item
+ */
+function toListItem(group, system, checkedKeys) {
+  let quantity = null;
+  let unit = group.unit;
+  let quantityText = null;
+
+  if (group.kind) {
+    const [onlyUnit] = group.units;
+    if (group.units.size === 1 && !system) {
+      const base = toBaseAmount(1, onlyUnit).base;
+      const rounded = roundQuantity(group.total / base, onlyUnit);
+      quantity = rounded.quantity;
+      unit = onlyUnit;
+      quantityText = rounded.text;
+    } else {
+      const converted = fromBaseAmount(
+        group.kind,
+        group.total,
+        system || "metric"
+      );
+      quantity = converted.quantity;
+      unit = converted.unit;
+      quantityText = converted.text;
+    }
+  } else if (group.measured) {
+    // Eggs, cans and boxes are bought whole
+    quantity = Math.ceil(group.total - 0.001);
+    quantityText = String(quantity);
+  }
+
+  return {
+    id: group.key,
+    name: group.name,
+    quantity,
+    unit,
+    quantityText,
+    aisle: group.aisle,
+    checked: checkedKeys.has(group.key),
+    manual: false,
+    recipes: Array.from(group.recipes),
+  };
+}
+
+/**
+ * Converts a manual item row into a list item
+ */
+function toManualItem(row) {
+  const quantity = row.quantity === null ? null : Number(row.quantity);
+  return {
+    id: `${MANUAL_PREFIX}${row.item_id}`,
+    name: row.name,
+    quantity,
+    unit: row.unit,
+    quantityText:
+      quantity === null ? null : roundQuantity(quantity, row.unit).text,
+    aisle: row.aisle || aisleOf(row.name, null),
+    checked: row.checked === 1 || row.checked === true,
+    manual: true,
+    recipes: [],
+  };
+}
+
+/**
+ * Builds a user's shopping list
+ *
+ * Recipes that can no longer be loaded (deleted, or Spoonacular unavailable)
+ * are listed with `available: false` and contribute no items.
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - { recipes, aisles, totalItems, checkedItems }
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function getShoppingList(user_id) {
+  let entries, manualRows, checkedKeys, system;
+  try {
+    [entries, manualRows, checkedKeys, system] = await Promise.all([
+      shopping_list_recipes.findAllByUser(user_id),
+      shopping_list_items.findAllByUser(user_id),
+      shopping_list_checks.findKeysByUser(user_id),
+      user_utils.getPreferredUnits(user_id),
+    ]);
+  } catch (error) {
+    console.log(
+      `Error retrieving shopping list for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve shopping list",
+      error: error,
+    };
+  }
+
+  const loaded = await Promise.all(
+    entries.map(async (entry) => {
+      try {
+        const recipe = await loadRecipe(
+          user_id,
+          entry.recipe_source,
+          entry.recipe_id
+        );
+        return { entry, recipe: recipe.apiUnavailable ? null : recipe };
+      } catch (error) {
+        console.log(
+          `Shopping list recipe ${entry.recipe_source}:${entry.recipe_id} unavailable: ${error.message}`
+        );
+        return { entry, recipe: null };
+      }
+    })
+  );
+
+  const groups = new Map();
+  const recipes = loaded.map(({ entry, recipe }) => {
+    if (!recipe) {
+      return {
+        source: entry.recipe_source,
+        id: entry.recipe_id,
+        title: null,
+        servings: entry.servings,
+        scalingAvailable: false,
+        available: false,
+      };
+    }
+
+    const originalServings = Number(recipe.servings);
+    const scalingAvailable =
+      Number.isFinite(originalServings) && originalServings > 0;
+    const factor =
+      scalingAvailable && entry.servings
+        ? entry.servings / originalServings
+        : 1;
+    mergeIngredients(groups, recipe, factor);
+
+    return {
+      source: entry.recipe_source,
+      id: recipe.id,
+      title: recipe.title,
+      servings: scalingAvailable
+        ? entry.servings || originalServings
+        : recipe.servings,
+      scalingAvailable,
+      available: true,
+    };
+  });
+
+  foldVolumesIntoMass(groups);
+
+  // "Salt, to taste" adds nothing when salt is already bought by amount
+  const measuredNames = new Set(
+    Array.from(groups.values())
+      .filter((group) => group.measured)
+      .map((group) => group.nameKey)
+  );
+  const checked = new Set(checkedKeys);
+  const items = Array.from(groups.values())
+    .filter((group) => group.measured || !measuredNames.has(group.nameKey))
+    .map((group) => toListItem(group, system, checked))
+    .concat(manualRows.map(toManualItem));
+
+  const byAisle = new Map();
+  items.forEach((item) => {
+    if (!byAisle.has(item.aisle)) {
+      byAisle.set(item.aisle, []);
+    }
+    byAisle.get(item.aisle).push(item);
+  });
+  const aisles = Array.from(byAisle.entries())
+    .sort(
+      ([a], [b]) =>
+        (a === OTHER_AISLE) - (b === OTHER_AISLE) || a.localeCompare(b)
+    )
+    .map(([aisle, aisleItems]) => ({
+      aisle,
+      items: aisleItems.sort((a, b) => a.name.localeCompare(b.name)),
+    }));
+
+  return {
+    recipes,
+    aisles,
+    totalItems: items.length,
+    checkedItems: items.filter((item) => item.checked).length,
+  };
+}
+
+/**
+ * Lists the keys of the recipe items on a user's shopping list
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - { keys, complete }; complete is false when a recipe could not be loaded, so its items are missing
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function getRecipeItemKeys(user_id) {
+  const list = await getShoppingList(user_id);
+  const keys = list.aisles
+    .flatMap((aisle) => aisle.items)
+    .filter((item) => !item.manual)
+    .map((item) => item.id);
+  return {
+    keys,
+    complete: list.recipes.every((recipe) => recipe.available),
+  };
+}
+
+/**
+ * Adds a recipe to a user's shopping list
+ *
+ * Adding a recipe that is already on the list updates its servings, or
+ * with `addServings` adds to them.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "spoonacular", "private" or "family"
+ * @param {string|number} recipe_id - The ID of the recipe within its source
+ * @param {number|null} servings - Servings to shop for, or null for the recipe's own
+ * @param {Object} [options]
+ * @param {boolean} [options.addServings=false] - Add the servings to those already on the list
+ * @returns {Promise<Object>} - { source, id, title, servings } of the added recipe
+ * @throws {Object} - Throws a 404 error if the recipe does not exist, or a 500 error if the database operation fails
+ */
+async function addRecipe(
+  user_id,
+  source,
+  recipe_id,
+  servings,
+  { addServings = false } = {}
+) {
+  const recipe = await loadRecipe(user_id, source, recipe_id);
+  if (recipe.apiUnavailable) {
+    throw {
+      status: 503,
+      message: "Recipe details are unavailable right now, try again later",
+    };
+  }
+
+  try {
+    if (addServings && servings) {
+      await shopping_list_recipes.addServings(
+        user_id,
+        source,
+        recipe.id,
+        servings,
+        Number(recipe.servings) || null
+      );
+    } else {
+      await shopping_list_recipes.upsert(
+        user_id,
+        source,
+        recipe.id,
+        servings || null
+      );
+    }
+  } catch (error) {
+    console.log(
+      `Error adding recipe ${source}:${recipe_id} to shopping list of user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to add recipe to shopping list",
+      error: error,
+    };
+  }
+  return {
+    source,
+    id: recipe.id,
+    title: recipe.title,
+    servings: servings || recipe.servings,
+  };
+}
+
+/**
+ * Removes a recipe from a user's shopping list
+ *
+ * Items that were only on the list for this recipe are no longer checked
+ * off, so they are not checked when a recipe brings them back. When another
+ * recipe cannot be loaded right now, the checks are kept, since its items
+ * cannot be told apart.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} source - "spoonacular", "private" or "family"
+ * @param {string} recipe_id - The ID of the recipe within its source
+ * @returns {Promise<boolean>} - True if the recipe was removed
+ * @throws {Object} - Throws a 404 error if the recipe is not on the list
+ */
+async function removeRecipe(user_id, source, recipe_id) {
+  let removed;
+  try {
+    removed = await shopping_list_recipes.remove(user_id, source, recipe_id);
+  } catch (error) {
+    console.log(
+      `Error removing recipe ${source}:${recipe_id} from shopping list of user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to remove recipe from shopping list",
+      error: error,
+    };
+  }
+
+  if (removed === 0) {
+    throw { status: 404, message: "Recipe is not on the shopping list" };
+  }
+
+  // The recipe is already removed, so a failure here is only logged
+  try {
+    const { keys, complete } = await getRecipeItemKeys(user_id);
+    if (complete) {
+      await shopping_list_checks.deleteAllByUserExcept(user_id, keys);
+    }
+  } catch (error) {
+    console.log(
+      `Error removing checks of recipe ${source}:${recipe_id} from shopping list of user ${user_id}: ${error.message}`
+    );
+  }
+  return true;
+}
+
+/**
+ * Adds an item typed in by the user
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} item - The item
+ * @param {string} item.name - Item name
+ * @param {number} [item.quantity] - Amount to buy
+ * @param {string} [item.unit] - Unit of the amount
+ * @param {string} [item.aisle] - Aisle to list the item under (guessed from the name if missing)
+ * @returns {Promise<Object>} - The new list item
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function addItem(user_id, item) {
+  const row = {
+    name: item.name.trim(),
+    quantity: item.quantity === undefined ? null : item.quantity,
+    unit: item.unit ? item.unit.trim() : null,
+    aisle: item.aisle ? item.aisle.trim() : null,
+    checked: 0,
+  };
+
+  try {
+    row.item_id = await shopping_list_items.insert(user_id, row);
+  } catch (error) {
+    console.log(
+      `Error adding shopping list item for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to add shopping list item",
+      error: error,
+    };
+  }
+  return toManualItem(row);
+}
+
+/**
+ * Checks an item off the list, or unchecks it
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} item_id - "manual-<id>" for manual items, otherwise the key of a recipe item
+ * @param {boolean} checked - The new checked state
+ * @returns {Promise<boolean>} - True when the state was stored
+ * @throws {Object} - Throws a 404 error if the item is not on the user's list
+ */
+async function setItemChecked(user_id, item_id, checked) {
+  let found;
+  try {
+    if (item_id.startsWith(MANUAL_PREFIX)) {
+      const manualId = parseInt(item_id.slice(MANUAL_PREFIX.length));
+      found =
+        !isNaN(manualId) &&
+        (await shopping_list_items.setChecked(manualId, user_id, checked)) > 0;
+    } else {
+      // Only keys of items on the current list are stored
+      const { keys } = await getRecipeItemKeys(user_id);
+      found = keys.includes(item_id);
+      if (found && checked) {
+        await shopping_list_checks.add(user_id, item_id);
+      } else if (found) {
+        await shopping_list_checks.remove(user_id, item_id);
+      }
+    }
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error updating shopping list item ${item_id} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to update shopping list item",
+      error: error,
+    };
+  }
+
+  if (!found) {
+    throw { status: 404, message: "Shopping list item not found" };
+  }
+  return true;
+}
+
+/**
+ * Deletes a manual item
+ *
+ * Items that come from recipes go away when their recipes are removed.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} item_id - "manual-<id>"
+ * @returns {Promise<boolean>} - True if the item was deleted
+ * @throws {Object} - Throws a 400 error for recipe items, or a 404 error if the item does not exist
+ */
+async function deleteItem(user_id, item_id) {
+  if (!item_id.startsWith(MANUAL_PREFIX)) {
+    throw {
+      status: 400,
+      message:
+        "Only manual items can be deleted; remove the recipe to drop its items",
+    };
+  }
+  const manualId = parseInt(item_id.slice(MANUAL_PREFIX.length));
+  if (isNaN(manualId)) {
+    throw { status: 404, message: "Shopping list item not found" };
+  }
+
+  let deleted;
+  try {
+    deleted = await shopping_list_items.deleteByIdForUser(manualId, user_id);
+  } catch (error) {
+    console.log(
+      `Error deleting shopping list item ${item_id} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to delete shopping list item",
+      error: error,
+    };
+  }
+
+  if (deleted === 0) {
+    throw { status: 404, message: "Shopping list item not found" };
+  }
+  return true;
+}
+
+/**
+ * Empties a user's shopping list: recipes, manual items and checked state
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<void>}
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function clearShoppingList(user_id) {
+  try {
+    await DButils.withTransaction(async (tx) => {
+      await shopping_list_recipes.deleteAllByUser(user_id, tx);
+      await shopping_list_items.deleteAllByUser(user_id, tx);
+      await shopping_list_checks.deleteAllByUser(user_id, tx);
+    });
+  } catch (error) {
+    console.log(
+      `Error clearing shopping list for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to clear shopping list",
+      error: error,
+    };
+  }
+}
+
+exports.RECIPE_SOURCES = RECIPE_SOURCES;
+exports.getShoppingList = getShoppingList;
+exports.addRecipe = addRecipe;
+exports.removeRecipe = removeRecipe;
+exports.addItem = addItem;
+exports.setItemChecked = setItemChecked;
+exports.deleteItem = deleteItem;
+exports.clearShoppingList = clearShoppingList;
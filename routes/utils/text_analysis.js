@@ -0,0 +1,237 @@
+/**
+ * Text Analysis Helpers
+ *
+ * Turns recipe text into search terms: lowercase tokens with stop words
+ * removed and a light suffix-stripping stemmer applied, so "Tomatoes",
+ * "tomato" and "chopped" / "chopping" meet on the same term. Ingredient names
+ * are also stripped of quantities, units and preparation words, and
+ * instructions can be split into plain-text steps.
+ */
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "into",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "then",
+  "to",
+  "until",
+  "with",
+]);
+
+// Words describing amounts or preparation rather than the ingredient itself
+const INGREDIENT_NOISE = new Set([
+  "cup",
+  "cups",
+  "tablespoon",
+  "tablespoons",
+  "tbsp",
+  "teaspoon",
+  "teaspoons",
+  "tsp",
+  "gram",
+  "grams",
+  "g",
+  "kg",
+  "kilo",
+  "ml",
+  "l",
+  "liter",
+  "liters",
+  "oz",
+  "ounce",
+  "ounces",
+  "lb",
+  "lbs",
+  "pound",
+  "pounds",
+  "pinch",
+  "dash",
+  "clove",
+  "cloves",
+  "can",
+  "cans",
+  "box",
+  "bag",
+  "piece",
+  "pieces",
+  "slice",
+  "slices",
+  "chopped",
+  "diced",
+  "minced",
+  "sliced",
+  "grated",
+  "shredded",
+  "crushed",
+  "peeled",
+  "fresh",
+  "freshly",
+  "finely",
+  "roughly",
+  "large",
+  "medium",
+  "small",
+  "whole",
+  "half",
+  "optional",
+  "taste",
+]);
+
+/**
+ * Reduces a lowercase word to its stem
+ *
+ * Handles the plural and verb endings common in recipes; it is not a full
+ * Porter stemmer, but it is applied to indexed text and queries alike.
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} - The stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+  if (result.endsWith("ies") && result.length > 4) {
+    result = result.slice(0, -3) + "y";
+  } else if (result.endsWith("oes")) {
+    result = result.slice(0, -2);
+  } else if (/(ches|shes|sses|xes|zes)$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (/[aeiouy][^aeiouy]*[^aeiouy](ing|ed)$/.test(result)) {
+    // Only when a consonant-ending stem with a vowel remains, so that
+    // "bread" and "string" are left alone
+    result = result.replace(/(ing|ed)$/, "");
+    // "chopping" -> "chopp" -> "chop"
+    if (/([^aeiouls])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+  } else if (result.endsWith("s") && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // "bake", "baked" and "bakes" all become "bak"
+  if (result.endsWith("e") && result.length > 3) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Splits text into lowercase words, dropping HTML tags and punctuation
+ *
+ * @param {string} text - Free text
+ * @returns {Array<string>} - The words, in order
+ */
+function tokenize(text) {
+  return String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 0);
+}
+
+/**
+ * Turns text into stemmed search terms without stop words
+ *
+ * @param {string} text - Free text
+ * @returns {Array<string>} - Search terms, in order (duplicates kept)
+ */
+function analyze(text) {
+  return tokenize(text)
+    .filter((word) => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Normalizes an ingredient name for indexing and matching
+ *
+ * Drops anything in parentheses or after a comma, numbers, units and
+ * preparation words, then stems what is left:
+ * "2 cups Chopped Tomatoes, drained" -> "tomato".
+ *
+ * @param {string} name - Ingredient name as entered
+ * @returns {string} - Normalized name (empty when nothing is left)
+ */
+function normalizeIngredientName(name) {
+  const core = String(name || "")
+    .replace(/\([^)]*\)/g, " ")
+    .split(",")[0];
+  return tokenize(core)
+    .filter((word) => !/^\d/.test(word))
+    .filter((word) => !INGREDIENT_NOISE.has(word) && !STOP_WORDS.has(word))
+    .map(stem)
+    .join(" ");
+}
+
+/**
+ * Extracts ingredient names from a stored ingredients value
+ *
+ * Accepts the JSON text stored in the recipe tables, an already parsed
+ * array of strings or `{name}` objects, or Spoonacular's extendedIngredients.
+ *
+ * @param {string|Array} ingredients - Ingredients as stored
+ * @returns {Array<string>} - Ingredient names as entered
+ */
+function ingredientNames(ingredients) {
+  let list = ingredients;
+  if (typeof ingredients === "string") {
+    try {
+      list = JSON.parse(ingredients);
+    } catch (error) {
+      return [ingredients];
+    }
+  }
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list.map((ingredient) =>
+    typeof ingredient === "string"
+      ? ingredient
+      : ingredient.name || ingredient.original || ""
+  );
+}
+
+/**
+ * Splits recipe instructions into plain-text steps
+ *
+ * Accepts instruction text (plain, or HTML as Spoonacular returns it) with
+ * one step per line or paragraph, or a list of `{ step }` objects.
+ *
+ * @param {string|Array} instructions - Instructions as stored
+ * @returns {Array<string>} - The steps, without markup
+ */
+function instructionSteps(instructions) {
+  if (Array.isArray(instructions)) {
+    return instructions
+      .map((step) => (typeof step === "string" ? step : step && step.step))
+      .filter((step) => typeof step === "string" && step.trim())
+      .map((step) => step.trim());
+  }
+  return String(instructions || "")
+    .replace(/<\/(p|li|ol|ul|div)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .split(/\n+/)
+    .map((step) => step.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+exports.stem = stem;
+exports.tokenize = tokenize;
+exports.analyze = analyze;
+exports.normalizeIngredientName = normalizeIngredientName;
+exports.ingredientNames = ingredientNames;
+exports.instructionSteps = instructionSteps;
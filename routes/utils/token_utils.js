@@ -0,0 +1,315 @@
+/**
+ * API Tokens
+ *
+ * Token-based authentication for clients that do not keep a session
+ * cookie, such as the CLI and the mobile app. POST /auth/token exchanges a
+ * username and password for:
+ *
+ * - an access token, sent as `Authorization: Bearer <token>`. It is a JWT
+ *   (HS256) signed with `token_secret` and is valid for 15 minutes.
+ * - a refresh token, exchanged for a new pair before the access token runs
+ *   out. It is valid for 30 days and can be used once: each refresh
+ *   returns a new one. Reusing an old refresh token means it was copied,
+ *   so the whole login is revoked.
+ *
+ * Each token login is a row in the `sessions` table, so it is listed and
+ * revoked with the user's other sessions (GET /users/me/sessions). An
+ * access token names its session and stops working when the session is
+ * revoked, even before it expires.
+ *
+ * `token_secret` takes comma-separated secrets like `session_secret`: the
+ * first signs new tokens and the others are still accepted while rotating.
+ */
+const crypto = require("crypto");
+const DButils = require("./DButils");
+const { sessions, refresh_tokens } = require("./repositories");
+const { verifyCredentials } = require("./login_throttle");
+
+// Lifetimes, in seconds
+const ACCESS_TOKEN_DURATION = 15 * 60;
+const REFRESH_TOKEN_DURATION = 30 * 24 * 60 * 60;
+
+/**
+ * Reads the signing secrets from the environment
+ *
+ * Without a token_secret a random one is used, so access tokens stop
+ * working when the server restarts (refresh tokens keep working).
+ *
+ * @returns {Array<string>} - Secrets, the current one first
+ */
+function readSecrets() {
+  const secrets = (process.env.token_secret || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  if (secrets.length > 0) {
+    return secrets;
+  }
+  console.log(
+    "⚠️ token_secret is not set: using a random secret, so access tokens end when the server restarts"
+  );
+  return [crypto.randomBytes(32).toString("hex")];
+}
+
+const SECRETS = readSecrets();
+
+/**
+ * Hashes a refresh token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Computes the HS256 signature of a JWT's header and payload
+ */
+function signature(secret, content) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(content)
+    .digest("base64url");
+}
+
+/**
+ * Creates a signed access token for a token login
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} session_id - The ID of the token login
+ * @returns {string} - The JWT
+ */
+function createAccessToken(user_id, session_id) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const content = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({
+    sub: user_id,
+    sid: session_id,
+    iat: now,
+    exp: now + ACCESS_TOKEN_DURATION,
+  })}`;
+  return `${content}.${signature(SECRETS[0], content)}`;
+}
+
+/**
+ * Issues an access token and a new refresh token for a token login
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} session_id - The ID of the token login
+ * @param {Object} db - Query executor (DButils or a transaction handle)
+ * @returns {Promise<Object>} - The token response
+ */
+async function issueTokens(user_id, session_id, db) {
+  const refresh_token = crypto.randomBytes(32).toString("base64url");
+  await refresh_tokens.create(
+    session_id,
+    hashToken(refresh_token),
+    REFRESH_TOKEN_DURATION,
+    db
+  );
+  return {
+    token_type: "Bearer",
+    access_token: createAccessToken(user_id, session_id),
+    expires_in: ACCESS_TOKEN_DURATION,
+    refresh_token,
+    refresh_token_expires_in: REFRESH_TOKEN_DURATION,
+  };
+}
+
+/**
+ * Reads the bearer token of a request
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The token, or null if the request has no Bearer Authorization header
+ */
+function readBearerToken(req) {
+  const match = (req.get("Authorization") || "").match(/^Bearer(?:\s+(.*))?$/i);
+  return match ? (match[1] || "").trim() : null;
+}
+
+/**
+ * Logs a user in with their username and password and issues tokens
+ *
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @param {Object} client - ip_address and user_agent of the request
+ * @returns {Promise<Object>} - token_type, access_token, expires_in, refresh_token and refresh_token_expires_in
+ * @throws {Object} - Throws a 401 error for a wrong username or password, 429 if there were too many failed logins (see login_throttle), or 500 if the database operation fails
+ */
+async function createTokens(username, password, client) {
+  try {
+    const user = await verifyCredentials(username, password, client);
+    return await DButils.withTransaction(async (tx) => {
+      const session_id = await sessions.create(
+        {
+          // Token logins are never looked up by this hash; their refresh
+          // tokens are in refresh_tokens
+          token_hash: hashToken(crypto.randomBytes(32).toString("base64url")),
+          user_id: user.user_id,
+          data: "{}",
+          ...client,
+        },
+        REFRESH_TOKEN_DURATION,
+        tx
+      );
+      return issueTokens(user.user_id, session_id, tx);
+    });
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error issuing tokens for ${username}: ${error.message}`);
+    throw { status: 500, message: "Failed to issue tokens", error: error };
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ *
+ * The refresh token can be used once. If a used token is presented again
+ * the token login it belongs to is revoked.
+ *
+ * @param {string} refresh_token - A refresh token from createTokens or refreshTokens
+ * @param {Object} client - ip_address and user_agent of the request
+ * @returns {Promise<Object>} - token_type, access_token, expires_in, refresh_token and refresh_token_expires_in
+ * @throws {Object} - Throws a 401 error for an unknown, expired or reused refresh token, or 500 if the database operation fails
+ */
+async function refreshTokens(refresh_token, client) {
+  let result;
+  try {
+    result = await DButils.withTransaction(async (tx) => {
+      const token = await refresh_tokens.findByTokenHash(
+        hashToken(refresh_token),
+        tx
+      );
+      if (!token) {
+        throw { status: 401, message: "Invalid refresh token" };
+      }
+      if (token.expired) {
+        throw { status: 401, message: "Refresh token has expired" };
+      }
+      if (
+        token.used_at ||
+        !(await refresh_tokens.markUsed(token.refresh_token_id, tx))
+      ) {
+        await sessions.deleteById(token.session_id, tx);
+        return { reused: token };
+      }
+
+      await sessions.touch(
+        token.session_id,
+        client,
+        REFRESH_TOKEN_DURATION,
+        tx
+      );
+      return { tokens: await issueTokens(token.user_id, token.session_id, tx) };
+    });
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(`Error refreshing tokens: ${error.message}`);
+    throw { status: 500, message: "Failed to refresh tokens", error: error };
+  }
+
+  if (result.reused) {
+    console.log(
+      `Refresh token reused: revoked session ${result.reused.session_id} of user ${result.reused.user_id}`
+    );
+    throw {
+      status: 401,
+      message:
+        "Refresh token has already been used; the login has been revoked",
+    };
+  }
+  return result.tokens;
+}
+
+/**
+ * Revokes the token login a refresh token belongs to
+ *
+ * Its access tokens stop working as well.
+ *
+ * @param {string} refresh_token - A refresh token
+ * @returns {Promise<boolean>} - True if a login was revoked, false if the token is unknown
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function revokeTokens(refresh_token) {
+  try {
+    const token = await refresh_tokens.findByTokenHash(
+      hashToken(refresh_token)
+    );
+    return token ? await sessions.deleteById(token.session_id) : false;
+  } catch (error) {
+    console.log(`Error revoking tokens: ${error.message}`);
+    throw { status: 500, message: "Failed to revoke tokens", error: error };
+  }
+}
+
+/**
+ * Checks an access token and returns who it belongs to
+ *
+ * @param {string} access_token - The bearer token of a request
+ * @returns {Promise<Object>} - { user_id, session_id }
+ * @throws {Object} - Throws a 401 error for an invalid, expired or revoked token, or 500 if the database operation fails
+ */
+async function verifyAccessToken(access_token) {
+  const invalid = { status: 401, message: "Invalid access token" };
+  const [header, payload, signed, ...rest] = access_token.split(".");
+  if (!header || !payload || !signed || rest.length > 0) {
+    throw invalid;
+  }
+
+  const content = `${header}.${payload}`;
+  const given = Buffer.from(signed);
+  const valid = SECRETS.some((secret) => {
+    const expected = Buffer.from(signature(secret, content));
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  });
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") {
+      throw invalid;
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch (error) {
+    throw invalid;
+  }
+  if (
+    !valid ||
+    !Number.isInteger(claims.sub) ||
+    !Number.isInteger(claims.sid) ||
+    typeof claims.exp !== "number"
+  ) {
+    throw invalid;
+  }
+  if (claims.exp <= Date.now() / 1000) {
+    throw { status: 401, message: "Access token has expired" };
+  }
+
+  let session;
+  try {
+    session = await sessions.findById(claims.sid);
+  } catch (error) {
+    console.log(`Error checking access token: ${error.message}`);
+    throw {
+      status: 500,
+      message: "Failed to check access token",
+      error: error,
+    };
+  }
+  if (!session || session.user_id !== claims.sub) {
+    throw { status: 401, message: "Access token has been revoked" };
+  }
+  return { user_id: claims.sub, session_id: claims.sid };
+}
+
+exports.ACCESS_TOKEN_DURATION = ACCESS_TOKEN_DURATION;
+exports.REFRESH_TOKEN_DURATION = REFRESH_TOKEN_DURATION;
+exports.readBearerToken = readBearerToken;
+exports.createTokens = createTokens;
+exports.refreshTokens = refreshTokens;
+exports.revokeTokens = revokeTokens;
+exports.verifyAccessToken = verifyAccessToken;
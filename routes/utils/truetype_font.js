@@ -0,0 +1,202 @@
+/**
+ * TrueType Font Reader
+ *
+ * Reads what the PDF writer needs to embed a TrueType font and lay out text
+ * with it: the character to glyph map, glyph widths, the font's name and its
+ * metrics. Glyph outlines are not read; the font file is embedded whole.
+ */
+
+/**
+ * Reads the table directory of a TrueType font
+ *
+ * @param {Buffer} data - Font file contents
+ * @returns {Map<string, Buffer>|null} - Table tag -> table data, or null if the data is not a TrueType font
+ */
+function readTables(data) {
+  if (data.length < 12) {
+    return null;
+  }
+  const version = data.readUInt32BE(0);
+  // 1.0 and Apple's "true"; "OTTO" fonts have CFF outlines instead
+  if (version !== 0x00010000 && version !== 0x74727565) {
+    return null;
+  }
+  const count = data.readUInt16BE(4);
+  if (data.length < 12 + count * 16) {
+    return null;
+  }
+  const tables = new Map();
+  for (let i = 0; i < count; i++) {
+    const record = 12 + i * 16;
+    const offset = data.readUInt32BE(record + 8);
+    const length = data.readUInt32BE(record + 12);
+    if (offset + length > data.length) {
+      return null;
+    }
+    tables.set(
+      data.toString("latin1", record, record + 4),
+      data.subarray(offset, offset + length)
+    );
+  }
+  return tables;
+}
+
+/**
+ * Reads a format 4 (16-bit) character map subtable
+ */
+function readFormat4(table, offset, glyphs) {
+  const segments = table.readUInt16BE(offset + 6) / 2;
+  const ends = offset + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+  for (let i = 0; i < segments; i++) {
+    const start = table.readUInt16BE(starts + i * 2);
+    const end = table.readUInt16BE(ends + i * 2);
+    const delta = table.readUInt16BE(deltas + i * 2);
+    const rangeOffset = table.readUInt16BE(rangeOffsets + i * 2);
+    for (let code = start; code <= end && code !== 0xffff; code++) {
+      let glyph;
+      if (rangeOffset === 0) {
+        glyph = (code + delta) & 0xffff;
+      } else {
+        const address = rangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+        glyph = address + 2 <= table.length ? table.readUInt16BE(address) : 0;
+        if (glyph !== 0) {
+          glyph = (glyph + delta) & 0xffff;
+        }
+      }
+      if (glyph !== 0) {
+        glyphs.set(code, glyph);
+      }
+    }
+  }
+}
+
+/**
+ * Reads a format 12 (32-bit) character map subtable
+ */
+function readFormat12(table, offset, glyphs) {
+  const groups = table.readUInt32BE(offset + 12);
+  for (let i = 0; i < groups; i++) {
+    const group = offset + 16 + i * 12;
+    const start = table.readUInt32BE(group);
+    const end = table.readUInt32BE(group + 4);
+    const glyph = table.readUInt32BE(group + 8);
+    for (let code = start; code <= Math.min(end, 0x10ffff); code++) {
+      glyphs.set(code, glyph + code - start);
+    }
+  }
+}
+
+/**
+ * Reads the Unicode character map of a font
+ *
+ * @param {Buffer} table - The cmap table
+ * @returns {Map<number, number>} - Code point -> glyph ID
+ */
+function readCharacterMap(table) {
+  const glyphs = new Map();
+  const count = table.readUInt16BE(2);
+  const subtables = [];
+  for (let i = 0; i < count; i++) {
+    const record = 4 + i * 8;
+    const platform = table.readUInt16BE(record);
+    const encoding = table.readUInt16BE(record + 2);
+    const offset = table.readUInt32BE(record + 4);
+    // Windows Unicode (full and BMP) and the Unicode platform
+    if (platform === 0 || (platform === 3 && [1, 10].includes(encoding))) {
+      subtables.push({ offset, format: table.readUInt16BE(offset) });
+    }
+  }
+  // The 32-bit map covers everything the 16-bit one does
+  const full = subtables.find((subtable) => subtable.format === 12);
+  const basic = subtables.find((subtable) => subtable.format === 4);
+  if (full) {
+    readFormat12(table, full.offset, glyphs);
+  } else if (basic) {
+    readFormat4(table, basic.offset, glyphs);
+  }
+  return glyphs;
+}
+
+/**
+ * Reads the PostScript name of a font
+ *
+ * @param {Buffer} table - The name table, if the font has one
+ * @returns {string|null} - The name, limited to characters allowed in a PDF name
+ */
+function readPostScriptName(table) {
+  if (!table) {
+    return null;
+  }
+  const count = table.readUInt16BE(2);
+  const strings = table.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    if (table.readUInt16BE(record + 6) !== 6) continue;
+    const platform = table.readUInt16BE(record);
+    const length = table.readUInt16BE(record + 8);
+    const start = strings + table.readUInt16BE(record + 10);
+    const bytes = table.subarray(start, start + length);
+    const name =
+      platform === 1
+        ? bytes.toString("latin1")
+        : Buffer.from(bytes).swap16().toString("utf16le");
+    const safe = name.replace(/[^A-Za-z0-9+-]/g, "");
+    if (safe) {
+      return safe;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a TrueType font
+ *
+ * The returned `glyphOf(codePoint)` gives the glyph ID of a character (0
+ * when the font has none), and `widthOf(glyph)` its advance in font units.
+ *
+ * @param {Buffer} data - Font file contents (.ttf)
+ * @returns {Object|null} - { data, name, unitsPerEm, bbox, ascent, descent, glyphOf, widthOf }, or null if the data is not a usable TrueType font
+ */
+function readTrueTypeFont(data) {
+  const tables = readTables(data);
+  if (
+    !tables ||
+    !["cmap", "head", "hhea", "hmtx"].every((tag) => tables.has(tag))
+  ) {
+    return null;
+  }
+  try {
+    const head = tables.get("head");
+    const hhea = tables.get("hhea");
+    const hmtx = tables.get("hmtx");
+    const unitsPerEm = head.readUInt16BE(18);
+    const metrics = hhea.readUInt16BE(34);
+    const advances = [];
+    for (let i = 0; i < metrics; i++) {
+      advances.push(hmtx.readUInt16BE(i * 4));
+    }
+    const glyphs = readCharacterMap(tables.get("cmap"));
+    if (!unitsPerEm || advances.length === 0 || glyphs.size === 0) {
+      return null;
+    }
+
+    return {
+      data,
+      name: readPostScriptName(tables.get("name")) || "EmbeddedFont",
+      unitsPerEm,
+      bbox: [36, 38, 40, 42].map((offset) => head.readInt16BE(offset)),
+      ascent: hhea.readInt16BE(4),
+      descent: hhea.readInt16BE(6),
+      glyphOf: (codePoint) => glyphs.get(codePoint) || 0,
+      widthOf: (glyph) => advances[Math.min(glyph, advances.length - 1)],
+    };
+  } catch (error) {
+    // A table shorter than its fields
+    return null;
+  }
+}
+
+exports.readTrueTypeFont = readTrueTypeFont;
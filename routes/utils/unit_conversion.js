@@ -0,0 +1,328 @@
+/**
+ * Unit Conversion
+ *
+ * Converts the normalized ingredients and the instructions of a recipe
+ * between the metric and US measuring systems:
+ *
+ * - volume: ml, l <-> tsp, tbsp, cup, fl oz, pint, quart, gallon
+ * - mass: mg, g, kg <-> oz, lb
+ * - volume to mass for common dry ingredients ("1 cup flour" -> "125 g")
+ * - oven temperatures in the instructions ("170 degrees" -> "340°F")
+ *
+ * Teaspoons and tablespoons are kept in metric recipes, since they are the
+ * usual measure for small amounts there as well.
+ */
+const { normalizeIngredientName } = require("./text_analysis");
+const { roundQuantity } = require("./recipe_scaling");
+
+const UNIT_SYSTEMS = ["metric", "us"];
+
+// Range of oven temperatures, in either scale, for temperatures without one
+const OVEN_MIN = 100;
+const OVEN_MAX = 550;
+
+// Size of each unit in milliliters
+const VOLUME_UNITS = {
+  ml: 1,
+  l: 1000,
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  "fl oz": 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+};
+
+// Size of each unit in grams
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+// Units each system keeps as they are
+const SYSTEM_UNITS = {
+  metric: new Set(["ml", "l", "mg", "g", "kg", "tsp", "tbsp"]),
+  us: new Set([
+    "tsp",
+    "tbsp",
+    "fl oz",
+    "cup",
+    "pint",
+    "quart",
+    "gallon",
+    "oz",
+    "lb",
+  ]),
+};
+
+// Grams in one cup of common dry ingredients, by normalized ingredient name
+const CUP_WEIGHTS = Object.entries({
+  flour: 125,
+  "all purpose flour": 125,
+  "whole wheat flour": 120,
+  "bread flour": 130,
+  cornflour: 128,
+  cornstarch: 128,
+  sugar: 200,
+  "white sugar": 200,
+  "brown sugar": 220,
+  "powdered sugar": 120,
+  "icing sugar": 120,
+  butter: 227,
+  "cocoa powder": 85,
+  cocoa: 85,
+  rice: 185,
+  oats: 90,
+  "rolled oats": 90,
+  breadcrumbs: 110,
+  "chocolate chips": 170,
+  honey: 340,
+  salt: 288,
+  walnuts: 120,
+  almonds: 140,
+  raisins: 150,
+}).map(([name, grams]) => [normalizeIngredientName(name), grams]);
+
+/**
+ * Returns the grams per cup of an ingredient, or null if it is not known
+ *
+ * The most specific matching name wins, so "brown sugar" is not weighed as
+ * plain sugar.
+ *
+ * @param {string} name - Ingredient name
+ * @returns {number|null} - Grams in one cup
+ */
+function cupWeight(name) {
+  const normalized = ` ${normalizeIngredientName(name)} `;
+  let best = null;
+  for (const [key, grams] of CUP_WEIGHTS) {
+    if (
+      normalized.includes(` ${key} `) &&
+      (!best || key.length > best[0].length)
+    ) {
+      best = [key, grams];
+    }
+  }
+  return best ? best[1] : null;
+}
+
+/**
+ * Picks the unit that reads best for an amount in a measuring system
+ *
+ * @param {string} kind - "volume" or "mass"
+ * @param {number} base - The amount in ml or g
+ * @param {string} system - "metric" or "us"
+ * @returns {string} - The unit to show the amount in
+ */
+function bestUnit(kind, base, system) {
+  if (kind === "mass") {
+    if (system === "metric") {
+      return base >= 1000 ? "kg" : "g";
+    }
+    return base >= MASS_UNITS.lb ? "lb" : "oz";
+  }
+
+  if (system === "metric") {
+    return base >= 1000 ? "l" : "ml";
+  }
+  if (base < VOLUME_UNITS.tbsp) {
+    return "tsp";
+  }
+  if (base < VOLUME_UNITS.cup / 4) {
+    return "tbsp";
+  }
+  return base >= VOLUME_UNITS.gallon ? "gallon" : "cup";
+}
+
+/**
+ * Expresses an amount in the base unit of its kind
+ *
+ * @param {number} quantity - The amount
+ * @param {string} unit - Its canonical unit
+ * @returns {Object|null} - { kind, base } with kind "volume" (ml) or "mass" (g), or null for other units
+ */
+function toBaseAmount(quantity, unit) {
+  if (VOLUME_UNITS[unit]) {
+    return { kind: "volume", base: quantity * VOLUME_UNITS[unit] };
+  }
+  if (MASS_UNITS[unit]) {
+    return { kind: "mass", base: quantity * MASS_UNITS[unit] };
+  }
+  return null;
+}
+
+/**
+ * Expresses a base amount in the unit that reads best in a measuring system
+ *
+ * @param {string} kind - "volume" (base in ml) or "mass" (base in g)
+ * @param {number} base - The amount in the base unit
+ * @param {string} system - "metric" or "us"
+ * @returns {Object} - { quantity, unit, text } rounded to a kitchen-friendly amount
+ */
+function fromBaseAmount(kind, base, system) {
+  const unit = bestUnit(kind, base, system);
+  const size = kind === "volume" ? VOLUME_UNITS[unit] : MASS_UNITS[unit];
+  const rounded = roundQuantity(base / size, unit);
+  return { quantity: rounded.quantity, unit, text: rounded.text };
+}
+
+/**
+ * Converts one amount from a unit into the target system
+ *
+ * @param {number} quantity - The amount
+ * @param {string} unit - Its canonical unit
+ * @param {string} system - "metric" or "us"
+ * @param {number|null} gramsPerCup - Weight of the ingredient, for volume-to-mass conversion
+ * @returns {Object|null} - { quantity, unit, text }, or null when the amount stays as it is
+ */
+function convertAmount(quantity, unit, system, gramsPerCup) {
+  const amount = toBaseAmount(quantity, unit);
+  if (!amount) {
+    return null;
+  }
+  let { kind, base } = amount;
+
+  // Dry ingredients are weighed in metric kitchens and measured by the cup
+  // in US ones; spoons stay spoons in both
+  const isSpoon = unit === "tsp" || unit === "tbsp";
+  if (gramsPerCup && !isSpoon && kind === "volume" && system === "metric") {
+    kind = "mass";
+    base = (base / VOLUME_UNITS.cup) * gramsPerCup;
+  } else if (gramsPerCup && kind === "mass" && system === "us") {
+    kind = "volume";
+    base = (base / gramsPerCup) * VOLUME_UNITS.cup;
+  } else if (SYSTEM_UNITS[system].has(unit)) {
+    return null;
+  }
+
+  return fromBaseAmount(kind, base, system);
+}
+
+/**
+ * Converts one normalized ingredient into the target system
+ *
+ * Ingredients without a quantity or with a unit that is not a measure
+ * ("2 cloves", "to taste") are returned unchanged.
+ *
+ * @param {Object} ingredient - Ingredient from ingredient_parser
+ * @param {string} system - "metric" or "us"
+ * @returns {Object} - The ingredient in the target system
+ */
+function convertIngredient(ingredient, system) {
+  if (typeof ingredient.quantity !== "number" || !ingredient.unit) {
+    return ingredient;
+  }
+
+  const gramsPerCup = cupWeight(ingredient.name);
+  const converted = convertAmount(
+    ingredient.quantity,
+    ingredient.unit,
+    system,
+    gramsPerCup
+  );
+  if (!converted) {
+    return ingredient;
+  }
+
+  let quantityMax = null;
+  let quantityText = converted.text;
+  if (typeof ingredient.quantityMax === "number") {
+    const convertedMax = convertAmount(
+      ingredient.quantityMax,
+      ingredient.unit,
+      system,
+      gramsPerCup
+    );
+    quantityMax = convertedMax.quantity;
+    quantityText = `${converted.text}-${convertedMax.text}`;
+  }
+
+  return {
+    ...ingredient,
+    quantity: converted.quantity,
+    quantityMax,
+    unit: converted.unit,
+    quantityText,
+  };
+}
+
+/**
+ * Rewrites the temperatures in instruction text into the target system
+ *
+ * A temperature is a number with a degree sign or "degrees", a scale, or
+ * both ("350°F", "180 degrees C", "400 F"). A lone "C" or "F" must be a
+ * capital letter, since "12 c" is more likely cups. Temperatures without a
+ * scale ("170 degrees") are only converted in the range of oven
+ * temperatures, so angles and differences ("turn 90 degrees", "lower by 25
+ * degrees") are left alone; they are read as Fahrenheit from 250 up and as
+ * Celsius below.
+ *
+ * @param {string} text - Instruction text (plain or HTML)
+ * @param {string} system - "metric" or "us"
+ * @returns {string} - The text with converted temperatures
+ */
+function convertTemperatures(text, system) {
+  if (typeof text !== "string") {
+    return text;
+  }
+  return text.replace(
+    /\b(\d{2,3})(\s*(?:°|º)|\s*degrees?\b)?(?:\s*(celsius|fahrenheit|c|f)\b)?/gi,
+    (match, value, mark, scale) => {
+      const degrees = Number(value);
+      if (
+        (!mark && !scale) ||
+        (!mark && scale.length === 1 && scale !== scale.toUpperCase()) ||
+        (!scale && (degrees < OVEN_MIN || degrees > OVEN_MAX))
+      ) {
+        return match;
+      }
+      const fahrenheit = scale
+        ? scale.toLowerCase().startsWith("f")
+        : degrees >= 250;
+
+      const celsius = fahrenheit ? ((degrees - 32) * 5) / 9 : degrees;
+      const target =
+        system === "metric"
+          ? `${Math.round(celsius / 5) * 5}°C`
+          : `${Math.round(((celsius * 9) / 5 + 32) / 5) * 5}°F`;
+      return target;
+    }
+  );
+}
+
+/**
+ * Converts a recipe's ingredients and instructions into a measuring system
+ *
+ * @param {Object} recipe - Recipe details with normalized ingredients
+ * @param {string} system - "metric" or "us"
+ * @returns {Object} - The converted recipe, with `units` set to the system
+ */
+function convertRecipe(recipe, system) {
+  const instructions = Array.isArray(recipe.instructions)
+    ? recipe.instructions.map((step) =>
+        step && typeof step.step === "string"
+          ? { ...step, step: convertTemperatures(step.step, system) }
+          : step
+      )
+    : convertTemperatures(recipe.instructions, system);
+
+  return {
+    ...recipe,
+    ingredients: (recipe.ingredients || []).map((ingredient) =>
+      convertIngredient(ingredient, system)
+    ),
+    instructions,
+    units: system,
+  };
+}
+
+exports.UNIT_SYSTEMS = UNIT_SYSTEMS;
+exports.cupWeight = cupWeight;
+exports.toBaseAmount = toBaseAmount;
+exports.fromBaseAmount = fromBaseAmount;
+exports.convertTemperatures = convertTemperatures;
+exports.convertRecipe = convertRecipe;
@@ -1,4 +1,16 @@
 const DButils = require("./DButils");
+const {
+  users,
+  favorite_recipes,
+  watched_recipes,
+  private_recipes,
+  family_recipes,
+  recipe_revisions,
+  user_search_history,
+} = require("./repositories");
+const recipeIndex = require("./recipe_index");
+const revision_utils = require("./revision_utils");
+const { normalizeIngredients } = require("./ingredient_parser");
 
 /**
  * Saves a recipe to a user's favorites list
@@ -10,9 +22,7 @@ const DButils = require("./DButils");
  */
 async function markAsFavorite(user_id, recipe_id) {
   try {
-    await DButils.execQuery(
-      `INSERT INTO favorite_recipes VALUES ('${user_id}',${recipe_id})`
-    );
+    await favorite_recipes.add(user_id, recipe_id);
   } catch (error) {
     // Check if it's a duplicate entry error
     if (error.code === "ER_DUP_ENTRY") {
@@ -42,10 +52,7 @@ async function markAsFavorite(user_id, recipe_id) {
  */
 async function getFavoriteRecipes(user_id) {
   try {
-    const recipes_id = await DButils.execQuery(
-      `SELECT recipe_id FROM favorite_recipes WHERE user_id='${user_id}'`
-    );
-    return recipes_id[0];
+    return await favorite_recipes.findRecipeIdsByUser(user_id);
   } catch (error) {
     console.log(
       `Error retrieving favorite recipes for user ${user_id}: ${error.message}`
@@ -68,11 +75,9 @@ async function getFavoriteRecipes(user_id) {
  */
 async function removeFavorite(user_id, recipe_id) {
   try {
-    const result = await DButils.execQuery(
-      `DELETE FROM favorite_recipes WHERE user_id='${user_id}' AND recipe_id='${recipe_id}'`
-    );
+    const removed = await favorite_recipes.remove(user_id, recipe_id);
     // Check if any row was affected
-    return result.affectedRows > 0;
+    return removed > 0;
   } catch (error) {
     console.log(
       `Error removing recipe ${recipe_id} from favorites for user ${user_id}: ${error.message}`
@@ -99,22 +104,16 @@ async function markAsWatched(user_id, recipe_id) {
     user_id = parseInt(user_id);
     recipe_id = parseInt(recipe_id);
 
-    // First check if the recipe is already watched by this user
-    const [rows] = await DButils.execQuery(
-      `SELECT 1 FROM watched_recipes WHERE user_id=${user_id} AND recipe_id=${recipe_id}`
-    );
-
-    if (rows && rows.length > 0) {
-      // Update the timestamp if already watched
-      await DButils.execQuery(
-        `UPDATE watched_recipes SET watched_at=CURRENT_TIMESTAMP WHERE user_id=${user_id} AND recipe_id=${recipe_id}`
-      );
-    } else {
-      // Insert new watched record if not watched before
-      await DButils.execQuery(
-        `INSERT INTO watched_recipes (user_id, recipe_id) VALUES (${user_id}, ${recipe_id})`
-      );
-    }
+    await DButils.withTransaction(async (tx) => {
+      // First check if the recipe is already watched by this user
+      if (await watched_recipes.exists(user_id, recipe_id, tx)) {
+        // Update the timestamp if already watched
+        await watched_recipes.touch(user_id, recipe_id, tx);
+      } else {
+        // Insert new watched record if not watched before
+        await watched_recipes.insert(user_id, recipe_id, tx);
+      }
+    });
   } catch (error) {
     console.log(
       `Error marking recipe ${recipe_id} as watched for user ${user_id}: ${error.message}`
@@ -145,10 +144,7 @@ async function getWatchedRecipes(user_id) {
     };
   }
   try {
-    const recipes_id = await DButils.execQuery(
-      `SELECT recipe_id FROM watched_recipes WHERE user_id='${user_id}' ORDER BY watched_at DESC`
-    );
-    return recipes_id[0];
+    return await watched_recipes.findRecipeIdsByUser(user_id);
   } catch (error) {
     console.log(
       `Error retrieving watched recipes for user ${user_id}: ${error.message}`
@@ -180,10 +176,7 @@ async function getLastWatchedRecipes(user_id, limit = 3) {
     };
   }
   try {
-    const recipes_id = await DButils.execQuery(
-      `SELECT recipe_id FROM watched_recipes WHERE user_id='${user_id}' ORDER BY watched_at DESC LIMIT ${limit}`
-    );
-    return recipes_id[0];
+    return await watched_recipes.findRecipeIdsByUser(user_id, limit);
   } catch (error) {
     console.log(
       `Error retrieving last watched recipes for user ${user_id}: ${error.message}`
@@ -205,10 +198,7 @@ async function getLastWatchedRecipes(user_id, limit = 3) {
  */
 async function deleteAllWatchedRecipes(user_id) {
   try {
-    const result = await DButils.execQuery(
-      `DELETE FROM watched_recipes WHERE user_id='${user_id}'`
-    );
-    return result.affectedRows;
+    return await watched_recipes.deleteAllByUser(user_id);
   } catch (error) {
     console.log(
       `Error deleting watched recipes for user ${user_id}: ${error.message}`
@@ -241,41 +231,13 @@ async function deleteAllWatchedRecipes(user_id) {
  */
 async function addPrivateRecipe(user_id, recipe_details) {
   try {
-    const {
-      title,
-      readyInMinutes,
-      image,
-      popularity,
-      vegan,
-      vegetarian,
-      glutenFree,
-      ingredients,
-      instructions,
-      servings,
-    } = recipe_details;
-
-    // Validate required fields
-    if (!title || !servings) {
-      throw { status: 400, message: "Missing required parameters" };
-    }
+    const recipe = privateRecipeRow(recipe_details);
+    const recipe_id = await DButils.withTransaction((tx) =>
+      insertPrivateRecipe(user_id, recipe, tx)
+    );
 
-    // Store ingredients as JSON string
-    const ingredientsJson = JSON.stringify(ingredients || []);
-    const instructionsText = instructions || "";
-
-    const result = await DButils.execQuery(
-      `INSERT INTO private_recipes  (user_id, title, readyInMinutes, image_url, popularity, 
-             vegan, vegetarian, gluten_free, ingredients, instructions, servings) 
-             VALUES ('${user_id}', '${title}', '${readyInMinutes || 0}', '${
-        image || ""
-      }', '${popularity || 0}',
-             '${vegan ? 1 : 0}', '${vegetarian ? 1 : 0}', '${
-        glutenFree ? 1 : 0
-      }', 
-             '${ingredientsJson}', '${instructionsText}', '${servings}')`
-    );
-
-    return result.insertId;
+    recipeIndex.add("private", { ...recipe, recipe_id, user_id });
+    return recipe_id;
   } catch (error) {
     // If it's not our custom validation error
     if (!error.status) {
@@ -292,6 +254,114 @@ async function addPrivateRecipe(user_id, recipe_details) {
   }
 }
 
+/**
+ * Builds the row of a new private recipe
+ *
+ * @param {Object} recipe_details - Recipe details, as for addPrivateRecipe
+ * @returns {Object} - The private_recipes columns
+ * @throws {Object} - Throws a 400 error if the title or servings are missing
+ */
+function privateRecipeRow(recipe_details) {
+  const {
+    title,
+    readyInMinutes,
+    image,
+    popularity,
+    vegan,
+    vegetarian,
+    glutenFree,
+    ingredients,
+    instructions,
+    servings,
+  } = recipe_details;
+
+  // Validate required fields
+  if (!title || !servings) {
+    throw { status: 400, message: "Missing required parameters" };
+  }
+
+  return {
+    title,
+    readyInMinutes: readyInMinutes || 0,
+    image_url: image || "",
+    popularity: popularity || 0,
+    vegan: vegan ? 1 : 0,
+    vegetarian: vegetarian ? 1 : 0,
+    gluten_free: glutenFree ? 1 : 0,
+    // Store ingredients as JSON string
+    ingredients: JSON.stringify(ingredients || []),
+    instructions: instructions || "",
+    servings,
+  };
+}
+
+/**
+ * Inserts a private recipe with its first revision
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} recipe - Row from privateRecipeRow
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<number>} - The new recipe ID
+ */
+async function insertPrivateRecipe(user_id, recipe, tx) {
+  const recipe_id = await private_recipes.create(user_id, recipe, tx);
+  await revision_utils.recordRevision(
+    "private",
+    recipe_id,
+    { current: recipe, edited_by: user_id, change_type: "create" },
+    tx
+  );
+  return recipe_id;
+}
+
+/**
+ * Adds several private recipes for a user, as from an import
+ *
+ * All recipes are added in one transaction, so a failed import adds none
+ * of them. They are added to the search index once it commits.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Array<Object>} recipes - Recipe details, as for addPrivateRecipe
+ * @returns {Promise<Array<Object>>} - { recipe_id, title } of each new recipe
+ * @throws {Object} - Throws a 400 error if a recipe misses its title or servings, or a 500 error if the database operation fails
+ */
+async function importPrivateRecipes(user_id, recipes) {
+  try {
+    const rows = recipes.map(privateRecipeRow);
+    const recipe_ids = await DButils.withTransaction(async (tx) => {
+      const ids = [];
+      for (const recipe of rows) {
+        ids.push(await insertPrivateRecipe(user_id, recipe, tx));
+      }
+      return ids;
+    });
+
+    rows.forEach((recipe, i) =>
+      recipeIndex.add("private", {
+        ...recipe,
+        recipe_id: recipe_ids[i],
+        user_id,
+      })
+    );
+    return rows.map((recipe, i) => ({
+      recipe_id: recipe_ids[i],
+      title: recipe.title,
+    }));
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error importing private recipes for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to import private recipes",
+      error: error,
+    };
+  }
+}
+
 /**
  * Retrieves all private recipes for a user
  *
@@ -301,10 +371,9 @@ async function addPrivateRecipe(user_id, recipe_details) {
  */
 async function getPrivateRecipes(user_id) {
   try {
-    const recipes = await DButils.execQuery(
-      `SELECT * FROM private_recipes  WHERE user_id='${user_id}'`
-    ); // Map SQL results to desired format
-    return recipes[0].map((recipe) => ({
+    const recipes = await private_recipes.findAllByUser(user_id);
+    // Map SQL results to desired format
+    return recipes.map((recipe) => ({
       recipe_id: recipe.recipe_id, // Use recipe_id to match frontend expectations
       id: recipe.recipe_id, // Keep id for compatibility
       title: recipe.title,
@@ -317,6 +386,7 @@ async function getPrivateRecipes(user_id) {
       ingredients: recipe.ingredients ? JSON.parse(recipe.ingredients) : [],
       instructions: recipe.instructions,
       servings: recipe.servings,
+      updatedAt: recipe.updated_at,
     }));
   } catch (error) {
     console.log(
@@ -343,17 +413,14 @@ async function getPrivateRecipeDetails(recipe_id, user_id) {
     if (!user_id) {
       throw { status: 401, message: "Unauthorized" };
     }
-    const recipes = await DButils.execQuery(
-      `SELECT * FROM private_recipes  WHERE recipe_id='${recipe_id}' AND user_id='${user_id}'`
-    );
+    const recipe = await private_recipes.findByIdForUser(recipe_id, user_id);
 
     // Check if recipe exists and belongs to the user
-    if (!recipes[0] || recipes[0].length === 0) {
+    if (!recipe) {
       throw { status: 404, message: "Private recipe not found" };
     }
 
     // Format the recipe data
-    const recipe = recipes[0][0];
     let ingredientsArr = [];
     try {
       ingredientsArr = recipe.ingredients ? JSON.parse(recipe.ingredients) : [];
@@ -370,9 +437,10 @@ async function getPrivateRecipeDetails(recipe_id, user_id) {
       vegan: recipe.vegan === 1,
       vegetarian: recipe.vegetarian === 1,
       glutenFree: recipe.gluten_free === 1,
-      ingredients: ingredientsArr,
+      ingredients: normalizeIngredients(ingredientsArr),
       instructions: recipe.instructions,
       servings: recipe.servings,
+      updatedAt: recipe.updated_at,
     };
   } catch (error) {
     // If it's not our custom not found/unauthorized error
@@ -405,27 +473,22 @@ async function getAllFamilyRecipes(user_id) {
   if (!user_id) {
     throw { status: 401, message: "User not logged in" };
   }
-  const family_recipes_result = await DButils.execQuery(
-    `SELECT * FROM family_recipes WHERE user_id=${user_id}`
-  );
-  let family_recipes = Array.isArray(family_recipes_result[0])
-    ? family_recipes_result[0]
-    : family_recipes_result;
+  let user_family_recipes = await family_recipes.findAllByUser(user_id);
 
   console.log(
-    `User ${user_id} has ${family_recipes.length} family recipes from database:`
+    `User ${user_id} has ${user_family_recipes.length} family recipes from database:`
   );
-  family_recipes.forEach((recipe) => {
+  user_family_recipes.forEach((recipe) => {
     console.log(
       `- Recipe: ${recipe.recipe_name}, Image: ${
         recipe.image_url || "No image"
       }`
     );
   });
-  if (family_recipes.length < 3) {
+  if (user_family_recipes.length < 3) {
     // If user has less than 3 family recipes, provide default ones
     console.log(
-      `User ${user_id} has ${family_recipes.length} family recipes, providing defaults`
+      `User ${user_id} has ${user_family_recipes.length} family recipes, providing defaults`
     );
 
     const defaultFamilyRecipes = [
@@ -465,17 +528,17 @@ async function getAllFamilyRecipes(user_id) {
     ];
 
     // Use default recipes if user has none, or combine with existing ones
-    family_recipes =
-      family_recipes.length === 0
+    user_family_recipes =
+      user_family_recipes.length === 0
         ? defaultFamilyRecipes
         : [
-            ...family_recipes,
-            ...defaultFamilyRecipes.slice(family_recipes.length),
+            ...user_family_recipes,
+            ...defaultFamilyRecipes.slice(user_family_recipes.length),
           ];
   }
 
   const unique_recipes_map = new Map();
-  family_recipes.forEach((recipe) => {
+  user_family_recipes.forEach((recipe) => {
     // Debug logging
     console.log(
       "Processing recipe:",
@@ -504,6 +567,7 @@ async function getAllFamilyRecipes(user_id) {
         // For now, providing defaults or N/A if not present
         readyInMinutes: recipe.readyInMinutes || "N/A", // Assuming this field might exist
         servings: recipe.servings || "N/A", // Assuming this field might exist
+        updatedAt: recipe.updated_at,
       });
     }
   });
@@ -607,7 +671,7 @@ async function getFamilyRecipeDetails(recipe_id, user_id) {
         )}`,
       owner: recipe.owner_name,
       whenToMake: recipe.when_to_prepare,
-      ingredients: recipe.ingredients ? JSON.parse(recipe.ingredients) : [],
+      ingredients: normalizeIngredients(recipe.ingredients),
       instructions: recipe.instructions,
       readyInMinutes: "N/A",
       servings: "N/A",
@@ -615,18 +679,11 @@ async function getFamilyRecipeDetails(recipe_id, user_id) {
   }
 
   // Handle regular database recipes
-  const recipes_result = await DButils.execQuery(
-    `SELECT * FROM family_recipes WHERE recipe_id=${recipe_id} AND user_id=${user_id}`
-  );
+  const recipe = await family_recipes.findByIdForUser(recipe_id, user_id);
 
-  const recipes = Array.isArray(recipes_result[0])
-    ? recipes_result[0]
-    : recipes_result;
-
-  if (!recipes || recipes.length === 0) {
+  if (!recipe) {
     throw { status: 404, message: "Family recipe not found" };
   }
-  const recipe = recipes[0];
   return {
     recipe_id: recipe.recipe_id,
     id: recipe.recipe_id,
@@ -638,10 +695,11 @@ async function getFamilyRecipeDetails(recipe_id, user_id) {
       )}`,
     owner: recipe.owner_name,
     whenToMake: recipe.when_to_prepare,
-    ingredients: recipe.ingredients ? JSON.parse(recipe.ingredients) : [],
+    ingredients: normalizeIngredients(recipe.ingredients),
     instructions: recipe.instructions,
     readyInMinutes: recipe.readyInMinutes || "N/A",
     servings: recipe.servings || "N/A",
+    updatedAt: recipe.updated_at,
   };
 }
 
@@ -678,21 +736,27 @@ async function addFamilyRecipe(user_id, recipe_details) {
     // Store ingredients as JSON string
     const ingredientsJson = JSON.stringify(ingredients);
 
-    const result = await DButils.execQuery(
-      `INSERT INTO family_recipes (user_id, recipe_name, owner_name, when_to_prepare, ingredients, instructions, image_url)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        user_id,
-        recipe_name,
-        owner_name,
-        when_to_prepare,
-        ingredientsJson,
-        instructions,
-        image_url || null,
-      ]
-    );
+    const recipe = {
+      recipe_name,
+      owner_name,
+      when_to_prepare,
+      ingredients: ingredientsJson,
+      instructions,
+      image_url: image_url || null,
+    };
+    const recipe_id = await DButils.withTransaction(async (tx) => {
+      const new_recipe_id = await family_recipes.create(user_id, recipe, tx);
+      await revision_utils.recordRevision(
+        "family",
+        new_recipe_id,
+        { current: recipe, edited_by: user_id, change_type: "create" },
+        tx
+      );
+      return new_recipe_id;
+    });
 
-    return result.insertId;
+    recipeIndex.add("family", { ...recipe, recipe_id, user_id });
+    return recipe_id;
   } catch (error) {
     console.log(
       `Error adding family recipe for user ${user_id}: ${error.message}`
@@ -706,13 +770,273 @@ async function addFamilyRecipe(user_id, recipe_details) {
 }
 
 /**
- * Saves a user's search history (last search)
+ * Maps a private recipe body to table columns
+ *
+ * Missing fields get the same defaults as addPrivateRecipe; with `partial`
+ * they are left out instead, so only the provided columns are changed.
+ *
+ * @param {Object} recipe_details - Recipe fields as sent by the client
+ * @param {boolean} partial - True to map only the fields that are present
+ * @returns {Object} - Column values keyed by column name
+ */
+function toPrivateRecipeColumns(recipe_details, partial) {
+  const columns = {
+    title: ["title", (value) => value],
+    readyInMinutes: ["readyInMinutes", (value) => Number(value) || 0],
+    image: ["image_url", (value) => value || ""],
+    popularity: ["popularity", (value) => Number(value) || 0],
+    vegan: ["vegan", (value) => (value ? 1 : 0)],
+    vegetarian: ["vegetarian", (value) => (value ? 1 : 0)],
+    glutenFree: ["gluten_free", (value) => (value ? 1 : 0)],
+    ingredients: ["ingredients", (value) => JSON.stringify(value || [])],
+    instructions: ["instructions", (value) => value || ""],
+    servings: ["servings", (value) => Number(value)],
+  };
+
+  const changes = {};
+  for (const [field, [column, convert]] of Object.entries(columns)) {
+    if (partial && recipe_details[field] === undefined) continue;
+    changes[column] = convert(recipe_details[field]);
+  }
+  return changes;
+}
+
+/**
+ * Maps a family recipe body to table columns
+ *
+ * Missing optional fields are cleared; with `partial` they are left out
+ * instead, so only the provided columns are changed.
+ *
+ * @param {Object} recipe_details - Recipe fields as sent by the client
+ * @param {boolean} partial - True to map only the fields that are present
+ * @returns {Object} - Column values keyed by column name
+ */
+function toFamilyRecipeColumns(recipe_details, partial) {
+  const columns = {
+    recipe_name: (value) => value,
+    owner_name: (value) => value,
+    when_to_prepare: (value) => value,
+    ingredients: (value) => JSON.stringify(value || []),
+    instructions: (value) => value,
+    image_url: (value) => value || null,
+    readyInMinutes: (value) => (value ? Number(value) : null),
+    servings: (value) => (value ? Number(value) : null),
+  };
+
+  const changes = {};
+  for (const [field, convert] of Object.entries(columns)) {
+    if (partial && recipe_details[field] === undefined) continue;
+    changes[field] = convert(recipe_details[field]);
+  }
+  return changes;
+}
+
+/**
+ * Updates a private recipe owned by the user
+ *
+ * A full update (PUT) replaces every field, resetting missing optional
+ * fields to their defaults; a partial update (PATCH) changes only the
+ * fields provided. The recipe keeps its ID and updated_at is refreshed.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} recipe_id - The ID of the private recipe
+ * @param {Object} recipe_details - New recipe fields, named as in addPrivateRecipe
+ * @param {boolean} [partial=false] - True to change only the provided fields
+ * @returns {Promise<Object>} - The updated recipe details
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the recipe is not found or not owned, or 500 if the update fails
+ */
+async function updatePrivateRecipe(
+  user_id,
+  recipe_id,
+  recipe_details,
+  partial = false
+) {
+  const parsedRecipeId = parseInt(recipe_id);
+  if (isNaN(parsedRecipeId)) {
+    throw { status: 400, message: "Invalid recipe ID format." };
+  }
+
+  try {
+    const updated = await DButils.withTransaction(async (tx) => {
+      // Locked first, so edits made at the same time apply one after the
+      // other and each revision starts from the row as it is
+      const recipe = await private_recipes.lockByIdForUser(
+        parsedRecipeId,
+        user_id,
+        tx
+      );
+      if (!recipe) {
+        throw {
+          status: 404,
+          message: "Recipe not found or not owned by user.",
+        };
+      }
+
+      const changes = toPrivateRecipeColumns(recipe_details, partial);
+      await private_recipes.updateByIdForUser(
+        parsedRecipeId,
+        user_id,
+        changes,
+        tx
+      );
+      await revision_utils.recordRevision(
+        "private",
+        parsedRecipeId,
+        {
+          previous: recipe,
+          current: { ...recipe, ...changes },
+          edited_by: user_id,
+          change_type: "update",
+        },
+        tx
+      );
+      return { ...recipe, ...changes };
+    });
+
+    recipeIndex.add("private", updated);
+    return await getPrivateRecipeDetails(parsedRecipeId, user_id);
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error updating private recipe ${parsedRecipeId} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to update private recipe",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Updates a family recipe owned by the user
+ *
+ * A full update (PUT) replaces every field, clearing missing optional
+ * fields; a partial update (PATCH) changes only the fields provided. The
+ * built-in default family recipes cannot be edited.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string|number} recipe_id - The ID of the family recipe
+ * @param {Object} recipe_details - New recipe fields, named as in addFamilyRecipe
+ * @param {boolean} [partial=false] - True to change only the provided fields
+ * @returns {Promise<Object>} - The updated family recipe details
+ * @throws {Object} - Throws a 400 error for an invalid ID, 404 if the recipe is not found or not owned, or 500 if the update fails
+ */
+async function updateFamilyRecipe(
+  user_id,
+  recipe_id,
+  recipe_details,
+  partial = false
+) {
+  const parsedRecipeId = parseInt(recipe_id);
+  if (isNaN(parsedRecipeId)) {
+    throw { status: 400, message: "Invalid recipe ID format." };
+  }
+
+  try {
+    const updated = await DButils.withTransaction(async (tx) => {
+      // Locked first, so edits made at the same time apply one after the
+      // other and each revision starts from the row as it is
+      const recipe = await family_recipes.lockByIdForUser(
+        parsedRecipeId,
+        user_id,
+        tx
+      );
+      if (!recipe) {
+        throw {
+          status: 404,
+          message: "Family recipe not found or not owned by user.",
+        };
+      }
+
+      const changes = toFamilyRecipeColumns(recipe_details, partial);
+      await family_recipes.updateByIdForUser(
+        parsedRecipeId,
+        user_id,
+        changes,
+        tx
+      );
+      await revision_utils.recordRevision(
+        "family",
+        parsedRecipeId,
+        {
+          previous: recipe,
+          current: { ...recipe, ...changes },
+          edited_by: user_id,
+          change_type: "update",
+        },
+        tx
+      );
+      return { ...recipe, ...changes };
+    });
+
+    recipeIndex.add("family", updated);
+    return await getFamilyRecipeDetails(parsedRecipeId, user_id);
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error updating family recipe ${parsedRecipeId} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to update family recipe",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Full-text search over the user's private and family recipes
+ *
+ * Uses the in-process recipe index, building it first if the startup build
+ * has not finished.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {string} query - Free-text query
+ * @param {number} [page=1] - 1-based page number
+ * @param {number} [limit=10] - Number of results per page
+ * @returns {Promise<Object>} - The page of results with total counts and highlighted snippets
+ * @throws {Object} - Throws a 400 error if the query is empty, or a 500 error if the index cannot be built
+ */
+async function searchMyRecipes(user_id, query, page = 1, limit = 10) {
+  if (!query || !query.trim()) {
+    throw { status: 400, message: "Search query (q) is required" };
+  }
+
+  try {
+    await recipeIndex.ensureReady();
+  } catch (error) {
+    console.log(`Error building recipe search index: ${error.message}`);
+    throw {
+      status: 500,
+      message: "Failed to search recipes",
+      error: error,
+    };
+  }
+
+  const results = recipeIndex.search(user_id, query);
+  return {
+    query: query,
+    page: page,
+    limit: limit,
+    total: results.length,
+    totalPages: Math.ceil(results.length / limit),
+    items: results.slice((page - 1) * limit, page * limit),
+  };
+}
+
+/**
+ * Appends a search to the user's search history
  *
  * @param {number} user_id - The ID of the user
  * @param {string} search_query - The search query text
  * @param {Object} search_params - Search parameters (cuisine, diet, intolerance, sort, number)
  * @param {Array} search_results - Array of search results
- * @returns {Promise<void>} - A promise that resolves when the search history is saved
+ * @returns {Promise<number>} - A promise that resolves to the new search history entry ID
  * @throws {Object} - Throws an error object if the database operation fails
  */
 async function saveSearchHistory(
@@ -725,16 +1049,11 @@ async function saveSearchHistory(
     const params_json = JSON.stringify(search_params);
     const results_json = JSON.stringify(search_results);
 
-    // Use REPLACE INTO to update existing record or insert new one
-    await DButils.execQuery(
-      `REPLACE INTO user_search_history (user_id, search_query, search_params, search_results) 
-       VALUES (${user_id}, '${search_query.replace(
-        /'/g,
-        "''"
-      )}', '${params_json.replace(/'/g, "''")}', '${results_json.replace(
-        /'/g,
-        "''"
-      )}')`
+    return await user_search_history.insert(
+      user_id,
+      search_query,
+      params_json,
+      results_json
     );
   } catch (error) {
     console.log(
@@ -757,15 +1076,11 @@ async function saveSearchHistory(
  */
 async function getSearchHistory(user_id) {
   try {
-    const result = await DButils.execQuery(
-      `SELECT search_query, search_params, search_results, searched_at 
-       FROM user_search_history 
-       WHERE user_id = ${user_id}`
-    );
+    const history = await user_search_history.findLatestByUser(user_id);
 
-    if (result[0] && result[0].length > 0) {
-      const history = result[0][0];
+    if (history) {
       return {
+        id: history.search_id,
         search_query: history.search_query,
         search_params: JSON.parse(history.search_params),
         search_results: JSON.parse(history.search_results),
@@ -786,6 +1101,240 @@ async function getSearchHistory(user_id) {
   }
 }
 
+/**
+ * Retrieves one page of a user's search history, newest first
+ *
+ * Entries contain the query and its saved filters but not the results;
+ * use getSearchHistoryEntry for a single entry with results.
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Number of entries per page
+ * @returns {Promise<Object>} - { page, limit, total, totalPages, items }
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function getSearchHistoryPage(user_id, page = 1, limit = 10) {
+  try {
+    const [rows, total] = await Promise.all([
+      user_search_history.findPageByUser(user_id, limit, (page - 1) * limit),
+      user_search_history.countByUser(user_id),
+    ]);
+
+    return {
+      page: page,
+      limit: limit,
+      total: total,
+      totalPages: Math.ceil(total / limit),
+      items: rows.map((history) => ({
+        id: history.search_id,
+        search_query: history.search_query,
+        search_params: history.search_params
+          ? JSON.parse(history.search_params)
+          : {},
+        searched_at: history.searched_at,
+      })),
+    };
+  } catch (error) {
+    console.log(
+      `Error retrieving search history page for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve search history",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Retrieves a single entry of a user's search history
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} search_id - The ID of the history entry
+ * @returns {Promise<Object>} - The entry with its saved filters and results
+ * @throws {Object} - Throws a 404 error if the entry does not exist or belongs to another user
+ */
+async function getSearchHistoryEntry(user_id, search_id) {
+  const parsedSearchId = parseInt(search_id);
+  if (isNaN(parsedSearchId)) {
+    throw { status: 400, message: "Invalid search history ID format." };
+  }
+
+  try {
+    const history = await user_search_history.findByIdForUser(
+      parsedSearchId,
+      user_id
+    );
+    if (!history) {
+      throw { status: 404, message: "Search history entry not found" };
+    }
+
+    return {
+      id: history.search_id,
+      search_query: history.search_query,
+      search_params: history.search_params
+        ? JSON.parse(history.search_params)
+        : {},
+      search_results: JSON.parse(history.search_results),
+      searched_at: history.searched_at,
+    };
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log(
+      `Error retrieving search history entry ${search_id} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve search history",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Deletes a single entry of a user's search history
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {number} search_id - The ID of the history entry
+ * @returns {Promise<boolean>} - True if the entry was deleted
+ * @throws {Object} - Throws a 404 error if the entry does not exist or belongs to another user
+ */
+async function deleteSearchHistoryEntry(user_id, search_id) {
+  const parsedSearchId = parseInt(search_id);
+  if (isNaN(parsedSearchId)) {
+    throw { status: 400, message: "Invalid search history ID format." };
+  }
+
+  let deleted;
+  try {
+    deleted = await user_search_history.deleteByIdForUser(
+      parsedSearchId,
+      user_id
+    );
+  } catch (error) {
+    console.log(
+      `Error deleting search history entry ${search_id} for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to delete search history entry",
+      error: error,
+    };
+  }
+
+  if (deleted === 0) {
+    throw { status: 404, message: "Search history entry not found" };
+  }
+  return true;
+}
+
+/**
+ * Deletes a user's whole search history
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted entries
+ * @throws {Object} - Throws an error object if the database operation fails
+ */
+async function clearSearchHistory(user_id) {
+  try {
+    return await user_search_history.deleteAllByUser(user_id);
+  } catch (error) {
+    console.log(
+      `Error clearing search history for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to clear search history",
+      error: error,
+    };
+  }
+}
+
+/**
+ * Retrieves a user's display preferences
+ *
+ * @param {number} user_id - The ID of the user
+ * @returns {Promise<Object>} - A promise that resolves to { units }, where units is "metric", "us" or null
+ * @throws {Object} - Throws a 404 error if the user does not exist, or a 500 error if the database operation fails
+ */
+async function getPreferences(user_id) {
+  let user;
+  try {
+    user = await users.findById(user_id);
+  } catch (error) {
+    console.log(
+      `Error retrieving preferences for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to retrieve preferences",
+      error: error,
+    };
+  }
+
+  if (!user) {
+    throw { status: 404, message: "User not found" };
+  }
+  return { units: user.preferred_units || null };
+}
+
+/**
+ * Updates a user's display preferences
+ *
+ * @param {number} user_id - The ID of the user
+ * @param {Object} preferences - The preferences to store
+ * @param {string|null} preferences.units - "metric", "us", or null to show recipes as written
+ * @returns {Promise<Object>} - A promise that resolves to the stored preferences
+ * @throws {Object} - Throws a 404 error if the user does not exist, or a 500 error if the database operation fails
+ */
+async function updatePreferences(user_id, preferences) {
+  const units = preferences.units || null;
+  let updated;
+  try {
+    updated = await users.updatePreferredUnits(user_id, units);
+  } catch (error) {
+    console.log(
+      `Error updating preferences for user ${user_id}: ${error.message}`
+    );
+    throw {
+      status: 500,
+      message: "Failed to update preferences",
+      error: error,
+    };
+  }
+
+  if (!updated) {
+    throw { status: 404, message: "User not found" };
+  }
+  return { units };
+}
+
+/**
+ * Returns the measuring system a user wants recipes shown in
+ *
+ * Used when showing recipe details, so a failed lookup only means the
+ * recipe is shown as written.
+ *
+ * @param {number} [user_id] - The ID of the logged-in user, if any
+ * @returns {Promise<string|null>} - "metric", "us", or null
+ */
+async function getPreferredUnits(user_id) {
+  if (!user_id) {
+    return null;
+  }
+  try {
+    const user = await users.findById(user_id);
+    return (user && user.preferred_units) || null;
+  } catch (error) {
+    console.log(
+      `Error retrieving preferred units for user ${user_id}: ${error.message}`
+    );
+    return null;
+  }
+}
+
 exports.markAsFavorite = markAsFavorite;
 exports.getFavoriteRecipes = getFavoriteRecipes;
 exports.removeFavorite = removeFavorite;
@@ -794,13 +1343,24 @@ exports.getWatchedRecipes = getWatchedRecipes;
 exports.getLastWatchedRecipes = getLastWatchedRecipes;
 exports.deleteAllWatchedRecipes = deleteAllWatchedRecipes;
 exports.addPrivateRecipe = addPrivateRecipe;
+exports.importPrivateRecipes = importPrivateRecipes;
 exports.getPrivateRecipes = getPrivateRecipes;
 exports.getPrivateRecipeDetails = getPrivateRecipeDetails;
 exports.getAllFamilyRecipes = getAllFamilyRecipes;
 exports.getFamilyRecipeDetails = getFamilyRecipeDetails;
 exports.addFamilyRecipe = addFamilyRecipe;
+exports.updatePrivateRecipe = updatePrivateRecipe;
+exports.updateFamilyRecipe = updateFamilyRecipe;
+exports.searchMyRecipes = searchMyRecipes;
 exports.saveSearchHistory = saveSearchHistory;
 exports.getSearchHistory = getSearchHistory;
+exports.getSearchHistoryPage = getSearchHistoryPage;
+exports.getSearchHistoryEntry = getSearchHistoryEntry;
+exports.deleteSearchHistoryEntry = deleteSearchHistoryEntry;
+exports.clearSearchHistory = clearSearchHistory;
+exports.getPreferences = getPreferences;
+exports.updatePreferences = updatePreferences;
+exports.getPreferredUnits = getPreferredUnits;
 exports.deletePrivateRecipe = deletePrivateRecipe;
 
 /**
@@ -823,23 +1383,26 @@ async function deleteFamilyRecipe(user_id, recipe_id) {
   }
 
   try {
-    // First, check if the recipe exists and belongs to the user
-    const recipes = await DButils.execQuery(
-      `SELECT * FROM family_recipes WHERE recipe_id=${parsedRecipeId} AND user_id=${parsedUserId}`
-    );
+    await DButils.withTransaction(async (tx) => {
+      // First, check if the recipe exists and belongs to the user
+      const recipe = await family_recipes.findByIdForUser(
+        parsedRecipeId,
+        parsedUserId,
+        tx
+      );
 
-    // Assuming recipes[0] contains the array of rows.
-    if (!recipes || !recipes[0] || recipes[0].length === 0) {
-      throw {
-        status: 404,
-        message: "Family recipe not found or not owned by user.",
-      };
-    }
+      if (!recipe) {
+        throw {
+          status: 404,
+          message: "Family recipe not found or not owned by user.",
+        };
+      }
 
-    // Delete the recipe
-    await DButils.execQuery(
-      `DELETE FROM family_recipes WHERE recipe_id=${parsedRecipeId} AND user_id=${parsedUserId}`
-    );
+      // Delete the recipe
+      await family_recipes.deleteByIdForUser(parsedRecipeId, parsedUserId, tx);
+      await recipe_revisions.deleteAllByRecipe("family", parsedRecipeId, tx);
+    });
+    recipeIndex.remove("family", parsedRecipeId);
 
     return true;
   } catch (error) {
@@ -878,22 +1441,26 @@ async function deletePrivateRecipe(user_id, recipe_id) {
   }
 
   try {
-    // First, check if the recipe exists and belongs to the user
-    // Ensure to use parsedRecipeId and parsedUserId in your SQL queries
-    const recipes = await DButils.execQuery(
-      `SELECT * FROM private_recipes WHERE recipe_id=${parsedRecipeId} AND user_id=${parsedUserId}`
-    );
+    await DButils.withTransaction(async (tx) => {
+      // First, check if the recipe exists and belongs to the user
+      const recipe = await private_recipes.findByIdForUser(
+        parsedRecipeId,
+        parsedUserId,
+        tx
+      );
 
-    // Check the structure of 'recipes' based on how DButils.execQuery returns data.
-    // Assuming recipes[0] contains the array of rows.
-    if (!recipes || !recipes[0] || recipes[0].length === 0) {
-      throw { status: 404, message: "Recipe not found or not owned by user." };
-    }
+      if (!recipe) {
+        throw {
+          status: 404,
+          message: "Recipe not found or not owned by user.",
+        };
+      }
 
-    // Delete the recipe
-    await DButils.execQuery(
-      `DELETE FROM private_recipes WHERE recipe_id=${parsedRecipeId} AND user_id=${parsedUserId}`
-    );
+      // Delete the recipe
+      await private_recipes.deleteByIdForUser(parsedRecipeId, parsedUserId, tx);
+      await recipe_revisions.deleteAllByRecipe("private", parsedRecipeId, tx);
+    });
+    recipeIndex.remove("private", parsedRecipeId);
 
     return true;
   } catch (error) {
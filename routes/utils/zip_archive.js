@@ -0,0 +1,226 @@
+/**
+ * Zip Archives
+ *
+ * Writes and reads zip files with zlib alone, for account backups. Entries
+ * are deflated when that makes them smaller and stored otherwise; reading
+ * supports both methods, which covers archives written here and by common
+ * zip tools. ZIP64, encryption and multi-disk archives are not supported.
+ */
+const zlib = require("zlib");
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// Language encoding flag: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of data
+ *
+ * @param {Buffer} data - The data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes a date as MS-DOS time and date fields
+ */
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      (Math.max(date.getFullYear() - 1980, 0) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Builds a zip archive
+ *
+ * @param {Array<Object>} entries - Files as { name, data } with data a Buffer or string
+ * @returns {Buffer} - The zip file
+ */
+function createZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach((entry) => {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(String(entry.data), "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const content = method === DEFLATED ? deflated : data;
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(content.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    parts.push(header, name, content);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(CENTRAL_HEADER, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(UTF8_FLAG, 8);
+    record.writeUInt16LE(method, 10);
+    record.writeUInt16LE(time, 12);
+    record.writeUInt16LE(date, 14);
+    record.writeUInt32LE(crc, 16);
+    record.writeUInt32LE(content.length, 20);
+    record.writeUInt32LE(data.length, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(offset, 42);
+    central.push(record, name);
+
+    offset += header.length + name.length + content.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, directory, end]);
+}
+
+/**
+ * Reads the files of a zip archive
+ *
+ * @param {Buffer} buffer - The zip file
+ * @param {Object} [options] - Limits
+ * @param {number} [options.maxSize=104857600] - Most bytes all files may unpack to
+ * @returns {Map<string, Buffer>} - File name -> contents (directories are skipped)
+ * @throws {Object} - Throws a 400 error if the archive is damaged, unsupported or too large
+ */
+function readZip(buffer, { maxSize = 100 * 1024 * 1024 } = {}) {
+  const invalid = (message) => ({ status: 400, message });
+
+  // The end record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 22 - 0xffff);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw invalid("Archive is not a zip file");
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== CENTRAL_HEADER
+    ) {
+      throw invalid("Archive is damaged");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(
+      flags & UTF8_FLAG ? "utf8" : "latin1",
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw invalid(`Encrypted archive entries are not supported: ${name}`);
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw invalid(`Unsupported compression in archive entry: ${name}`);
+    }
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw invalid("Archive contents are too large");
+    }
+
+    if (
+      localOffset + 30 > buffer.length ||
+      buffer.readUInt32LE(localOffset) !== LOCAL_HEADER
+    ) {
+      throw invalid("Archive is damaged");
+    }
+    const start =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const content = buffer.slice(start, start + compressedSize);
+
+    let data;
+    try {
+      data =
+        method === DEFLATED
+          ? zlib.inflateRawSync(content, { maxOutputLength: size || 1 })
+          : content;
+    } catch (error) {
+      throw invalid(`Archive entry is damaged: ${name}`);
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      throw invalid(`Archive entry is damaged: ${name}`);
+    }
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+exports.createZip = createZip;
+exports.readZip = readZip;
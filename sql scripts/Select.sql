@@ -1 +0,0 @@
-SELECT * FROM mydb.users;
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Tests for DButils.withTransaction
+ *
+ * The pooled connection is replaced by one that records the statements it
+ * is sent, so no database is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const MySql = require("../routes/utils/MySql");
+const DButils = require("../routes/utils/DButils");
+
+let statements;
+let connection;
+
+beforeEach(() => {
+  mock.restoreAll();
+  statements = [];
+  connection = {
+    query: async (query) => {
+      statements.push(query);
+      return [[]];
+    },
+    release: mock.fn(async () => {}),
+  };
+  mock.method(MySql, "connection", async () => connection);
+  mock.method(console, "log", () => {});
+});
+
+test("withTransaction commits when the work resolves", async () => {
+  const result = await DButils.withTransaction(async (tx) => {
+    await tx.execQuery("INSERT INTO users VALUES (1)");
+    return 42;
+  });
+
+  assert.strictEqual(result, 42);
+  assert.deepStrictEqual(statements, [
+    "START TRANSACTION",
+    "INSERT INTO users VALUES (1)",
+    "COMMIT",
+  ]);
+  assert.strictEqual(connection.release.mock.callCount(), 1);
+});
+
+test("withTransaction rolls back and rethrows when the work throws", async () => {
+  const failure = new Error("Deadlock found");
+  await assert.rejects(
+    DButils.withTransaction(async (tx) => {
+      await tx.execQuery("INSERT INTO users VALUES (1)");
+      throw failure;
+    }),
+    (error) => error === failure
+  );
+
+  assert.deepStrictEqual(statements, [
+    "START TRANSACTION",
+    "INSERT INTO users VALUES (1)",
+    "ROLLBACK",
+  ]);
+  assert.strictEqual(connection.release.mock.callCount(), 1);
+  assert.strictEqual(console.log.mock.callCount(), 1);
+});
+
+test("withTransaction does not log errors with a status", async () => {
+  await assert.rejects(
+    DButils.withTransaction(async () => {
+      throw { status: 409, message: "Username taken" };
+    }),
+    { status: 409 }
+  );
+
+  assert.deepStrictEqual(statements, ["START TRANSACTION", "ROLLBACK"]);
+  assert.strictEqual(console.log.mock.callCount(), 0);
+});
+
+test("a nested withTransaction rolls back to its savepoint only", async () => {
+  const result = await DButils.withTransaction(async (tx) => {
+    await tx.execQuery("INSERT INTO users VALUES (1)");
+    await tx
+      .withTransaction(async (inner) => {
+        await inner.execQuery("INSERT INTO users VALUES (2)");
+        await inner.withTransaction(async (innermost) => {
+          await innermost.execQuery("INSERT INTO users VALUES (3)");
+        });
+        throw new Error("Duplicate entry");
+      })
+      .catch(() => {});
+    return "committed";
+  });
+
+  assert.strictEqual(result, "committed");
+  assert.deepStrictEqual(statements, [
+    "START TRANSACTION",
+    "INSERT INTO users VALUES (1)",
+    "SAVEPOINT sp_1",
+    "INSERT INTO users VALUES (2)",
+    "SAVEPOINT sp_2",
+    "INSERT INTO users VALUES (3)",
+    "RELEASE SAVEPOINT sp_2",
+    "ROLLBACK TO SAVEPOINT sp_1",
+    "COMMIT",
+  ]);
+});
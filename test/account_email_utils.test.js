@@ -0,0 +1,60 @@
+/**
+ * Tests for password reset requests in routes/utils/account_email_utils.js
+ *
+ * The repositories and the mailer are replaced, so no database is needed
+ * and no email is written.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const DButils = require("../routes/utils/DButils");
+const mailer = require("../routes/utils/mailer");
+const { users, account_tokens } = require("../routes/utils/repositories");
+const { requestPasswordReset } = require("../routes/utils/account_email_utils");
+
+const ACCOUNTS = [
+  { user_id: 1, username: "alice", email: "cook@example.com" },
+  { user_id: 2, username: "bob", email: "cook@example.com" },
+];
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  mock.method(users, "findAllByEmail", async (email) =>
+    ACCOUNTS.filter((user) => user.email === email)
+  );
+  mock.method(account_tokens, "existsRecent", async () => false);
+  mock.method(account_tokens, "deleteUnusedByUser", async () => {});
+  mock.method(account_tokens, "create", async () => 1);
+  mock.method(DButils, "withTransaction", async (work) => work(DButils));
+});
+
+test("a failed reset email answers like an unknown address", async () => {
+  mock.method(mailer, "send", async (message) => {
+    if (message.to === "cook@example.com") {
+      throw new Error("SMTP unavailable");
+    }
+  });
+
+  await requestPasswordReset("nobody@example.com");
+  await requestPasswordReset("cook@example.com");
+
+  // Every account was tried, and the failures were only logged
+  assert.strictEqual(mailer.send.mock.callCount(), 2);
+  assert.deepStrictEqual(
+    console.log.mock.calls.map((call) => call.arguments[0]),
+    [
+      "Error sending password reset email to user 1: SMTP unavailable",
+      "Error sending password reset email to user 2: SMTP unavailable",
+    ]
+  );
+});
+
+test("a failed account lookup is reported for any address", async () => {
+  mock.method(users, "findAllByEmail", async () => {
+    throw new Error("Connection lost");
+  });
+
+  await assert.rejects(requestPasswordReset("nobody@example.com"), {
+    status: 500,
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for POST /Register in routes/auth.js
+ *
+ * The route's last handler is called directly with the transaction and the
+ * verification email replaced, so no database or mail server is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const DButils = require("../routes/utils/DButils");
+const account_email_utils = require("../routes/utils/account_email_utils");
+const authRouter = require("../routes/auth");
+
+const register = authRouter.stack
+  .find((layer) => layer.route && layer.route.path === "/Register")
+  .route.stack.at(-1).handle;
+
+beforeEach(() => {
+  mock.restoreAll();
+  process.env.bcrypt_saltRounds = "4";
+  mock.method(account_email_utils, "sendVerificationEmail", async () => {});
+});
+
+/**
+ * Runs the Register handler and resolves with what it sent or passed on
+ */
+function runRegister() {
+  return new Promise((resolve) => {
+    const res = {
+      status: (status) => ({ send: (body) => resolve({ status, body }) }),
+    };
+    register(
+      {
+        body: {
+          username: "alice",
+          password: "pass1!",
+          email: "alice@example.com",
+        },
+      },
+      res,
+      (error) => resolve({ error })
+    );
+  });
+}
+
+test("Register creates the user", async () => {
+  mock.method(DButils, "withTransaction", async () => 7);
+
+  const { status, body } = await runRegister();
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.verificationEmailSent, true);
+});
+
+test("Register answers 409 when the name was taken at the same time", async () => {
+  // Both registrations passed the existence check; the insert hit the unique key
+  mock.method(DButils, "withTransaction", async () => {
+    throw Object.assign(new Error("Duplicate entry 'alice'"), {
+      code: "ER_DUP_ENTRY",
+    });
+  });
+
+  const { error } = await runRegister();
+  assert.deepStrictEqual(error, { status: 409, message: "Username taken" });
+});
@@ -0,0 +1,273 @@
+/**
+ * Baseline JPEG encoder for test fixtures
+ *
+ * Writes small JPEG files from known pixels, so the decoder can be checked
+ * against them. The quantization table is all ones, so decoded pixels only
+ * differ from the source by rounding. One Huffman table pair holds every
+ * symbol: DC sizes get 4-bit codes and AC symbols 8-bit codes.
+ */
+
+// Position in the 8x8 block of each coefficient in zigzag order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+];
+
+const DC_SYMBOLS = Array.from({ length: 12 }, (_, size) => size);
+const AC_SYMBOLS = [0x00, 0xf0];
+for (let run = 0; run < 16; run++) {
+  for (let size = 1; size <= 10; size++) {
+    AC_SYMBOLS.push((run << 4) | size);
+  }
+}
+
+/**
+ * Builds a marker segment
+ */
+function segment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Builds a Huffman table segment body whose codes all have one length
+ */
+function huffmanTable(tableClass, symbols, length) {
+  const counts = Buffer.alloc(16);
+  counts[length - 1] = symbols.length;
+  return Buffer.concat([
+    Buffer.from([tableClass << 4]),
+    counts,
+    Buffer.from(symbols),
+  ]);
+}
+
+/**
+ * Builds an APP1 Exif segment holding only an orientation tag
+ */
+function exifSegment(orientation, littleEndian) {
+  const tiff = Buffer.alloc(26);
+  const write16 = (value, at) =>
+    littleEndian
+      ? tiff.writeUInt16LE(value, at)
+      : tiff.writeUInt16BE(value, at);
+  const write32 = (value, at) =>
+    littleEndian
+      ? tiff.writeUInt32LE(value, at)
+      : tiff.writeUInt32BE(value, at);
+  tiff.write(littleEndian ? "II" : "MM", 0, "latin1");
+  write16(42, 2);
+  write32(8, 4);
+  write16(1, 8); // one IFD entry
+  write16(0x0112, 10); // Orientation
+  write16(3, 12); // SHORT
+  write32(1, 14);
+  write16(orientation, 18);
+  write32(0, 22); // no next IFD
+  return segment(
+    0xe1,
+    Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff])
+  );
+}
+
+/**
+ * Writes entropy-coded bits, stuffing a zero byte after each 0xFF
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  write(value, length) {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      this.current = (this.current << 1) | ((value >> bit) & 1);
+      if (++this.count === 8) {
+        this.bytes.push(this.current);
+        if (this.current === 0xff) {
+          this.bytes.push(0);
+        }
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  finish() {
+    while (this.count !== 0) {
+      this.write(1, 1);
+    }
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Size category and amplitude bits of a coefficient
+ */
+function category(value) {
+  const size = value === 0 ? 0 : Math.floor(Math.log2(Math.abs(value))) + 1;
+  return { size, bits: value < 0 ? value + (1 << size) - 1 : value };
+}
+
+/**
+ * Forward DCT of one 8x8 block of level-shifted samples
+ */
+function forwardDct(samples) {
+  const coefficients = new Int32Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          sum +=
+            samples[y * 8 + x] *
+            Math.cos(((2 * x + 1) * u * Math.PI) / 16) *
+            Math.cos(((2 * y + 1) * v * Math.PI) / 16);
+        }
+      }
+      const cu = u === 0 ? Math.SQRT1_2 : 1;
+      const cv = v === 0 ? Math.SQRT1_2 : 1;
+      coefficients[v * 8 + u] = Math.round((cu * cv * sum) / 4);
+    }
+  }
+  return coefficients;
+}
+
+/**
+ * Converts pixels into component planes (Y, or Y, Cb and Cr)
+ */
+function toPlanes({ width, height, channels, pixels }) {
+  const count = width * height;
+  if (channels === 1) {
+    return [Float64Array.from(pixels.subarray(0, count))];
+  }
+  const planes = [0, 1, 2].map(() => new Float64Array(count));
+  for (let i = 0; i < count; i++) {
+    const [r, g, b] = pixels.subarray(i * 3, i * 3 + 3);
+    planes[0][i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    planes[1][i] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+    planes[2][i] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+  }
+  return planes;
+}
+
+/**
+ * Encodes pixels as a baseline JPEG file
+ *
+ * @param {Object} image - { width, height, channels (1 or 3), pixels }
+ * @param {Object} [options]
+ * @param {number} [options.orientation] - Exif orientation to store
+ * @param {boolean} [options.bigEndian] - Write the Exif data big-endian
+ * @param {boolean} [options.progressive] - Mark the frame as progressive (SOF2)
+ * @returns {Buffer} - The JPEG file
+ */
+function encodeJpeg(image, options = {}) {
+  const { width, height } = image;
+  const planes = toPlanes(image);
+  const writer = new BitWriter();
+  const predictions = planes.map(() => 0);
+
+  for (let top = 0; top < height; top += 8) {
+    for (let left = 0; left < width; left += 8) {
+      planes.forEach((plane, component) => {
+        // Edge blocks repeat the last row and column
+        const samples = new Float64Array(64);
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const sx = Math.min(left + x, width - 1);
+            const sy = Math.min(top + y, height - 1);
+            samples[y * 8 + x] = plane[sy * width + sx] - 128;
+          }
+        }
+        const coefficients = forwardDct(samples);
+
+        const dc = category(coefficients[0] - predictions[component]);
+        predictions[component] = coefficients[0];
+        writer.write(DC_SYMBOLS.indexOf(dc.size), 4);
+        writer.write(dc.bits, dc.size);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          const value = coefficients[ZIGZAG[k]];
+          if (value === 0) {
+            run++;
+            continue;
+          }
+          for (; run > 15; run -= 16) {
+            writer.write(AC_SYMBOLS.indexOf(0xf0), 8);
+          }
+          const ac = category(value);
+          writer.write(AC_SYMBOLS.indexOf((run << 4) | ac.size), 8);
+          writer.write(ac.bits, ac.size);
+          run = 0;
+        }
+        if (run > 0) {
+          writer.write(AC_SYMBOLS.indexOf(0x00), 8);
+        }
+      });
+    }
+  }
+
+  const components = planes.map((_, i) => i + 1);
+  const frame = Buffer.from([
+    8,
+    height >> 8,
+    height & 255,
+    width >> 8,
+    width & 255,
+    components.length,
+    ...components.flatMap((id) => [id, 0x11, 0]),
+  ]);
+  const scan = Buffer.from([
+    components.length,
+    ...components.flatMap((id) => [id, 0x00]),
+    0,
+    63,
+    0,
+  ]);
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    options.orientation
+      ? exifSegment(options.orientation, !options.bigEndian)
+      : Buffer.alloc(0),
+    segment(0xdb, Buffer.concat([Buffer.from([0]), Buffer.alloc(64, 1)])),
+    segment(options.progressive ? 0xc2 : 0xc0, frame),
+    segment(
+      0xc4,
+      Buffer.concat([
+        huffmanTable(0, DC_SYMBOLS, 4),
+        huffmanTable(1, AC_SYMBOLS, 8),
+      ])
+    ),
+    segment(0xda, scan),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+/**
+ * Makes an image whose pixel at (x, y) is color(x, y)
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} color - (x, y) -> [r, g, b] or [gray]
+ * @returns {Object} - { width, height, channels, pixels }
+ */
+function makeImage(width, height, color) {
+  const channels = color(0, 0).length;
+  const pixels = Buffer.alloc(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(color(x, y), (y * width + x) * channels);
+    }
+  }
+  return { width, height, channels, pixels };
+}
+
+exports.encodeJpeg = encodeJpeg;
+exports.makeImage = makeImage;
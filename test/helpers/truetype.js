@@ -0,0 +1,101 @@
+/**
+ * TrueType font builder for test fixtures
+ *
+ * Writes fonts with only the tables the PDF writer reads (head, hhea, hmtx,
+ * cmap and name) and no outlines. Glyph 0 is .notdef and the characters get
+ * glyphs 1, 2, ... in the order given; a format 4 character map with one
+ * segment per character maps them.
+ */
+
+/**
+ * Assembles a font file from its tables
+ */
+function assemble(tables) {
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(tags.length, 4);
+  let offset = header.length;
+  const bodies = tags.map((tag, i) => {
+    const body = tables[tag];
+    const record = 12 + i * 16;
+    header.write(tag, record, "latin1");
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(body.length, record + 12);
+    // Tables start on 4-byte boundaries
+    const padded = Buffer.alloc(Math.ceil(body.length / 4) * 4);
+    body.copy(padded);
+    offset += padded.length;
+    return padded;
+  });
+  return Buffer.concat([header, ...bodies]);
+}
+
+/**
+ * Builds a TrueType font
+ *
+ * @param {Object} widths - Character -> advance width in units of a 1000-unit em
+ * @param {string} [name="TestSans"] - PostScript name
+ * @returns {Buffer} - The font file
+ */
+function makeFont(widths, name = "TestSans") {
+  const chars = Object.keys(widths).sort(
+    (a, b) => a.codePointAt(0) - b.codePointAt(0)
+  );
+
+  const head = Buffer.alloc(54);
+  head.writeUInt32BE(0x00010000, 0);
+  head.writeUInt16BE(1000, 18);
+  [-100, -200, 1000, 900].forEach((value, i) =>
+    head.writeInt16BE(value, 36 + i * 2)
+  );
+
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt32BE(0x00010000, 0);
+  hhea.writeInt16BE(800, 4);
+  hhea.writeInt16BE(-200, 6);
+  hhea.writeUInt16BE(chars.length + 1, 34);
+
+  const hmtx = Buffer.alloc((chars.length + 1) * 4);
+  hmtx.writeUInt16BE(500, 0);
+  chars.forEach((char, i) => hmtx.writeUInt16BE(widths[char], (i + 1) * 4));
+
+  // One segment per character, plus the closing 0xFFFF segment
+  const segments = chars.length + 1;
+  const subtable = Buffer.alloc(16 + segments * 8);
+  subtable.writeUInt16BE(4, 0);
+  subtable.writeUInt16BE(subtable.length, 2);
+  subtable.writeUInt16BE(segments * 2, 6);
+  const codes = [...chars.map((char) => char.codePointAt(0)), 0xffff];
+  codes.forEach((code, i) => {
+    const glyph = code === 0xffff ? 0 : i + 1;
+    subtable.writeUInt16BE(code, 14 + i * 2);
+    subtable.writeUInt16BE(code, 16 + segments * 2 + i * 2);
+    subtable.writeUInt16BE((glyph - code) & 0xffff, 16 + segments * 4 + i * 2);
+  });
+  const cmap = Buffer.alloc(12);
+  cmap.writeUInt16BE(1, 2);
+  cmap.writeUInt16BE(3, 4);
+  cmap.writeUInt16BE(1, 6);
+  cmap.writeUInt32BE(12, 8);
+
+  const utf16 = Buffer.from(name, "utf16le").swap16();
+  const nameTable = Buffer.alloc(18);
+  nameTable.writeUInt16BE(1, 2);
+  nameTable.writeUInt16BE(18, 4);
+  nameTable.writeUInt16BE(3, 6);
+  nameTable.writeUInt16BE(1, 8);
+  nameTable.writeUInt16BE(0x409, 10);
+  nameTable.writeUInt16BE(6, 12);
+  nameTable.writeUInt16BE(utf16.length, 14);
+
+  return assemble({
+    cmap: Buffer.concat([cmap, subtable]),
+    head,
+    hhea,
+    hmtx,
+    name: Buffer.concat([nameTable, utf16]),
+  });
+}
+
+exports.makeFont = makeFont;
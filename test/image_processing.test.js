@@ -0,0 +1,178 @@
+/**
+ * Tests for routes/utils/image_processing.js
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const {
+  detectImageType,
+  readPngChunks,
+  unfilterPng,
+  createThumbnail,
+} = require("../routes/utils/image_processing");
+const { encodeJpeg, makeImage } = require("./helpers/jpeg");
+
+const RED = [220, 30, 30];
+const BLUE = [20, 40, 210];
+const GREEN = [30, 200, 40];
+const WHITE = [240, 240, 240];
+
+// Four colored quarters, 20 x 12 pixels
+const QUARTERS = makeImage(20, 12, (x, y) => {
+  if (y < 6) {
+    return x < 10 ? RED : BLUE;
+  }
+  return x < 10 ? GREEN : WHITE;
+});
+
+/**
+ * CRC-32 of a PNG chunk's type and data
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a PNG file from a header and the data to deflate into IDAT
+ */
+function makePng(width, height, colorType, raw) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from("89504e470d0a1a0a", "hex"),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Decodes a thumbnail written by createThumbnail
+ *
+ * @returns {Object} - { width, height, channels, pixels }
+ */
+function readThumbnail(png) {
+  const { header, compressed } = readPngChunks(png);
+  const channels = { 0: 1, 2: 3, 6: 4 }[header.colorType];
+  return {
+    width: header.width,
+    height: header.height,
+    channels,
+    pixels: unfilterPng(
+      zlib.inflateSync(compressed),
+      header.width,
+      header.height,
+      channels
+    ),
+  };
+}
+
+/**
+ * Color of a pixel of a decoded image
+ */
+function pixelAt(image, x, y) {
+  const at = (y * image.width + x) * image.channels;
+  return Array.from(image.pixels.subarray(at, at + 3));
+}
+
+/**
+ * Checks that two colors differ by at most a few levels
+ */
+function assertColor(actual, expected) {
+  assert.ok(
+    actual.every((value, i) => Math.abs(value - expected[i]) <= 4),
+    `${actual} is not close to ${expected}`
+  );
+}
+
+test("recognizes JPEG and PNG files by their first bytes", () => {
+  assert.strictEqual(detectImageType(encodeJpeg(QUARTERS)).type, "jpeg");
+  assert.strictEqual(
+    detectImageType(makePng(1, 1, 0, Buffer.from([0, 0]))).type,
+    "png"
+  );
+  assert.strictEqual(detectImageType(Buffer.from("GIF89a......")), null);
+});
+
+test("scales a JPEG down into a PNG thumbnail", () => {
+  const thumbnail = readThumbnail(createThumbnail(encodeJpeg(QUARTERS), 10));
+
+  assert.strictEqual(thumbnail.width, 10);
+  assert.strictEqual(thumbnail.height, 6);
+  assertColor(pixelAt(thumbnail, 0, 0), RED);
+  assertColor(pixelAt(thumbnail, 9, 0), BLUE);
+  assertColor(pixelAt(thumbnail, 0, 5), GREEN);
+  assertColor(pixelAt(thumbnail, 9, 5), WHITE);
+});
+
+test("turns a JPEG upright by its Exif orientation", () => {
+  // 6: the camera was turned right, so the image is turned clockwise
+  const thumbnail = readThumbnail(
+    createThumbnail(encodeJpeg(QUARTERS, { orientation: 6 }), 10)
+  );
+
+  assert.strictEqual(thumbnail.width, 6);
+  assert.strictEqual(thumbnail.height, 10);
+  assertColor(pixelAt(thumbnail, 0, 0), GREEN);
+  assertColor(pixelAt(thumbnail, 5, 0), RED);
+  assertColor(pixelAt(thumbnail, 0, 9), WHITE);
+  assertColor(pixelAt(thumbnail, 5, 9), BLUE);
+
+  const upsideDown = readThumbnail(
+    createThumbnail(encodeJpeg(QUARTERS, { orientation: 3 }), 10)
+  );
+  assertColor(pixelAt(upsideDown, 0, 0), WHITE);
+});
+
+test("makes no thumbnail of images it cannot decode", () => {
+  assert.strictEqual(
+    createThumbnail(encodeJpeg(QUARTERS, { progressive: true }), 10),
+    null
+  );
+  assert.strictEqual(
+    createThumbnail(encodeJpeg(QUARTERS).subarray(0, 200), 10),
+    null
+  );
+  assert.strictEqual(createThumbnail(Buffer.from("not an image"), 10), null);
+});
+
+test("makes a thumbnail of a PNG", () => {
+  // 2 x 1 RGB, no filter
+  const png = makePng(2, 1, 2, Buffer.from([0, 255, 0, 0, 0, 0, 255]));
+  const thumbnail = readThumbnail(createThumbnail(png, 10));
+
+  assert.strictEqual(thumbnail.width, 2);
+  assert.deepStrictEqual(pixelAt(thumbnail, 0, 0), [255, 0, 0]);
+  assert.deepStrictEqual(pixelAt(thumbnail, 1, 0), [0, 0, 255]);
+});
+
+test("refuses PNGs over the pixel limit or with too much data", () => {
+  // 4000 x 3001 pixels; refused from the header alone
+  assert.strictEqual(
+    createThumbnail(makePng(4000, 3001, 0, Buffer.alloc(16)), 10),
+    null
+  );
+  // A 1 x 1 image whose data inflates to 1 MB
+  assert.strictEqual(
+    createThumbnail(makePng(1, 1, 0, Buffer.alloc(1024 * 1024)), 10),
+    null
+  );
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for routes/utils/image_uploads.js and the profilePic check at
+ * registration
+ *
+ * Storage and the users repository are replaced, so nothing is written to
+ * public/.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const axios = require("axios");
+const storage = require("../routes/utils/file_storage");
+const { users } = require("../routes/utils/repositories");
+const { uploadAvatar } = require("../routes/utils/image_uploads");
+const { validateRegister } = require("../middleware/validation.middleware");
+const { encodeJpeg, makeImage } = require("./helpers/jpeg");
+
+const IMAGE = {
+  data: encodeJpeg(makeImage(16, 16, () => [200, 100, 50])),
+  extension: ".jpg",
+};
+const OLD_AVATAR = "/avatars/0b6f2d4e-8a1c-4f7e-9d3b-2c5a7e9f1b3d.jpg";
+
+let profilePic;
+let removed;
+
+beforeEach(() => {
+  mock.restoreAll();
+  removed = [];
+  mock.method(users, "findById", async (user_id) => ({ user_id, profilePic }));
+  mock.method(users, "updateProfilePic", async () => {});
+  mock.method(storage, "save", async (key) => `/${key}`);
+  mock.method(storage, "remove", async (url) => {
+    removed.push(url);
+    return true;
+  });
+});
+
+test("uploading an avatar deletes the previous upload", async () => {
+  profilePic = OLD_AVATAR;
+  const stored = await uploadAvatar(3, IMAGE);
+
+  assert.match(stored.image, /^\/avatars\/[0-9a-f-]{36}\.jpg$/);
+  assert.deepStrictEqual(removed, [
+    OLD_AVATAR,
+    "/avatars/thumbnails/0b6f2d4e-8a1c-4f7e-9d3b-2c5a7e9f1b3d.png",
+  ]);
+});
+
+test("uploading an avatar leaves other files alone", async () => {
+  for (const url of [
+    "/recipe-images/0b6f2d4e-8a1c-4f7e-9d3b-2c5a7e9f1b3d.jpg",
+    "/avatars/../index.html",
+    "/avatars/thumbnails/0b6f2d4e-8a1c-4f7e-9d3b-2c5a7e9f1b3d.png",
+    `${OLD_AVATAR}?v=2`,
+    "https://example.com/me.jpg",
+    null,
+  ]) {
+    profilePic = url;
+    await uploadAvatar(3, IMAGE);
+  }
+  assert.deepStrictEqual(removed, []);
+});
+
+/**
+ * Runs validateRegister on a request body
+ *
+ * @returns {Promise<Object>} - { status, body } of the response, or { next: true }
+ */
+async function register(body) {
+  return new Promise((resolve) => {
+    const res = {
+      status(status) {
+        return { send: (sent) => resolve({ status, body: sent }) };
+      },
+    };
+    validateRegister({ body }, res, () => resolve({ next: true }));
+  });
+}
+
+test("registration refuses a profilePic in the upload directories", async () => {
+  mock.method(axios, "get", async () => {
+    throw new Error("offline");
+  });
+  mock.method(console, "error", () => {});
+  const body = {
+    username: "newbie",
+    password: "pass1!",
+    passwordConfirmation: "pass1!",
+    email: "n@example.com",
+    country: "Israel",
+  };
+
+  for (const url of [
+    OLD_AVATAR,
+    "/recipe-images/0b6f2d4e-8a1c-4f7e-9d3b-2c5a7e9f1b3d.jpg",
+    "/avatars/../index.html",
+    "/./family-images/cake.jpg",
+    42,
+  ]) {
+    const result = await register({ ...body, profilePic: url });
+    assert.strictEqual(result.status, 400, String(url));
+  }
+  for (const url of [undefined, "", "https://example.com/me.jpg"]) {
+    assert.deepStrictEqual(await register({ ...body, profilePic: url }), {
+      next: true,
+    });
+  }
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for routes/utils/ingredient_parser.js
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  canonicalUnit,
+  parseAmount,
+  parseIngredientLine,
+  normalizeIngredient,
+  normalizeIngredients,
+} = require("../routes/utils/ingredient_parser");
+
+/**
+ * Picks the parsed fields a test compares
+ */
+function parsed(ingredient) {
+  const { quantity, quantityMax, unit, name, note } = ingredient;
+  return { quantity, quantityMax, unit, name, note };
+}
+
+test("a capital T is a tablespoon and a small t a teaspoon", () => {
+  assert.strictEqual(parseIngredientLine("1 T butter").unit, "tbsp");
+  assert.strictEqual(parseIngredientLine("1 t salt").unit, "tsp");
+  assert.strictEqual(parseIngredientLine("2 T. sugar").unit, "tbsp");
+  assert.strictEqual(canonicalUnit("T"), "tbsp");
+  assert.strictEqual(canonicalUnit("t"), "tsp");
+  assert.strictEqual(canonicalUnit("Tablespoons"), "tbsp");
+  assert.strictEqual(canonicalUnit("C"), "cup");
+});
+
+test("sizes describe the ingredient instead of being its unit", () => {
+  assert.deepStrictEqual(parsed(parseIngredientLine("3 large eggs")), {
+    quantity: 3,
+    quantityMax: null,
+    unit: null,
+    name: "eggs",
+    note: "large",
+  });
+  assert.deepStrictEqual(
+    parsed(parseIngredientLine("2 medium onions, chopped")),
+    {
+      quantity: 2,
+      quantityMax: null,
+      unit: null,
+      name: "onions",
+      note: "medium, chopped",
+    }
+  );
+  assert.deepStrictEqual(parsed(parseIngredientLine("2 large cloves garlic")), {
+    quantity: 2,
+    quantityMax: null,
+    unit: "clove",
+    name: "garlic",
+    note: "large",
+  });
+});
+
+test("an amount only takes known units", () => {
+  assert.deepStrictEqual(
+    parsed(normalizeIngredient({ name: "Onion", amount: "1 large" })),
+    { quantity: 1, quantityMax: null, unit: null, name: "Onion", note: "large" }
+  );
+  assert.deepStrictEqual(parseAmount("2 bars", "chocolate"), {
+    quantity: 2,
+    quantityMax: null,
+    unit: null,
+    note: "bars",
+  });
+  assert.deepStrictEqual(parseAmount("1 lemon", "lemon"), {
+    quantity: 1,
+    quantityMax: null,
+    unit: null,
+    note: null,
+  });
+  assert.deepStrictEqual(parseAmount("1 T", "butter"), {
+    quantity: 1,
+    quantityMax: null,
+    unit: "tbsp",
+    note: null,
+  });
+});
+
+test("reads quantities, ranges and package sizes", () => {
+  assert.deepStrictEqual(
+    parsed(parseIngredientLine("1 1/2 cups flour, sifted")),
+    {
+      quantity: 1.5,
+      quantityMax: null,
+      unit: "cup",
+      name: "flour",
+      note: "sifted",
+    }
+  );
+  assert.deepStrictEqual(parsed(parseIngredientLine("2-3 tbsp olive oil")), {
+    quantity: 2,
+    quantityMax: 3,
+    unit: "tbsp",
+    name: "olive oil",
+    note: null,
+  });
+  assert.deepStrictEqual(parsed(parseIngredientLine("1 (14 oz) can beans")), {
+    quantity: 1,
+    quantityMax: null,
+    unit: "can",
+    name: "beans",
+    note: "14 oz",
+  });
+  assert.deepStrictEqual(parsed(parseIngredientLine("salt to taste")), {
+    quantity: null,
+    quantityMax: null,
+    unit: null,
+    name: "salt",
+    note: "to taste",
+  });
+});
+
+test("Spoonacular units that are not units go to the note", () => {
+  const eggs = normalizeIngredient({
+    amount: 2,
+    unit: "large",
+    name: "eggs",
+    meta: ["beaten"],
+    original: "2 large eggs, beaten",
+  });
+  assert.strictEqual(eggs.unit, null);
+  assert.strictEqual(eggs.note, "large, beaten");
+
+  const butter = normalizeIngredient({
+    amount: 1,
+    unit: "Tbsp",
+    name: "butter",
+    original: "1 Tbsp butter",
+  });
+  assert.strictEqual(butter.unit, "tbsp");
+  assert.strictEqual(butter.note, null);
+});
+
+test("normalized ingredients come back unchanged when saved again", () => {
+  const read = normalizeIngredients(
+    JSON.stringify([
+      { name: "milk", amount: "2 cups" },
+      { name: "salt, to taste" },
+      "1-2 T sugar",
+      "2 large eggs",
+      {
+        amount: 1,
+        unit: "Tbsp",
+        name: "butter",
+        aisle: "Milk, Eggs, Other Dairy",
+      },
+    ])
+  );
+
+  // What a client sends back after reading the recipe
+  const saved = JSON.parse(JSON.stringify(read));
+  assert.deepStrictEqual(normalizeIngredients(saved), read);
+  assert.deepStrictEqual(normalizeIngredients(JSON.stringify(saved)), read);
+  assert.deepStrictEqual(
+    read.map((ingredient) => [ingredient.quantity, ingredient.note]),
+    [
+      [2, null],
+      [null, "to taste"],
+      [1, null],
+      [2, "large"],
+      [1, null],
+    ]
+  );
+});
+
+test("normalized ingredients from a request are checked field by field", () => {
+  assert.deepStrictEqual(
+    normalizeIngredient({
+      quantity: "2",
+      quantityMax: 1,
+      unit: "handfuls of",
+      name: "  basil ",
+      note: 7,
+    }),
+    {
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "basil",
+      note: null,
+      aisle: null,
+      original: "",
+    }
+  );
+  assert.strictEqual(
+    normalizeIngredient({ quantity: 1, quantityMax: 3, unit: "cups" })
+      .quantityMax,
+    3
+  );
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for routes/utils/jpeg_decoder.js
+ *
+ * The JPEG files are encoded from known pixels by test/helpers/jpeg.js.
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { decodeJpeg, MAX_PIXELS } = require("../routes/utils/jpeg_decoder");
+const { encodeJpeg, makeImage } = require("./helpers/jpeg");
+
+// Four colored quarters, 20 x 12 pixels, so the edge blocks are partial
+const QUARTERS = makeImage(20, 12, (x, y) => {
+  if (y < 6) {
+    return x < 10 ? [220, 30, 30] : [20, 40, 210];
+  }
+  return x < 10 ? [30, 200, 40] : [240, 240, 240];
+});
+
+/**
+ * Largest difference between two pixel buffers
+ */
+function maxDifference(a, b) {
+  let max = 0;
+  for (let i = 0; i < a.length; i++) {
+    max = Math.max(max, Math.abs(a[i] - b[i]));
+  }
+  return max;
+}
+
+test("decodes a baseline color JPEG", () => {
+  const image = decodeJpeg(encodeJpeg(QUARTERS));
+
+  assert.strictEqual(image.width, 20);
+  assert.strictEqual(image.height, 12);
+  assert.strictEqual(image.channels, 3);
+  assert.strictEqual(image.orientation, 1);
+  assert.ok(maxDifference(image.pixels, QUARTERS.pixels) <= 3);
+});
+
+test("decodes a grayscale JPEG", () => {
+  const gray = makeImage(9, 9, (x, y) => [x * 25 + y * 3]);
+  const image = decodeJpeg(encodeJpeg(gray));
+
+  assert.strictEqual(image.channels, 1);
+  assert.ok(maxDifference(image.pixels, gray.pixels) <= 3);
+});
+
+test("refuses progressive JPEGs", () => {
+  assert.strictEqual(
+    decodeJpeg(encodeJpeg(QUARTERS, { progressive: true })),
+    null
+  );
+});
+
+test("refuses images over MAX_PIXELS before decoding them", () => {
+  assert.strictEqual(MAX_PIXELS, 12 * 1000 * 1000);
+  const jpeg = encodeJpeg(makeImage(8, 8, () => [128]));
+  // Give the frame 4001 x 3000 pixels without changing the scan
+  const frame = jpeg.indexOf(Buffer.from([0xff, 0xc0]));
+  jpeg.writeUInt16BE(3000, frame + 5);
+  jpeg.writeUInt16BE(4001, frame + 7);
+
+  assert.strictEqual(decodeJpeg(jpeg), null);
+});
+
+test("handles truncated files", () => {
+  const jpeg = encodeJpeg(QUARTERS);
+  const scan = jpeg.indexOf(Buffer.from([0xff, 0xda]));
+  const scanData = scan + 2 + jpeg.readUInt16BE(scan + 2);
+
+  assert.strictEqual(decodeJpeg(jpeg.subarray(0, 3)), null);
+  assert.strictEqual(decodeJpeg(jpeg.subarray(0, 60)), null);
+  // Every header but no image data
+  assert.strictEqual(decodeJpeg(jpeg.subarray(0, scanData)), null);
+
+  // Cut inside the image data: what was decoded is kept
+  const image = decodeJpeg(jpeg.subarray(0, jpeg.length - 40));
+  assert.strictEqual(image.width, 20);
+  assert.strictEqual(image.height, 12);
+  assert.ok(maxDifference(image.pixels.subarray(0, 30), QUARTERS.pixels) <= 3);
+
+  assert.strictEqual(decodeJpeg(Buffer.from("not a jpeg")), null);
+});
+
+test("reads the Exif orientation in either byte order", () => {
+  for (const orientation of [1, 3, 6, 8]) {
+    assert.strictEqual(
+      decodeJpeg(encodeJpeg(QUARTERS, { orientation })).orientation,
+      orientation
+    );
+    assert.strictEqual(
+      decodeJpeg(encodeJpeg(QUARTERS, { orientation, bigEndian: true }))
+        .orientation,
+      orientation
+    );
+  }
+  assert.strictEqual(
+    decodeJpeg(encodeJpeg(QUARTERS, { orientation: 9 })).orientation,
+    1
+  );
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for routes/utils/login_throttle.js with the in-memory tracker
+ *
+ * The users and login_lockouts repositories are replaced, and Date.now is
+ * moved forward by hand instead of waiting out the backoff.
+ */
+process.env.login_tracker = "memory";
+process.env.login_max_failures = "3";
+process.env.login_max_failures_per_ip = "5";
+process.env.login_lockout_seconds = "60";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const bcrypt = require("bcrypt");
+const { users, login_lockouts } = require("../routes/utils/repositories");
+const tracker = require("../routes/utils/login_tracker");
+const { verifyCredentials } = require("../routes/utils/login_throttle");
+
+const USER = {
+  user_id: 3,
+  username: "chef",
+  password: bcrypt.hashSync("pass1!", 4),
+};
+const realNow = Date.now;
+let seconds;
+let lockouts;
+let nextIp = 1;
+let client;
+
+beforeEach(() => {
+  mock.restoreAll();
+  tracker.entries.clear();
+  seconds = 0;
+  lockouts = [];
+  // A new address for each test, so counts do not carry over
+  client = { ip_address: `10.0.0.${nextIp++}`, user_agent: "test" };
+
+  mock.method(Date, "now", () => realNow() + seconds * 1000);
+  mock.method(users, "findByUsername", async (username) =>
+    username.toLowerCase() === USER.username ? USER : null
+  );
+  mock.method(login_lockouts, "create", async (lockout) => {
+    lockouts.push(lockout);
+    return lockouts.length;
+  });
+  mock.method(console, "log", () => {});
+});
+
+/**
+ * Runs a login attempt and returns its outcome
+ */
+async function attempt(password, username = "chef") {
+  try {
+    const user = await verifyCredentials(username, password, client);
+    return { status: 200, user_id: user.user_id };
+  } catch (error) {
+    return error;
+  }
+}
+
+test("the right password logs in", async () => {
+  assert.deepStrictEqual(await attempt("pass1!"), {
+    status: 200,
+    user_id: USER.user_id,
+  });
+});
+
+test("a retry before the backoff ends is refused", async () => {
+  assert.strictEqual((await attempt("wrong")).status, 401);
+
+  const early = await attempt("pass1!");
+  assert.strictEqual(early.status, 429);
+  assert.strictEqual(early.retryAfter, 1);
+
+  seconds += 1;
+  assert.strictEqual((await attempt("pass1!")).status, 200);
+});
+
+test("concurrent bad logins are refused with 429", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 6 }, () => attempt("wrong"))
+  );
+  const statuses = results.map((result) => result.status);
+
+  assert.strictEqual(statuses.filter((status) => status === 401).length, 1);
+  assert.strictEqual(statuses.filter((status) => status === 429).length, 5);
+  assert.ok(
+    results.every((result) => result.status !== 429 || result.retryAfter > 0)
+  );
+  // The concurrent guesses counted, so the account is locked once
+  assert.strictEqual(
+    lockouts.filter((l) => l.lock_type === "username").length,
+    1
+  );
+  assert.strictEqual((await tracker.get("user:chef")).lock_seconds, 60);
+});
+
+test("concurrent guesses do not get the password checked", async () => {
+  const compare = mock.method(bcrypt, "compare");
+  await Promise.all(Array.from({ length: 4 }, () => attempt("wrong")));
+
+  assert.strictEqual(compare.mock.callCount(), 1);
+});
+
+test("the account locks after login_max_failures failures", async () => {
+  assert.strictEqual((await attempt("wrong")).status, 401);
+  seconds += 1;
+  assert.strictEqual((await attempt("wrong")).status, 401);
+  seconds += 2;
+
+  const locked = await attempt("wrong");
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.retryAfter, 60);
+  assert.strictEqual(
+    locked.message,
+    "Account temporarily locked after too many failed login attempts"
+  );
+  assert.deepStrictEqual(lockouts, [
+    {
+      lock_type: "username",
+      username: "chef",
+      user_id: USER.user_id,
+      ip_address: client.ip_address,
+      user_agent: "test",
+      failures: 3,
+      duration: 60,
+    },
+  ]);
+
+  seconds += 30;
+  assert.strictEqual((await attempt("pass1!", "CHEF")).status, 429);
+  seconds += 30;
+  assert.strictEqual((await attempt("pass1!")).status, 200);
+});
+
+test("a successful login takes back its count on the address", async () => {
+  assert.strictEqual((await attempt("wrong", "nobody")).status, 401);
+  seconds += 1;
+  assert.strictEqual((await attempt("pass1!")).status, 200);
+
+  const state = await tracker.get(`ip:${client.ip_address}`);
+  assert.strictEqual(state.failures, 1);
+  assert.strictEqual(await tracker.get("user:chef"), null);
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for adding a planned week to the shopping list in
+ * routes/utils/meal_plan_utils.js
+ *
+ * The repositories and recipe lookups are replaced by an in-memory shopping
+ * list, so no database access is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const {
+  meal_plan_entries,
+  shopping_list_recipes,
+} = require("../routes/utils/repositories");
+const user_utils = require("../routes/utils/user_utils");
+const shopping_list_utils = require("../routes/utils/shopping_list_utils");
+const meal_plan_utils = require("../routes/utils/meal_plan_utils");
+
+const RECIPES = {
+  1: { id: 1, title: "Bread", servings: 4, ingredients: [] },
+  2: { id: 2, title: "Soup", servings: 2, ingredients: [] },
+};
+
+let plan;
+let list;
+
+beforeEach(() => {
+  mock.restoreAll();
+  plan = [
+    { date: "2026-10-05", recipe_source: "private", recipe_id: 1, servings: 2 },
+    { date: "2026-10-07", recipe_source: "private", recipe_id: 1, servings: 2 },
+    { date: "2026-10-12", recipe_source: "private", recipe_id: 1, servings: 3 },
+    { date: "2026-10-13", recipe_source: "private", recipe_id: 2, servings: 1 },
+  ];
+  list = new Map();
+
+  mock.method(meal_plan_entries, "findByDateRange", async (_, start, end) =>
+    plan.filter((entry) => entry.date >= start && entry.date <= end)
+  );
+  mock.method(user_utils, "getPrivateRecipeDetails", async (id) => RECIPES[id]);
+  // Same results as the queries' ON DUPLICATE KEY UPDATE clauses
+  mock.method(
+    shopping_list_recipes,
+    "upsert",
+    async (_, source, id, servings) => {
+      list.set(`${source}:${id}`, servings);
+    }
+  );
+  mock.method(
+    shopping_list_recipes,
+    "addServings",
+    async (_, source, id, servings, recipe_servings) => {
+      const key = `${source}:${id}`;
+      list.set(
+        key,
+        list.has(key)
+          ? (list.get(key) ?? recipe_servings ?? 0) + servings
+          : servings
+      );
+    }
+  );
+  mock.method(shopping_list_utils, "getShoppingList", async () => ({}));
+});
+
+test("two weeks that share a recipe add up its servings", async () => {
+  await meal_plan_utils.addWeekToShoppingList(1, "2026-10-05");
+  assert.strictEqual(list.get("private:1"), 4);
+
+  const { added } = await meal_plan_utils.addWeekToShoppingList(
+    1,
+    "2026-10-12"
+  );
+  assert.strictEqual(list.get("private:1"), 7);
+  assert.strictEqual(list.get("private:2"), 1);
+  assert.deepStrictEqual(
+    added.map((recipe) => recipe.servings),
+    [3, 1]
+  );
+});
+
+test("a recipe added for its own servings keeps them", async () => {
+  await shopping_list_utils.addRecipe(1, "private", 1, null);
+  assert.strictEqual(list.get("private:1"), null);
+
+  await meal_plan_utils.addWeekToShoppingList(1, "2026-10-05");
+  assert.strictEqual(list.get("private:1"), 8);
+});
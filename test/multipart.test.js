@@ -0,0 +1,131 @@
+/**
+ * Tests for routes/utils/multipart.js
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseMultipart } = require("../routes/utils/multipart");
+
+const BOUNDARY = "----form7MA4YWxk";
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+/**
+ * Builds a body from its parts, each a header block and its data
+ */
+function body(parts, ending = `--${BOUNDARY}--\r\n`) {
+  return Buffer.concat([
+    ...parts.flatMap(([headers, data]) => [
+      Buffer.from(`--${BOUNDARY}\r\n${headers}\r\n\r\n`),
+      Buffer.from(data),
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(ending),
+  ]);
+}
+
+const IMAGE = Buffer.from([0xff, 0xd8, 0x0d, 0x0a, 0x2d, 0x2d, 0xff, 0xd9]);
+
+test("splits fields and files", () => {
+  const parts = parseMultipart(
+    body([
+      ['Content-Disposition: form-data; name="note"', "hello"],
+      [
+        'Content-Disposition: form-data; name="image"; filename="cake.jpg"\r\nContent-Type: image/jpeg',
+        IMAGE,
+      ],
+    ]),
+    CONTENT_TYPE
+  );
+
+  assert.strictEqual(parts.length, 2);
+  assert.deepStrictEqual(
+    { ...parts[0], data: parts[0].data.toString() },
+    { name: "note", filename: undefined, contentType: null, data: "hello" }
+  );
+  assert.strictEqual(parts[1].name, "image");
+  assert.strictEqual(parts[1].filename, "cake.jpg");
+  assert.strictEqual(parts[1].contentType, "image/jpeg");
+  // CRLF and dashes inside the data are not a delimiter
+  assert.ok(parts[1].data.equals(IMAGE));
+});
+
+test("reads quoted boundaries and escaped filenames", () => {
+  const parts = parseMultipart(
+    body([
+      [
+        'Content-Disposition: form-data; name="image"; filename="my \\"best\\" cake.jpg"',
+        "x",
+      ],
+    ]),
+    `multipart/form-data; charset=utf-8; boundary="${BOUNDARY}"`
+  );
+
+  assert.strictEqual(parts[0].filename, 'my "best" cake.jpg');
+});
+
+test("keeps an empty file", () => {
+  const parts = parseMultipart(
+    body([['Content-Disposition: form-data; name="image"; filename=""', ""]]),
+    CONTENT_TYPE
+  );
+
+  assert.strictEqual(parts[0].data.length, 0);
+});
+
+test("refuses a body without its final boundary", () => {
+  const part = [
+    'Content-Disposition: form-data; name="image"; filename="a.jpg"',
+    IMAGE,
+  ];
+  for (const ending of ["", `--${BOUNDARY}`, `--${BOUNDARY}\r\n`]) {
+    assert.throws(() => parseMultipart(body([part], ending), CONTENT_TYPE), {
+      status: 400,
+      message: "Multipart body is incomplete",
+    });
+  }
+  // The data itself cut short
+  assert.throws(
+    () =>
+      parseMultipart(
+        Buffer.from(
+          `--${BOUNDARY}\r\nContent-Disposition: form-data; name="image"\r\n\r\nabc`
+        ),
+        CONTENT_TYPE
+      ),
+    { status: 400, message: "Multipart body is incomplete" }
+  );
+});
+
+test("refuses headers without a blank line", () => {
+  assert.throws(
+    () =>
+      parseMultipart(
+        Buffer.from(
+          `--${BOUNDARY}\r\nContent-Disposition: form-data; name="a"\r\n--${BOUNDARY}--\r\n`
+        ),
+        CONTENT_TYPE
+      ),
+    { status: 400, message: "Multipart body is incomplete" }
+  );
+});
+
+test("refuses other content types and bodies without parts", () => {
+  for (const contentType of [
+    "application/json",
+    "multipart/form-data",
+    "multipart/mixed; boundary=x",
+    undefined,
+  ]) {
+    assert.throws(() => parseMultipart(Buffer.from("{}"), contentType), {
+      status: 400,
+      message: "Request must be multipart/form-data with a boundary",
+    });
+  }
+  assert.throws(() => parseMultipart(Buffer.from("garbage"), CONTENT_TYPE), {
+    status: 400,
+    message: "Multipart body has no parts",
+  });
+  assert.deepStrictEqual(
+    parseMultipart(Buffer.from(`--${BOUNDARY}--\r\n`), CONTENT_TYPE),
+    []
+  );
+});
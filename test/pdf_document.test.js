@@ -0,0 +1,294 @@
+/**
+ * Tests for routes/utils/pdf_document.js and the cookbook export built on it
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const zlib = require("zlib");
+const PdfDocument = require("../routes/utils/pdf_document");
+const user_utils = require("../routes/utils/user_utils");
+const { users } = require("../routes/utils/repositories");
+const { exportPrivateCookbook } = require("../routes/utils/cookbook_utils");
+const { encodeJpeg, makeImage } = require("./helpers/jpeg");
+const { makeFont } = require("./helpers/truetype");
+
+beforeEach(() => {
+  mock.restoreAll();
+  delete process.env.pdf_font;
+  delete process.env.pdf_font_bold;
+});
+
+/**
+ * Reads a PDF through its cross-reference table
+ *
+ * Checks that startxref points at the table, that every entry points at
+ * "<n> 0 obj", and that every stream is as long as its /Length says.
+ *
+ * @param {Buffer} pdf - The PDF file
+ * @returns {Map<number, Buffer>} - Object number -> object body
+ */
+function readPdf(pdf) {
+  const text = pdf.toString("latin1");
+  assert.ok(text.startsWith("%PDF-1.4\n"));
+  assert.ok(text.endsWith("%%EOF\n"));
+
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.strictEqual(text.slice(startxref, startxref + 5), "xref\n");
+  const [, first, count] = text
+    .slice(startxref)
+    .match(/^xref\n(\d+) (\d+)\n/)
+    .map(Number);
+  assert.strictEqual(first, 0);
+  const size = Number(text.match(/trailer\n<< \/Size (\d+) /)[1]);
+  assert.strictEqual(size, count);
+
+  // Entries are exactly 20 bytes each
+  const table = startxref + `xref\n0 ${count}\n`.length;
+  assert.strictEqual(text.slice(table, table + 20), "0000000000 65535 f \n");
+  const objects = new Map();
+  for (let id = 1; id < count; id++) {
+    const entry = text.slice(table + id * 20, table + id * 20 + 20);
+    assert.match(entry, /^\d{10} 00000 n \n$/);
+    const offset = Number(entry.slice(0, 10));
+    const header = `${id} 0 obj\n`;
+    assert.strictEqual(text.slice(offset, offset + header.length), header);
+    const end = text.indexOf("\nendobj\n", offset);
+    objects.set(id, pdf.subarray(offset + header.length, end));
+  }
+
+  for (const [id, body] of objects) {
+    const source = body.toString("latin1");
+    const length = source.match(/^<< .*\/Length (\d+) >>\nstream\n/);
+    if (length) {
+      const start = length[0].length;
+      assert.strictEqual(
+        source.slice(start + Number(length[1])),
+        "\nendstream",
+        `stream of object ${id} has the wrong /Length`
+      );
+    }
+  }
+  return objects;
+}
+
+/**
+ * Inflates the content streams of the pages, in page order
+ */
+function pageContents(objects) {
+  const catalog = objects.get(1).toString("latin1");
+  const pages = objects
+    .get(Number(catalog.match(/\/Pages (\d+) 0 R/)[1]))
+    .toString("latin1");
+  return pages
+    .match(/\/Kids \[([^\]]*)\]/)[1]
+    .match(/\d+ 0 R/g)
+    .map((ref) => {
+      const page = objects.get(parseInt(ref)).toString("latin1");
+      const contents = objects.get(
+        Number(page.match(/\/Contents (\d+) 0 R/)[1])
+      );
+      const data = contents.subarray(contents.indexOf("stream\n") + 7, -10);
+      return zlib.inflateSync(data).toString("latin1");
+    });
+}
+
+test("a cookbook's xref offsets point at its objects", async () => {
+  const steps = Array.from(
+    { length: 60 },
+    (_, i) => `Step ${i + 1}: stir (gently) for a minute.`
+  ).join("\n");
+  mock.method(user_utils, "getPrivateRecipes", async () => [
+    {
+      id: 1,
+      title: "Borscht (Борщ) \\ beet soup",
+      readyInMinutes: 30,
+      servings: 4,
+      ingredients: JSON.stringify([{ name: "tomatoes", amount: "1 kg" }]),
+      instructions: "Simmer and blend.",
+    },
+    {
+      id: 2,
+      title: "A long stew",
+      image: "https://example.com/stew.jpg",
+      ingredients: "[]",
+      instructions: steps,
+    },
+  ]);
+  mock.method(users, "findById", async () => ({
+    username: "chef",
+    firstname: "Ada",
+    lastname: "Lovelace",
+  }));
+
+  const { pdf, missingCharacters } = await exportPrivateCookbook(7);
+  const objects = readPdf(pdf);
+  const contents = pageContents(objects);
+
+  // Cover, contents, soup, then the stew over several pages
+  const count = Number(pdf.toString("latin1").match(/\/Count (\d+)/)[1]);
+  assert.strictEqual(contents.length, count);
+  assert.ok(count > 4);
+  // The title is escaped in the contents and on its own page
+  const borscht = /\(Borscht \\\(\?\?\?\?\\\) \\\\ beet soup\) Tj/;
+  assert.match(contents[1], borscht);
+  assert.match(contents[2], borscht);
+  contents
+    .slice(4)
+    .forEach((content) =>
+      assert.match(content, /\(A long stew \\\(continued\\\)\) Tj/)
+    );
+  // Contents links point at page objects
+  const pageIds = new Set(
+    [...objects]
+      .filter(([, body]) =>
+        body.toString("latin1").startsWith("<< /Type /Page ")
+      )
+      .map(([id]) => id)
+  );
+  const links = [...pdf.toString("latin1").matchAll(/\/Dest \[(\d+) 0 R/g)];
+  assert.strictEqual(links.length, 2);
+  links.forEach(([, id]) => assert.ok(pageIds.has(Number(id))));
+  // Helvetica has no Cyrillic
+  assert.deepStrictEqual(missingCharacters, [
+    "U+0411",
+    "U+043E",
+    "U+0440",
+    "U+0449",
+  ]);
+});
+
+test("offsets stay right with binary image streams", () => {
+  const doc = new PdfDocument({ Title: "Images" });
+  const page = doc.addPage();
+  const jpeg = doc.addImage(
+    encodeJpeg(makeImage(16, 8, (x) => [x * 15, 100, 200]))
+  );
+  page.image(jpeg, 10, 10, 160, 80);
+
+  const objects = readPdf(doc.toBuffer());
+  const images = [...objects.values()].filter((body) =>
+    body.toString("latin1").includes("/Subtype /Image")
+  );
+  assert.strictEqual(images.length, 1);
+  assert.match(images[0].toString("latin1"), /\/Filter \/DCTDecode/);
+});
+
+test("escapes string delimiters and replaces characters outside WinAnsi", () => {
+  const titles = [
+    "Mom's (best) cake",
+    "Back\\slash ) and (",
+    "Crème brûlée – “fancy”",
+    "Борщ",
+    "Soup 🍲",
+    "Tab\there",
+  ];
+  const doc = new PdfDocument({ Title: "Cakes (and more) \\ 蛋糕" });
+  const page = doc.addPage();
+  titles.forEach((title, i) => page.text(title, 10, 20 + i * 20));
+
+  const pdf = doc.toBuffer();
+  const objects = readPdf(pdf);
+  const [content] = pageContents(objects);
+  const strings = [...content.matchAll(/\(((?:[^\\()]|\\.)*)\) Tj/g)].map(
+    (match) => match[1]
+  );
+
+  assert.deepStrictEqual(strings, [
+    "Mom's \\(best\\) cake",
+    "Back\\\\slash \\) and \\(",
+    "Cr\xe8me br\xfbl\xe9e \x96 \x93fancy\x94",
+    "????",
+    "Soup ?",
+    "Tab here",
+  ]);
+  // The title is kept whole as UTF-16
+  const title = Buffer.from("Cakes (and more) \\ 蛋糕", "utf16le").swap16();
+  assert.ok(
+    pdf
+      .toString("latin1")
+      .includes(`/Title <FEFF${title.toString("hex").toUpperCase()}>`)
+  );
+  assert.deepStrictEqual(
+    [...doc.missingCharacters],
+    ["Б", "о", "р", "щ", "🍲"]
+  );
+});
+
+/**
+ * Reads the glyph IDs of the hex strings shown in a content stream
+ */
+function shownGlyphs(content) {
+  return [...content.matchAll(/<([0-9a-f]*)> Tj/g)].map(([, hex]) =>
+    hex.match(/.{4}/g).map((glyph) => parseInt(glyph, 16))
+  );
+}
+
+test("prints Hebrew with an embedded TrueType font", () => {
+  // Glyphs are numbered in code point order: " "=1, "("=2, ")"=3, "2"=4, ...
+  const chars = [" ", "(", ")", "2", "?", "a", "b", "א", "ב", "ג"];
+  const widths = Object.fromEntries(chars.map((char) => [char, 500]));
+  widths["א"] = 700;
+  const glyph = (char) => chars.indexOf(char) + 1;
+
+  const doc = new PdfDocument(
+    { Title: "Hebrew" },
+    { fonts: { regular: makeFont(widths) } }
+  );
+  const page = doc.addPage();
+  page.text("אב (ג) 2", 10, 20);
+  page.text("ab אב", 10, 40, { font: "italic" });
+  page.text("a☃", 10, 60, { font: "bold" });
+
+  assert.strictEqual(doc.widthOf("אב", "regular", 10), 12);
+  const pdf = doc.toBuffer();
+  const objects = readPdf(pdf);
+  const [content] = pageContents(objects);
+
+  // Right-to-left text is drawn from its end, with brackets mirrored
+  assert.deepStrictEqual(shownGlyphs(content), [
+    ["2", " ", "(", "ג", ")", " ", "ב", "א"].map(glyph),
+    ["a", "b", " ", "ב", "א"].map(glyph),
+    ["a", "?"].map(glyph),
+  ]);
+  assert.match(content, /\/U1 11 Tf 1 0 0.2 1 10 801.89 Tm </);
+  assert.deepStrictEqual([...doc.missingCharacters], ["☃"]);
+
+  const bodies = [...objects.values()].map((body) => body.toString("latin1"));
+  const type0 = bodies.find((body) => body.includes("/Subtype /Type0"));
+  assert.match(type0, /\/BaseFont \/TestSans \/Encoding \/Identity-H/);
+  const cidFont = bodies.find((body) => body.includes("/CIDFontType2"));
+  assert.match(cidFont, new RegExp(`/W \\[.*${glyph("א")} \\[700\\]`));
+  // The ToUnicode map lets readers copy the text
+  const toUnicodeId = Number(type0.match(/\/ToUnicode (\d+) 0 R/)[1]);
+  const toUnicode = objects.get(toUnicodeId);
+  const cmap = zlib
+    .inflateSync(toUnicode.subarray(toUnicode.indexOf("stream\n") + 7, -10))
+    .toString("latin1");
+  assert.ok(cmap.includes(`<000${glyph("א").toString(16)}> <05d0>`));
+  assert.ok(cmap.includes(`<000${glyph("(").toString(16)}> <0028>`));
+});
+
+test("a cookbook uses the font set in pdf_font", async () => {
+  const ascii = Array.from({ length: 95 }, (_, i) =>
+    String.fromCharCode(32 + i)
+  );
+  const font = makeFont(
+    Object.fromEntries(
+      [...ascii, "ע", "ו", "ג", "ה"].map((char) => [char, 500])
+    )
+  );
+  process.env.pdf_font = "/fonts/test-sans.ttf";
+  const readFile = fs.promises.readFile;
+  mock.method(fs.promises, "readFile", async (file, ...args) =>
+    file === process.env.pdf_font ? font : readFile(file, ...args)
+  );
+  mock.method(user_utils, "getPrivateRecipes", async () => [
+    { id: 1, title: "עוגה", ingredients: "[]", instructions: "" },
+  ]);
+  mock.method(users, "findById", async () => null);
+
+  const { pdf, missingCharacters } = await exportPrivateCookbook(7);
+  readPdf(pdf);
+  assert.deepStrictEqual(missingCharacters, []);
+  assert.match(pdf.toString("latin1"), /\/FontFile2 \d+ 0 R/);
+});
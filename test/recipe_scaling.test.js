@@ -0,0 +1,57 @@
+/**
+ * Tests for routes/utils/recipe_scaling.js
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  roundQuantity,
+  scaleRecipe,
+} = require("../routes/utils/recipe_scaling");
+
+test("rounds grams and milliliters below 1 to a tenth", () => {
+  assert.deepStrictEqual(roundQuantity(0.3, "g"), {
+    quantity: 0.3,
+    text: "0.3",
+  });
+  assert.deepStrictEqual(roundQuantity(0.46, "ml"), {
+    quantity: 0.5,
+    text: "0.5",
+  });
+  assert.deepStrictEqual(roundQuantity(0.96, "g"), {
+    quantity: 1,
+    text: "1",
+  });
+  // A real amount never rounds down to nothing
+  assert.deepStrictEqual(roundQuantity(0.02, "mg"), {
+    quantity: 0.1,
+    text: "0.1",
+  });
+});
+
+test("rounds larger grams to whole numbers and other units to fractions", () => {
+  assert.strictEqual(roundQuantity(1.4, "g").text, "1");
+  assert.strictEqual(roundQuantity(42.6, "g").text, "43");
+  assert.strictEqual(roundQuantity(248, "ml").text, "250");
+  assert.strictEqual(roundQuantity(0.3, "cup").text, "1/3");
+  assert.strictEqual(roundQuantity(1.5, "tsp").text, "1 1/2");
+  assert.strictEqual(roundQuantity(0.01, "tsp").text, "1/8");
+});
+
+test("scaling a pinch of saffron down keeps it under a gram", () => {
+  const scaled = scaleRecipe(
+    {
+      servings: 8,
+      ingredients: [
+        { name: "saffron", quantity: 1, unit: "g" },
+        { name: "rice", quantity: 400, quantityMax: 500, unit: "g" },
+      ],
+    },
+    2
+  );
+
+  assert.deepStrictEqual(
+    scaled.ingredients.map((ingredient) => ingredient.quantityText),
+    ["0.3", "100-125"]
+  );
+  assert.strictEqual(scaled.ingredients[0].quantity, 0.3);
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for routes/utils/revision_utils.js
+ *
+ * Transactions run against a small in-memory model of InnoDB: plain reads
+ * see a snapshot taken at the transaction's first plain read, locking reads
+ * and updates see the latest rows, and row locks are held until commit.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const DButils = require("../routes/utils/DButils");
+const recipeIndex = require("../routes/utils/recipe_index");
+const revision_utils = require("../routes/utils/revision_utils");
+const user_utils = require("../routes/utils/user_utils");
+
+const RECIPE = {
+  recipe_id: 5,
+  user_id: 1,
+  title: "Pancakes",
+  readyInMinutes: 20,
+  image_url: "",
+  popularity: 0,
+  vegan: 0,
+  vegetarian: 1,
+  gluten_free: 0,
+  ingredients: "[]",
+  instructions: "Fry.",
+  servings: 2,
+};
+
+let recipe;
+let revisions;
+let locks;
+
+beforeEach(() => {
+  mock.restoreAll();
+  revisions = [1, 2].map((revision_number) => ({
+    revision_number,
+    change_type: revision_number === 1 ? "create" : "update",
+    snapshot: JSON.stringify({
+      ...RECIPE,
+      title: `Pancakes v${revision_number}`,
+    }),
+  }));
+  recipe = { ...RECIPE };
+  locks = new Map();
+  mock.method(DButils, "withTransaction", runTransaction);
+  // Reads outside a transaction see the latest row
+  mock.method(DButils, "execQuery", async () => [[{ ...recipe }]]);
+  mock.method(recipeIndex, "add", () => {});
+});
+
+/**
+ * Runs work in a transaction of the in-memory database
+ */
+async function runTransaction(work) {
+  const held = [];
+  let snapshot = null;
+
+  const lockRecipe = async () => {
+    let lock = locks.get(RECIPE.recipe_id);
+    while (lock && lock.owner !== held) {
+      await lock.released;
+      lock = locks.get(RECIPE.recipe_id);
+    }
+    if (!lock) {
+      let release;
+      const released = new Promise((resolve) => (release = resolve));
+      locks.set(RECIPE.recipe_id, { owner: held, released });
+      held.push(release);
+    }
+  };
+
+  const execQuery = async (query, params) => {
+    // Let the other transaction run between queries
+    await new Promise((resolve) => setImmediate(resolve));
+    const sql = query.replace(/\s+/g, " ");
+    const locking = / FOR UPDATE/.test(sql);
+    if (!locking && !/^(UPDATE|INSERT)/.test(sql)) {
+      snapshot = snapshot || {
+        recipe: { ...recipe },
+        revisions: revisions.slice(),
+      };
+    }
+
+    if (/^UPDATE private_recipes/.test(sql)) {
+      await lockRecipe();
+      const columns = [...sql.matchAll(/(\w+) = \?/g)].map((match) => match[1]);
+      columns.slice(0, -2).forEach((column, i) => (recipe[column] = params[i]));
+      return [{ affectedRows: 1 }];
+    }
+    if (/FROM private_recipes/.test(sql)) {
+      if (locking) {
+        await lockRecipe();
+      }
+      return [[{ ...(locking ? recipe : snapshot.recipe) }]];
+    }
+    const visible = locking ? revisions : snapshot.revisions;
+    if (/MAX\(revision_number\)/.test(sql)) {
+      const max = Math.max(0, ...visible.map((row) => row.revision_number));
+      return [[{ next_number: max + 1 }]];
+    }
+    if (/COUNT\(\*\)/.test(sql)) {
+      return [[{ total: visible.length }]];
+    }
+    if (/AND r.revision_number = \?/.test(sql)) {
+      return [visible.filter((row) => row.revision_number === params[2])];
+    }
+    if (/^INSERT INTO recipe_revisions/.test(sql)) {
+      if (revisions.some((row) => row.revision_number === params[2])) {
+        throw Object.assign(new Error("Duplicate entry"), {
+          code: "ER_DUP_ENTRY",
+        });
+      }
+      revisions.push({
+        revision_number: params[2],
+        change_type: params[3],
+        snapshot: params[6],
+      });
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  try {
+    return await work({ execQuery });
+  } finally {
+    locks.delete(RECIPE.recipe_id);
+    held.forEach((release) => release());
+  }
+}
+
+test("restoreRecipeRevision records the next revision number", async () => {
+  assert.strictEqual(
+    await revision_utils.restoreRecipeRevision(1, "private", 5, "1"),
+    3
+  );
+  assert.strictEqual(revisions[2].change_type, "restore");
+  assert.strictEqual(JSON.parse(revisions[2].snapshot).title, "Pancakes v1");
+  assert.strictEqual(recipe.title, "Pancakes v1");
+});
+
+test("concurrent edits of a recipe get consecutive revision numbers", async () => {
+  mock.method(console, "log", () => {});
+  const results = await Promise.all([
+    revision_utils.restoreRecipeRevision(1, "private", 5, "1"),
+    revision_utils.restoreRecipeRevision(1, "private", 5, "2"),
+  ]);
+
+  assert.deepStrictEqual(results.sort(), [3, 4]);
+  assert.deepStrictEqual(
+    revisions.map((row) => row.revision_number),
+    [1, 2, 3, 4]
+  );
+});
+
+test("concurrent partial edits each start from the other's result", async () => {
+  await Promise.all([
+    user_utils.updatePrivateRecipe(1, 5, { title: "Crepes" }, true),
+    user_utils.updatePrivateRecipe(1, 5, { servings: 6 }, true),
+  ]);
+
+  assert.strictEqual(recipe.title, "Crepes");
+  assert.strictEqual(recipe.servings, 6);
+  // The newest revision and the search index hold both edits
+  const latest = JSON.parse(revisions[revisions.length - 1].snapshot);
+  assert.strictEqual(latest.title, "Crepes");
+  assert.strictEqual(latest.servings, 6);
+  const indexed = recipeIndex.add.mock.calls.at(-1).arguments[1];
+  assert.strictEqual(indexed.title, "Crepes");
+  assert.strictEqual(indexed.servings, 6);
+});
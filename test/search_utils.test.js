@@ -0,0 +1,220 @@
+/**
+ * Tests for the unified search in routes/utils/search_utils.js
+ *
+ * The user's recipes are added to the search index directly and Spoonacular
+ * is replaced, so no database or API key is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const recipes_utils = require("../routes/utils/recipes_utils");
+const recipeIndex = require("../routes/utils/recipe_index");
+const { recipe_likes } = require("../routes/utils/repositories");
+const { searchAllRecipes } = require("../routes/utils/search_utils");
+
+const USER_ID = 4;
+
+beforeEach(() => {
+  mock.restoreAll();
+  recipeIndex.documents.clear();
+  recipeIndex.postings.clear();
+  recipeIndex.ready = true;
+
+  recipeIndex.add("private", {
+    recipe_id: 1,
+    user_id: USER_ID,
+    title: "Tomato soup",
+    image_url: "/recipe-images/1.jpg",
+    readyInMinutes: 30,
+    popularity: 2,
+    vegan: 1,
+    vegetarian: 1,
+    gluten_free: 1,
+    ingredients: JSON.stringify([{ name: "tomatoes", amount: "1 kg" }]),
+    instructions: "Simmer the tomatoes and blend.",
+  });
+  recipeIndex.add("private", {
+    recipe_id: 2,
+    user_id: USER_ID,
+    title: "Pasta bake",
+    readyInMinutes: 45,
+    vegan: 0,
+    vegetarian: 1,
+    gluten_free: 0,
+    ingredients: JSON.stringify([
+      { name: "pasta", amount: "500 g" },
+      { name: "tomato sauce", amount: "1 cup" },
+    ]),
+    instructions: "Bake the pasta in the sauce.",
+  });
+  recipeIndex.add("family", {
+    recipe_id: 1,
+    user_id: USER_ID,
+    recipe_name: "Grandma's tomato salad",
+    owner_name: "Grandma",
+    ingredients: JSON.stringify([{ name: "tomatoes", amount: "4" }]),
+    instructions: "Slice the tomatoes.",
+  });
+  recipeIndex.add("private", {
+    recipe_id: 3,
+    user_id: USER_ID + 1,
+    title: "Someone else's tomato soup",
+    ingredients: "[]",
+    instructions: "",
+  });
+});
+
+/**
+ * Lists results as "source:id"
+ */
+function keys(results) {
+  return results.map((recipe) => `${recipe.source}:${recipe.id}`);
+}
+
+test("mine searches the user's private recipes in the index", async () => {
+  const results = await searchAllRecipes(USER_ID, {
+    query: "tomato",
+    scope: "mine",
+  });
+
+  assert.deepStrictEqual(keys(results), ["private:1", "private:2"]);
+  assert.deepStrictEqual(results[0], {
+    id: 1,
+    title: "Tomato soup",
+    readyInMinutes: 30,
+    image: "/recipe-images/1.jpg",
+    popularity: 2,
+    vegan: true,
+    vegetarian: true,
+    glutenFree: true,
+    source: "private",
+  });
+});
+
+test("family searches the user's family recipes", async () => {
+  const results = await searchAllRecipes(USER_ID, {
+    query: "tomatoes",
+    scope: "family",
+  });
+
+  assert.deepStrictEqual(keys(results), ["family:1"]);
+  assert.strictEqual(results[0].owner, "Grandma");
+});
+
+test("local results are filtered by diet", async () => {
+  const results = await searchAllRecipes(USER_ID, {
+    query: "tomato",
+    scope: "mine",
+    diet: "vegan",
+  });
+
+  assert.deepStrictEqual(keys(results), ["private:1"]);
+});
+
+test("a changed image shows once the index is updated", async () => {
+  recipeIndex.add("private", {
+    recipe_id: 2,
+    user_id: USER_ID,
+    title: "Pasta bake",
+    image_url: "/recipe-images/new.jpg",
+    ingredients: "[]",
+    instructions: "",
+  });
+  const results = await searchAllRecipes(USER_ID, {
+    query: "pasta",
+    scope: "mine",
+  });
+
+  assert.strictEqual(results[0].image, "/recipe-images/new.jpg");
+});
+
+test("all ranks Spoonacular recipes with the index's scores", async () => {
+  mock.method(recipes_utils, "getSearchRecipeIds", async () => [101, 102]);
+  mock.method(recipes_utils, "getRecipesInformationBulk", async () => ({
+    recipes: new Map([
+      [
+        "101",
+        {
+          title: "Roasted tomato soup with tomato toast",
+          extendedIngredients: [{ name: "tomatoes" }],
+          instructions: "Roast the tomatoes.",
+        },
+      ],
+      [
+        "102",
+        {
+          title: "Chocolate cake",
+          extendedIngredients: [{ name: "flour" }],
+          instructions: "Bake.",
+        },
+      ],
+    ]),
+  }));
+  mock.method(recipes_utils, "getRecipesPreviewWithLikes", async (ids) =>
+    ids.map((id) => ({ id }))
+  );
+
+  const results = await searchAllRecipes(USER_ID, {
+    query: "tomato soup",
+    scope: "all",
+    number: 10,
+  });
+
+  assert.strictEqual(
+    recipeIndex.score({ title: "Chocolate cake", ingredients: [] }, "tomato"),
+    0
+  );
+  assert.deepStrictEqual(keys(results).slice(0, 2).sort(), [
+    "private:1",
+    "spoonacular:101",
+  ]);
+  assert.strictEqual(keys(results).at(-1), "spoonacular:102");
+});
+
+test("Spoonacular previews come from the recipes loaded once", async () => {
+  mock.method(recipes_utils, "getSearchRecipeIds", async () => [101]);
+  mock.method(recipes_utils, "getRecipesInformationBulk", async () => ({
+    recipes: new Map([
+      [
+        "101",
+        {
+          id: 101,
+          title: "Chocolate cake",
+          readyInMinutes: 50,
+          aggregateLikes: 7,
+          extendedIngredients: [{ name: "flour" }],
+        },
+      ],
+    ]),
+    error: null,
+  }));
+  mock.method(recipe_likes, "countByRecipes", async () => [
+    { recipe_id: 101, userLikes: 2 },
+  ]);
+  mock.method(recipe_likes, "findLikedRecipeIds", async () => [
+    { recipe_id: 101 },
+  ]);
+
+  const results = await searchAllRecipes(USER_ID, {
+    query: "cake",
+    scope: "all",
+  });
+
+  assert.strictEqual(
+    recipes_utils.getRecipesInformationBulk.mock.callCount(),
+    1
+  );
+  assert.deepStrictEqual(results, [
+    {
+      id: 101,
+      title: "Chocolate cake",
+      readyInMinutes: 50,
+      image: undefined,
+      popularity: 9,
+      vegan: undefined,
+      vegetarian: undefined,
+      glutenFree: undefined,
+      userHasLiked: true,
+      source: "spoonacular",
+    },
+  ]);
+});
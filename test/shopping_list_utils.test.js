@@ -0,0 +1,143 @@
+/**
+ * Tests for the checked-off state in routes/utils/shopping_list_utils.js
+ *
+ * The repositories and recipe lookups are replaced, so no database or
+ * Spoonacular access is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const {
+  shopping_list_recipes,
+  shopping_list_items,
+  shopping_list_checks,
+} = require("../routes/utils/repositories");
+const recipes_utils = require("../routes/utils/recipes_utils");
+const user_utils = require("../routes/utils/user_utils");
+const shopping_list_utils = require("../routes/utils/shopping_list_utils");
+
+const RECIPES = {
+  1: {
+    id: 1,
+    title: "Bread",
+    servings: 1,
+    ingredients: [
+      { name: "flour", quantity: 500, unit: "g" },
+      { name: "salt", quantity: 1, unit: "tsp" },
+    ],
+  },
+  2: {
+    id: 2,
+    title: "Cake",
+    servings: 1,
+    ingredients: [
+      { name: "flour", quantity: 200, unit: "g" },
+      { name: "eggs", quantity: 3, unit: null },
+    ],
+  },
+};
+
+let entries;
+let checks;
+
+beforeEach(() => {
+  mock.restoreAll();
+  entries = [
+    { recipe_source: "private", recipe_id: 1, servings: null },
+    { recipe_source: "private", recipe_id: 2, servings: null },
+  ];
+  checks = new Set();
+
+  mock.method(user_utils, "getPrivateRecipeDetails", async (id) => {
+    if (!RECIPES[id]) {
+      throw { status: 404, message: "Recipe not found" };
+    }
+    return RECIPES[id];
+  });
+  mock.method(user_utils, "getPreferredUnits", async () => null);
+  mock.method(recipes_utils, "getRecipeDetails", async (id) => ({
+    id,
+    apiUnavailable: true,
+  }));
+  mock.method(shopping_list_recipes, "findAllByUser", async () => entries);
+  mock.method(shopping_list_recipes, "remove", async (user_id, source, id) => {
+    const before = entries.length;
+    entries = entries.filter(
+      (entry) => entry.recipe_source !== source || entry.recipe_id !== id
+    );
+    return before - entries.length;
+  });
+  mock.method(shopping_list_items, "findAllByUser", async () => []);
+  mock.method(shopping_list_checks, "findKeysByUser", async () => [...checks]);
+  mock.method(shopping_list_checks, "add", async (user_id, key) => {
+    checks.add(key);
+  });
+  mock.method(shopping_list_checks, "remove", async (user_id, key) =>
+    Number(checks.delete(key))
+  );
+  mock.method(
+    shopping_list_checks,
+    "deleteAllByUserExcept",
+    async (user_id, keys) => {
+      const before = checks.size;
+      checks = new Set([...checks].filter((key) => keys.includes(key)));
+      return before - checks.size;
+    }
+  );
+});
+
+test("checks off items on the list", async () => {
+  await shopping_list_utils.setItemChecked(9, "flour:mass", true);
+
+  const list = await shopping_list_utils.getShoppingList(9);
+  const flour = list.aisles
+    .flatMap((aisle) => aisle.items)
+    .find((item) => item.id === "flour:mass");
+  assert.strictEqual(flour.checked, true);
+  assert.strictEqual(list.checkedItems, 1);
+});
+
+test("refuses to check items that are not on the list", async () => {
+  for (const key of ["anything", "flour:volume", "chocolate:mass"]) {
+    await assert.rejects(shopping_list_utils.setItemChecked(9, key, true), {
+      status: 404,
+      message: "Shopping list item not found",
+    });
+  }
+  await assert.rejects(
+    shopping_list_utils.setItemChecked(9, "anything", false),
+    { status: 404 }
+  );
+  assert.strictEqual(shopping_list_checks.add.mock.callCount(), 0);
+  assert.strictEqual(checks.size, 0);
+});
+
+test("removing a recipe forgets the checks of its own items", async () => {
+  await shopping_list_utils.setItemChecked(9, "flour:mass", true);
+  await shopping_list_utils.setItemChecked(9, "egg:count", true);
+
+  await shopping_list_utils.removeRecipe(9, "private", 2);
+
+  // Flour is still needed for the bread; the eggs are gone
+  assert.deepStrictEqual([...checks], ["flour:mass"]);
+
+  entries.push({ recipe_source: "private", recipe_id: 2, servings: null });
+  const list = await shopping_list_utils.getShoppingList(9);
+  const eggs = list.aisles
+    .flatMap((aisle) => aisle.items)
+    .find((item) => item.id === "egg:count");
+  assert.strictEqual(eggs.checked, false);
+});
+
+test("keeps checks while another recipe cannot be loaded", async () => {
+  entries.push({ recipe_source: "spoonacular", recipe_id: 716429 });
+  checks.add("pasta:mass");
+  mock.method(console, "log", () => {});
+
+  await shopping_list_utils.removeRecipe(9, "private", 2);
+
+  assert.deepStrictEqual([...checks], ["pasta:mass"]);
+  assert.strictEqual(
+    shopping_list_checks.deleteAllByUserExcept.mock.callCount(),
+    0
+  );
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for routes/utils/token_utils.js
+ *
+ * The repositories are replaced with in-memory tables, so no database is
+ * needed.
+ */
+process.env.token_secret = "test-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const DButils = require("../routes/utils/DButils");
+const {
+  users,
+  sessions,
+  refresh_tokens,
+} = require("../routes/utils/repositories");
+const token_utils = require("../routes/utils/token_utils");
+
+const USER = {
+  user_id: 7,
+  username: "tokenuser",
+  password: bcrypt.hashSync("pass1!", 4),
+};
+const CLIENT = { ip_address: "10.0.0.1", user_agent: "test" };
+
+let sessionRows;
+let tokenRows;
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessionRows = new Map();
+  tokenRows = [];
+
+  mock.method(DButils, "withTransaction", async (work) => work(DButils));
+  mock.method(users, "findByUsername", async (username) =>
+    username === USER.username ? USER : null
+  );
+  mock.method(sessions, "create", async (session) => {
+    const session_id = sessionRows.size + 1;
+    sessionRows.set(session_id, { session_id, user_id: session.user_id });
+    return session_id;
+  });
+  mock.method(
+    sessions,
+    "findById",
+    async (session_id) => sessionRows.get(session_id) || null
+  );
+  mock.method(sessions, "touch", async () => {});
+  mock.method(sessions, "deleteById", async (session_id) =>
+    sessionRows.delete(session_id)
+  );
+  mock.method(refresh_tokens, "create", async (session_id, token_hash) => {
+    tokenRows.push({
+      refresh_token_id: tokenRows.length + 1,
+      session_id,
+      token_hash,
+      used_at: null,
+      expired: 0,
+    });
+    return tokenRows.length;
+  });
+  mock.method(refresh_tokens, "findByTokenHash", async (token_hash) => {
+    const row = tokenRows.find((token) => token.token_hash === token_hash);
+    const session = row && sessionRows.get(row.session_id);
+    return session ? { ...row, user_id: session.user_id } : null;
+  });
+  mock.method(refresh_tokens, "markUsed", async (refresh_token_id) => {
+    const row = tokenRows.find(
+      (token) => token.refresh_token_id === refresh_token_id
+    );
+    if (!row || row.used_at) {
+      return false;
+    }
+    row.used_at = new Date();
+    return true;
+  });
+});
+
+/**
+ * Signs a JWT with the test secret
+ */
+function sign(claims, secret = "test-secret") {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const content = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(content)
+    .digest("base64url");
+  return `${content}.${signature}`;
+}
+
+test("createTokens issues an access token for the new login", async () => {
+  const tokens = await token_utils.createTokens("tokenuser", "pass1!", CLIENT);
+
+  assert.strictEqual(tokens.token_type, "Bearer");
+  assert.strictEqual(tokens.expires_in, token_utils.ACCESS_TOKEN_DURATION);
+  assert.deepStrictEqual(
+    await token_utils.verifyAccessToken(tokens.access_token),
+    { user_id: USER.user_id, session_id: 1 }
+  );
+});
+
+test("refreshTokens issues a new pair and marks the old token used", async () => {
+  const first = await token_utils.createTokens("tokenuser", "pass1!", CLIENT);
+  const second = await token_utils.refreshTokens(first.refresh_token, CLIENT);
+
+  assert.notStrictEqual(second.refresh_token, first.refresh_token);
+  assert.ok(second.access_token);
+  assert.ok(tokenRows[0].used_at, "the old refresh token is marked used");
+  assert.strictEqual(tokenRows[1].used_at, null);
+  assert.strictEqual(tokenRows[1].session_id, tokenRows[0].session_id);
+  assert.deepStrictEqual(
+    await token_utils.verifyAccessToken(second.access_token),
+    { user_id: USER.user_id, session_id: 1 }
+  );
+});
+
+test("reusing a refresh token revokes the login", async () => {
+  const first = await token_utils.createTokens("tokenuser", "pass1!", CLIENT);
+  const second = await token_utils.refreshTokens(first.refresh_token, CLIENT);
+
+  await assert.rejects(token_utils.refreshTokens(first.refresh_token, CLIENT), {
+    status: 401,
+    message: "Refresh token has already been used; the login has been revoked",
+  });
+  assert.strictEqual(sessions.deleteById.mock.callCount(), 1);
+  assert.strictEqual(sessions.deleteById.mock.calls[0].arguments[0], 1);
+  await assert.rejects(
+    token_utils.refreshTokens(second.refresh_token, CLIENT),
+    {
+      status: 401,
+      message: "Invalid refresh token",
+    }
+  );
+});
+
+test("an expired refresh token is refused", async () => {
+  const tokens = await token_utils.createTokens("tokenuser", "pass1!", CLIENT);
+  tokenRows[0].expired = 1;
+
+  await assert.rejects(
+    token_utils.refreshTokens(tokens.refresh_token, CLIENT),
+    {
+      status: 401,
+      message: "Refresh token has expired",
+    }
+  );
+  assert.strictEqual(tokenRows[0].used_at, null);
+});
+
+test("revokeTokens makes the access token fail as revoked", async () => {
+  const tokens = await token_utils.createTokens("tokenuser", "pass1!", CLIENT);
+
+  assert.strictEqual(
+    await token_utils.revokeTokens(tokens.refresh_token),
+    true
+  );
+  await assert.rejects(token_utils.verifyAccessToken(tokens.access_token), {
+    status: 401,
+    message: "Access token has been revoked",
+  });
+  assert.strictEqual(await token_utils.revokeTokens("unknown"), false);
+});
+
+test("an access token past its exp is refused", async () => {
+  sessionRows.set(1, { session_id: 1, user_id: USER.user_id });
+  const now = Math.floor(Date.now() / 1000);
+  const token = sign({
+    sub: USER.user_id,
+    sid: 1,
+    iat: now - 60,
+    exp: now - 1,
+  });
+
+  await assert.rejects(token_utils.verifyAccessToken(token), {
+    status: 401,
+    message: "Access token has expired",
+  });
+});
+
+test("an access token with a bad signature is refused", async () => {
+  sessionRows.set(1, { session_id: 1, user_id: USER.user_id });
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: USER.user_id, sid: 1, iat: now, exp: now + 60 };
+
+  for (const token of [
+    sign(claims, "another-secret"),
+    sign(claims).slice(0, -2) + "xx",
+    sign(claims).split(".").slice(0, 2).join("."),
+  ]) {
+    await assert.rejects(token_utils.verifyAccessToken(token), {
+      status: 401,
+      message: "Invalid access token",
+    });
+  }
+});
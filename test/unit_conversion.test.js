@@ -0,0 +1,67 @@
+/**
+ * Tests for the temperature conversion in routes/utils/unit_conversion.js
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { convertTemperatures } = require("../routes/utils/unit_conversion");
+
+test("keeps the text after a temperature", () => {
+  assert.strictEqual(
+    convertTemperatures("Bake at 350° for 20 minutes.", "metric"),
+    "Bake at 175°C for 20 minutes."
+  );
+  assert.strictEqual(
+    convertTemperatures("Bake at 180 degrees C for 20 minutes.", "us"),
+    "Bake at 355°F for 20 minutes."
+  );
+});
+
+test("converts a degree sign before punctuation", () => {
+  assert.strictEqual(
+    convertTemperatures("Heat the oven to 350°.", "metric"),
+    "Heat the oven to 175°C."
+  );
+  assert.strictEqual(
+    convertTemperatures("Heat the oven to 200º, then bake.", "us"),
+    "Heat the oven to 390°F, then bake."
+  );
+});
+
+test("converts a scale without a degree sign", () => {
+  assert.strictEqual(
+    convertTemperatures("Bake at 400 F until golden.", "metric"),
+    "Bake at 205°C until golden."
+  );
+  assert.strictEqual(
+    convertTemperatures("Roast at 220 Celsius.", "us"),
+    "Roast at 430°F."
+  );
+  assert.strictEqual(
+    convertTemperatures("Heat to 350°F", "metric"),
+    "Heat to 175°C"
+  );
+});
+
+test("leaves angles, differences and amounts alone", () => {
+  for (const text of [
+    "Halfway through, turn the pan 90 degrees.",
+    "Reduce the oven by 25 degrees and bake 10 more minutes.",
+    "Cut at a 45° angle.",
+    "Stir in 12 c of stock.",
+    "Bake for 350 minutes.",
+  ]) {
+    assert.strictEqual(convertTemperatures(text, "us"), text);
+    assert.strictEqual(convertTemperatures(text, "metric"), text);
+  }
+});
+
+test("reads a temperature without a scale by its range", () => {
+  assert.strictEqual(
+    convertTemperatures("Bake at 170 degrees.", "us"),
+    "Bake at 340°F."
+  );
+  assert.strictEqual(
+    convertTemperatures("Bake at 325 degrees.", "metric"),
+    "Bake at 165°C."
+  );
+});
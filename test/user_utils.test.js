@@ -0,0 +1,81 @@
+/**
+ * Tests for importing private recipes in routes/utils/user_utils.js
+ *
+ * Transactions run against in-memory rows that are only kept when the
+ * transaction commits, so no database is needed.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const DButils = require("../routes/utils/DButils");
+const recipeIndex = require("../routes/utils/recipe_index");
+const revision_utils = require("../routes/utils/revision_utils");
+const { private_recipes } = require("../routes/utils/repositories");
+const user_utils = require("../routes/utils/user_utils");
+
+let committed;
+let events;
+
+beforeEach(() => {
+  mock.restoreAll();
+  committed = [];
+  events = [];
+  mock.method(console, "log", () => {});
+  mock.method(DButils, "withTransaction", async (work) => {
+    const pending = [];
+    const result = await work({ pending });
+    committed.push(...pending);
+    events.push("commit");
+    return result;
+  });
+  mock.method(private_recipes, "create", async (user_id, recipe, tx) => {
+    if (recipe.title === "Broken") {
+      throw new Error("Data too long for column 'title'");
+    }
+    tx.pending.push(recipe.title);
+    return 100 + committed.length + tx.pending.length;
+  });
+  mock.method(revision_utils, "recordRevision", async () => 1);
+  mock.method(recipeIndex, "add", (source, recipe) =>
+    events.push(`index ${recipe.recipe_id}`)
+  );
+});
+
+test("importPrivateRecipes adds all recipes in one transaction", async () => {
+  const imported = await user_utils.importPrivateRecipes(1, [
+    { title: "Bread", servings: 2 },
+    { title: "Soup", servings: 4 },
+  ]);
+
+  assert.deepStrictEqual(imported, [
+    { recipe_id: 101, title: "Bread" },
+    { recipe_id: 102, title: "Soup" },
+  ]);
+  assert.deepStrictEqual(committed, ["Bread", "Soup"]);
+  // Indexed only once committed
+  assert.deepStrictEqual(events, ["commit", "index 101", "index 102"]);
+});
+
+test("a failed import adds none of the recipes", async () => {
+  await assert.rejects(
+    user_utils.importPrivateRecipes(1, [
+      { title: "Bread", servings: 2 },
+      { title: "Broken", servings: 1 },
+    ]),
+    { status: 500, message: "Failed to import private recipes" }
+  );
+
+  assert.deepStrictEqual(committed, []);
+  assert.deepStrictEqual(events, []);
+});
+
+test("a recipe without servings stops the import before it starts", async () => {
+  await assert.rejects(
+    user_utils.importPrivateRecipes(1, [
+      { title: "Bread", servings: 2 },
+      { title: "Soup" },
+    ]),
+    { status: 400 }
+  );
+
+  assert.strictEqual(DButils.withTransaction.mock.callCount(), 0);
+});
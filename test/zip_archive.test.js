@@ -0,0 +1,386 @@
+/**
+ * Tests for routes/utils/zip_archive.js and the account backup built on it
+ *
+ * Archives are checked byte by byte against the zip format, and an account
+ * is exported and imported again with the repositories replaced by
+ * in-memory rows. Image files are read and written through a mocked
+ * fs.promises, so nothing is written to public/.
+ */
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const zlib = require("zlib");
+const DButils = require("../routes/utils/DButils");
+const repositories = require("../routes/utils/repositories");
+const recipeIndex = require("../routes/utils/recipe_index");
+const revision_utils = require("../routes/utils/revision_utils");
+const { createZip, readZip } = require("../routes/utils/zip_archive");
+const {
+  exportAccount,
+  importAccount,
+} = require("../routes/utils/account_utils");
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * Walks an archive through its end record and central directory
+ *
+ * Checks that every central record points at a local header that agrees
+ * with it, and that the entries and the directory follow each other with
+ * no gaps.
+ *
+ * @param {Buffer} zip - The zip file
+ * @returns {Array<Object>} - { name, flags, method, crc, data } per entry
+ */
+function walkZip(zip) {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  assert.strictEqual(zip.readUInt16LE(end + 8), count);
+  const directorySize = zip.readUInt32LE(end + 12);
+  const directoryOffset = zip.readUInt32LE(end + 16);
+  assert.strictEqual(directoryOffset + directorySize, end);
+
+  const entries = [];
+  let offset = directoryOffset;
+  let nextLocal = 0;
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(zip.readUInt32LE(offset), 0x02014b50);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const name = zip.subarray(offset + 46, offset + 46 + nameLength);
+    const local = zip.readUInt32LE(offset + 42);
+    assert.strictEqual(local, nextLocal, "entries follow each other");
+
+    // The local header repeats the central record's fields
+    assert.strictEqual(zip.readUInt32LE(local), 0x04034b50);
+    assert.ok(
+      zip
+        .subarray(local + 6, local + 10)
+        .equals(zip.subarray(offset + 8, offset + 12))
+    );
+    assert.ok(
+      zip
+        .subarray(local + 14, local + 28)
+        .equals(zip.subarray(offset + 16, offset + 30))
+    );
+    assert.ok(zip.subarray(local + 30, local + 30 + nameLength).equals(name));
+
+    const start = local + 30 + nameLength + zip.readUInt16LE(local + 28);
+    const content = zip.subarray(start, start + zip.readUInt32LE(offset + 20));
+    const method = zip.readUInt16LE(offset + 10);
+    entries.push({
+      name: name.toString("utf8"),
+      flags: zip.readUInt16LE(offset + 8),
+      method,
+      crc: zip.readUInt32LE(offset + 16),
+      size: zip.readUInt32LE(offset + 24),
+      data: method === 8 ? zlib.inflateRawSync(content) : content,
+    });
+    nextLocal = start + content.length;
+    offset += 46 + nameLength;
+  }
+  assert.strictEqual(nextLocal, directoryOffset);
+  assert.strictEqual(offset, end);
+  return entries;
+}
+
+test("createZip writes checksums, offsets and UTF-8 names", () => {
+  const files = [
+    { name: "account.json", data: JSON.stringify({ a: "x".repeat(500) }) },
+    {
+      name: "images/family-images/עוגת שוקולד.jpg",
+      data: Buffer.from([1, 2, 3]),
+    },
+    { name: "check.txt", data: "123456789" },
+    { name: "empty.txt", data: "" },
+  ];
+  const entries = walkZip(createZip(files));
+
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.name),
+    files.map((file) => file.name)
+  );
+  entries.forEach((entry, i) => {
+    const data = Buffer.from(files[i].data);
+    assert.strictEqual(entry.flags & 0x0800, 0x0800, "names are UTF-8");
+    assert.ok(entry.data.equals(data));
+    assert.strictEqual(entry.size, data.length);
+    assert.strictEqual(entry.crc, zlib.crc32(data));
+  });
+  // Deflated only when smaller
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.method),
+    [8, 0, 0, 0]
+  );
+  assert.strictEqual(entries[2].crc, 0xcbf43926);
+});
+
+test("readZip reads back what createZip wrote", () => {
+  const name = "images/recipe-images/crème-brûlée.png";
+  const files = readZip(
+    createZip([
+      { name: "account.json", data: "{}" },
+      { name, data: Buffer.alloc(2000, 7) },
+    ])
+  );
+
+  assert.deepStrictEqual([...files.keys()], ["account.json", name]);
+  assert.ok(files.get(name).equals(Buffer.alloc(2000, 7)));
+});
+
+test("readZip refuses entries whose checksum does not match", () => {
+  const zip = createZip([{ name: "check.txt", data: "123456789" }]);
+  zip[30 + "check.txt".length] ^= 1;
+
+  assert.throws(() => readZip(zip), {
+    status: 400,
+    message: "Archive entry is damaged: check.txt",
+  });
+  assert.throws(() => readZip(zip.subarray(0, 40)), {
+    status: 400,
+    message: "Archive is not a zip file",
+  });
+});
+
+test("an exported account imports again", async () => {
+  const {
+    users,
+    favorite_recipes,
+    watched_recipes,
+    recipe_likes,
+    user_search_history,
+    private_recipes,
+    family_recipes,
+    meal_plan_entries,
+    shopping_list_recipes,
+    shopping_list_items,
+  } = repositories;
+  const image = Buffer.from("not really a jpeg");
+  const imageUrl = "/family-images/עוגה של סבתא.jpg";
+  const watchedAt = new Date("2024-03-01T10:00:00Z");
+
+  mock.method(users, "findById", async () => ({
+    username: "chef",
+    firstname: "Ada",
+    preferred_units: "metric",
+  }));
+  mock.method(favorite_recipes, "findRecipeIdsByUser", async () => [
+    { recipe_id: 716429 },
+  ]);
+  mock.method(watched_recipes, "findAllByUser", async () => [
+    { recipe_id: 716429, watched_at: watchedAt },
+  ]);
+  mock.method(recipe_likes, "findAllByUser", async () => []);
+  mock.method(user_search_history, "findAllByUser", async () => []);
+  mock.method(private_recipes, "findAllByUser", async () => [
+    {
+      recipe_id: 4,
+      title: "Shakshuka",
+      readyInMinutes: 25,
+      image_url: "https://example.com/shakshuka.jpg",
+      vegetarian: 1,
+      ingredients: JSON.stringify([{ name: "eggs", amount: "4" }]),
+      instructions: "Simmer the sauce, then add the eggs.",
+      servings: 2,
+    },
+  ]);
+  mock.method(family_recipes, "findAllByUser", async () => [
+    {
+      recipe_id: 9,
+      recipe_name: "Grandma's cake",
+      owner_name: "Grandma",
+      ingredients: "[]",
+      instructions: "Bake.",
+      image_url: imageUrl,
+    },
+  ]);
+  mock.method(meal_plan_entries, "findAllByUser", async () => [
+    {
+      plan_date: "2024-03-04",
+      slot: "dinner",
+      recipe_source: "family",
+      recipe_id: 9,
+      servings: 8,
+    },
+  ]);
+  mock.method(shopping_list_recipes, "findAllByUser", async () => [
+    { recipe_source: "private", recipe_id: 4, servings: 2 },
+  ]);
+  mock.method(shopping_list_items, "findAllByUser", async () => [
+    { name: "Milk", quantity: "1.50", unit: "l", aisle: null, checked: 1 },
+  ]);
+  mock.method(fs.promises, "readFile", async (file) => {
+    if (file.endsWith("family-images/עוגה של סבתא.jpg")) {
+      return image;
+    }
+    throw Object.assign(new Error("not found"), { code: "ENOENT" });
+  });
+
+  const { filename, archive } = await exportAccount(3);
+  assert.match(filename, /^account-chef-\d{4}-\d{2}-\d{2}\.zip$/);
+  const entries = walkZip(archive);
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.name),
+    ["account.json", "images/family-images/עוגה של סבתא.jpg"]
+  );
+  assert.ok(entries[1].data.equals(image));
+
+  const written = new Map();
+  const created = { private: [], family: [] };
+  const calls = [];
+  const record =
+    (name) =>
+    async (...args) => {
+      calls.push([name, ...args.slice(0, -1)]);
+    };
+  mock.method(DButils, "withTransaction", async (work) => work(DButils));
+  mock.method(fs.promises, "mkdir", async () => {});
+  mock.method(fs.promises, "writeFile", async (file, data) => {
+    written.set(file, data);
+  });
+  mock.method(users, "updatePreferredUnits", record("units"));
+  mock.method(favorite_recipes, "addIfMissing", record("favorite"));
+  mock.method(watched_recipes, "restore", record("watched"));
+  mock.method(private_recipes, "create", async (user_id, columns) => {
+    created.private.push(columns);
+    return 100 + created.private.length;
+  });
+  mock.method(family_recipes, "create", async (user_id, columns) => {
+    created.family.push(columns);
+    return 200 + created.family.length;
+  });
+  mock.method(revision_utils, "recordRevision", async () => 1);
+  mock.method(meal_plan_entries, "upsert", record("meal"));
+  mock.method(shopping_list_recipes, "upsert", record("listRecipe"));
+  mock.method(shopping_list_items, "insert", async () => 55);
+  mock.method(shopping_list_items, "setChecked", record("checked"));
+  mock.method(recipeIndex, "add", () => {});
+
+  const result = await importAccount(8, archive);
+
+  assert.deepStrictEqual(result, {
+    imported: {
+      favorites: 1,
+      watched: 1,
+      likes: 0,
+      searchHistory: 0,
+      privateRecipes: 1,
+      familyRecipes: 1,
+      mealPlan: 1,
+      shoppingList: 2,
+      images: 1,
+    },
+    recipeIds: { private: { 4: 101 }, family: { 9: 201 } },
+  });
+  assert.deepStrictEqual(calls, [
+    ["units", 8, "metric"],
+    ["favorite", 8, 716429],
+    ["watched", 8, 716429, watchedAt],
+    [
+      "meal",
+      8,
+      {
+        plan_date: "2024-03-04",
+        slot: "dinner",
+        recipe_source: "family",
+        recipe_id: 201,
+        servings: 8,
+      },
+    ],
+    ["listRecipe", 8, "private", 101, 2],
+    ["checked", 55, 8, true],
+  ]);
+  assert.strictEqual(created.private[0].title, "Shakshuka");
+  assert.strictEqual(created.private[0].vegetarian, 1);
+  assert.strictEqual(created.family[0].image_url, imageUrl);
+  const [[file, data]] = written;
+  assert.ok(file.endsWith("public/family-images/עוגה של סבתא.jpg"));
+  assert.ok(data.equals(image));
+});
+
+/**
+ * Builds a backup archive around an account.json object
+ */
+function backupArchive(data, images = []) {
+  return createZip([
+    {
+      name: "account.json",
+      data: JSON.stringify({
+        format: "recipes-account-export",
+        version: 1,
+        ...data,
+      }),
+    },
+    ...images,
+  ]);
+}
+
+test("importAccount refuses a malformed shopping list", async () => {
+  const cases = [
+    [{ shoppingList: [] }, "shoppingList must be an object"],
+    [{ shoppingList: null }, "shoppingList must be an object"],
+    [
+      { shoppingList: { recipes: {} } },
+      "shoppingList.recipes must be an array",
+    ],
+    [
+      { shoppingList: { items: "milk" } },
+      "shoppingList.items must be an array",
+    ],
+  ];
+  for (const [data, message] of cases) {
+    await assert.rejects(importAccount(8, backupArchive(data)), {
+      status: 400,
+      message,
+    });
+  }
+});
+
+test("a failed import deletes the images it wrote", async () => {
+  const { family_recipes } = repositories;
+  const existing = Buffer.from("already here");
+  const files = new Map([["cake.jpg", existing]]);
+  const archive = backupArchive(
+    {
+      familyRecipes: ["/family-images/cake.jpg", "/family-images/pie.jpg"].map(
+        (image_url) => ({
+          recipe_name: "Cake",
+          owner_name: "Grandma",
+          instructions: "Bake.",
+          image_url,
+        })
+      ),
+    },
+    [
+      // Same as the file on disk, so it is reused, not written
+      { name: "images/family-images/cake.jpg", data: existing },
+      { name: "images/family-images/pie.jpg", data: "pie" },
+    ]
+  );
+
+  mock.method(console, "log", () => {});
+  mock.method(fs.promises, "mkdir", async () => {});
+  mock.method(fs.promises, "writeFile", async (file, data) => {
+    const name = file.split("/").pop();
+    if (files.has(name)) {
+      throw Object.assign(new Error("exists"), { code: "EEXIST" });
+    }
+    files.set(name, Buffer.from(data));
+  });
+  mock.method(fs.promises, "readFile", async (file) =>
+    files.get(file.split("/").pop())
+  );
+  mock.method(fs.promises, "unlink", async (file) => {
+    files.delete(file.split("/").pop());
+  });
+  mock.method(DButils, "withTransaction", async (work) => work(DButils));
+  mock.method(family_recipes, "create", async () => {
+    throw new Error("Connection lost");
+  });
+
+  await assert.rejects(importAccount(8, archive), { status: 500 });
+  assert.deepStrictEqual([...files.keys()], ["cake.jpg"]);
+  assert.strictEqual(fs.promises.unlink.mock.callCount(), 1);
+});